@@ -0,0 +1,1395 @@
+"use strict";
+const EventEmitter = require('events').EventEmitter;
+const fs = require('fs');
+const path = require('path');
+const Promise = require('bluebird');
+const BatchReadable = require('../lib/batch-readable.js');
+const describeVersionConflict = require('../lib/expected-version.js').describeVersionConflict;
+const isTombstone = require('../lib/tombstone.js').isTombstone;
+const hashEvent = require('../lib/hash-chain.js').hashEvent;
+
+const _ = require('lodash');
+
+const segmentPattern = /^segment-(\d+)\.ndjson$/;
+const newline = 10;
+
+/**
+ * An error.
+ *
+ * @constructor AdapterError
+ * @param {number} code - The http status code meant associated with the error
+ * @param {string} message - The message describing the error
+ * @param {object} args - Any relevant arguments to be returned to the user/developer
+ *
+ */
+function AdapterError(code, message, args) {
+    this.code = code || 500;
+    this.name = 'AdapterError';
+    this.arguments = args;
+    this.message = message || 'An error occurred';
+    this.stack = (new Error()).stack;
+}
+
+AdapterError.prototype = Object.create(Error.prototype);
+AdapterError.prototype.constructor = AdapterError;
+
+/*
+ * Split a buffer of newline delimited JSON into records. Parsing stops at the first line that is
+ * unterminated or cannot be parsed.
+ *
+ * @function parseLines
+ *
+ * @required {Buffer}  buffer
+ *
+ * @return {Object} { lines: [{ record, offset, length }], end }
+ *
+ */
+function parseLines(buffer) {
+    const lines = [];
+    let offset = 0;
+
+    while(offset < buffer.length) {
+        const end = buffer.indexOf(newline, offset);
+
+        if(end === -1) {
+            break;
+        }
+
+        try {
+            lines.push({
+                record: JSON.parse(buffer.toString('utf8', offset, end)),
+                offset: offset,
+                length: end - offset
+            });
+        }
+        catch(error) {
+            break;
+        }
+
+        offset = end + 1;
+    }
+
+    return {
+        lines: lines,
+        end: offset
+    };
+}
+
+/*
+ * Check whether any complete commit is stored after an offset, which means damage before it
+ * cannot be the result of an interrupted append.
+ *
+ * @function containsCommit
+ *
+ * @required {Buffer}  buffer
+ * @required {Number}  offset
+ *
+ * @return {Boolean}
+ *
+ */
+function containsCommit(buffer, offset) {
+    let end = buffer.indexOf(newline, offset);
+
+    while(end !== -1) {
+        const start = end + 1;
+        end = buffer.indexOf(newline, start);
+
+        try {
+            if(end !== -1 && JSON.parse(buffer.toString('utf8', start, end)).commit_end) {
+                return true;
+            }
+        }
+        catch(error) {
+            continue;
+        }
+    }
+
+    return false;
+}
+
+/*
+ * Turn a stored record back into an event. Records written by an earlier version of the adapter
+ * are given the defaults of the fields added since.
+ *
+ * @function toEvent
+ *
+ * @required {Object}  record
+ *
+ * @return {Event}
+ *
+ */
+function toEvent(record) {
+    const event = _.omit(record, ['commit_end', 'outbox']);
+    event.created_on = new Date(event.created_on);
+    event.schema_version = event.schema_version || 1;
+    event.metadata = event.metadata || {};
+
+    return event;
+}
+
+/*
+ * An adapter for the Journal class that stores events in an append-only log of newline delimited
+ * JSON files in a directory, for local development and small installations. Only one process
+ * should open a directory at a time.
+ *
+ * Events are appended to numbered segment files, and a new segment is started once the current
+ * one would grow past segmentSize. Each append is written with a single write and, unless fsync is
+ * disabled, flushed to disk before it resolves. The last event of every append is marked with
+ * "commit_end", so that an append interrupted by a crash can be recognised and truncated the next
+ * time the log is opened. An index of each ref's events is rebuilt in memory on startup.
+ *
+ * In outbox mode events are stored with an "outbox" flag, so that an event and its outbox entry
+ * are written together. Attempts to send them are recorded in outbox.ndjson, which is replayed
+ * over the flagged events on startup.
+ *
+ * Data keys are kept in data-keys.json, which is rewritten as a whole whenever a key is stored or
+ * destroyed so that a destroyed key does not linger in the file. Projection checkpoints are kept
+ * in checkpoints.json, which is rewritten the same way whenever one is saved.
+ *
+ * Deleting a ref or truncating its history rewrites the segments that held the removed events.
+ * Truncating first records the version and hash of the last event removed in anchors.json, so
+ * that the ref's hash chain can still be checked from its first remaining event.
+ * The highest position handed out is kept in log-state.json, so that removing the newest events
+ * never leads to their positions being reused.
+ *
+ * @class FileAdapter
+ *
+ */
+class FileAdapter {
+    constructor() {
+        this.notifier = new EventEmitter();
+        this.initializePublicMethods();
+    }
+
+    get name() {
+        return "file";
+    }
+
+    /*
+     * Wrap class methods in Bluebird couroutines as we cannot define dynamic methods when
+     * creating a class.
+     *
+     * @method initializePublicMethods
+     *
+     * @return {this};
+     *
+     */
+    initializePublicMethods() {
+        this.createEventForRef = Promise.coroutine(this.createEventForRef);
+        this.createEventsForRef = Promise.coroutine(this.createEventsForRef);
+        this.getEventsForRef = Promise.coroutine(this.getEventsForRef);
+        this.getEventsByIds = Promise.coroutine(this.getEventsByIds);
+        this.getLatestVersionForRef = Promise.coroutine(this.getLatestVersionForRef);
+        this.readAll = Promise.coroutine(this.readAll);
+        this.queryEvents = Promise.coroutine(this.queryEvents);
+        this.watch = Promise.method(this.watch);
+        this.saveSnapshot = Promise.coroutine(this.saveSnapshot);
+        this.getLatestSnapshot = Promise.coroutine(this.getLatestSnapshot);
+        this.getPendingOutboxEntries = Promise.coroutine(this.getPendingOutboxEntries);
+        this.markOutboxEntriesSent = Promise.coroutine(this.markOutboxEntriesSent);
+        this.rescheduleOutboxEntry = Promise.coroutine(this.rescheduleOutboxEntry);
+        this.getDataKey = Promise.coroutine(this.getDataKey);
+        this.saveDataKey = Promise.coroutine(this.saveDataKey);
+        this.destroyDataKey = Promise.coroutine(this.destroyDataKey);
+        this.deleteRef = Promise.coroutine(this.deleteRef);
+        this.truncateBefore = Promise.coroutine(this.truncateBefore);
+        this.getAnchor = Promise.coroutine(this.getAnchor);
+        this.getCheckpoint = Promise.coroutine(this.getCheckpoint);
+        this.saveCheckpoint = Promise.coroutine(this.saveCheckpoint);
+        this.createDatabaseConnection = Promise.coroutine(this.createDatabaseConnection);
+        this.closeDatabaseConnection = Promise.method(this.closeDatabaseConnection);
+
+        return this;
+    }
+
+    /*
+     * Open the log directory, recover from an interrupted append, rebuild the index and hash the
+     * events written by an earlier version of the adapter.
+     *
+     * @method createDatabaseConnection
+     *
+     * @required {Object|String}  An object of connection properties, or the log directory.
+     *
+     * @return {Promise}
+     *
+     */
+    *createDatabaseConnection(dbConnectionOptions) {
+        const defaults = {
+            directory: null,
+            segmentSize: 64 * 1024 * 1024,
+            fsync: true
+        };
+
+        if(typeof dbConnectionOptions === 'string') {
+            dbConnectionOptions = { directory: dbConnectionOptions };
+        }
+
+        this.config = _.merge({}, defaults, dbConnectionOptions);
+
+        if(!this.config.directory) {
+            throw new AdapterError(400, "Missing directory", { directory: this.config.directory });
+        }
+
+        try {
+            fs.mkdirSync(this.config.directory);
+        }
+        catch(error) {
+            if(error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+
+        this.refs = new Map();
+        this.eventIds = new Map();
+        this.outbox = new Map();
+        this.log = [];
+        this.segments = [];
+        this.readDescriptors = new Map();
+        this.position = 0;
+
+        this.loadLogState();
+        this.rebuildIndex();
+        this.hashUnhashedEvents();
+        this.loadSnapshots();
+        this.loadOutbox();
+        this.loadDataKeys();
+        this.loadCheckpoints();
+        this.loadAnchors();
+
+        if(!this.segments.length) {
+            this.segments.push(this.segmentPath(1));
+        }
+
+        this.openSegmentForWriting(this.segments.length - 1);
+
+        return this;
+    }
+
+    /*
+     * Close every open segment file.
+     *
+     * @method closeDatabaseConnection
+     *
+     * @return {this}
+     *
+     */
+    closeDatabaseConnection() {
+        fs.closeSync(this.writeDescriptor);
+        delete this.writeDescriptor;
+
+        this.readDescriptors.forEach((descriptor) => fs.closeSync(descriptor));
+        this.readDescriptors.clear();
+
+        return this;
+    }
+
+    /*
+     * Get the path of a segment file by its number.
+     *
+     * @method segmentPath
+     *
+     * @required {Number}  segmentNumber
+     *
+     * @return {String}
+     *
+     */
+    segmentPath(segmentNumber) {
+        return path.join(this.config.directory, `segment-${_.padStart(segmentNumber, 6, '0')}.ndjson`);
+    }
+
+    /*
+     * Open a segment for appending and remember its size.
+     *
+     * @method openSegmentForWriting
+     *
+     * @required {Number}  segment - Index into this.segments
+     *
+     * @return {undefined}
+     *
+     */
+    openSegmentForWriting(segment) {
+        if(this.writeDescriptor !== undefined) {
+            fs.closeSync(this.writeDescriptor);
+        }
+
+        this.writeDescriptor = fs.openSync(this.segments[segment], 'a');
+        this.writeSegment = segment;
+        this.writeSegmentSize = fs.fstatSync(this.writeDescriptor).size;
+    }
+
+    /*
+     * Read every segment to rebuild the ref and position index. A torn or partially written
+     * append at the end of the last segment is truncated; damage anywhere else is an error.
+     *
+     * @method rebuildIndex
+     *
+     * @return {undefined}
+     *
+     */
+    rebuildIndex() {
+        const files = fs.readdirSync(this.config.directory)
+            .filter((file) => segmentPattern.test(file))
+            .sort();
+
+        files.forEach((file, segment) => {
+            const filePath = path.join(this.config.directory, file);
+            const buffer = fs.readFileSync(filePath);
+            const parsed = parseLines(buffer);
+            let pending = [];
+            let committedLength = 0;
+
+            this.segments.push(filePath);
+
+            parsed.lines.forEach((line) => {
+                pending.push({
+                    segment: segment,
+                    offset: line.offset,
+                    length: line.length,
+                    ref: line.record.ref,
+                    version: line.record.version,
+                    position: line.record.position,
+                    eventId: line.record.event_id,
+                    outbox: line.record.outbox,
+                    tombstone: isTombstone(line.record)
+                });
+
+                if(line.record.commit_end) {
+                    pending.forEach((location) => this.addToIndex(location));
+                    committedLength = line.offset + line.length + 1;
+                    pending = [];
+                }
+            });
+
+            if(committedLength < buffer.length) {
+                const isLastSegment = segment === files.length - 1;
+
+                if(!isLastSegment || containsCommit(buffer, parsed.end)) {
+                    throw new AdapterError(500, "corrupt segment", {
+                        segment: filePath,
+                        offset: committedLength
+                    });
+                }
+
+                fs.truncateSync(filePath, committedLength);
+            }
+        });
+    }
+
+    /*
+     * Hash the events written by an earlier version of the adapter, which stored them without a
+     * hash. Hashes are computed ref by ref, in version order, and every segment holding an event
+     * without one is rewritten with them added. On an up to date log this only reads it.
+     *
+     * @method hashUnhashedEvents
+     *
+     * @return {undefined}
+     *
+     */
+    hashUnhashedEvents() {
+        const hashes = new Map();
+
+        this.refs.forEach((locations) => {
+            let previousHash = null;
+
+            locations.forEach((location) => {
+                const event = this.readEvent(location);
+
+                if(!event.hash) {
+                    event.hash = hashEvent(previousHash, event);
+                    hashes.set(location.position, event.hash);
+                }
+
+                previousHash = event.hash;
+            });
+        });
+
+        const segments = _.uniq(this.log.filter((location) => hashes.has(location.position)).map((location) => location.segment));
+
+        segments.forEach((segment) => this.rewriteSegment(segment, (record) => {
+            return hashes.has(record.position) ? _.assign({}, record, { hash: hashes.get(record.position) }) : record;
+        }));
+    }
+
+    /*
+     * Load the highest position handed out, which is ahead of the stored events when the newest
+     * of them have been removed.
+     *
+     * @method loadLogState
+     *
+     * @return {undefined}
+     *
+     */
+    loadLogState() {
+        this.logStatePath = path.join(this.config.directory, 'log-state.json');
+
+        if(fs.existsSync(this.logStatePath)) {
+            this.position = JSON.parse(fs.readFileSync(this.logStatePath, 'utf8')).position;
+        }
+    }
+
+    /*
+     * Load the latest snapshot for each ref, truncating a torn final line.
+     *
+     * @method loadSnapshots
+     *
+     * @return {undefined}
+     *
+     */
+    loadSnapshots() {
+        this.snapshotPath = path.join(this.config.directory, 'snapshots.ndjson');
+        this.snapshots = new Map();
+
+        if(!fs.existsSync(this.snapshotPath)) {
+            return;
+        }
+
+        const buffer = fs.readFileSync(this.snapshotPath);
+        const parsed = parseLines(buffer);
+
+        parsed.lines.forEach((line) => {
+            line.record.created_on = new Date(line.record.created_on);
+            this.addSnapshot(line.record);
+        });
+
+        if(parsed.end < buffer.length) {
+            fs.truncateSync(this.snapshotPath, parsed.end);
+        }
+    }
+
+    /*
+     * Apply the recorded attempts to send outbox entries, dropping the entries that have been
+     * sent, and truncate a torn final line.
+     *
+     * @method loadOutbox
+     *
+     * @return {undefined}
+     *
+     */
+    loadOutbox() {
+        this.outboxPath = path.join(this.config.directory, 'outbox.ndjson');
+
+        if(!fs.existsSync(this.outboxPath)) {
+            return;
+        }
+
+        const buffer = fs.readFileSync(this.outboxPath);
+        const parsed = parseLines(buffer);
+
+        parsed.lines.forEach((line) => this.applyOutboxRecord(line.record));
+
+        if(parsed.end < buffer.length) {
+            fs.truncateSync(this.outboxPath, parsed.end);
+        }
+    }
+
+    /*
+     * Load the records of the refs' wrapped data keys.
+     *
+     * @method loadDataKeys
+     *
+     * @return {undefined}
+     *
+     */
+    loadDataKeys() {
+        this.dataKeyPath = path.join(this.config.directory, 'data-keys.json');
+        this.dataKeys = new Map();
+
+        if(!fs.existsSync(this.dataKeyPath)) {
+            return;
+        }
+
+        JSON.parse(fs.readFileSync(this.dataKeyPath, 'utf8')).forEach((record) => {
+            record.created_on = new Date(record.created_on);
+            record.destroyed_on = record.destroyed_on ? new Date(record.destroyed_on) : null;
+
+            this.dataKeys.set(record.ref, record);
+        });
+    }
+
+    /*
+     * Load the checkpoints of the projections.
+     *
+     * @method loadCheckpoints
+     *
+     * @return {undefined}
+     *
+     */
+    loadCheckpoints() {
+        this.checkpointPath = path.join(this.config.directory, 'checkpoints.json');
+        this.checkpoints = new Map();
+
+        if(!fs.existsSync(this.checkpointPath)) {
+            return;
+        }
+
+        JSON.parse(fs.readFileSync(this.checkpointPath, 'utf8')).forEach((checkpoint) => {
+            checkpoint.updated_on = new Date(checkpoint.updated_on);
+
+            this.checkpoints.set(checkpoint.name, checkpoint);
+        });
+    }
+
+    /*
+     * Load the anchors kept for refs whose history was truncated.
+     *
+     * @method loadAnchors
+     *
+     * @return {undefined}
+     *
+     */
+    loadAnchors() {
+        this.anchorPath = path.join(this.config.directory, 'anchors.json');
+        this.anchors = new Map();
+
+        if(!fs.existsSync(this.anchorPath)) {
+            return;
+        }
+
+        JSON.parse(fs.readFileSync(this.anchorPath, 'utf8')).forEach((anchor) => {
+            this.anchors.set(anchor.ref, anchor);
+        });
+    }
+
+    /*
+     * Replace the contents of a file. The new file is written next to the old one and renamed
+     * over it, so that a crash leaves one or the other intact.
+     *
+     * @method replaceFile
+     *
+     * @required {String}         filePath
+     * @required {String|Buffer}  contents
+     *
+     * @return {undefined}
+     *
+     */
+    replaceFile(filePath, contents) {
+        const temporaryPath = `${filePath}.tmp`;
+        const descriptor = fs.openSync(temporaryPath, 'w');
+
+        try {
+            fs.writeSync(descriptor, contents);
+
+            if(this.config.fsync) {
+                fs.fsyncSync(descriptor);
+            }
+        }
+        finally {
+            fs.closeSync(descriptor);
+        }
+
+        fs.renameSync(temporaryPath, filePath);
+    }
+
+    /*
+     * Replace the data key file with the records held in memory.
+     *
+     * @method writeDataKeys
+     *
+     * @return {undefined}
+     *
+     */
+    writeDataKeys() {
+        this.replaceFile(this.dataKeyPath, JSON.stringify(Array.from(this.dataKeys.values())));
+    }
+
+    /*
+     * Update the pending outbox entry of an event from a record of an attempt to send it.
+     *
+     * @method applyOutboxRecord
+     *
+     * @required {Object}  record - { position, attempts, available_on, last_error, sent_on }
+     *
+     * @return {undefined}
+     *
+     */
+    applyOutboxRecord(record) {
+        if(!this.outbox.has(record.position)) {
+            return;
+        }
+        else if(record.sent_on) {
+            this.outbox.delete(record.position);
+        }
+        else {
+            this.outbox.set(record.position, {
+                attempts: record.attempts,
+                available_on: new Date(record.available_on),
+                last_error: record.last_error
+            });
+        }
+    }
+
+    /*
+     * Append records of attempts to send outbox entries to the outbox file and apply them.
+     *
+     * @method writeOutboxRecords
+     *
+     * @required {Array}  records
+     *
+     * @return {undefined}
+     *
+     */
+    writeOutboxRecords(records) {
+        const descriptor = fs.openSync(this.outboxPath, 'a');
+
+        try {
+            fs.writeSync(descriptor, records.map((record) => `${JSON.stringify(record)}\n`).join(''));
+
+            if(this.config.fsync) {
+                fs.fsyncSync(descriptor);
+            }
+        }
+        finally {
+            fs.closeSync(descriptor);
+        }
+
+        records.forEach((record) => this.applyOutboxRecord(record));
+    }
+
+    /*
+     * Record where an event is stored, and add its outbox entry when it was stored in outbox mode.
+     *
+     * @method addToIndex
+     *
+     * @required {Object}  location - { segment, offset, length, ref, version, position, eventId, outbox, tombstone }
+     *
+     * @return {undefined}
+     *
+     */
+    addToIndex(location) {
+        if(!this.refs.has(location.ref)) {
+            this.refs.set(location.ref, []);
+        }
+
+        if(location.eventId) {
+            this.eventIds.set(location.eventId, location);
+        }
+
+        if(location.outbox) {
+            this.outbox.set(location.position, { attempts: 0, available_on: null, last_error: null });
+        }
+
+        this.refs.get(location.ref).push(location);
+        this.log.push(location);
+        this.position = Math.max(this.position, location.position);
+    }
+
+    /*
+     * Keep a snapshot if it is at least as new as the one already held for its ref.
+     *
+     * @method addSnapshot
+     *
+     * @required {Snapshot}  snapshot
+     *
+     * @return {undefined}
+     *
+     */
+    addSnapshot(snapshot) {
+        const current = this.snapshots.get(snapshot.ref);
+
+        if(!current || current.version <= snapshot.version) {
+            this.snapshots.set(snapshot.ref, snapshot);
+        }
+    }
+
+    /*
+     * Read a single event from its segment.
+     *
+     * @method readEvent
+     *
+     * @required {Object}  location
+     *
+     * @return {Event}
+     *
+     */
+    readEvent(location) {
+        if(!this.readDescriptors.has(location.segment)) {
+            this.readDescriptors.set(location.segment, fs.openSync(this.segments[location.segment], 'r'));
+        }
+
+        const buffer = Buffer.alloc(location.length);
+        fs.readSync(this.readDescriptors.get(location.segment), buffer, 0, location.length, location.offset);
+
+        return toEvent(JSON.parse(buffer.toString('utf8')));
+    }
+
+    /*
+     * Create a new event and store it in the database.
+     *
+     * @method createEventForRef
+     *
+     * @required {String}  eventName
+     * @required {String}  refId
+     * @optional {Object}  eventData
+     * @optional {String}  userId
+     * @optional {Number}  expectedVersion
+     *
+     * @return {Event}
+     *
+     */
+    *createEventForRef(eventName, refId, eventData, userId, expectedVersion) {
+        const events = [{
+            eventName: eventName,
+            eventData: eventData,
+            userId: userId
+        }];
+
+        const entries = yield this.createEventsForRef(refId, events, expectedVersion);
+
+        return entries[0];
+    }
+
+    /*
+     * Create several events for a single ref with consecutive versions. The events are appended
+     * with a single write, and the last one is marked as the end of the commit so that either
+     * all of them are recovered after a crash or none are. An eventId that has already been stored
+     * is refused, as is any append to a ref whose latest event is a tombstone. In outbox mode the
+     * events are flagged as outbox entries in the same write.
+     *
+     * @method createEventsForRef
+     *
+     * @required {String}         refId
+     * @required {Array}          events - [{ eventName, eventData, userId, schemaVersion, metadata, eventId, createdOn }]
+     * @optional {Number|String}  expectedVersion
+     * @optional {Object}         options - { outbox }
+     *
+     * @return {[Event]}
+     *
+     */
+    *createEventsForRef(refId, events, expectedVersion, options) {
+        const locations = this.refs.get(refId);
+        const latestLocation = locations ? locations[locations.length - 1] : null;
+        const latestVersion = latestLocation ? latestLocation.version : 0;
+
+        if(latestLocation && latestLocation.tombstone) {
+            throw new AdapterError(410, "ref has been deleted", { refId: refId });
+        }
+
+        const conflict = describeVersionConflict(expectedVersion, latestVersion);
+
+        if(conflict) {
+            throw new AdapterError(409, `version conflict: ${conflict}`, {
+                expectedVersion: expectedVersion,
+                latestVersion: latestVersion
+            });
+        }
+
+        const duplicate = events.find((event) => event.eventId && this.eventIds.has(event.eventId));
+
+        if(duplicate) {
+            throw new AdapterError(409, "duplicate eventId", { eventId: duplicate.eventId });
+        }
+
+        const createdOn = new Date();
+        let previousHash = latestLocation ? this.readEvent(latestLocation).hash : null;
+
+        const records = events.map((event, index) => {
+            const record = {
+                event: event.eventName,
+                ref: refId,
+                payload: event.eventData === undefined ? null : event.eventData,
+                initiated_by: event.userId || null,
+                version: latestVersion + index + 1,
+                schema_version: event.schemaVersion || 1,
+                metadata: event.metadata || {},
+                event_id: event.eventId || null,
+                position: this.position + index + 1,
+                created_on: event.createdOn || createdOn
+            };
+
+            record.hash = hashEvent(previousHash, record);
+            previousHash = record.hash;
+
+            return record;
+        });
+
+        const outbox = Boolean(options && options.outbox);
+        const lines = records.map((record, index) => {
+            const line = _.assign({}, record, outbox ? { outbox: true } : {}, index === records.length - 1 ? { commit_end: true } : {});
+
+            return Buffer.from(`${JSON.stringify(line)}\n`);
+        });
+
+        const buffer = Buffer.concat(lines);
+
+        if(this.writeSegmentSize > 0 && this.writeSegmentSize + buffer.length > this.config.segmentSize) {
+            this.segments.push(this.segmentPath(this.segments.length + 1));
+            this.openSegmentForWriting(this.segments.length - 1);
+        }
+
+        try {
+            fs.writeSync(this.writeDescriptor, buffer, 0, buffer.length);
+
+            if(this.config.fsync) {
+                fs.fsyncSync(this.writeDescriptor);
+            }
+        }
+        catch(error) {
+            // Drop whatever part of the commit reached the segment so the next append starts clean
+            fs.ftruncateSync(this.writeDescriptor, this.writeSegmentSize);
+            throw error;
+        }
+
+        let offset = this.writeSegmentSize;
+
+        records.forEach((record, index) => {
+            this.addToIndex({
+                segment: this.writeSegment,
+                offset: offset,
+                length: lines[index].length - 1,
+                ref: record.ref,
+                version: record.version,
+                position: record.position,
+                eventId: record.event_id,
+                outbox: outbox,
+                tombstone: isTombstone(record)
+            });
+
+            offset += lines[index].length;
+        });
+
+        this.writeSegmentSize = offset;
+        this.notifier.emit('append');
+
+        return records;
+    }
+
+    /*
+     * Get events for a given ref (optionally) between two versions.
+     *
+     * @method getEventsForRef
+     *
+     * @required {String}  refId
+     * @optional {Number}  fromVersion
+     * @optional {Number}  toVersion
+     * @optional {Number}  limit
+     * @optional {String}  direction - "forward" (default) or "backward"
+     *
+     * @return {[Event]}
+     *
+     */
+    *getEventsForRef(refId, fromVersion, toVersion, limit, direction) {
+        const locations = (this.refs.get(refId) || []).filter(function(location) {
+            return (!fromVersion || location.version >= fromVersion) &&
+                (!toVersion || location.version <= toVersion);
+        });
+
+        if(direction === 'backward') {
+            locations.reverse();
+        }
+
+        return locations.slice(0, limit || locations.length).map((location) => this.readEvent(location));
+    }
+
+    /*
+     * Stream events for a given ref (optionally) between two versions, reading them a page at a
+     * time.
+     *
+     * @method streamEventsForRef
+     *
+     * @required {String}  refId
+     * @optional {Object}  options - { fromVersion, toVersion, limit, direction, batchSize }
+     *
+     * @return {Readable}
+     *
+     */
+    streamEventsForRef(refId, options) {
+        return BatchReadable.forPagesOfRef(this, refId, options);
+    }
+
+    /*
+     * Get the events stored with any of the given eventIds.
+     *
+     * @method getEventsByIds
+     *
+     * @required {Array}  eventIds
+     *
+     * @return {[Event]}
+     *
+     */
+    *getEventsByIds(eventIds) {
+        return eventIds
+            .filter((eventId) => this.eventIds.has(eventId))
+            .map((eventId) => this.readEvent(this.eventIds.get(eventId)));
+    }
+
+    /*
+     * Get the highest version number for a given ref. If no events exists for a ref, will return 0.
+     *
+     * @method getLatestVersionForRef
+     *
+     * @required {String}  refId
+     *
+     * @return {Number}
+     *
+     */
+    *getLatestVersionForRef(refId) {
+        const locations = this.refs.get(refId);
+
+        return locations ? locations[locations.length - 1].version : 0;
+    }
+
+    /*
+     * Get events across all refs in the order they were stored, starting at a global position
+     * (inclusive).
+     *
+     * @method readAll
+     *
+     * @required {Number}  fromPosition
+     * @required {Number}  limit
+     *
+     * @return {[Event]}
+     *
+     */
+    *readAll(fromPosition, limit) {
+        const start = _.sortedIndexBy(this.log, { position: fromPosition }, 'position');
+
+        return this.log.slice(start, start + limit).map((location) => this.readEvent(location));
+    }
+
+    /*
+     * Find events across all refs past a global position, in the order they were stored. The
+     * index only knows where events are, so every event past the position is read until the
+     * limit is reached.
+     *
+     * @method queryEvents
+     *
+     * @required {Object}    query
+     * @optional {[String]}  query.eventNames
+     * @optional {Date}      query.from - Inclusive
+     * @optional {Date}      query.to - Exclusive
+     * @optional {String}    query.userId
+     * @required {Number}    query.afterPosition
+     * @required {Number}    query.limit
+     *
+     * @return {[Event]}
+     *
+     */
+    *queryEvents(query) {
+        const results = [];
+        let index = _.sortedIndexBy(this.log, { position: query.afterPosition + 1 }, 'position');
+
+        while(index < this.log.length && results.length < query.limit) {
+            const event = this.readEvent(this.log[index++]);
+
+            if((!query.eventNames || query.eventNames.indexOf(event.event) !== -1) &&
+                (!query.from || event.created_on >= query.from) &&
+                (!query.to || event.created_on < query.to) &&
+                (query.userId === undefined || event.initiated_by === query.userId)) {
+                results.push(event);
+            }
+        }
+
+        return results;
+    }
+
+    /*
+     * Call listener whenever new events have been stored. Notifications are delivered in-process
+     * as soon as an append completes.
+     *
+     * @method watch
+     *
+     * @required {Function}  listener
+     *
+     * @return {Function} Stops watching when called
+     *
+     */
+    watch(listener) {
+        this.notifier.on('append', listener);
+
+        return Promise.method(() => {
+            this.notifier.removeListener('append', listener);
+        });
+    }
+
+    /*
+     * Store a snapshot of a ref's state as of a given version by appending it to the snapshot
+     * file. Saving a snapshot for a version that already has one replaces it.
+     *
+     * @method saveSnapshot
+     *
+     * @required {String}  refId
+     * @required {Number}  version
+     * @optional {Object}  state
+     *
+     * @return {Snapshot}
+     *
+     */
+    *saveSnapshot(refId, version, state) {
+        const snapshot = {
+            ref: refId,
+            version: version,
+            state: state === undefined ? null : state,
+            created_on: new Date()
+        };
+
+        const descriptor = fs.openSync(this.snapshotPath, 'a');
+
+        try {
+            fs.writeSync(descriptor, `${JSON.stringify(snapshot)}\n`);
+
+            if(this.config.fsync) {
+                fs.fsyncSync(descriptor);
+            }
+        }
+        finally {
+            fs.closeSync(descriptor);
+        }
+
+        this.addSnapshot(snapshot);
+
+        return snapshot;
+    }
+
+    /*
+     * Get the snapshot with the highest version for a given ref. If no snapshot exists for a ref,
+     * will return null.
+     *
+     * @method getLatestSnapshot
+     *
+     * @required {String}  refId
+     *
+     * @return {Snapshot}
+     *
+     */
+    *getLatestSnapshot(refId) {
+        return this.snapshots.get(refId) || null;
+    }
+
+    /*
+     * Get the outbox entries that have not been sent and are due, in the order their events were
+     * stored. An entry's id is its event's position.
+     *
+     * @method getPendingOutboxEntries
+     *
+     * @required {Number}  limit
+     *
+     * @return {[OutboxEntry]} [{ id, attempts, event }]
+     *
+     */
+    *getPendingOutboxEntries(limit) {
+        const now = new Date();
+        const results = [];
+
+        this.outbox.forEach((entry, position) => {
+            if(results.length < limit && (!entry.available_on || entry.available_on <= now)) {
+                results.push({ id: position, attempts: entry.attempts });
+            }
+        });
+
+        return _.sortBy(results, 'id').map((result) => {
+            const location = this.log[_.sortedIndexBy(this.log, { position: result.id }, 'position')];
+
+            return _.assign(result, { event: this.readEvent(location) });
+        });
+    }
+
+    /*
+     * Mark outbox entries as sent, so that they are no longer pending.
+     *
+     * @method markOutboxEntriesSent
+     *
+     * @required {Array}  ids
+     *
+     * @return {undefined}
+     *
+     */
+    *markOutboxEntriesSent(ids) {
+        const sentOn = new Date();
+
+        this.writeOutboxRecords(ids.map((id) => {
+            return { position: id, sent_on: sentOn };
+        }));
+    }
+
+    /*
+     * Record a failed attempt to send an outbox entry and put off the next one.
+     *
+     * @method rescheduleOutboxEntry
+     *
+     * @required {Number}  id
+     * @required {Date}    availableOn
+     * @optional {String}  lastError
+     *
+     * @return {undefined}
+     *
+     */
+    *rescheduleOutboxEntry(id, availableOn, lastError) {
+        const entry = this.outbox.get(id);
+
+        if(entry) {
+            this.writeOutboxRecords([{
+                position: id,
+                attempts: entry.attempts + 1,
+                available_on: availableOn,
+                last_error: lastError || null
+            }]);
+        }
+    }
+
+    /*
+     * Get the record of a ref's wrapped data key. If no key was ever stored for a ref, will
+     * return null.
+     *
+     * @method getDataKey
+     *
+     * @required {String}  refId
+     *
+     * @return {DataKey} { ref, key, created_on, destroyed_on }
+     *
+     */
+    *getDataKey(refId) {
+        return this.dataKeys.get(refId) || null;
+    }
+
+    /*
+     * Store a ref's wrapped data key unless the ref already has a record, in which case the
+     * existing record is returned unchanged.
+     *
+     * @method saveDataKey
+     *
+     * @required {String}  refId
+     * @required {String}  key
+     *
+     * @return {DataKey}
+     *
+     */
+    *saveDataKey(refId, key) {
+        if(!this.dataKeys.has(refId)) {
+            this.dataKeys.set(refId, {
+                ref: refId,
+                key: key,
+                created_on: new Date(),
+                destroyed_on: null
+            });
+
+            this.writeDataKeys();
+        }
+
+        return this.dataKeys.get(refId);
+    }
+
+    /*
+     * Remove a ref's wrapped data key, keeping a record that it was destroyed.
+     *
+     * @method destroyDataKey
+     *
+     * @required {String}  refId
+     *
+     * @return {undefined}
+     *
+     */
+    *destroyDataKey(refId) {
+        const record = this.dataKeys.get(refId);
+
+        this.dataKeys.set(refId, {
+            ref: refId,
+            key: null,
+            created_on: record ? record.created_on : new Date(),
+            destroyed_on: new Date()
+        });
+
+        this.writeDataKeys();
+    }
+
+    /*
+     * Remove every event and snapshot of a ref, along with the outbox entries of its events.
+     *
+     * @method deleteRef
+     *
+     * @required {String}  refId
+     *
+     * @return {Number} The number of events removed
+     *
+     */
+    *deleteRef(refId) {
+        const removed = this.removeEvents((location) => location.ref === refId);
+
+        if(this.snapshots.delete(refId)) {
+            this.replaceFile(this.snapshotPath, Array.from(this.snapshots.values()).map((snapshot) => `${JSON.stringify(snapshot)}\n`).join(''));
+        }
+
+        if(this.anchors.delete(refId)) {
+            this.replaceFile(this.anchorPath, JSON.stringify(Array.from(this.anchors.values())));
+        }
+
+        return removed;
+    }
+
+    /*
+     * Remove the events of a ref below a version, along with their outbox entries. The version
+     * and hash of the last event removed are written to the anchor file before the events go.
+     *
+     * @method truncateBefore
+     *
+     * @required {String}  refId
+     * @required {Number}  version
+     *
+     * @return {Number} The number of events removed
+     *
+     */
+    *truncateBefore(refId, version) {
+        const lastRemoved = _.findLast(this.refs.get(refId) || [], (location) => location.version < version);
+
+        if(lastRemoved) {
+            this.anchors.set(refId, { ref: refId, version: lastRemoved.version, hash: this.readEvent(lastRemoved).hash || null });
+            this.replaceFile(this.anchorPath, JSON.stringify(Array.from(this.anchors.values())));
+        }
+
+        return this.removeEvents((location) => location.ref === refId && location.version < version);
+    }
+
+    /*
+     * Get the anchor kept when a ref's history was truncated. If it never was, will return null.
+     *
+     * @method getAnchor
+     *
+     * @required {String}  refId
+     *
+     * @return {Anchor} { ref, version, hash }
+     *
+     */
+    *getAnchor(refId) {
+        return this.anchors.get(refId) || null;
+    }
+
+    /*
+     * Get the checkpoint of a projection. If none was ever saved, will return null.
+     *
+     * @method getCheckpoint
+     *
+     * @required {String}  name
+     *
+     * @return {Checkpoint} { name, position, error, updated_on }
+     *
+     */
+    *getCheckpoint(name) {
+        return this.checkpoints.get(name) || null;
+    }
+
+    /*
+     * Create or replace the checkpoint of a projection, and rewrite the checkpoint file.
+     *
+     * @method saveCheckpoint
+     *
+     * @required {String}  name
+     * @optional {Number}  position - null when no event has been processed
+     * @optional {Object}  error
+     *
+     * @return {Checkpoint}
+     *
+     */
+    *saveCheckpoint(name, position, error) {
+        const checkpoint = {
+            name: name,
+            position: position,
+            error: error || null,
+            updated_on: new Date()
+        };
+
+        this.checkpoints.set(name, checkpoint);
+        this.replaceFile(this.checkpointPath, JSON.stringify(Array.from(this.checkpoints.values())));
+
+        return checkpoint;
+    }
+
+    /*
+     * Remove the events that match a predicate by rewriting the segments that hold them, and drop
+     * them from the index. The highest position is recorded first, so it survives a restart even
+     * when the newest events are the ones removed.
+     *
+     * @method removeEvents
+     *
+     * @required {Function}  predicate - Called with each event's location
+     *
+     * @return {Number} The number of events removed
+     *
+     */
+    removeEvents(predicate) {
+        const removed = this.log.filter(predicate);
+
+        if(!removed.length) {
+            return 0;
+        }
+
+        const positions = new Set(removed.map((location) => location.position));
+
+        this.replaceFile(this.logStatePath, JSON.stringify({ position: this.position }));
+
+        _.uniq(removed.map((location) => location.segment)).forEach((segment) => this.rewriteSegment(segment, (record) => {
+            return positions.has(record.position) ? null : record;
+        }));
+
+        this.log = this.log.filter((location) => !positions.has(location.position));
+        this.refs.forEach((locations, ref) => {
+            const kept = locations.filter((location) => !positions.has(location.position));
+
+            if(kept.length) {
+                this.refs.set(ref, kept);
+            }
+            else {
+                this.refs.delete(ref);
+            }
+        });
+
+        removed.forEach((location) => {
+            this.eventIds.delete(location.eventId);
+            this.outbox.delete(location.position);
+        });
+
+        return removed.length;
+    }
+
+    /*
+     * Rewrite a segment record by record and move the locations of the events it keeps. The
+     * rewrite returns the record to keep, changed or not, or null to remove it. Events are only
+     * ever removed from the start of an append or as a whole append, so the commit markers of the
+     * events that are kept survive.
+     *
+     * @method rewriteSegment
+     *
+     * @required {Number}    segment - Index into this.segments
+     * @required {Function}  rewrite - Called with each stored record
+     *
+     * @return {undefined}
+     *
+     */
+    rewriteSegment(segment, rewrite) {
+        const buffer = fs.readFileSync(this.segments[segment]);
+        const locations = _.keyBy(this.log.filter((location) => location.segment === segment), 'position');
+        const kept = [];
+        const moves = [];
+        let offset = 0;
+
+        parseLines(buffer).lines.forEach((line) => {
+            const record = rewrite(line.record);
+
+            if(record) {
+                const lineBuffer = record === line.record ?
+                    buffer.slice(line.offset, line.offset + line.length + 1) :
+                    Buffer.from(`${JSON.stringify(record)}\n`);
+
+                kept.push(lineBuffer);
+                moves.push({ location: locations[line.record.position], offset: offset, length: lineBuffer.length - 1 });
+                offset += lineBuffer.length;
+            }
+        });
+
+        this.replaceFile(this.segments[segment], Buffer.concat(kept));
+
+        moves.forEach((moved) => {
+            moved.location.offset = moved.offset;
+            moved.location.length = moved.length;
+        });
+
+        if(this.readDescriptors.has(segment)) {
+            fs.closeSync(this.readDescriptors.get(segment));
+            this.readDescriptors.delete(segment);
+        }
+
+        if(segment === this.writeSegment) {
+            this.openSegmentForWriting(segment);
+        }
+    }
+}
+
+exports = module.exports = FileAdapter;
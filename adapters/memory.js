@@ -1,5 +1,10 @@
 "use strict";
+const EventEmitter = require('events').EventEmitter;
 const Promise = require('bluebird');
+const BatchReadable = require('../lib/batch-readable.js');
+const describeVersionConflict = require('../lib/expected-version.js').describeVersionConflict;
+const isTombstone = require('../lib/tombstone.js').isTombstone;
+const hashEvent = require('../lib/hash-chain.js').hashEvent;
 
 /**
  * An error.
@@ -11,6 +16,7 @@ const Promise = require('bluebird');
  *
  */
 function AdapterError(code, message, args) {
+    this.code = code || 500;
     this.name = 'AdapterError';
     this.arguments = args;
     this.message = message || 'An error occurred';
@@ -31,6 +37,14 @@ AdapterError.prototype.constructor = AdapterError;
 class MemoryAdapter {
     constructor() {
         this.db = [];
+        this.snapshots = [];
+        this.eventIds = new Set();
+        this.outbox = [];
+        this.dataKeys = new Map();
+        this.checkpoints = new Map();
+        this.anchors = new Map();
+        this.position = 0;
+        this.notifier = new EventEmitter();
         this.initializePublicMethods();
     }
 
@@ -50,7 +64,26 @@ class MemoryAdapter {
 
     initializePublicMethods() {
         this.createEventForRef = Promise.coroutine(this.createEventForRef);
+        this.createEventsForRef = Promise.coroutine(this.createEventsForRef);
+        this.getEventsForRef = Promise.coroutine(this.getEventsForRef);
+        this.getEventsByIds = Promise.coroutine(this.getEventsByIds);
         this.getLatestVersionForRef = Promise.coroutine(this.getLatestVersionForRef);
+        this.readAll = Promise.coroutine(this.readAll);
+        this.queryEvents = Promise.coroutine(this.queryEvents);
+        this.watch = Promise.method(this.watch);
+        this.saveSnapshot = Promise.coroutine(this.saveSnapshot);
+        this.getLatestSnapshot = Promise.coroutine(this.getLatestSnapshot);
+        this.getPendingOutboxEntries = Promise.coroutine(this.getPendingOutboxEntries);
+        this.markOutboxEntriesSent = Promise.coroutine(this.markOutboxEntriesSent);
+        this.rescheduleOutboxEntry = Promise.coroutine(this.rescheduleOutboxEntry);
+        this.getDataKey = Promise.coroutine(this.getDataKey);
+        this.saveDataKey = Promise.coroutine(this.saveDataKey);
+        this.destroyDataKey = Promise.coroutine(this.destroyDataKey);
+        this.deleteRef = Promise.coroutine(this.deleteRef);
+        this.truncateBefore = Promise.coroutine(this.truncateBefore);
+        this.getAnchor = Promise.coroutine(this.getAnchor);
+        this.getCheckpoint = Promise.coroutine(this.getCheckpoint);
+        this.saveCheckpoint = Promise.coroutine(this.saveCheckpoint);
         this.createDatabaseConnection = Promise.coroutine(this.createDatabaseConnection);
         this.closeDatabaseConnection = Promise.method(this.closeDatabaseConnection);
 
@@ -68,6 +101,13 @@ class MemoryAdapter {
 
     *createDatabaseConnection() {
         this.db = [];
+        this.snapshots = [];
+        this.eventIds = new Set();
+        this.outbox = [];
+        this.dataKeys = new Map();
+        this.checkpoints = new Map();
+        this.anchors = new Map();
+        this.position = 0;
 
         return this;
     }
@@ -83,6 +123,12 @@ class MemoryAdapter {
 
     closeDatabaseConnection() {
         delete this.db;
+        delete this.snapshots;
+        delete this.eventIds;
+        delete this.outbox;
+        delete this.dataKeys;
+        delete this.checkpoints;
+        delete this.anchors;
 
         return this;
     }
@@ -96,41 +142,124 @@ class MemoryAdapter {
      * @required {String}  refId
      * @optional {Object}  eventData
      * @optional {String}  userId
-     * @optional {Number}  currentVersion
+     * @optional {Number}  expectedVersion
      *
      * @return {Event}
      *
      */
 
-    *createEventForRef(eventName, refId, eventData, userId, currentVersion) {
-        if(!currentVersion) {
-            currentVersion = yield this.getLatestVersionForRef(refId);
-        }
+    *createEventForRef(eventName, refId, eventData, userId, expectedVersion) {
+        const events = [{
+            eventName: eventName,
+            eventData: eventData,
+            userId: userId
+        }];
 
-        const entry = {
-            event: eventName,
-            ref: refId,
-            payload: eventData,
-            initiated_by: userId,
-            version: currentVersion + 1
-        };
+        const entries = yield this.createEventsForRef(refId, events, expectedVersion);
 
-        const versionCheckOk = !this.db.some(function(storedEntry) {
-            return storedEntry.ref === entry.ref && storedEntry.version >= entry.version;
-        });
+        return entries[0];
+    }
+
+    /*
+     * Create several events for a single ref with consecutive versions. The entries are pushed
+     * in one step so that either all of them are stored or none are. An eventId that has already
+     * been stored is refused, as is any append to a ref that has been deleted. In outbox mode an
+     * outbox entry is pushed for each event in the same step.
+     *
+     * @method createEventsForRef
+     *
+     * @required {String}         refId
+     * @required {Array}          events - [{ eventName, eventData, userId, schemaVersion, metadata, eventId, createdOn }]
+     * @optional {Number|String}  expectedVersion
+     * @optional {Object}         options - { outbox }
+     *
+     * @return {[Event]}
+     *
+     */
 
-        if(versionCheckOk) {
-            this.db.push(entry);
+    *createEventsForRef(refId, events, expectedVersion, options) {
+        // Everything from reading the latest event to pushing the entries happens without
+        // yielding, so concurrent appends to the same ref cannot interleave.
+        const latestEvent = this.findLatestEvent(refId);
+        const latestVersion = latestEvent ? latestEvent.version : 0;
+
+        if(isTombstone(latestEvent)) {
+            throw new AdapterError(410, "ref has been deleted", { refId: refId });
         }
-        else {
-            const latestVersion = yield this.getLatestVersionForRef(refId);
-            throw new AdapterError(409, "version conflict", {
-                currentVersion: currentVersion,
+
+        const conflict = describeVersionConflict(expectedVersion, latestVersion);
+
+        if(conflict) {
+            throw new AdapterError(409, `version conflict: ${conflict}`, {
+                expectedVersion: expectedVersion,
                 latestVersion: latestVersion
             });
         }
 
-        return entry;
+        const duplicate = events.find((event) => event.eventId && this.eventIds.has(event.eventId));
+
+        if(duplicate) {
+            throw new AdapterError(409, "duplicate eventId", { eventId: duplicate.eventId });
+        }
+
+        let previousHash = latestEvent ? latestEvent.hash : null;
+
+        const entries = events.map((event, index) => {
+            const entry = {
+                event: event.eventName,
+                ref: refId,
+                payload: event.eventData,
+                initiated_by: event.userId,
+                version: latestVersion + index + 1,
+                schema_version: event.schemaVersion || 1,
+                metadata: event.metadata || {},
+                event_id: event.eventId || null,
+                position: ++this.position,
+                created_on: event.createdOn || new Date()
+            };
+
+            entry.hash = hashEvent(previousHash, entry);
+            previousHash = entry.hash;
+
+            return entry;
+        });
+
+        Array.prototype.push.apply(this.db, entries);
+        entries.forEach((entry) => {
+            if(entry.event_id) {
+                this.eventIds.add(entry.event_id);
+            }
+
+            if(options && options.outbox) {
+                this.outbox.push({
+                    position: entry.position,
+                    attempts: 0,
+                    available_on: entry.created_on,
+                    sent_on: null,
+                    last_error: null
+                });
+            }
+        });
+        this.notifier.emit('append');
+
+        return entries;
+    }
+
+    /*
+     * Find the stored event with the highest version for a ref.
+     *
+     * @method findLatestEvent
+     *
+     * @required {String}  refId
+     *
+     * @return {Event} or undefined when the ref has no events
+     *
+     */
+
+    findLatestEvent(refId) {
+        return this.db.reduce(function(latest, storedEntry) {
+            return storedEntry.ref === refId && (!latest || storedEntry.version > latest.version) ? storedEntry : latest;
+        }, undefined);
     }
 
     /*
@@ -141,17 +270,57 @@ class MemoryAdapter {
      * @required {String}  refId
      * @optional {Number}  fromVersion
      * @optional {Number}  toVersion
+     * @optional {Number}  limit
+     * @optional {String}  direction - "forward" (default) or "backward"
      *
      * @return {[Row]}
      *
      */
 
-    *getEventsForRef(refId, fromVersion, toVersion) {
+    *getEventsForRef(refId, fromVersion, toVersion, limit, direction) {
         const results = this.db.filter(function(storedEntry) {
-            return storedEntry.ref === refId && storedEntry.version >= fromVersion && storedEntry.version <= toVersion;
+            return storedEntry.ref === refId &&
+                (!fromVersion || storedEntry.version >= fromVersion) &&
+                (!toVersion || storedEntry.version <= toVersion);
+        });
+
+        results.sort(function(a, b) {
+            return direction === 'backward' ? b.version - a.version : a.version - b.version;
         });
 
-        return results;
+        return limit ? results.slice(0, limit) : results;
+    }
+
+    /*
+     * Stream events for a given ref (optionally) between two versions, reading them a page at a
+     * time.
+     *
+     * @method streamEventsForRef
+     *
+     * @required {String}  refId
+     * @optional {Object}  options - { fromVersion, toVersion, limit, direction, batchSize }
+     *
+     * @return {Readable}
+     *
+     */
+    streamEventsForRef(refId, options) {
+        return BatchReadable.forPagesOfRef(this, refId, options);
+    }
+
+    /*
+     * Get the events stored with any of the given eventIds.
+     *
+     * @method getEventsByIds
+     *
+     * @required {Array}  eventIds
+     *
+     * @return {[Event]}
+     *
+     */
+    *getEventsByIds(eventIds) {
+        return this.db.filter(function(storedEntry) {
+            return storedEntry.event_id && eventIds.indexOf(storedEntry.event_id) !== -1;
+        });
     }
 
     /*
@@ -175,6 +344,379 @@ class MemoryAdapter {
 
         return results[0] ? results[0].version : 0;
     }
+
+    /*
+     * Get events across all refs in the order they were stored, starting at a global position
+     * (inclusive).
+     *
+     * @method readAll
+     *
+     * @required {Number}  fromPosition
+     * @required {Number}  limit
+     *
+     * @return {[Event]}
+     *
+     */
+    *readAll(fromPosition, limit) {
+        const results = this.db.filter(function(storedEntry) {
+            return storedEntry.position >= fromPosition;
+        });
+
+        results.sort(function(a, b) {
+            return a.position - b.position;
+        });
+
+        return results.slice(0, limit);
+    }
+
+    /*
+     * Find events across all refs past a global position, in the order they were stored.
+     *
+     * @method queryEvents
+     *
+     * @required {Object}    query
+     * @optional {[String]}  query.eventNames
+     * @optional {Date}      query.from - Inclusive
+     * @optional {Date}      query.to - Exclusive
+     * @optional {String}    query.userId
+     * @required {Number}    query.afterPosition
+     * @required {Number}    query.limit
+     *
+     * @return {[Event]}
+     *
+     */
+    *queryEvents(query) {
+        const results = this.db.filter(function(storedEntry) {
+            return storedEntry.position > query.afterPosition &&
+                (!query.eventNames || query.eventNames.indexOf(storedEntry.event) !== -1) &&
+                (!query.from || storedEntry.created_on >= query.from) &&
+                (!query.to || storedEntry.created_on < query.to) &&
+                (query.userId === undefined || storedEntry.initiated_by === query.userId);
+        });
+
+        results.sort(function(a, b) {
+            return a.position - b.position;
+        });
+
+        return results.slice(0, query.limit);
+    }
+
+    /*
+     * Call listener whenever new events have been stored. Notifications are delivered in-process
+     * as soon as an append completes.
+     *
+     * @method watch
+     *
+     * @required {Function}  listener
+     *
+     * @return {Function} Stops watching when called
+     *
+     */
+    watch(listener) {
+        this.notifier.on('append', listener);
+
+        return Promise.method(() => {
+            this.notifier.removeListener('append', listener);
+        });
+    }
+
+    /*
+     * Store a snapshot of a ref's state as of a given version. Saving a snapshot for a version
+     * that already has one replaces it.
+     *
+     * @method saveSnapshot
+     *
+     * @required {String}  refId
+     * @required {Number}  version
+     * @optional {Object}  state
+     *
+     * @return {Snapshot}
+     *
+     */
+    *saveSnapshot(refId, version, state) {
+        const snapshot = {
+            ref: refId,
+            version: version,
+            state: state,
+            created_on: new Date()
+        };
+
+        this.snapshots = this.snapshots.filter(function(storedSnapshot) {
+            return storedSnapshot.ref !== refId || storedSnapshot.version !== version;
+        });
+
+        this.snapshots.push(snapshot);
+
+        return snapshot;
+    }
+
+    /*
+     * Get the snapshot with the highest version for a given ref. If no snapshot exists for a ref,
+     * will return null.
+     *
+     * @method getLatestSnapshot
+     *
+     * @required {String}  refId
+     *
+     * @return {Snapshot}
+     *
+     */
+    *getLatestSnapshot(refId) {
+        const results = this.snapshots.filter(function(storedSnapshot) {
+            return storedSnapshot.ref === refId;
+        });
+
+        results.sort(function(a, b) {
+            return b.version - a.version;
+        });
+
+        return results[0] || null;
+    }
+
+    /*
+     * Get the outbox entries that have not been sent and are due, in the order their events were
+     * stored. An entry's id is its event's position.
+     *
+     * @method getPendingOutboxEntries
+     *
+     * @required {Number}  limit
+     *
+     * @return {[OutboxEntry]} [{ id, attempts, event }]
+     *
+     */
+    *getPendingOutboxEntries(limit) {
+        const now = new Date();
+        const events = new Map(this.db.map((storedEntry) => [storedEntry.position, storedEntry]));
+
+        return this.outbox
+            .filter((entry) => !entry.sent_on && entry.available_on <= now)
+            .slice(0, limit)
+            .map((entry) => {
+                return {
+                    id: entry.position,
+                    attempts: entry.attempts,
+                    event: events.get(entry.position)
+                };
+            });
+    }
+
+    /*
+     * Mark outbox entries as sent, so that they are no longer pending.
+     *
+     * @method markOutboxEntriesSent
+     *
+     * @required {Array}  ids
+     *
+     * @return {undefined}
+     *
+     */
+    *markOutboxEntriesSent(ids) {
+        const sentOn = new Date();
+
+        this.outbox.forEach((entry) => {
+            if(ids.indexOf(entry.position) !== -1) {
+                entry.sent_on = sentOn;
+            }
+        });
+    }
+
+    /*
+     * Record a failed attempt to send an outbox entry and put off the next one.
+     *
+     * @method rescheduleOutboxEntry
+     *
+     * @required {Number}  id
+     * @required {Date}    availableOn
+     * @optional {String}  lastError
+     *
+     * @return {undefined}
+     *
+     */
+    *rescheduleOutboxEntry(id, availableOn, lastError) {
+        const entry = this.outbox.find((outboxEntry) => outboxEntry.position === id);
+
+        if(entry) {
+            entry.attempts++;
+            entry.available_on = availableOn;
+            entry.last_error = lastError || null;
+        }
+    }
+
+    /*
+     * Get the record of a ref's wrapped data key. If no key was ever stored for a ref, will
+     * return null.
+     *
+     * @method getDataKey
+     *
+     * @required {String}  refId
+     *
+     * @return {DataKey} { ref, key, created_on, destroyed_on }
+     *
+     */
+    *getDataKey(refId) {
+        return this.dataKeys.get(refId) || null;
+    }
+
+    /*
+     * Store a ref's wrapped data key unless the ref already has a record, in which case the
+     * existing record is returned unchanged.
+     *
+     * @method saveDataKey
+     *
+     * @required {String}  refId
+     * @required {String}  key
+     *
+     * @return {DataKey}
+     *
+     */
+    *saveDataKey(refId, key) {
+        if(!this.dataKeys.has(refId)) {
+            this.dataKeys.set(refId, {
+                ref: refId,
+                key: key,
+                created_on: new Date(),
+                destroyed_on: null
+            });
+        }
+
+        return this.dataKeys.get(refId);
+    }
+
+    /*
+     * Remove a ref's wrapped data key, keeping a record that it was destroyed.
+     *
+     * @method destroyDataKey
+     *
+     * @required {String}  refId
+     *
+     * @return {undefined}
+     *
+     */
+    *destroyDataKey(refId) {
+        const record = this.dataKeys.get(refId);
+
+        this.dataKeys.set(refId, {
+            ref: refId,
+            key: null,
+            created_on: record ? record.created_on : new Date(),
+            destroyed_on: new Date()
+        });
+    }
+
+    /*
+     * Remove every event and snapshot of a ref, along with the outbox entries of its events.
+     *
+     * @method deleteRef
+     *
+     * @required {String}  refId
+     *
+     * @return {Number} The number of events removed
+     *
+     */
+    *deleteRef(refId) {
+        this.snapshots = this.snapshots.filter((storedSnapshot) => storedSnapshot.ref !== refId);
+        this.anchors.delete(refId);
+
+        return this.removeEvents((storedEntry) => storedEntry.ref === refId);
+    }
+
+    /*
+     * Remove the events of a ref below a version, along with their outbox entries. The version
+     * and hash of the last event removed are kept as the ref's anchor.
+     *
+     * @method truncateBefore
+     *
+     * @required {String}  refId
+     * @required {Number}  version
+     *
+     * @return {Number} The number of events removed
+     *
+     */
+    *truncateBefore(refId, version) {
+        const lastRemoved = this.db.reduce(function(latest, storedEntry) {
+            return storedEntry.ref === refId && storedEntry.version < version && (!latest || storedEntry.version > latest.version) ? storedEntry : latest;
+        }, undefined);
+
+        if(lastRemoved) {
+            this.anchors.set(refId, { ref: refId, version: lastRemoved.version, hash: lastRemoved.hash });
+        }
+
+        return this.removeEvents((storedEntry) => storedEntry.ref === refId && storedEntry.version < version);
+    }
+
+    /*
+     * Get the anchor kept when a ref's history was truncated. If it never was, will return null.
+     *
+     * @method getAnchor
+     *
+     * @required {String}  refId
+     *
+     * @return {Anchor} { ref, version, hash }
+     *
+     */
+    *getAnchor(refId) {
+        return this.anchors.get(refId) || null;
+    }
+
+    /*
+     * Get the checkpoint of a projection. If none was ever saved, will return null.
+     *
+     * @method getCheckpoint
+     *
+     * @required {String}  name
+     *
+     * @return {Checkpoint} { name, position, error, updated_on }
+     *
+     */
+    *getCheckpoint(name) {
+        return this.checkpoints.get(name) || null;
+    }
+
+    /*
+     * Create or replace the checkpoint of a projection.
+     *
+     * @method saveCheckpoint
+     *
+     * @required {String}  name
+     * @optional {Number}  position - null when no event has been processed
+     * @optional {Object}  error
+     *
+     * @return {Checkpoint}
+     *
+     */
+    *saveCheckpoint(name, position, error) {
+        const checkpoint = {
+            name: name,
+            position: position,
+            error: error || null,
+            updated_on: new Date()
+        };
+
+        this.checkpoints.set(name, checkpoint);
+
+        return checkpoint;
+    }
+
+    /*
+     * Remove the events that match a predicate, and everything that refers to them.
+     *
+     * @method removeEvents
+     *
+     * @required {Function}  predicate
+     *
+     * @return {Number} The number of events removed
+     *
+     */
+    removeEvents(predicate) {
+        const removed = this.db.filter(predicate);
+        const positions = new Set(removed.map((storedEntry) => storedEntry.position));
+
+        this.db = this.db.filter((storedEntry) => !positions.has(storedEntry.position));
+        this.outbox = this.outbox.filter((entry) => !positions.has(entry.position));
+        removed.forEach((storedEntry) => this.eventIds.delete(storedEntry.event_id));
+
+        return removed.length;
+    }
 }
 
 exports = module.exports = MemoryAdapter;
@@ -0,0 +1,25 @@
+var mongo = require('mongoose');
+
+exports = module.exports = function(connection, collectionName) {
+    var Schema = mongo.Schema;
+    var options = {
+        versionKey: false,
+        strict: true,
+        collection: collectionName || 'anchors',
+        autoIndex: false,
+        safe: {
+            j: 1//, w: 'majority'
+        }
+    };
+
+    var schema = new Schema({
+        // The ref whose history was truncated
+        _id: { type: String, required: true },
+
+        // The version and hash of the last event removed
+        version: { type: Number, required: true },
+        hash: { type: String, required: false }
+    }, options);
+
+    return connection.model(collectionName || 'anchors', schema);
+};
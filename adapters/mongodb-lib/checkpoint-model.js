@@ -0,0 +1,28 @@
+var mongo = require('mongoose');
+
+exports = module.exports = function(connection, collectionName) {
+    var Schema = mongo.Schema;
+    var options = {
+        versionKey: false,
+        strict: true,
+        collection: collectionName || 'checkpoints',
+        autoIndex: false,
+        safe: {
+            j: 1//, w: 'majority'
+        }
+    };
+
+    var schema = new Schema({
+        // The name of the projection
+        _id: { type: String, required: true },
+
+        // The position of the last event the projection processed, null before the first
+        position: { type: Number, required: false, default: null },
+
+        error: { type: Schema.Types.Mixed, required: false },
+
+        updated_on: { type: Date, default: Date.now }
+    }, options);
+
+    return connection.model(collectionName || 'checkpoints', schema);
+};
@@ -0,0 +1,27 @@
+var mongo = require('mongoose');
+
+exports = module.exports = function(connection, collectionName) {
+    var Schema = mongo.Schema;
+    var options = {
+        versionKey: false,
+        strict: true,
+        collection: collectionName || 'counters',
+        autoIndex: false,
+        safe: {
+            j: 1//, w: 'majority'
+        }
+    };
+
+    var schema = new Schema({
+        // The name of the collection the counter hands out positions for
+        _id: { type: String, required: true },
+
+        sequence: { type: Number, required: true, default: 0 },
+
+        // The positions handed out by the last claim on the counter, [{ _id, position }]. They are
+        // set on the events before the counter is claimed again.
+        assigning: { type: Schema.Types.Mixed, required: false, default: [] }
+    }, options);
+
+    return connection.model(collectionName || 'counters', schema);
+};
@@ -0,0 +1,26 @@
+var mongo = require('mongoose');
+
+exports = module.exports = function(connection, collectionName) {
+    var Schema = mongo.Schema;
+    var options = {
+        versionKey: false,
+        strict: true,
+        collection: collectionName || 'data_keys',
+        autoIndex: false,
+        safe: {
+            j: 1//, w: 'majority'
+        }
+    };
+
+    var schema = new Schema({
+        // The ref the data key encrypts payloads for
+        _id: { type: String, required: true },
+
+        key: { type: String, required: false },
+
+        created_on: { type: Date, default: Date.now },
+        destroyed_on: { type: Date, required: false }
+    }, options);
+
+    return connection.model(collectionName || 'data_keys', schema);
+};
@@ -5,6 +5,7 @@ exports = module.exports = function(connection, collectionName) {
     var options = {
         _id: {type: ObjectId, auto: true},
         versionKey: false,
+        minimize: false,
         strict: true,
         collection: collectionName || 'events',
         autoIndex: false,
@@ -18,19 +19,32 @@ exports = module.exports = function(connection, collectionName) {
 
         ref: { type: ObjectId, required: true },
         version: { type: Number, required: true, default: 0 },
+        // Set by the adapter once the event is inserted, see MongoDBAdapter.assignPositions. Until
+        // then unpositioned is true.
+        position: { type: Number, required: false },
+        unpositioned: { type: Boolean, required: false, select: false },
+        schema_version: { type: Number, required: true, default: 1 },
 
         event: { type: String, required: true },
         
         payload: { type: Schema.Types.Mixed, required: false },
+        metadata: { type: Schema.Types.Mixed, required: false, default: {} },
+        event_id: { type: String, required: false },
+        hash: { type: String, required: false },
+        outbox: { type: Schema.Types.Mixed, required: false, select: false },
         
         initiated_by: { type: String, required: false },
         created_on: { type: Date, default: Date.now },
     }, options);
 
+    // autoIndex is off, so these are built by the adapter when it connects
+    schema.index({ ref: 1, version: 1 }, { unique: true });
+    schema.index({ ref: 1, event: 1 });
+    schema.index({ created_on: 1 });
+    schema.index({ position: 1 }, { unique: true, sparse: true });
+    schema.index({ unpositioned: 1 }, { sparse: true });
+    schema.index({ event_id: 1 }, { unique: true, sparse: true });
+    schema.index({ 'outbox.available_on': 1 }, { sparse: true });
+
     return connection.model(collectionName || 'events', schema);
 };
-
-// Indexes:
-//  - ref: 1, version: 1, unique
-//  - ref: 1, event: 1
-//  - created_on: 1
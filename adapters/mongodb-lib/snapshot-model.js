@@ -0,0 +1,31 @@
+var mongo = require('mongoose');
+
+exports = module.exports = function(connection, collectionName) {
+    var Schema = mongo.Schema, ObjectId = Schema.ObjectId;
+    var options = {
+        _id: {type: ObjectId, auto: true},
+        versionKey: false,
+        strict: true,
+        collection: collectionName || 'snapshots',
+        autoIndex: false,
+        safe: {
+            j: 1//, w: 'majority'
+        }
+    };
+
+    var schema = new Schema({
+        _id: {type: ObjectId, auto: true},
+
+        ref: { type: ObjectId, required: true },
+        version: { type: Number, required: true },
+
+        state: { type: Schema.Types.Mixed, required: false },
+
+        created_on: { type: Date, default: Date.now },
+    }, options);
+
+    return connection.model(collectionName || 'snapshots', schema);
+};
+
+// Indexes:
+//  - ref: 1, version: -1, unique
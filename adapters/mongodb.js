@@ -1,10 +1,21 @@
 "use strict";
 const Promise = require('bluebird');
 const mongoose = require('mongoose');
+const describeVersionConflict = require('../lib/expected-version.js').describeVersionConflict;
+const isTombstone = require('../lib/tombstone.js').isTombstone;
+const hashEvent = require('../lib/hash-chain.js').hashEvent;
 const setupDataModel = require('./mongodb-lib/model.js');
+const setupSnapshotModel = require('./mongodb-lib/snapshot-model.js');
+const setupCounterModel = require('./mongodb-lib/counter-model.js');
+const setupDataKeyModel = require('./mongodb-lib/data-key-model.js');
+const setupCheckpointModel = require('./mongodb-lib/checkpoint-model.js');
+const setupAnchorModel = require('./mongodb-lib/anchor-model.js');
 
 const _ = require('lodash');
 
+// The most events a single claim on the counter gives positions to
+const positionBatchSize = 1000;
+
 /**
  * An error.
  *
@@ -15,6 +26,7 @@ const _ = require('lodash');
  *
  */
 function AdapterError(code, message, args) {
+    this.code = code || 500;
     this.name = 'AdapterError';
     this.arguments = args;
     this.message = message || 'An error occurred';
@@ -24,6 +36,52 @@ function AdapterError(code, message, args) {
 AdapterError.prototype = Object.create(Error.prototype);
 AdapterError.prototype.constructor = AdapterError;
 
+/*
+ * Convert a stored data key document into the shape returned by the other adapters.
+ *
+ * @function toDataKey
+ *
+ * @optional {Object}  document
+ *
+ * @return {DataKey}
+ *
+ */
+function toDataKey(document) {
+    if(!document) {
+        return null;
+    }
+
+    return {
+        ref: document._id,
+        key: document.key || null,
+        created_on: document.created_on,
+        destroyed_on: document.destroyed_on || null
+    };
+}
+
+/*
+ * Convert a stored checkpoint document into the shape returned by the other adapters.
+ *
+ * @function toCheckpoint
+ *
+ * @optional {Object}  document
+ *
+ * @return {Checkpoint}
+ *
+ */
+function toCheckpoint(document) {
+    if(!document) {
+        return null;
+    }
+
+    return {
+        name: document._id,
+        position: document.position === undefined ? null : document.position,
+        error: document.error || null,
+        updated_on: document.updated_on
+    };
+}
+
 /*
  * An adapter for the Journal class to use MongoDB as a datastore.
  * Note that this requires MongoDB version 2.6.x or greater.
@@ -65,13 +123,20 @@ class MongoDBAdapter {
      */
     initializePublicMethods() {
         this.createEventForRef = Promise.coroutine(this.createEventForRef);
+        this.createEventsForRef = Promise.coroutine(this.createEventsForRef);
         this.getLatestVersionForRef = Promise.coroutine(this.getLatestVersionForRef);
+        this.upgradeEvents = Promise.coroutine(this.upgradeEvents);
+        this.assignPositions = Promise.coroutine(this.assignPositions);
+        this.getPendingOutboxEntries = Promise.coroutine(this.getPendingOutboxEntries);
+        this.removeEvents = Promise.coroutine(this.removeEvents);
+        this.truncateBefore = Promise.coroutine(this.truncateBefore);
 
         return this;
     }
 
     /*
-     * Connect to the MongoDB database.
+     * Connect to the MongoDB database, upgrade events stored by an earlier version of the adapter
+     * and build the indexes declared on the event model.
      *
      * @method createDatabaseConnection
      *
@@ -86,6 +151,12 @@ class MongoDBAdapter {
             hosts: 'localhost:27018',
             dbName: 'event_source',
             collectionName: 'events',
+            snapshotCollectionName: 'snapshots',
+            counterCollectionName: 'counters',
+            dataKeyCollectionName: 'data_keys',
+            checkpointCollectionName: 'checkpoints',
+            anchorCollectionName: 'anchors',
+            pollInterval: 1000,
 
             server: {
                 socketOptions: {
@@ -101,26 +172,90 @@ class MongoDBAdapter {
         };
 
         const config = _.merge({}, defaults, dbConnectionOptions);
+        this.collectionName = config.collectionName;
+        this.pollInterval = config.pollInterval;
         const connectionString = `mongodb://${config.hosts}/${config.dbName}`;
 
         this.connection = mongoose.createConnection(connectionString, config);
         this.Event = setupDataModel(this.connection, config.collectionName);
+        this.Snapshot = setupSnapshotModel(this.connection, config.snapshotCollectionName);
+        this.Counter = setupCounterModel(this.connection, config.counterCollectionName);
+        this.DataKey = setupDataKeyModel(this.connection, config.dataKeyCollectionName);
+        this.Checkpoint = setupCheckpointModel(this.connection, config.checkpointCollectionName);
+        this.Anchor = setupAnchorModel(this.connection, config.anchorCollectionName);
 
         return new Promise((resolve, reject) => {
             this.connection.on('open', () => {
-                resolve(this);
+                resolve(this.upgradeEvents().then(() => this.Event.ensureIndexes()).then(() => this));
             });
 
             this.connection.on('error', (error) => {
-                reject({
-                    code: 502,
-                    message: error.message,
-                    originalError: error
-                });
+                reject(new AdapterError(502, error.message, { originalError: error }));
             });
         });
     }
 
+    /*
+     * Bring events stored by an earlier version of the adapter up to date before the indexes are
+     * built:
+     *
+     *  - the unique index on position is rebuilt as a sparse index, as events are inserted
+     *    without a position, and the lock document earlier versions took is removed
+     *  - events without a position are flagged as unpositioned and given one, see
+     *    assignPositions
+     *  - schema_version is set to its default, 1
+     *  - metadata is set to its default, an empty object
+     *  - hashes are computed ref by ref, in version order, for events stored without one
+     *
+     * On up to date events every step is a no-op, and every step gives the same result when run
+     * by several processes at once.
+     *
+     * @method upgradeEvents
+     *
+     * @return {undefined}
+     *
+     */
+    *upgradeEvents() {
+        const indexes = yield Promise.resolve(this.Event.collection.indexes())
+            .catch((error) => error.code === 26, () => []);
+        const positionIndex = indexes.find((index) => index.name === 'position_1');
+
+        if(positionIndex && !positionIndex.sparse) {
+            yield this.Event.collection.dropIndex('position_1');
+        }
+
+        yield this.Counter.remove({ _id: `${this.collectionName}_lock` }).exec();
+        yield this.Event.update({ position: { $exists: false } }, { $set: { unpositioned: true } }, { multi: true }).exec();
+
+        let assigned;
+
+        do {
+            assigned = yield this.assignPositions();
+        } while(assigned);
+
+        yield this.Event.update({ schema_version: { $exists: false } }, { $set: { schema_version: 1 } }, { multi: true }).exec();
+        yield this.Event.update({ metadata: { $exists: false } }, { $set: { metadata: {} } }, { multi: true }).exec();
+
+        const unhashedRefs = yield this.Event.distinct('ref', { hash: { $exists: false } }).exec();
+
+        for(let refId of unhashedRefs) {
+            const events = yield this.Event.find({ ref: refId }).sort({ version: 1 }).lean().exec();
+            const updates = [];
+            let previousHash = null;
+
+            for(let event of events) {
+                if(!event.hash) {
+                    event.hash = hashEvent(previousHash, event);
+                    updates.push({ updateOne: { filter: { _id: event._id }, update: { $set: { hash: event.hash } } } });
+                }
+
+                previousHash = event.hash;
+            }
+
+            yield this.Event.bulkWrite(updates);
+        }
+    }
+
     /*
      * Disconnect from MongoDB.
      *
@@ -144,46 +279,139 @@ class MongoDBAdapter {
      * @required {String}  refId
      * @optional {Object}  eventData
      * @optional {String}  userId
-     * @optional {Number}  currentVersion
+     * @optional {Number}  expectedVersion
      *
      * @return {Event}
      *
      */
-    *createEventForRef(eventName, refId, eventData, userId, currentVersion) {
+    *createEventForRef(eventName, refId, eventData, userId, expectedVersion) {
+        const events = [{
+            eventName: eventName,
+            eventData: eventData,
+            userId: userId
+        }];
+
+        const newEvents = yield this.createEventsForRef(refId, events, expectedVersion);
+
+        return newEvents[0];
+    }
+
+    /*
+     * Create several events for a single ref with consecutive versions. MongoDB cannot insert
+     * multiple documents atomically, so the events are inserted in order and any that were
+     * written are removed again if the batch fails part way through. The unique index on ref and
+     * version refuses a concurrent append to the same ref, which is reported as a version
+     * conflict, and the unique index on event_id refuses an eventId that has already been stored.
+     * Events are inserted without a position, flagged as unpositioned, and only become visible to
+     * reads once assignPositions has given them one, so positions are committed in the order they
+     * are handed out and readers following readAll never pass a position that is committed later.
+     * Appends to a ref whose latest event is a tombstone are refused. In outbox mode each event
+     * document carries its own outbox entry, so it is written in the same insert as the event; it
+     * is left out of reads.
+     *
+     * @method createEventsForRef
+     *
+     * @required {String}         refId
+     * @required {Array}          events - [{ eventName, eventData, userId, schemaVersion, metadata, eventId, createdOn }]
+     * @optional {Number|String}  expectedVersion
+     * @optional {Object}         options - { outbox }
+     *
+     * @return {[Event]}
+     *
+     */
+    *createEventsForRef(refId, events, expectedVersion, options) {
         if(!this.constructor._isValidObjectId(refId)) {
             throw new AdapterError(400, "Invalid refId", { refId: refId });
         }
 
-        if(!currentVersion) {
-            currentVersion = yield this.getLatestVersionForRef(refId);
+        const latestEvent = yield this.Event.findOne({ ref: refId }).sort({ version: -1 }).lean().exec();
+        const latestVersion = latestEvent ? latestEvent.version : 0;
+
+        if(isTombstone(latestEvent)) {
+            throw new AdapterError(410, "ref has been deleted", { refId: refId });
         }
 
-        const newEvent = new this.Event({
-            _id: new mongoose.Types.ObjectId(),
-            version: currentVersion + 1,
-            ref: refId,
-            event: eventName,
-            created_on: new Date()
-        });
+        const conflict = describeVersionConflict(expectedVersion, latestVersion);
 
-        if(eventData) {
-            newEvent.payload = eventData;
+        if(conflict) {
+            throw new AdapterError(409, `version conflict: ${conflict}`, {
+                expectedVersion: expectedVersion,
+                latestVersion: latestVersion
+            });
         }
 
-        if(userId) {
-            newEvent.initiated_by = userId;
+        const eventIds = _.compact(events.map((event) => event.eventId));
+
+        if(eventIds.length) {
+            const duplicates = yield this.getEventsByIds(eventIds);
+
+            if(duplicates.length) {
+                throw new AdapterError(409, "duplicate eventId", { eventId: duplicates[0].event_id });
+            }
         }
 
+        const createdOn = new Date();
+        let previousHash = latestEvent ? latestEvent.hash : null;
+
+        const newEvents = events.map((event, index) => {
+            const newEvent = new this.Event({
+                _id: new mongoose.Types.ObjectId(),
+                version: latestVersion + index + 1,
+                schema_version: event.schemaVersion || 1,
+                ref: refId,
+                event: event.eventName,
+                metadata: event.metadata || {},
+                created_on: event.createdOn || createdOn,
+                unpositioned: true
+            });
+
+            if(event.eventData) {
+                newEvent.payload = event.eventData;
+            }
+
+            if(event.userId) {
+                newEvent.initiated_by = event.userId;
+            }
+
+            if(event.eventId) {
+                newEvent.event_id = event.eventId;
+            }
+
+            newEvent.hash = hashEvent(previousHash, newEvent.toObject());
+            previousHash = newEvent.hash;
+
+            if(options && options.outbox) {
+                newEvent.outbox = {
+                    attempts: 0,
+                    available_on: createdOn,
+                    sent_on: null,
+                    last_error: null
+                };
+            }
+
+            return newEvent;
+        });
+
+        const ids = newEvents.map((newEvent) => newEvent._id);
+
         try {
-            yield newEvent.save();
+            yield this.Event.insertMany(newEvents, { ordered: true });
         }
         catch(error) {
-            if(error.message && error.message.match(/E11000/i)) {
-                const latestVersion = yield this.getLatestVersionForRef(refId);
+            yield this.Event.remove({ _id: { $in: ids } }).exec();
+
+            if(error.message && error.message.match(/E11000/i) && error.message.match(/event_id/)) {
+                throw new AdapterError(409, "duplicate eventId", {
+                    originalError: error
+                });
+            }
+            else if(error.message && error.message.match(/E11000/i)) {
+                const storedVersion = yield this.getLatestVersionForRef(refId);
+                const raceConflict = describeVersionConflict(latestVersion, storedVersion) || "the ref was appended to concurrently";
 
-                throw new AdapterError(409, "version conflict", {
-                    currentVersion: currentVersion,
-                    latestVersion: latestVersion
+                throw new AdapterError(409, `version conflict: ${raceConflict}`, {
+                    expectedVersion: expectedVersion,
+                    latestVersion: storedVersion
                 });
             }
             else {
@@ -192,7 +420,21 @@ class MongoDBAdapter {
                 });
             }
         }
-        return newEvent.toObject();
+
+        let positions = [];
+
+        while(positions.length < ids.length) {
+            yield this.assignPositions();
+            positions = yield this.Event.find({ _id: { $in: ids }, position: { $exists: true } }).select('position').lean().exec();
+        }
+
+        const positionsById = new Map(positions.map((event) => [String(event._id), event.position]));
+
+        return newEvents.map((newEvent) => {
+            newEvent.position = positionsById.get(String(newEvent._id));
+
+            return _.omit(newEvent.toObject(), ['outbox', 'unpositioned']);
+        });
     }
 
     /*
@@ -203,15 +445,56 @@ class MongoDBAdapter {
      * @required {String}  refId
      * @optional {Number}  fromVersion
      * @optional {Number}  toVersion
+     * @optional {Number}  limit
+     * @optional {String}  direction - "forward" (default) or "backward"
      *
      * @return {[Event]}
      *
      */
 
-    getEventsForRef(refId, fromVersion, toVersion) {
-        const query = this.Event.find({ ref: refId });
+    getEventsForRef(refId, fromVersion, toVersion, limit, direction) {
+        return this.findEventsForRef(refId, fromVersion, toVersion, limit, direction).exec();
+    }
+
+    /*
+     * Stream events for a given ref (optionally) between two versions from a query cursor, so
+     * that documents are only loaded as they are read.
+     *
+     * @method streamEventsForRef
+     *
+     * @required {String}  refId
+     * @optional {Object}  options - { fromVersion, toVersion, limit, direction, batchSize }
+     *
+     * @return {Readable}
+     *
+     */
+    streamEventsForRef(refId, options) {
+        options = options || {};
+
+        return this.findEventsForRef(refId, options.fromVersion, options.toVersion, options.limit, options.direction)
+            .batchSize(options.batchSize || 100)
+            .cursor();
+    }
+
+    /*
+     * Build the query for a ref's events (optionally) between two versions. Events still waiting
+     * for a position are left out.
+     *
+     * @method findEventsForRef
+     *
+     * @required {String}  refId
+     * @optional {Number}  fromVersion
+     * @optional {Number}  toVersion
+     * @optional {Number}  limit
+     * @optional {String}  direction - "forward" (default) or "backward"
+     *
+     * @return {Query}
+     *
+     */
+    findEventsForRef(refId, fromVersion, toVersion, limit, direction) {
+        const query = this.Event.find({ ref: refId, position: { $exists: true } });
         const querySortOrder = {
-            version: 1
+            version: direction === 'backward' ? -1 : 1
         };
 
         if(fromVersion) {
@@ -222,7 +505,26 @@ class MongoDBAdapter {
             query.lte('version', toVersion);
         }
 
-        return query.sort(querySortOrder).exec();
+        if(limit) {
+            query.limit(limit);
+        }
+
+        return query.sort(querySortOrder);
+    }
+
+    /*
+     * Get the events stored with any of the given eventIds. Events still waiting for a position
+     * are left out, as they are by every read.
+     *
+     * @method getEventsByIds
+     *
+     * @required {Array}  eventIds
+     *
+     * @return {[Event]}
+     *
+     */
+    getEventsByIds(eventIds) {
+        return this.Event.find({ event_id: { $in: eventIds }, position: { $exists: true } }).lean().exec();
     }
 
     /*
@@ -239,6 +541,457 @@ class MongoDBAdapter {
         const events = yield this.Event.find({ ref: refId }, { version: 1 }).sort({ version: -1 }).limit(1).lean().exec();
         return events[0] ? events[0].version : 0;
     }
+
+    /*
+     * Give positions to events inserted without one. The counter document for this collection
+     * holds the last position handed out, and the positions handed out by the last claim on it.
+     * A claim first sets those positions on their events, in order, then picks the ref of the
+     * oldest event without a position and takes that ref's events without one, in version order.
+     * The claim moves the counter past them only if no other claim has moved it since it was read,
+     * and then sets their positions in order. A claim cannot be made before the positions of the
+     * previous one are all set, so positions become visible in the order they are handed out. An
+     * appender that dies after claiming leaves its positions to be set by the next claim.
+     *
+     * @method assignPositions
+     *
+     * @return {Boolean} Whether there were events to give positions to
+     *
+     */
+    *assignPositions() {
+        const counter = yield Promise.resolve(this.Counter.findOneAndUpdate(
+            { _id: this.collectionName },
+            { $setOnInsert: { sequence: 0, assigning: [] } },
+            { upsert: true, new: true }
+        ).lean().exec()).catch((error) => error.message && error.message.match(/E11000/i), () => null);
+
+        if(!counter) {
+            // Another process created the counter at the same time
+            return true;
+        }
+
+        yield this.setPositions(counter.assigning || []);
+
+        const oldest = yield this.Event.findOne({ unpositioned: true }).sort({ _id: 1 }).select('ref').lean().exec();
+
+        if(!oldest) {
+            return false;
+        }
+
+        const unpositioned = yield this.Event.find({ ref: oldest.ref, unpositioned: true })
+            .sort({ version: 1 })
+            .limit(positionBatchSize)
+            .select('_id')
+            .lean()
+            .exec();
+
+        const assigning = unpositioned.map((event, index) => {
+            return { _id: event._id, position: counter.sequence + index + 1 };
+        });
+
+        const claimed = yield this.Counter.findOneAndUpdate(
+            { _id: this.collectionName, sequence: counter.sequence },
+            { $set: { sequence: counter.sequence + assigning.length, assigning: assigning } },
+            { new: true }
+        ).lean().exec();
+
+        if(claimed) {
+            yield this.setPositions(assigning);
+        }
+
+        return true;
+    }
+
+    /*
+     * Set the positions handed out by a claim on the counter, in order. An event that already has
+     * its position, or was removed since, is left as it is.
+     *
+     * @method setPositions
+     *
+     * @required {Array}  assigning - [{ _id, position }]
+     *
+     * @return {Promise}
+     *
+     */
+    setPositions(assigning) {
+        return Promise.each(assigning, (assigned) => {
+            return this.Event.update(
+                { _id: assigned._id, position: { $exists: false } },
+                { $set: { position: assigned.position }, $unset: { unpositioned: true } }
+            ).exec();
+        });
+    }
+
+    /*
+     * Get events across all refs in the order they were stored, starting at a global position
+     * (inclusive).
+     *
+     * @method readAll
+     *
+     * @required {Number}  fromPosition
+     * @required {Number}  limit
+     *
+     * @return {[Event]}
+     *
+     */
+    readAll(fromPosition, limit) {
+        return this.Event.find({ position: { $gte: fromPosition } })
+            .sort({ position: 1 })
+            .limit(limit)
+            .exec();
+    }
+
+    /*
+     * Find events across all refs past a global position, in the order they were stored.
+     *
+     * @method queryEvents
+     *
+     * @required {Object}    query
+     * @optional {[String]}  query.eventNames
+     * @optional {Date}      query.from - Inclusive
+     * @optional {Date}      query.to - Exclusive
+     * @optional {String}    query.userId
+     * @required {Number}    query.afterPosition
+     * @required {Number}    query.limit
+     *
+     * @return {[Event]}
+     *
+     */
+    queryEvents(query) {
+        const conditions = {
+            position: { $gt: query.afterPosition }
+        };
+
+        if(query.eventNames) {
+            conditions.event = { $in: query.eventNames };
+        }
+
+        if(query.from || query.to) {
+            conditions.created_on = {};
+        }
+
+        if(query.from) {
+            conditions.created_on.$gte = query.from;
+        }
+
+        if(query.to) {
+            conditions.created_on.$lt = query.to;
+        }
+
+        if(query.userId !== undefined) {
+            conditions.initiated_by = query.userId;
+        }
+
+        return this.Event.find(conditions)
+            .sort({ position: 1 })
+            .limit(query.limit)
+            .exec();
+    }
+
+    /*
+     * Call listener every pollInterval milliseconds so that the caller can check for events past
+     * the last global position it has seen. MongoDB 2.6 has no change notifications to rely on.
+     *
+     * @method watch
+     *
+     * @required {Function}  listener
+     *
+     * @return {Function} Stops watching when called
+     *
+     */
+    watch(listener) {
+        const interval = setInterval(listener, this.pollInterval);
+
+        return Promise.resolve(Promise.method(() => {
+            clearInterval(interval);
+        }));
+    }
+
+    /*
+     * Store a snapshot of a ref's state as of a given version. Saving a snapshot for a version
+     * that already has one replaces it.
+     *
+     * @method saveSnapshot
+     *
+     * @required {String}  refId
+     * @required {Number}  version
+     * @optional {Object}  state
+     *
+     * @return {Snapshot}
+     *
+     */
+    saveSnapshot(refId, version, state) {
+        if(!this.constructor._isValidObjectId(refId)) {
+            return Promise.reject(new AdapterError(400, "Invalid refId", { refId: refId }));
+        }
+
+        const query = {
+            ref: refId,
+            version: version
+        };
+
+        const update = {
+            $set: {
+                state: state,
+                created_on: new Date()
+            }
+        };
+
+        return this.Snapshot.findOneAndUpdate(query, update, { upsert: true, new: true }).lean().exec();
+    }
+
+    /*
+     * Get the snapshot with the highest version for a given ref. If no snapshot exists for a ref,
+     * will return null.
+     *
+     * @method getLatestSnapshot
+     *
+     * @required {String}  refId
+     *
+     * @return {Snapshot}
+     *
+     */
+    getLatestSnapshot(refId) {
+        return this.Snapshot.findOne({ ref: refId }).sort({ version: -1 }).lean().exec();
+    }
+
+    /*
+     * Get the outbox entries that have not been sent and are due, in the order their events were
+     * stored. An entry's id is its event's position.
+     *
+     * @method getPendingOutboxEntries
+     *
+     * @required {Number}  limit
+     *
+     * @return {[OutboxEntry]} [{ id, attempts, event }]
+     *
+     */
+    *getPendingOutboxEntries(limit) {
+        const events = yield this.Event.find({ position: { $exists: true }, 'outbox.sent_on': null, 'outbox.available_on': { $lte: new Date() } })
+            .select('+outbox')
+            .sort({ position: 1 })
+            .limit(limit)
+            .lean()
+            .exec();
+
+        return events.map(function(event) {
+            return {
+                id: event.position,
+                attempts: event.outbox.attempts,
+                event: _.omit(event, 'outbox')
+            };
+        });
+    }
+
+    /*
+     * Mark outbox entries as sent, so that they are no longer pending.
+     *
+     * @method markOutboxEntriesSent
+     *
+     * @required {Array}  ids
+     *
+     * @return {undefined}
+     *
+     */
+    markOutboxEntriesSent(ids) {
+        return this.Event.update(
+            { position: { $in: ids } },
+            { $set: { 'outbox.sent_on': new Date() } },
+            { multi: true }
+        ).exec();
+    }
+
+    /*
+     * Record a failed attempt to send an outbox entry and put off the next one.
+     *
+     * @method rescheduleOutboxEntry
+     *
+     * @required {Number}  id
+     * @required {Date}    availableOn
+     * @optional {String}  lastError
+     *
+     * @return {undefined}
+     *
+     */
+    rescheduleOutboxEntry(id, availableOn, lastError) {
+        const update = {
+            $inc: { 'outbox.attempts': 1 },
+            $set: { 'outbox.available_on': availableOn, 'outbox.last_error': lastError || null }
+        };
+
+        return this.Event.update({ position: id }, update).exec();
+    }
+
+    /*
+     * Get the record of a ref's wrapped data key. If no key was ever stored for a ref, will
+     * return null.
+     *
+     * @method getDataKey
+     *
+     * @required {String}  refId
+     *
+     * @return {DataKey} { ref, key, created_on, destroyed_on }
+     *
+     */
+    getDataKey(refId) {
+        return this.DataKey.findOne({ _id: String(refId) }).lean().exec().then(toDataKey);
+    }
+
+    /*
+     * Store a ref's wrapped data key unless the ref already has a record, in which case the
+     * existing record is returned unchanged.
+     *
+     * @method saveDataKey
+     *
+     * @required {String}  refId
+     * @required {String}  key
+     *
+     * @return {DataKey}
+     *
+     */
+    saveDataKey(refId, key) {
+        const update = {
+            $setOnInsert: {
+                key: key,
+                created_on: new Date()
+            }
+        };
+
+        return this.DataKey.findOneAndUpdate({ _id: String(refId) }, update, { upsert: true, new: true }).lean().exec().then(toDataKey);
+    }
+
+    /*
+     * Remove a ref's wrapped data key, keeping a record that it was destroyed.
+     *
+     * @method destroyDataKey
+     *
+     * @required {String}  refId
+     *
+     * @return {undefined}
+     *
+     */
+    destroyDataKey(refId) {
+        const update = {
+            $set: { key: null, destroyed_on: new Date() },
+            $setOnInsert: { created_on: new Date() }
+        };
+
+        return this.DataKey.update({ _id: String(refId) }, update, { upsert: true }).exec();
+    }
+
+    /*
+     * Remove every event and snapshot of a ref. Outbox entries are embedded in the event
+     * documents, so they go with them.
+     *
+     * @method deleteRef
+     *
+     * @required {String}  refId
+     *
+     * @return {Promise} The number of events removed
+     *
+     */
+    deleteRef(refId) {
+        return this.removeEvents({ ref: refId })
+            .tap(() => this.Snapshot.remove({ ref: refId }).exec())
+            .tap(() => this.Anchor.remove({ _id: String(refId) }).exec());
+    }
+
+    /*
+     * Remove the events of a ref below a version, along with their outbox entries. The version
+     * and hash of the last event removed are kept as the ref's anchor, saved before the events
+     * are removed so that an interrupted truncation still leaves the chain checkable.
+     *
+     * @method truncateBefore
+     *
+     * @required {String}  refId
+     * @required {Number}  version
+     *
+     * @return {Number} The number of events removed
+     *
+     */
+    *truncateBefore(refId, version) {
+        const conditions = { ref: refId, version: { $lt: version } };
+        const lastRemoved = yield this.Event.findOne(conditions).sort({ version: -1 }).lean().exec();
+
+        if(lastRemoved) {
+            const update = { $set: { version: lastRemoved.version, hash: lastRemoved.hash } };
+
+            yield this.Anchor.update({ _id: String(refId) }, update, { upsert: true }).exec();
+        }
+
+        return yield this.removeEvents(conditions);
+    }
+
+    /*
+     * Get the anchor kept when a ref's history was truncated. If it never was, will return null.
+     *
+     * @method getAnchor
+     *
+     * @required {String}  refId
+     *
+     * @return {Anchor} { ref, version, hash }
+     *
+     */
+    getAnchor(refId) {
+        return this.Anchor.findOne({ _id: String(refId) }).lean().exec().then(function(document) {
+            return document ? { ref: document._id, version: document.version, hash: document.hash || null } : null;
+        });
+    }
+
+    /*
+     * Get the checkpoint of a projection. If none was ever saved, will return null.
+     *
+     * @method getCheckpoint
+     *
+     * @required {String}  name
+     *
+     * @return {Checkpoint} { name, position, error, updated_on }
+     *
+     */
+    getCheckpoint(name) {
+        return this.Checkpoint.findOne({ _id: String(name) }).lean().exec().then(toCheckpoint);
+    }
+
+    /*
+     * Create or replace the checkpoint of a projection.
+     *
+     * @method saveCheckpoint
+     *
+     * @required {String}  name
+     * @optional {Number}  position - null when no event has been processed
+     * @optional {Object}  error
+     *
+     * @return {Checkpoint}
+     *
+     */
+    saveCheckpoint(name, position, error) {
+        const update = {
+            $set: {
+                position: position,
+                error: error || null,
+                updated_on: new Date()
+            }
+        };
+
+        return this.Checkpoint.findOneAndUpdate({ _id: String(name) }, update, { upsert: true, new: true }).lean().exec().then(toCheckpoint);
+    }
+
+    /*
+     * Remove the events that match a query.
+     *
+     * @method removeEvents
+     *
+     * @required {Object}  conditions
+     *
+     * @return {Number} The number of events removed
+     *
+     */
+    *removeEvents(conditions) {
+        const count = yield this.Event.count(conditions).exec();
+
+        yield this.Event.remove(conditions).exec();
+
+        return count;
+    }
 }
 
 exports = module.exports = MongoDBAdapter;
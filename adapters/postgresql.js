@@ -1,10 +1,17 @@
 "use strict";
 const Promise = require('bluebird');
 const pg = require('pg').native;
+const BatchReadable = require('../lib/batch-readable.js');
+const describeVersionConflict = require('../lib/expected-version.js').describeVersionConflict;
+const isTombstone = require('../lib/tombstone.js').isTombstone;
+const hashEvent = require('../lib/hash-chain.js').hashEvent;
 Promise.promisifyAll(pg, { multiArgs: true });
 
 const _ = require('lodash');
 
+// ADD COLUMN IF NOT EXISTS, which upgrades tables created by earlier versions, needs 9.6
+const minimumServerVersion = 90600;
+
 /**
  * An error.
  *
@@ -15,6 +22,7 @@ const _ = require('lodash');
  *
  */
 function AdapterError(code, message, args) {
+    this.code = code || 500;
     this.name = 'AdapterError';
     this.arguments = args;
     this.message = message || 'An error occurred';
@@ -24,8 +32,27 @@ function AdapterError(code, message, args) {
 AdapterError.prototype = Object.create(Error.prototype);
 AdapterError.prototype.constructor = AdapterError;
 
+/*
+ * Parse the positions of event rows, which node-postgres returns as strings as they are BIGINTs.
+ *
+ * @function parsePositions
+ *
+ * @required {[Row]}  rows
+ *
+ * @return {[Row]}
+ *
+ */
+function parsePositions(rows) {
+    rows.forEach((row) => {
+        row.position = Number(row.position);
+    });
+
+    return rows;
+}
+
 /*
  * An adapter for the Journal class to use PostgreSQL as a datastore.
+ * Note that this requires PostgreSQL version 9.6 or greater.
  *
  * @class PostgresSQLAdapter
  *
@@ -50,14 +77,36 @@ class PostgresSQLAdapter {
      */
     initializePublicMethods() {
         this.createEventForRef = Promise.coroutine(this.createEventForRef);
+        this.createEventsForRef = Promise.coroutine(this.createEventsForRef);
+        this.getEventsForRef = Promise.coroutine(this.getEventsForRef);
+        this.getEventsByIds = Promise.coroutine(this.getEventsByIds);
         this.getLatestVersionForRef = Promise.coroutine(this.getLatestVersionForRef);
+        this.readAll = Promise.coroutine(this.readAll);
+        this.queryEvents = Promise.coroutine(this.queryEvents);
+        this.watch = Promise.coroutine(this.watch);
+        this.saveSnapshot = Promise.coroutine(this.saveSnapshot);
+        this.getLatestSnapshot = Promise.coroutine(this.getLatestSnapshot);
+        this.getPendingOutboxEntries = Promise.coroutine(this.getPendingOutboxEntries);
+        this.markOutboxEntriesSent = Promise.coroutine(this.markOutboxEntriesSent);
+        this.rescheduleOutboxEntry = Promise.coroutine(this.rescheduleOutboxEntry);
+        this.getDataKey = Promise.coroutine(this.getDataKey);
+        this.saveDataKey = Promise.coroutine(this.saveDataKey);
+        this.destroyDataKey = Promise.coroutine(this.destroyDataKey);
+        this.deleteRef = Promise.coroutine(this.deleteRef);
+        this.truncateBefore = Promise.coroutine(this.truncateBefore);
+        this.getAnchor = Promise.coroutine(this.getAnchor);
+        this.upgradeEventsTable = Promise.coroutine(this.upgradeEventsTable);
+        this.getCheckpoint = Promise.coroutine(this.getCheckpoint);
+        this.saveCheckpoint = Promise.coroutine(this.saveCheckpoint);
+        this.removeEvents = Promise.coroutine(this.removeEvents);
         this.createDatabaseConnection = Promise.coroutine(this.createDatabaseConnection);
 
         return this;
     }
 
     /*
-     * Connect to the PostgreSQL database.
+     * Connect to the PostgreSQL database, refusing servers older than 9.6, and create the tables or
+     * upgrade the ones created by an earlier version of the adapter.
      *
      * @method createDatabaseConnection
      *
@@ -73,6 +122,11 @@ class PostgresSQLAdapter {
             port: '5432',
             database: 'event_source',
             tableName: 'events',
+            snapshotTableName: 'snapshots',
+            outboxTableName: 'outbox',
+            dataKeyTableName: 'data_keys',
+            checkpointTableName: 'checkpoints',
+            anchorTableName: 'anchors',
 
             user: '',
             password: null,
@@ -83,33 +137,185 @@ class PostgresSQLAdapter {
         if(!this.config) {
             this.config = _.merge({}, defaults, dbConnectionOptions);
             this.tableName = this.config.tableName;
+            this.snapshotTableName = this.config.snapshotTableName;
+            this.outboxTableName = this.config.outboxTableName;
+            this.dataKeyTableName = this.config.dataKeyTableName;
+            this.checkpointTableName = this.config.checkpointTableName;
+            this.anchorTableName = this.config.anchorTableName;
+            this.notificationChannel = `${this.tableName}_appended`;
         }
 
         const connectionResults = yield pg.connectAsync(this.config);
         const connection = connectionResults[0];
         const done = connectionResults[1];
 
+        Promise.promisifyAll(connection, { context: pg });
+
+        const serverVersion = Number((yield connection.queryAsync('SHOW server_version_num')).rows[0].server_version_num);
+
+        if(serverVersion < minimumServerVersion) {
+            done();
+            throw new AdapterError(500, "PostgreSQL 9.6 or greater is required", { serverVersion: serverVersion });
+        }
+
         const createTableQuery = `CREATE TABLE IF NOT EXISTS ${this.tableName} (
                 _id             BIGSERIAL,
+                position        BIGSERIAL NOT NULL UNIQUE,
                 version         INTEGER NOT NULL DEFAULT 1,
+                schema_version  INTEGER NOT NULL DEFAULT 1,
                 ref             CHAR(24) NOT NULL,
                 event           VARCHAR(75) NOT NULL,
                 initiated_by    CHAR(24),
                 created_on      TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
                 payload         JSON,
+                metadata        JSON NOT NULL DEFAULT '{}',
+                event_id        VARCHAR(255),
+                hash            VARCHAR(64),
                 PRIMARY KEY(_id),
-                UNIQUE (version, ref)
+                UNIQUE (version, ref),
+                UNIQUE (event_id)
+            );
+        `;
+
+        const createSnapshotTableQuery = `CREATE TABLE IF NOT EXISTS ${this.snapshotTableName} (
+                ref             CHAR(24) NOT NULL,
+                version         INTEGER NOT NULL,
+                state           JSON,
+                created_on      TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY(ref, version)
+            );
+        `;
+
+        const createOutboxTableQuery = `CREATE TABLE IF NOT EXISTS ${this.outboxTableName} (
+                position        BIGINT NOT NULL,
+                attempts        INTEGER NOT NULL DEFAULT 0,
+                available_on    TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                sent_on         TIMESTAMPTZ,
+                last_error      TEXT,
+                PRIMARY KEY(position)
+            );
+        `;
+
+        const createDataKeyTableQuery = `CREATE TABLE IF NOT EXISTS ${this.dataKeyTableName} (
+                ref             VARCHAR(255) NOT NULL,
+                key             TEXT,
+                created_on      TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                destroyed_on    TIMESTAMPTZ,
+                PRIMARY KEY(ref)
+            );
+        `;
+
+        const createCheckpointTableQuery = `CREATE TABLE IF NOT EXISTS ${this.checkpointTableName} (
+                name            VARCHAR(255) NOT NULL,
+                position        BIGINT,
+                error           JSONB,
+                updated_on      TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY(name)
+            );
+        `;
+
+        const createAnchorTableQuery = `CREATE TABLE IF NOT EXISTS ${this.anchorTableName} (
+                ref             CHAR(24) NOT NULL,
+                version         INTEGER NOT NULL,
+                hash            VARCHAR(64),
+                PRIMARY KEY(ref)
             );
         `;
 
         Promise.promisify(connection.query, {context: pg});
 
         yield connection.queryAsync(createTableQuery);
+        yield this.upgradeEventsTable(connection);
+        yield connection.queryAsync(`CREATE INDEX IF NOT EXISTS ${this.tableName}_created_on ON ${this.tableName} (created_on)`);
+        yield connection.queryAsync(`CREATE INDEX IF NOT EXISTS ${this.tableName}_ref_event ON ${this.tableName} (ref, event)`);
+        yield connection.queryAsync(createSnapshotTableQuery);
+        yield connection.queryAsync(createOutboxTableQuery);
+        yield connection.queryAsync(`CREATE INDEX IF NOT EXISTS ${this.outboxTableName}_pending ON ${this.outboxTableName} (available_on) WHERE sent_on IS NULL`);
+        yield connection.queryAsync(createDataKeyTableQuery);
+        yield connection.queryAsync(createCheckpointTableQuery);
+        yield connection.queryAsync(createAnchorTableQuery);
         done();
 
         return this;
     }
 
+    /*
+     * Bring an events table created by an earlier version of the adapter up to date. CREATE
+     * TABLE IF NOT EXISTS leaves an existing table as it is, so every column added since is added
+     * here if it is missing:
+     *
+     *  - position: existing events are numbered in the order they were inserted (by _id) from the
+     *    sequence new events take their positions from, then the column is made NOT NULL and
+     *    unique
+     *  - schema_version: filled with its default, 1
+     *  - metadata: filled with its default, an empty object
+     *  - event_id: left empty on existing events, and given its unique index
+     *  - hash: computed ref by ref, in version order, for events stored without one
+     *
+     * On an up to date table every step is a no-op. The backfill runs in a transaction holding
+     * the advisory lock appends take, so no event is appended while it runs.
+     *
+     * @method upgradeEventsTable
+     *
+     * @required {Client}  connection
+     *
+     * @return {undefined}
+     *
+     */
+    *upgradeEventsTable(connection) {
+        const table = this.tableName;
+
+        yield connection.queryAsync('BEGIN');
+
+        try {
+            yield connection.queryAsync('SELECT pg_advisory_xact_lock(hashtext($1))', [table]);
+
+            // Every step notices when there is nothing to do, which is on every connection but the first
+            yield connection.queryAsync('SET LOCAL client_min_messages = warning');
+            yield connection.queryAsync(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS position BIGINT`);
+            yield connection.queryAsync(`CREATE SEQUENCE IF NOT EXISTS ${table}_position_seq OWNED BY ${table}.position`);
+            yield connection.queryAsync(`
+                UPDATE ${table} SET position = numbered.position
+                FROM (
+                    SELECT _id, nextval('${table}_position_seq') AS position
+                    FROM (SELECT _id FROM ${table} WHERE position IS NULL ORDER BY _id) AS unnumbered
+                ) AS numbered
+                WHERE ${table}._id = numbered._id
+            `);
+            yield connection.queryAsync(`ALTER TABLE ${table} ALTER COLUMN position SET DEFAULT nextval('${table}_position_seq')`);
+            yield connection.queryAsync(`ALTER TABLE ${table} ALTER COLUMN position SET NOT NULL`);
+            yield connection.queryAsync(`CREATE UNIQUE INDEX IF NOT EXISTS ${table}_position_key ON ${table} (position)`);
+
+            yield connection.queryAsync(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS schema_version INTEGER NOT NULL DEFAULT 1`);
+            yield connection.queryAsync(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS metadata JSON NOT NULL DEFAULT '{}'`);
+            yield connection.queryAsync(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS event_id VARCHAR(255)`);
+            yield connection.queryAsync(`CREATE UNIQUE INDEX IF NOT EXISTS ${table}_event_id_key ON ${table} (event_id)`);
+            yield connection.queryAsync(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS hash VARCHAR(64)`);
+
+            const unhashed = yield connection.queryAsync(`SELECT DISTINCT ref FROM ${table} WHERE hash IS NULL`);
+
+            for(let row of unhashed.rows) {
+                const results = yield connection.queryAsync(`SELECT * FROM ${table} WHERE ref=$1 ORDER BY version ASC`, [row.ref]);
+                let previousHash = null;
+
+                for(let event of results.rows) {
+                    if(!event.hash) {
+                        event.hash = hashEvent(previousHash, event);
+                        yield connection.queryAsync(`UPDATE ${table} SET hash=$1 WHERE _id=$2`, [event.hash, event._id]);
+                    }
+
+                    previousHash = event.hash;
+                }
+            }
+
+            yield connection.queryAsync('COMMIT');
+        }
+        catch(error) {
+            yield connection.queryAsync('ROLLBACK');
+            throw error;
+        }
+    }
+
     /*
      * Disconnect from PostgreSQL.
      *
@@ -133,60 +339,141 @@ class PostgresSQLAdapter {
      * @required {String}  refId
      * @optional {Object}  eventData
      * @optional {String}  userId
-     * @optional {Number}  currentVersion
+     * @optional {Number}  expectedVersion
      *
      * @return {Event}
      *
      */
-    *createEventForRef(eventName, refId, eventData, userId, currentVersion, connection) {
-        let done;
-        let results;
+    *createEventForRef(eventName, refId, eventData, userId, expectedVersion) {
+        const events = [{
+            eventName: eventName,
+            eventData: eventData,
+            userId: userId
+        }];
 
-        if(!connection) {
-            const connectionResults = yield pg.connectAsync(this.config);
-            connection = connectionResults[0];
-            done = connectionResults[1];
+        const rows = yield this.createEventsForRef(refId, events, expectedVersion);
 
-            Promise.promisifyAll(connection, {context: pg});
-        }
+        return rows[0];
+    }
 
-        if(!currentVersion) {
-            currentVersion = yield this.getLatestVersionForRef(refId, connection);
-        }
+    /*
+     * Create several events for a single ref with consecutive versions. All inserts run inside
+     * a single transaction so that either every event is stored or none are. Writers take a
+     * transaction-level advisory lock before checking the expected version and inserting, so
+     * global positions are committed in the order they are assigned. Watchers are notified when
+     * the transaction commits. A unique constraint refuses an eventId that has already been
+     * stored, and appends to a ref whose latest event is a tombstone are refused. In outbox mode each event's outbox row is inserted in the same transaction, so an
+     * event is never stored without it.
+     *
+     * @method createEventsForRef
+     *
+     * @required {String}         refId
+     * @required {Array}          events - [{ eventName, eventData, userId, schemaVersion, metadata, eventId, createdOn }]
+     * @optional {Number|String}  expectedVersion
+     * @optional {Object}         options - { outbox }
+     *
+     * @return {[Row]}
+     *
+     */
+    *createEventsForRef(refId, events, expectedVersion, options) {
+        const results = [];
+        let latestVersion;
+
+        const connectionResults = yield pg.connectAsync(this.config);
+        const connection = connectionResults[0];
+        const done = connectionResults[1];
+
+        Promise.promisifyAll(connection, {context: pg});
 
         try {
-            const query = `INSERT INTO ${this.tableName} 
-                (version, ref, event, initiated_by, payload) 
-                VALUES ($1, $2, $3, $4, $5)
+            const query = `INSERT INTO ${this.tableName}
+                (version, schema_version, ref, event, initiated_by, payload, metadata, event_id, created_on, hash)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
                 RETURNING *
             `;
+            const createdOn = new Date();
 
-            const queryArgs = [
-                currentVersion + 1,
-                refId,
-                eventName,
-                userId || null,
-                eventData || null
-            ];
+            yield connection.queryAsync('BEGIN');
+            yield connection.queryAsync('SELECT pg_advisory_xact_lock(hashtext($1))', [this.tableName]);
 
-            const queryResults = yield connection.queryAsync(query, queryArgs);
-            if(done) {
-                done();
+            const latestResults = yield connection.queryAsync(`SELECT version, event, hash FROM ${this.tableName} WHERE ref=$1 ORDER BY version DESC LIMIT 1`, [refId]);
+            const latestEvent = latestResults.rows[0];
+
+            latestVersion = latestEvent ? latestEvent.version : 0;
+
+            if(isTombstone(latestEvent)) {
+                throw new AdapterError(410, "ref has been deleted", { refId: refId });
+            }
+
+            const conflict = describeVersionConflict(expectedVersion, latestVersion);
+
+            if(conflict) {
+                throw new AdapterError(409, `version conflict: ${conflict}`, {
+                    expectedVersion: expectedVersion,
+                    latestVersion: latestVersion
+                });
+            }
+
+            let previousHash = latestEvent ? latestEvent.hash : null;
+
+            for(let index = 0; index < events.length; index++) {
+                const event = events[index];
+                const hash = hashEvent(previousHash, {
+                    ref: refId,
+                    version: latestVersion + index + 1,
+                    event: event.eventName,
+                    payload: event.eventData || null,
+                    initiated_by: event.userId,
+                    schema_version: event.schemaVersion,
+                    metadata: event.metadata,
+                    event_id: event.eventId,
+                    created_on: event.createdOn || createdOn
+                });
+                const queryArgs = [
+                    latestVersion + index + 1,
+                    event.schemaVersion || 1,
+                    refId,
+                    event.eventName,
+                    event.userId || null,
+                    event.eventData || null,
+                    JSON.stringify(event.metadata || {}),
+                    event.eventId || null,
+                    event.createdOn || createdOn,
+                    hash
+                ];
+
+                const queryResults = yield connection.queryAsync(query, queryArgs);
+                previousHash = hash;
+                results.push(parsePositions(queryResults.rows)[0]);
+
+                if(options && options.outbox) {
+                    yield connection.queryAsync(`INSERT INTO ${this.outboxTableName} (position) VALUES ($1)`, [queryResults.rows[0].position]);
+                }
             }
 
-            results = queryResults.rows[0];
+            yield connection.queryAsync('SELECT pg_notify($1, $2)', [this.notificationChannel, refId]);
+            yield connection.queryAsync('COMMIT');
+            done();
         }
         catch(error) {
-            if(done) {
-                done();
-            }
+            yield connection.queryAsync('ROLLBACK');
+            done();
 
-            if(error.sqlState && error.sqlState === '23505') {
-                const latestVersion = yield this.getLatestVersionForRef(refId);
+            if(error instanceof AdapterError) {
+                throw error;
+            }
+            else if(error.sqlState && error.sqlState === '23505' && /event_id/.test(error.message)) {
+                throw new AdapterError(409, "duplicate eventId", {
+                    originalError: error
+                });
+            }
+            else if(error.sqlState && error.sqlState === '23505') {
+                const storedVersion = yield this.getLatestVersionForRef(refId);
+                const raceConflict = describeVersionConflict(latestVersion, storedVersion) || "the ref was appended to concurrently";
 
-                throw new AdapterError(409, "version conflict", {
-                    currentVersion: currentVersion,
-                    latestVersion: latestVersion
+                throw new AdapterError(409, `version conflict: ${raceConflict}`, {
+                    expectedVersion: expectedVersion,
+                    latestVersion: storedVersion
                 });
             }
             else {
@@ -207,30 +494,121 @@ class PostgresSQLAdapter {
      * @required {String}  refId
      * @optional {Number}  fromVersion
      * @optional {Number}  toVersion
+     * @optional {Number}  limit
+     * @optional {String}  direction - "forward" (default) or "backward"
      *
      * @return {[Row]}
      *
      */
 
-    *getEventsForRef(refId, fromVersion, toVersion) {
+    *getEventsForRef(refId, fromVersion, toVersion, limit, direction) {
         const fromQuery = fromVersion ? `AND version >= ${fromVersion}` : '';
         const toQuery = toVersion ? `AND version <= ${toVersion}` : '';
+        const limitQuery = limit ? `LIMIT ${limit}` : '';
 
         const query = `SELECT * FROM ${this.tableName} 
             WHERE ref=$1 ${fromQuery} ${toQuery}
-            ORDER BY version ASC
+            ORDER BY version ${direction === 'backward' ? 'DESC' : 'ASC'}
+            ${limitQuery}
+        `;
+
+        const connectionResults = yield pg.connectAsync(this.config);
+        const connection = connectionResults[0];
+        const done = connectionResults[1];
+
+        Promise.promisifyAll(connection, { context: pg });
+
+        const result = yield connection.queryAsync(query, [refId]);
+        done();
+
+        return parsePositions(result.rows);
+    }
+
+    /*
+     * Stream events for a given ref (optionally) between two versions. A connection is held out
+     * of the pool with a server side cursor open in a read only transaction, and rows are fetched
+     * from it a batch at a time until the stream ends or is destroyed.
+     *
+     * @method streamEventsForRef
+     *
+     * @required {String}  refId
+     * @optional {Object}  options - { fromVersion, toVersion, limit, direction, batchSize }
+     *
+     * @return {Readable}
+     *
+     */
+    streamEventsForRef(refId, options) {
+        options = options || {};
+
+        const fromQuery = options.fromVersion ? `AND version >= ${options.fromVersion}` : '';
+        const toQuery = options.toVersion ? `AND version <= ${options.toVersion}` : '';
+        const limitQuery = options.limit ? `LIMIT ${options.limit}` : '';
+        const batchSize = options.batchSize || 100;
+
+        const query = `DECLARE event_stream NO SCROLL CURSOR FOR
+            SELECT * FROM ${this.tableName}
+            WHERE ref=$1 ${fromQuery} ${toQuery}
+            ORDER BY version ${options.direction === 'backward' ? 'DESC' : 'ASC'}
+            ${limitQuery}
         `;
 
+        let connection;
+        let done;
+
+        const openCursor = Promise.coroutine(function *() {
+            const connectionResults = yield pg.connectAsync(this.config);
+            connection = connectionResults[0];
+            done = connectionResults[1];
+
+            Promise.promisifyAll(connection, { context: pg });
+
+            yield connection.queryAsync('BEGIN READ ONLY');
+            yield connection.queryAsync(query, [refId]);
+        }).bind(this);
+
+        const readBatch = Promise.coroutine(function *() {
+            if(!connection) {
+                yield openCursor();
+            }
+
+            const result = yield connection.queryAsync(`FETCH ${batchSize} FROM event_stream`);
+
+            return parsePositions(result.rows);
+        });
+
+        const release = Promise.coroutine(function *() {
+            if(connection) {
+                yield connection.queryAsync('ROLLBACK').catch(_.noop);
+                done();
+            }
+        });
+
+        return new BatchReadable(readBatch, release);
+    }
+
+    /*
+     * Get the events stored with any of the given eventIds.
+     *
+     * @method getEventsByIds
+     *
+     * @required {Array}  eventIds
+     *
+     * @return {[Row]}
+     *
+     */
+    *getEventsByIds(eventIds) {
+        const query = `SELECT * FROM ${this.tableName} WHERE event_id = ANY($1)`;
+
         const connectionResults = yield pg.connectAsync(this.config);
         const connection = connectionResults[0];
         const done = connectionResults[1];
 
         Promise.promisifyAll(connection, { context: pg });
 
-        const result = yield connection.queryAsync(query, refId);
+        const result = yield connection.queryAsync(query, [eventIds]);
         done();
 
-        return result.rows;
+        return parsePositions(result.rows);
     }
 
     /*
@@ -264,6 +642,572 @@ class PostgresSQLAdapter {
 
         return version || 0;
     }
+
+    /*
+     * Get events across all refs in the order they were stored, starting at a global position
+     * (inclusive).
+     *
+     * @method readAll
+     *
+     * @required {Number}  fromPosition
+     * @required {Number}  limit
+     *
+     * @return {[Row]}
+     *
+     */
+    *readAll(fromPosition, limit) {
+        const query = `SELECT * FROM ${this.tableName}
+            WHERE position >= $1
+            ORDER BY position ASC
+            LIMIT $2
+        `;
+
+        const connectionResults = yield pg.connectAsync(this.config);
+        const connection = connectionResults[0];
+        const done = connectionResults[1];
+
+        Promise.promisifyAll(connection, { context: pg });
+
+        const result = yield connection.queryAsync(query, [fromPosition, limit]);
+        done();
+
+        return parsePositions(result.rows);
+    }
+
+    /*
+     * Find events across all refs past a global position, in the order they were stored.
+     *
+     * @method queryEvents
+     *
+     * @required {Object}    query
+     * @optional {[String]}  query.eventNames
+     * @optional {Date}      query.from - Inclusive
+     * @optional {Date}      query.to - Exclusive
+     * @optional {String}    query.userId
+     * @required {Number}    query.afterPosition
+     * @required {Number}    query.limit
+     *
+     * @return {[Row]}
+     *
+     */
+    *queryEvents(query) {
+        const conditions = ['position > $1'];
+        const queryArgs = [query.afterPosition];
+
+        if(query.eventNames) {
+            queryArgs.push(query.eventNames);
+            conditions.push(`event = ANY($${queryArgs.length})`);
+        }
+
+        if(query.from) {
+            queryArgs.push(query.from);
+            conditions.push(`created_on >= $${queryArgs.length}`);
+        }
+
+        if(query.to) {
+            queryArgs.push(query.to);
+            conditions.push(`created_on < $${queryArgs.length}`);
+        }
+
+        if(query.userId !== undefined) {
+            queryArgs.push(query.userId);
+            conditions.push(`initiated_by = $${queryArgs.length}`);
+        }
+
+        queryArgs.push(query.limit);
+
+        const sql = `SELECT * FROM ${this.tableName}
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY position ASC
+            LIMIT $${queryArgs.length}
+        `;
+
+        const connectionResults = yield pg.connectAsync(this.config);
+        const connection = connectionResults[0];
+        const done = connectionResults[1];
+
+        Promise.promisifyAll(connection, { context: pg });
+
+        const result = yield connection.queryAsync(sql, queryArgs);
+        done();
+
+        return parsePositions(result.rows);
+    }
+
+    /*
+     * Call listener whenever new events have been stored. A connection is held out of the pool
+     * to LISTEN for the notifications sent when an append commits, until watching is stopped.
+     *
+     * @method watch
+     *
+     * @required {Function}  listener
+     *
+     * @return {Function} Stops watching when called
+     *
+     */
+    *watch(listener) {
+        const connectionResults = yield pg.connectAsync(this.config);
+        const connection = connectionResults[0];
+        const done = connectionResults[1];
+
+        Promise.promisifyAll(connection, { context: pg });
+
+        const onNotification = (message) => {
+            if(message.channel === this.notificationChannel) {
+                listener();
+            }
+        };
+
+        connection.on('notification', onNotification);
+        yield connection.queryAsync(`LISTEN "${this.notificationChannel}"`);
+
+        return Promise.coroutine(function *() {
+            connection.removeListener('notification', onNotification);
+            yield connection.queryAsync(`UNLISTEN "${this.notificationChannel}"`);
+            done();
+        }).bind(this);
+    }
+
+    /*
+     * Store a snapshot of a ref's state as of a given version. Saving a snapshot for a version
+     * that already has one replaces it.
+     *
+     * @method saveSnapshot
+     *
+     * @required {String}  refId
+     * @required {Number}  version
+     * @optional {Object}  state
+     *
+     * @return {Snapshot}
+     *
+     */
+    *saveSnapshot(refId, version, state) {
+        const query = `INSERT INTO ${this.snapshotTableName}
+            (ref, version, state)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (ref, version) DO UPDATE
+            SET state = EXCLUDED.state, created_on = CURRENT_TIMESTAMP
+            RETURNING *
+        `;
+
+        const queryArgs = [
+            refId,
+            version,
+            state === undefined ? null : JSON.stringify(state)
+        ];
+
+        const connectionResults = yield pg.connectAsync(this.config);
+        const connection = connectionResults[0];
+        const done = connectionResults[1];
+
+        Promise.promisifyAll(connection, { context: pg });
+
+        try {
+            const result = yield connection.queryAsync(query, queryArgs);
+            done();
+
+            return result.rows[0];
+        }
+        catch(error) {
+            done();
+
+            throw new AdapterError(400, "adapter error", {
+                originalError: error
+            });
+        }
+    }
+
+    /*
+     * Get the snapshot with the highest version for a given ref. If no snapshot exists for a ref,
+     * will return null.
+     *
+     * @method getLatestSnapshot
+     *
+     * @required {String}  refId
+     *
+     * @return {Snapshot}
+     *
+     */
+    *getLatestSnapshot(refId) {
+        const query = `SELECT * FROM ${this.snapshotTableName}
+            WHERE ref=$1
+            ORDER BY version DESC
+            LIMIT 1
+        `;
+
+        const connectionResults = yield pg.connectAsync(this.config);
+        const connection = connectionResults[0];
+        const done = connectionResults[1];
+
+        Promise.promisifyAll(connection, { context: pg });
+
+        const result = yield connection.queryAsync(query, [refId]);
+        done();
+
+        return result.rows[0] || null;
+    }
+
+    /*
+     * Get the outbox entries that have not been sent and are due, in the order their events were
+     * stored. An entry's id is its event's position.
+     *
+     * @method getPendingOutboxEntries
+     *
+     * @required {Number}  limit
+     *
+     * @return {[OutboxEntry]} [{ id, attempts, event }]
+     *
+     */
+    *getPendingOutboxEntries(limit) {
+        const query = `SELECT events.*, outbox.attempts AS outbox_attempts
+            FROM ${this.outboxTableName} AS outbox
+            JOIN ${this.tableName} AS events ON events.position = outbox.position
+            WHERE outbox.sent_on IS NULL AND outbox.available_on <= CURRENT_TIMESTAMP
+            ORDER BY outbox.position ASC
+            LIMIT $1
+        `;
+
+        const connectionResults = yield pg.connectAsync(this.config);
+        const connection = connectionResults[0];
+        const done = connectionResults[1];
+
+        Promise.promisifyAll(connection, { context: pg });
+
+        const result = yield connection.queryAsync(query, [limit]);
+        done();
+
+        return parsePositions(result.rows).map(function(row) {
+            return {
+                id: row.position,
+                attempts: row.outbox_attempts,
+                event: _.omit(row, 'outbox_attempts')
+            };
+        });
+    }
+
+    /*
+     * Mark outbox entries as sent, so that they are no longer pending.
+     *
+     * @method markOutboxEntriesSent
+     *
+     * @required {Array}  ids
+     *
+     * @return {undefined}
+     *
+     */
+    *markOutboxEntriesSent(ids) {
+        const query = `UPDATE ${this.outboxTableName}
+            SET sent_on = CURRENT_TIMESTAMP
+            WHERE position = ANY($1)
+        `;
+
+        const connectionResults = yield pg.connectAsync(this.config);
+        const connection = connectionResults[0];
+        const done = connectionResults[1];
+
+        Promise.promisifyAll(connection, { context: pg });
+
+        yield connection.queryAsync(query, [ids]);
+        done();
+    }
+
+    /*
+     * Record a failed attempt to send an outbox entry and put off the next one.
+     *
+     * @method rescheduleOutboxEntry
+     *
+     * @required {Number}  id
+     * @required {Date}    availableOn
+     * @optional {String}  lastError
+     *
+     * @return {undefined}
+     *
+     */
+    *rescheduleOutboxEntry(id, availableOn, lastError) {
+        const query = `UPDATE ${this.outboxTableName}
+            SET attempts = attempts + 1, available_on = $2, last_error = $3
+            WHERE position = $1
+        `;
+
+        const connectionResults = yield pg.connectAsync(this.config);
+        const connection = connectionResults[0];
+        const done = connectionResults[1];
+
+        Promise.promisifyAll(connection, { context: pg });
+
+        yield connection.queryAsync(query, [id, availableOn, lastError || null]);
+        done();
+    }
+
+    /*
+     * Get the record of a ref's wrapped data key. If no key was ever stored for a ref, will
+     * return null.
+     *
+     * @method getDataKey
+     *
+     * @required {String}  refId
+     *
+     * @return {DataKey} { ref, key, created_on, destroyed_on }
+     *
+     */
+    *getDataKey(refId) {
+        const connectionResults = yield pg.connectAsync(this.config);
+        const connection = connectionResults[0];
+        const done = connectionResults[1];
+
+        Promise.promisifyAll(connection, { context: pg });
+
+        const result = yield connection.queryAsync(`SELECT * FROM ${this.dataKeyTableName} WHERE ref=$1`, [refId]);
+        done();
+
+        return result.rows[0] || null;
+    }
+
+    /*
+     * Store a ref's wrapped data key unless the ref already has a record, in which case the
+     * existing record is returned unchanged.
+     *
+     * @method saveDataKey
+     *
+     * @required {String}  refId
+     * @required {String}  key
+     *
+     * @return {DataKey}
+     *
+     */
+    *saveDataKey(refId, key) {
+        const connectionResults = yield pg.connectAsync(this.config);
+        const connection = connectionResults[0];
+        const done = connectionResults[1];
+
+        Promise.promisifyAll(connection, { context: pg });
+
+        try {
+            yield connection.queryAsync(`INSERT INTO ${this.dataKeyTableName} (ref, key) VALUES ($1, $2) ON CONFLICT (ref) DO NOTHING`, [refId, key]);
+
+            const result = yield connection.queryAsync(`SELECT * FROM ${this.dataKeyTableName} WHERE ref=$1`, [refId]);
+            done();
+
+            return result.rows[0];
+        }
+        catch(error) {
+            done();
+
+            throw new AdapterError(400, "adapter error", {
+                originalError: error
+            });
+        }
+    }
+
+    /*
+     * Remove a ref's wrapped data key, keeping a record that it was destroyed.
+     *
+     * @method destroyDataKey
+     *
+     * @required {String}  refId
+     *
+     * @return {undefined}
+     *
+     */
+    *destroyDataKey(refId) {
+        const query = `INSERT INTO ${this.dataKeyTableName}
+            (ref, key, destroyed_on)
+            VALUES ($1, NULL, CURRENT_TIMESTAMP)
+            ON CONFLICT (ref) DO UPDATE
+            SET key = NULL, destroyed_on = CURRENT_TIMESTAMP
+        `;
+
+        const connectionResults = yield pg.connectAsync(this.config);
+        const connection = connectionResults[0];
+        const done = connectionResults[1];
+
+        Promise.promisifyAll(connection, { context: pg });
+
+        yield connection.queryAsync(query, [refId]);
+        done();
+    }
+
+    /*
+     * Remove every event and snapshot of a ref, along with the outbox rows of its events, in a
+     * single transaction.
+     *
+     * @method deleteRef
+     *
+     * @required {String}  refId
+     *
+     * @return {Number} The number of events removed
+     *
+     */
+    *deleteRef(refId) {
+        return yield this.removeEvents('ref=$1', [refId], true);
+    }
+
+    /*
+     * Remove the events of a ref below a version, along with their outbox rows, in a single
+     * transaction. The version and hash of the last event removed are kept as the ref's anchor.
+     *
+     * @method truncateBefore
+     *
+     * @required {String}  refId
+     * @required {Number}  version
+     *
+     * @return {Number} The number of events removed
+     *
+     */
+    *truncateBefore(refId, version) {
+        return yield this.removeEvents('ref=$1 AND version<$2', [refId, version], false);
+    }
+
+    /*
+     * Get the anchor kept when a ref's history was truncated. If it never was, will return null.
+     *
+     * @method getAnchor
+     *
+     * @required {String}  refId
+     *
+     * @return {Anchor} { ref, version, hash }
+     *
+     */
+    *getAnchor(refId) {
+        const connectionResults = yield pg.connectAsync(this.config);
+        const connection = connectionResults[0];
+        const done = connectionResults[1];
+
+        Promise.promisifyAll(connection, { context: pg });
+
+        const result = yield connection.queryAsync(`SELECT * FROM ${this.anchorTableName} WHERE ref=$1`, [refId]);
+        done();
+
+        return result.rows[0] || null;
+    }
+
+    /*
+     * Get the checkpoint of a projection. If none was ever saved, will return null.
+     *
+     * @method getCheckpoint
+     *
+     * @required {String}  name
+     *
+     * @return {Checkpoint} { name, position, error, updated_on }
+     *
+     */
+    *getCheckpoint(name) {
+        const connectionResults = yield pg.connectAsync(this.config);
+        const connection = connectionResults[0];
+        const done = connectionResults[1];
+
+        Promise.promisifyAll(connection, { context: pg });
+
+        const result = yield connection.queryAsync(`SELECT * FROM ${this.checkpointTableName} WHERE name=$1`, [name]);
+        done();
+
+        if(!result.rows.length) {
+            return null;
+        }
+
+        result.rows[0].position = result.rows[0].position === null ? null : Number(result.rows[0].position);
+
+        return result.rows[0];
+    }
+
+    /*
+     * Create or replace the checkpoint of a projection.
+     *
+     * @method saveCheckpoint
+     *
+     * @required {String}  name
+     * @optional {Number}  position - null when no event has been processed
+     * @optional {Object}  error
+     *
+     * @return {Checkpoint}
+     *
+     */
+    *saveCheckpoint(name, position, error) {
+        const query = `INSERT INTO ${this.checkpointTableName}
+            (name, position, error, updated_on)
+            VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+            ON CONFLICT (name) DO UPDATE
+            SET position = EXCLUDED.position, error = EXCLUDED.error, updated_on = EXCLUDED.updated_on
+            RETURNING *
+        `;
+
+        const connectionResults = yield pg.connectAsync(this.config);
+        const connection = connectionResults[0];
+        const done = connectionResults[1];
+
+        Promise.promisifyAll(connection, { context: pg });
+
+        try {
+            const result = yield connection.queryAsync(query, [name, position, error ? JSON.stringify(error) : null]);
+            done();
+
+            result.rows[0].position = result.rows[0].position === null ? null : Number(result.rows[0].position);
+
+            return result.rows[0];
+        }
+        catch(error) {
+            done();
+
+            throw new AdapterError(400, "adapter error", {
+                originalError: error
+            });
+        }
+    }
+
+    /*
+     * Remove the events of a ref that match a condition and the outbox rows that refer to them.
+     * When the whole ref is removed its snapshots and anchor go too; otherwise the version and
+     * hash of the last event removed are kept as its anchor. The first query argument must be
+     * the refId.
+     *
+     * @method removeEvents
+     *
+     * @required {String}   condition
+     * @required {Array}    queryArgs
+     * @required {Boolean}  wholeRef
+     *
+     * @return {Number} The number of events removed
+     *
+     */
+    *removeEvents(condition, queryArgs, wholeRef) {
+        const connectionResults = yield pg.connectAsync(this.config);
+        const connection = connectionResults[0];
+        const done = connectionResults[1];
+
+        Promise.promisifyAll(connection, { context: pg });
+
+        try {
+            yield connection.queryAsync('BEGIN');
+
+            if(!wholeRef) {
+                yield connection.queryAsync(`INSERT INTO ${this.anchorTableName} (ref, version, hash)
+                    SELECT ref, version, hash FROM ${this.tableName} WHERE ${condition} ORDER BY version DESC LIMIT 1
+                    ON CONFLICT (ref) DO UPDATE SET version = EXCLUDED.version, hash = EXCLUDED.hash`, queryArgs);
+            }
+
+            yield connection.queryAsync(`DELETE FROM ${this.outboxTableName} WHERE position IN (SELECT position FROM ${this.tableName} WHERE ${condition})`, queryArgs);
+
+            const result = yield connection.queryAsync(`DELETE FROM ${this.tableName} WHERE ${condition}`, queryArgs);
+
+            if(wholeRef) {
+                yield connection.queryAsync(`DELETE FROM ${this.snapshotTableName} WHERE ref=$1`, [queryArgs[0]]);
+                yield connection.queryAsync(`DELETE FROM ${this.anchorTableName} WHERE ref=$1`, [queryArgs[0]]);
+            }
+
+            yield connection.queryAsync('COMMIT');
+            done();
+
+            return result.rowCount;
+        }
+        catch(error) {
+            yield connection.queryAsync('ROLLBACK');
+            done();
+
+            throw new AdapterError(400, "adapter error", {
+                originalError: error
+            });
+        }
+    }
 }
 
 exports = module.exports = PostgresSQLAdapter;
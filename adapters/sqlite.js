@@ -0,0 +1,1062 @@
+"use strict";
+const EventEmitter = require('events').EventEmitter;
+const Promise = require('bluebird');
+const sqlite3 = require('sqlite3');
+const BatchReadable = require('../lib/batch-readable.js');
+const describeVersionConflict = require('../lib/expected-version.js').describeVersionConflict;
+const isTombstone = require('../lib/tombstone.js').isTombstone;
+const hashEvent = require('../lib/hash-chain.js').hashEvent;
+Promise.promisifyAll(sqlite3.Database.prototype);
+
+const _ = require('lodash');
+
+/**
+ * An error.
+ *
+ * @constructor AdapterError
+ * @param {number} code - The http status code meant associated with the error
+ * @param {string} message - The message describing the error
+ * @param {object} args - Any relevant arguments to be returned to the user/developer
+ *
+ */
+function AdapterError(code, message, args) {
+    this.code = code || 500;
+    this.name = 'AdapterError';
+    this.arguments = args;
+    this.message = message || 'An error occurred';
+    this.stack = (new Error()).stack;
+}
+
+AdapterError.prototype = Object.create(Error.prototype);
+AdapterError.prototype.constructor = AdapterError;
+
+/*
+ * Convert a row as stored by SQLite back into the shape returned by the other adapters.
+ *
+ * @function deserializeRow
+ *
+ * @required {Object}  row
+ *
+ * @return {Object}
+ *
+ */
+function deserializeRow(row) {
+    if(!row) {
+        return row;
+    }
+
+    if('payload' in row) {
+        row.payload = row.payload === null ? null : JSON.parse(row.payload);
+    }
+
+    if('metadata' in row) {
+        row.metadata = JSON.parse(row.metadata);
+    }
+
+    if('state' in row) {
+        row.state = row.state === null ? null : JSON.parse(row.state);
+    }
+
+    row.created_on = new Date(row.created_on);
+
+    return row;
+}
+
+/*
+ * Convert a data key record as stored by SQLite back into the shape returned by the other
+ * adapters.
+ *
+ * @function deserializeDataKey
+ *
+ * @required {Object}  row
+ *
+ * @return {Object}
+ *
+ */
+function deserializeDataKey(row) {
+    row.created_on = new Date(row.created_on);
+    row.destroyed_on = row.destroyed_on ? new Date(row.destroyed_on) : null;
+
+    return row;
+}
+
+/*
+ * Convert a checkpoint as stored by SQLite back into the shape returned by the other adapters.
+ *
+ * @function deserializeCheckpoint
+ *
+ * @required {Object}  row
+ *
+ * @return {Object}
+ *
+ */
+function deserializeCheckpoint(row) {
+    row.error = row.error === null ? null : JSON.parse(row.error);
+    row.updated_on = new Date(row.updated_on);
+
+    return row;
+}
+
+/*
+ * An adapter for the Journal class to use SQLite as a datastore, for embedded and single node
+ * deployments. The database may be a file path or ":memory:". SQLite only allows a single
+ * writer, so every query made through an adapter instance runs one at a time.
+ *
+ * @class SQLiteAdapter
+ *
+ */
+class SQLiteAdapter {
+    constructor() {
+        this.queue = Promise.resolve();
+        this.notifier = new EventEmitter();
+        this.initializePublicMethods();
+    }
+
+    get name() {
+        return "sqlite";
+    }
+
+    /*
+     * Wrap class methods in Bluebird couroutines as we cannot define dynamic methods when
+     * creating a class.
+     *
+     * @method initializePublicMethods
+     *
+     * @return {this};
+     *
+     */
+    initializePublicMethods() {
+        this.createEventForRef = Promise.coroutine(this.createEventForRef);
+        this.createEventsForRef = Promise.coroutine(this.createEventsForRef);
+        this.getEventsForRef = Promise.coroutine(this.getEventsForRef);
+        this.getEventsByIds = Promise.coroutine(this.getEventsByIds);
+        this.getLatestVersionForRef = Promise.coroutine(this.getLatestVersionForRef);
+        this.readAll = Promise.coroutine(this.readAll);
+        this.queryEvents = Promise.coroutine(this.queryEvents);
+        this.watch = Promise.method(this.watch);
+        this.saveSnapshot = Promise.coroutine(this.saveSnapshot);
+        this.getLatestSnapshot = Promise.coroutine(this.getLatestSnapshot);
+        this.getPendingOutboxEntries = Promise.coroutine(this.getPendingOutboxEntries);
+        this.markOutboxEntriesSent = Promise.coroutine(this.markOutboxEntriesSent);
+        this.rescheduleOutboxEntry = Promise.coroutine(this.rescheduleOutboxEntry);
+        this.getDataKey = Promise.coroutine(this.getDataKey);
+        this.saveDataKey = Promise.coroutine(this.saveDataKey);
+        this.destroyDataKey = Promise.coroutine(this.destroyDataKey);
+        this.deleteRef = Promise.coroutine(this.deleteRef);
+        this.truncateBefore = Promise.coroutine(this.truncateBefore);
+        this.getAnchor = Promise.coroutine(this.getAnchor);
+        this.getCheckpoint = Promise.coroutine(this.getCheckpoint);
+        this.saveCheckpoint = Promise.coroutine(this.saveCheckpoint);
+        this.createDatabaseConnection = Promise.coroutine(this.createDatabaseConnection);
+        this.upgradeEventsTable = Promise.coroutine(this.upgradeEventsTable);
+        this.closeDatabaseConnection = Promise.coroutine(this.closeDatabaseConnection);
+
+        return this;
+    }
+
+    /*
+     * Run a task once every previously queued task has finished.
+     *
+     * @method enqueue
+     *
+     * @required {Function}  task - Returns a promise
+     *
+     * @return {Promise}
+     *
+     */
+    enqueue(task) {
+        const result = this.queue.then(() => task());
+        this.queue = result.catch(_.noop);
+
+        return result;
+    }
+
+    /*
+     * Open (or create) the SQLite database, create the tables used by the adapter and upgrade an
+     * events table created by an earlier version of the adapter.
+     *
+     * @method createDatabaseConnection
+     *
+     * @optional {Object|String}  An object of connection properties, or the database filename.
+     *
+     * @return {Promise}
+     *
+     */
+    *createDatabaseConnection(dbConnectionOptions) {
+        const defaults = {
+            filename: ':memory:',
+            tableName: 'events',
+            snapshotTableName: 'snapshots',
+            outboxTableName: 'outbox',
+            dataKeyTableName: 'data_keys',
+            checkpointTableName: 'checkpoints',
+            anchorTableName: 'anchors',
+            pollInterval: null
+        };
+
+        if(typeof dbConnectionOptions === 'string') {
+            dbConnectionOptions = { filename: dbConnectionOptions };
+        }
+
+        this.config = _.merge({}, defaults, dbConnectionOptions);
+        this.tableName = this.config.tableName;
+        this.snapshotTableName = this.config.snapshotTableName;
+        this.outboxTableName = this.config.outboxTableName;
+        this.dataKeyTableName = this.config.dataKeyTableName;
+        this.checkpointTableName = this.config.checkpointTableName;
+        this.anchorTableName = this.config.anchorTableName;
+
+        this.db = yield new Promise((resolve, reject) => {
+            const db = new sqlite3.Database(this.config.filename, (error) => {
+                if(error) {
+                    reject(error);
+                }
+                else {
+                    resolve(db);
+                }
+            });
+        });
+
+        const createTableQuery = `CREATE TABLE IF NOT EXISTS ${this.tableName} (
+                position        INTEGER PRIMARY KEY AUTOINCREMENT,
+                version         INTEGER NOT NULL DEFAULT 1,
+                schema_version  INTEGER NOT NULL DEFAULT 1,
+                ref             TEXT NOT NULL,
+                event           TEXT NOT NULL,
+                initiated_by    TEXT,
+                created_on      TEXT NOT NULL,
+                payload         TEXT,
+                metadata        TEXT NOT NULL DEFAULT '{}',
+                event_id        TEXT UNIQUE,
+                hash            TEXT,
+                UNIQUE (ref, version)
+            );
+        `;
+
+        const createSnapshotTableQuery = `CREATE TABLE IF NOT EXISTS ${this.snapshotTableName} (
+                ref             TEXT NOT NULL,
+                version         INTEGER NOT NULL,
+                state           TEXT,
+                created_on      TEXT NOT NULL,
+                PRIMARY KEY(ref, version)
+            );
+        `;
+
+        const createOutboxTableQuery = `CREATE TABLE IF NOT EXISTS ${this.outboxTableName} (
+                position        INTEGER PRIMARY KEY,
+                attempts        INTEGER NOT NULL DEFAULT 0,
+                available_on    TEXT NOT NULL,
+                sent_on         TEXT,
+                last_error      TEXT
+            );
+        `;
+
+        const createDataKeyTableQuery = `CREATE TABLE IF NOT EXISTS ${this.dataKeyTableName} (
+                ref             TEXT NOT NULL,
+                key             TEXT,
+                created_on      TEXT NOT NULL,
+                destroyed_on    TEXT,
+                PRIMARY KEY(ref)
+            );
+        `;
+
+        const createCheckpointTableQuery = `CREATE TABLE IF NOT EXISTS ${this.checkpointTableName} (
+                name            TEXT NOT NULL,
+                position        INTEGER,
+                error           TEXT,
+                updated_on      TEXT NOT NULL,
+                PRIMARY KEY(name)
+            );
+        `;
+
+        const createAnchorTableQuery = `CREATE TABLE IF NOT EXISTS ${this.anchorTableName} (
+                ref             TEXT NOT NULL,
+                version         INTEGER NOT NULL,
+                hash            TEXT,
+                PRIMARY KEY(ref)
+            );
+        `;
+
+        yield this.db.runAsync(createTableQuery);
+        yield this.upgradeEventsTable();
+        yield this.db.runAsync(`CREATE INDEX IF NOT EXISTS ${this.tableName}_created_on ON ${this.tableName} (created_on)`);
+        yield this.db.runAsync(`CREATE INDEX IF NOT EXISTS ${this.tableName}_ref_event ON ${this.tableName} (ref, event)`);
+        yield this.db.runAsync(createSnapshotTableQuery);
+        yield this.db.runAsync(createOutboxTableQuery);
+        yield this.db.runAsync(`CREATE INDEX IF NOT EXISTS ${this.outboxTableName}_pending ON ${this.outboxTableName} (available_on) WHERE sent_on IS NULL`);
+        yield this.db.runAsync(createDataKeyTableQuery);
+        yield this.db.runAsync(createCheckpointTableQuery);
+        yield this.db.runAsync(createAnchorTableQuery);
+
+        return this;
+    }
+
+    /*
+     * Bring an events table created by an earlier version of the adapter up to date. CREATE TABLE
+     * IF NOT EXISTS leaves an existing table as it is, and SQLite cannot add a column only if it
+     * is missing, so every column added since that the table lacks is added here:
+     *
+     *  - schema_version: filled with its default, 1
+     *  - metadata: filled with its default, an empty object
+     *  - event_id: left empty on existing events, and given a unique index, as SQLite cannot add a
+     *    UNIQUE column
+     *  - hash: computed ref by ref, in version order, for events stored without one
+     *
+     * The hashes are stored in a single transaction, so an interrupted upgrade leaves none of them.
+     *
+     * @method upgradeEventsTable
+     *
+     * @return {undefined}
+     *
+     */
+    *upgradeEventsTable() {
+        const columns = (yield this.db.allAsync(`PRAGMA table_info(${this.tableName})`)).map((column) => column.name);
+
+        if(columns.indexOf('schema_version') === -1) {
+            yield this.db.runAsync(`ALTER TABLE ${this.tableName} ADD COLUMN schema_version INTEGER NOT NULL DEFAULT 1`);
+        }
+
+        if(columns.indexOf('metadata') === -1) {
+            yield this.db.runAsync(`ALTER TABLE ${this.tableName} ADD COLUMN metadata TEXT NOT NULL DEFAULT '{}'`);
+        }
+
+        if(columns.indexOf('event_id') === -1) {
+            yield this.db.runAsync(`ALTER TABLE ${this.tableName} ADD COLUMN event_id TEXT`);
+            yield this.db.runAsync(`CREATE UNIQUE INDEX IF NOT EXISTS ${this.tableName}_event_id_key ON ${this.tableName} (event_id)`);
+        }
+
+        if(columns.indexOf('hash') === -1) {
+            yield this.db.runAsync(`ALTER TABLE ${this.tableName} ADD COLUMN hash TEXT`);
+        }
+
+        const unhashed = yield this.db.allAsync(`SELECT DISTINCT ref FROM ${this.tableName} WHERE hash IS NULL`);
+
+        if(!unhashed.length) {
+            return;
+        }
+
+        yield this.db.runAsync('BEGIN');
+
+        try {
+            for(let row of unhashed) {
+                const events = (yield this.db.allAsync(`SELECT * FROM ${this.tableName} WHERE ref=? ORDER BY version ASC`, [row.ref])).map(deserializeRow);
+                let previousHash = null;
+
+                for(let event of events) {
+                    if(!event.hash) {
+                        event.hash = hashEvent(previousHash, event);
+                        yield this.db.runAsync(`UPDATE ${this.tableName} SET hash=? WHERE position=?`, [event.hash, event.position]);
+                    }
+
+                    previousHash = event.hash;
+                }
+            }
+
+            yield this.db.runAsync('COMMIT');
+        }
+        catch(error) {
+            yield this.db.runAsync('ROLLBACK');
+            throw error;
+        }
+    }
+
+    /*
+     * Close the SQLite database once every queued query has finished.
+     *
+     * @method closeDatabaseConnection
+     *
+     * @return {this}
+     *
+     */
+    *closeDatabaseConnection() {
+        yield this.enqueue(() => this.db.closeAsync());
+
+        return this;
+    }
+
+    /*
+     * Create a new event and store it in the database.
+     *
+     * @method createEventForRef
+     *
+     * @required {String}  eventName
+     * @required {String}  refId
+     * @optional {Object}  eventData
+     * @optional {String}  userId
+     * @optional {Number}  expectedVersion
+     *
+     * @return {Event}
+     *
+     */
+    *createEventForRef(eventName, refId, eventData, userId, expectedVersion) {
+        const events = [{
+            eventName: eventName,
+            eventData: eventData,
+            userId: userId
+        }];
+
+        const rows = yield this.createEventsForRef(refId, events, expectedVersion);
+
+        return rows[0];
+    }
+
+    /*
+     * Create several events for a single ref with consecutive versions. All inserts run inside
+     * a single transaction so that either every event is stored or none are. A unique constraint
+     * refuses an eventId that has already been stored, and appends to a ref that has been deleted
+     * are refused. In outbox mode each event's outbox row is inserted in the same transaction.
+     *
+     * @method createEventsForRef
+     *
+     * @required {String}         refId
+     * @required {Array}          events - [{ eventName, eventData, userId, schemaVersion, metadata, eventId, createdOn }]
+     * @optional {Number|String}  expectedVersion
+     * @optional {Object}         options - { outbox }
+     *
+     * @return {[Row]}
+     *
+     */
+    *createEventsForRef(refId, events, expectedVersion, options) {
+        const rows = yield this.enqueue(Promise.coroutine(function *() {
+            const results = [];
+            const latestEvent = yield this.db.getAsync(`SELECT version, event, hash FROM ${this.tableName} WHERE ref=? ORDER BY version DESC LIMIT 1`, [refId]);
+            const latestVersion = latestEvent ? latestEvent.version : 0;
+
+            if(isTombstone(latestEvent)) {
+                throw new AdapterError(410, "ref has been deleted", { refId: refId });
+            }
+
+            const conflict = describeVersionConflict(expectedVersion, latestVersion);
+
+            if(conflict) {
+                throw new AdapterError(409, `version conflict: ${conflict}`, {
+                    expectedVersion: expectedVersion,
+                    latestVersion: latestVersion
+                });
+            }
+
+            try {
+                const query = `INSERT INTO ${this.tableName}
+                    (version, schema_version, ref, event, initiated_by, created_on, payload, metadata, event_id, hash)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `;
+
+                const createdOn = new Date().toISOString();
+                let previousHash = latestEvent ? latestEvent.hash : null;
+
+                yield this.db.runAsync('BEGIN');
+
+                for(let index = 0; index < events.length; index++) {
+                    const event = events[index];
+                    const version = latestVersion + index + 1;
+                    const hash = hashEvent(previousHash, {
+                        ref: refId,
+                        version: version,
+                        event: event.eventName,
+                        payload: event.eventData,
+                        initiated_by: event.userId,
+                        schema_version: event.schemaVersion,
+                        metadata: event.metadata,
+                        event_id: event.eventId,
+                        created_on: event.createdOn || createdOn
+                    });
+                    const queryArgs = [
+                        version,
+                        event.schemaVersion || 1,
+                        refId,
+                        event.eventName,
+                        event.userId || null,
+                        event.createdOn ? event.createdOn.toISOString() : createdOn,
+                        event.eventData === undefined ? null : JSON.stringify(event.eventData),
+                        JSON.stringify(event.metadata || {}),
+                        event.eventId || null,
+                        hash
+                    ];
+
+                    yield this.db.runAsync(query, queryArgs);
+                    previousHash = hash;
+
+                    const row = yield this.db.getAsync(`SELECT * FROM ${this.tableName} WHERE ref=? AND version=?`, [refId, version]);
+                    results.push(deserializeRow(row));
+
+                    if(options && options.outbox) {
+                        yield this.db.runAsync(`INSERT INTO ${this.outboxTableName} (position, available_on) VALUES (?, ?)`, [row.position, createdOn]);
+                    }
+                }
+
+                yield this.db.runAsync('COMMIT');
+            }
+            catch(error) {
+                yield this.db.runAsync('ROLLBACK');
+
+                if(error.code === 'SQLITE_CONSTRAINT' && /event_id/.test(error.message)) {
+                    throw new AdapterError(409, "duplicate eventId", {
+                        originalError: error
+                    });
+                }
+                else if(error.code === 'SQLITE_CONSTRAINT') {
+                    const storedVersion = yield this.selectLatestVersion(refId);
+                    const raceConflict = describeVersionConflict(latestVersion, storedVersion) || "the ref was appended to concurrently";
+
+                    throw new AdapterError(409, `version conflict: ${raceConflict}`, {
+                        expectedVersion: expectedVersion,
+                        latestVersion: storedVersion
+                    });
+                }
+                else {
+                    throw new AdapterError(400, "adapter error", {
+                        originalError: error
+                    });
+                }
+            }
+
+            return results;
+        }).bind(this));
+
+        this.notifier.emit('append');
+
+        return rows;
+    }
+
+    /*
+     * Get events for a given ref (optionally) between two versions.
+     *
+     * @method getEventsForRef
+     *
+     * @required {String}  refId
+     * @optional {Number}  fromVersion
+     * @optional {Number}  toVersion
+     * @optional {Number}  limit
+     * @optional {String}  direction - "forward" (default) or "backward"
+     *
+     * @return {[Row]}
+     *
+     */
+    *getEventsForRef(refId, fromVersion, toVersion, limit, direction) {
+        const fromQuery = fromVersion ? 'AND version >= ?' : '';
+        const toQuery = toVersion ? 'AND version <= ?' : '';
+        const limitQuery = limit ? 'LIMIT ?' : '';
+
+        const query = `SELECT * FROM ${this.tableName}
+            WHERE ref=? ${fromQuery} ${toQuery}
+            ORDER BY version ${direction === 'backward' ? 'DESC' : 'ASC'}
+            ${limitQuery}
+        `;
+
+        const queryArgs = [refId];
+
+        if(fromVersion) {
+            queryArgs.push(fromVersion);
+        }
+
+        if(toVersion) {
+            queryArgs.push(toVersion);
+        }
+
+        if(limit) {
+            queryArgs.push(limit);
+        }
+
+        const rows = yield this.enqueue(() => this.db.allAsync(query, queryArgs));
+
+        return rows.map(deserializeRow);
+    }
+
+    /*
+     * Stream events for a given ref (optionally) between two versions, reading them a page at a
+     * time so that other queries can run in between.
+     *
+     * @method streamEventsForRef
+     *
+     * @required {String}  refId
+     * @optional {Object}  options - { fromVersion, toVersion, limit, direction, batchSize }
+     *
+     * @return {Readable}
+     *
+     */
+    streamEventsForRef(refId, options) {
+        return BatchReadable.forPagesOfRef(this, refId, options);
+    }
+
+    /*
+     * Get the events stored with any of the given eventIds.
+     *
+     * @method getEventsByIds
+     *
+     * @required {Array}  eventIds
+     *
+     * @return {[Row]}
+     *
+     */
+    *getEventsByIds(eventIds) {
+        const placeholders = eventIds.map(() => '?').join(', ');
+        const query = `SELECT * FROM ${this.tableName} WHERE event_id IN (${placeholders})`;
+
+        const rows = yield this.enqueue(() => this.db.allAsync(query, eventIds));
+
+        return rows.map(deserializeRow);
+    }
+
+    /*
+     * Get the highest version number for a given ref. If no events exists for a ref, will return 0.
+     *
+     * @method getLatestVersionForRef
+     *
+     * @required {String}  refId
+     *
+     * @return {Number}
+     *
+     */
+    *getLatestVersionForRef(refId) {
+        return yield this.enqueue(() => this.selectLatestVersion(refId));
+    }
+
+    /*
+     * Query the highest version number for a ref without waiting on the queue, for use by tasks
+     * that are already running inside it.
+     *
+     * @method selectLatestVersion
+     *
+     * @required {String}  refId
+     *
+     * @return {Promise}
+     *
+     */
+    selectLatestVersion(refId) {
+        const query = `SELECT MAX(version) AS version FROM ${this.tableName} WHERE ref=?`;
+
+        return this.db.getAsync(query, [refId]).then(function(row) {
+            return row.version || 0;
+        });
+    }
+
+    /*
+     * Get events across all refs in the order they were stored, starting at a global position
+     * (inclusive).
+     *
+     * @method readAll
+     *
+     * @required {Number}  fromPosition
+     * @required {Number}  limit
+     *
+     * @return {[Row]}
+     *
+     */
+    *readAll(fromPosition, limit) {
+        const query = `SELECT * FROM ${this.tableName}
+            WHERE position >= ?
+            ORDER BY position ASC
+            LIMIT ?
+        `;
+
+        const rows = yield this.enqueue(() => this.db.allAsync(query, [fromPosition, limit]));
+
+        return rows.map(deserializeRow);
+    }
+
+    /*
+     * Find events across all refs past a global position, in the order they were stored.
+     *
+     * @method queryEvents
+     *
+     * @required {Object}    query
+     * @optional {[String]}  query.eventNames
+     * @optional {Date}      query.from - Inclusive
+     * @optional {Date}      query.to - Exclusive
+     * @optional {String}    query.userId
+     * @required {Number}    query.afterPosition
+     * @required {Number}    query.limit
+     *
+     * @return {[Row]}
+     *
+     */
+    *queryEvents(query) {
+        const conditions = ['position > ?'];
+        const queryArgs = [query.afterPosition];
+
+        if(query.eventNames) {
+            conditions.push(`event IN (${query.eventNames.map(() => '?').join(', ')})`);
+            Array.prototype.push.apply(queryArgs, query.eventNames);
+        }
+
+        if(query.from) {
+            conditions.push('created_on >= ?');
+            queryArgs.push(query.from.toISOString());
+        }
+
+        if(query.to) {
+            conditions.push('created_on < ?');
+            queryArgs.push(query.to.toISOString());
+        }
+
+        if(query.userId !== undefined) {
+            conditions.push('initiated_by = ?');
+            queryArgs.push(query.userId);
+        }
+
+        queryArgs.push(query.limit);
+
+        const sql = `SELECT * FROM ${this.tableName}
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY position ASC
+            LIMIT ?
+        `;
+
+        const rows = yield this.enqueue(() => this.db.allAsync(sql, queryArgs));
+
+        return rows.map(deserializeRow);
+    }
+
+    /*
+     * Call listener whenever new events have been stored through this adapter. Writes made by
+     * other processes sharing the database file are only noticed when a pollInterval is
+     * configured.
+     *
+     * @method watch
+     *
+     * @required {Function}  listener
+     *
+     * @return {Function} Stops watching when called
+     *
+     */
+    watch(listener) {
+        const interval = this.config.pollInterval ? setInterval(listener, this.config.pollInterval) : null;
+
+        this.notifier.on('append', listener);
+
+        return Promise.method(() => {
+            clearInterval(interval);
+            this.notifier.removeListener('append', listener);
+        });
+    }
+
+    /*
+     * Store a snapshot of a ref's state as of a given version. Saving a snapshot for a version
+     * that already has one replaces it.
+     *
+     * @method saveSnapshot
+     *
+     * @required {String}  refId
+     * @required {Number}  version
+     * @optional {Object}  state
+     *
+     * @return {Snapshot}
+     *
+     */
+    *saveSnapshot(refId, version, state) {
+        const query = `INSERT OR REPLACE INTO ${this.snapshotTableName}
+            (ref, version, state, created_on)
+            VALUES (?, ?, ?, ?)
+        `;
+
+        const queryArgs = [
+            refId,
+            version,
+            state === undefined ? null : JSON.stringify(state),
+            new Date().toISOString()
+        ];
+
+        const row = yield this.enqueue(Promise.coroutine(function *() {
+            yield this.db.runAsync(query, queryArgs);
+
+            return yield this.db.getAsync(`SELECT * FROM ${this.snapshotTableName} WHERE ref=? AND version=?`, [refId, version]);
+        }).bind(this));
+
+        return deserializeRow(row);
+    }
+
+    /*
+     * Get the snapshot with the highest version for a given ref. If no snapshot exists for a ref,
+     * will return null.
+     *
+     * @method getLatestSnapshot
+     *
+     * @required {String}  refId
+     *
+     * @return {Snapshot}
+     *
+     */
+    *getLatestSnapshot(refId) {
+        const query = `SELECT * FROM ${this.snapshotTableName}
+            WHERE ref=?
+            ORDER BY version DESC
+            LIMIT 1
+        `;
+
+        const row = yield this.enqueue(() => this.db.getAsync(query, [refId]));
+
+        return row ? deserializeRow(row) : null;
+    }
+
+    /*
+     * Get the outbox entries that have not been sent and are due, in the order their events were
+     * stored. An entry's id is its event's position.
+     *
+     * @method getPendingOutboxEntries
+     *
+     * @required {Number}  limit
+     *
+     * @return {[OutboxEntry]} [{ id, attempts, event }]
+     *
+     */
+    *getPendingOutboxEntries(limit) {
+        const query = `SELECT events.*, outbox.attempts AS outbox_attempts
+            FROM ${this.outboxTableName} AS outbox
+            JOIN ${this.tableName} AS events ON events.position = outbox.position
+            WHERE outbox.sent_on IS NULL AND outbox.available_on <= ?
+            ORDER BY outbox.position ASC
+            LIMIT ?
+        `;
+
+        const rows = yield this.enqueue(() => this.db.allAsync(query, [new Date().toISOString(), limit]));
+
+        return rows.map(function(row) {
+            return {
+                id: row.position,
+                attempts: row.outbox_attempts,
+                event: deserializeRow(_.omit(row, 'outbox_attempts'))
+            };
+        });
+    }
+
+    /*
+     * Mark outbox entries as sent, so that they are no longer pending.
+     *
+     * @method markOutboxEntriesSent
+     *
+     * @required {Array}  ids
+     *
+     * @return {undefined}
+     *
+     */
+    *markOutboxEntriesSent(ids) {
+        const query = `UPDATE ${this.outboxTableName}
+            SET sent_on = ?
+            WHERE position IN (${ids.map(() => '?').join(', ')})
+        `;
+
+        yield this.enqueue(() => this.db.runAsync(query, [new Date().toISOString()].concat(ids)));
+    }
+
+    /*
+     * Record a failed attempt to send an outbox entry and put off the next one.
+     *
+     * @method rescheduleOutboxEntry
+     *
+     * @required {Number}  id
+     * @required {Date}    availableOn
+     * @optional {String}  lastError
+     *
+     * @return {undefined}
+     *
+     */
+    *rescheduleOutboxEntry(id, availableOn, lastError) {
+        const query = `UPDATE ${this.outboxTableName}
+            SET attempts = attempts + 1, available_on = ?, last_error = ?
+            WHERE position = ?
+        `;
+
+        yield this.enqueue(() => this.db.runAsync(query, [availableOn.toISOString(), lastError || null, id]));
+    }
+
+    /*
+     * Get the record of a ref's wrapped data key. If no key was ever stored for a ref, will
+     * return null.
+     *
+     * @method getDataKey
+     *
+     * @required {String}  refId
+     *
+     * @return {DataKey} { ref, key, created_on, destroyed_on }
+     *
+     */
+    *getDataKey(refId) {
+        const row = yield this.enqueue(() => this.db.getAsync(`SELECT * FROM ${this.dataKeyTableName} WHERE ref=?`, [refId]));
+
+        return row ? deserializeDataKey(row) : null;
+    }
+
+    /*
+     * Store a ref's wrapped data key unless the ref already has a record, in which case the
+     * existing record is returned unchanged.
+     *
+     * @method saveDataKey
+     *
+     * @required {String}  refId
+     * @required {String}  key
+     *
+     * @return {DataKey}
+     *
+     */
+    *saveDataKey(refId, key) {
+        const query = `INSERT OR IGNORE INTO ${this.dataKeyTableName}
+            (ref, key, created_on)
+            VALUES (?, ?, ?)
+        `;
+
+        const row = yield this.enqueue(Promise.coroutine(function *() {
+            yield this.db.runAsync(query, [refId, key, new Date().toISOString()]);
+
+            return yield this.db.getAsync(`SELECT * FROM ${this.dataKeyTableName} WHERE ref=?`, [refId]);
+        }).bind(this));
+
+        return deserializeDataKey(row);
+    }
+
+    /*
+     * Remove a ref's wrapped data key, keeping a record that it was destroyed.
+     *
+     * @method destroyDataKey
+     *
+     * @required {String}  refId
+     *
+     * @return {undefined}
+     *
+     */
+    *destroyDataKey(refId) {
+        const destroyedOn = new Date().toISOString();
+
+        yield this.enqueue(Promise.coroutine(function *() {
+            yield this.db.runAsync(`INSERT OR IGNORE INTO ${this.dataKeyTableName} (ref, key, created_on) VALUES (?, NULL, ?)`, [refId, destroyedOn]);
+            yield this.db.runAsync(`UPDATE ${this.dataKeyTableName} SET key = NULL, destroyed_on = ? WHERE ref=?`, [destroyedOn, refId]);
+        }).bind(this));
+    }
+
+    /*
+     * Remove every event and snapshot of a ref, along with the outbox rows of its events, in a
+     * single transaction.
+     *
+     * @method deleteRef
+     *
+     * @required {String}  refId
+     *
+     * @return {Number} The number of events removed
+     *
+     */
+    *deleteRef(refId) {
+        return yield this.removeEvents('ref=?', [refId], true);
+    }
+
+    /*
+     * Remove the events of a ref below a version, along with their outbox rows, in a single
+     * transaction. The version and hash of the last event removed are kept as the ref's anchor.
+     *
+     * @method truncateBefore
+     *
+     * @required {String}  refId
+     * @required {Number}  version
+     *
+     * @return {Number} The number of events removed
+     *
+     */
+    *truncateBefore(refId, version) {
+        return yield this.removeEvents('ref=? AND version<?', [refId, version], false);
+    }
+
+    /*
+     * Get the anchor kept when a ref's history was truncated. If it never was, will return null.
+     *
+     * @method getAnchor
+     *
+     * @required {String}  refId
+     *
+     * @return {Anchor} { ref, version, hash }
+     *
+     */
+    *getAnchor(refId) {
+        const row = yield this.enqueue(() => this.db.getAsync(`SELECT * FROM ${this.anchorTableName} WHERE ref=?`, [refId]));
+
+        return row || null;
+    }
+
+    /*
+     * Get the checkpoint of a projection. If none was ever saved, will return null.
+     *
+     * @method getCheckpoint
+     *
+     * @required {String}  name
+     *
+     * @return {Checkpoint} { name, position, error, updated_on }
+     *
+     */
+    *getCheckpoint(name) {
+        const row = yield this.enqueue(() => this.db.getAsync(`SELECT * FROM ${this.checkpointTableName} WHERE name=?`, [name]));
+
+        return row ? deserializeCheckpoint(row) : null;
+    }
+
+    /*
+     * Create or replace the checkpoint of a projection.
+     *
+     * @method saveCheckpoint
+     *
+     * @required {String}  name
+     * @optional {Number}  position - null when no event has been processed
+     * @optional {Object}  error
+     *
+     * @return {Checkpoint}
+     *
+     */
+    *saveCheckpoint(name, position, error) {
+        const query = `INSERT OR REPLACE INTO ${this.checkpointTableName}
+            (name, position, error, updated_on)
+            VALUES (?, ?, ?, ?)
+        `;
+        const updatedOn = new Date();
+
+        yield this.enqueue(() => this.db.runAsync(query, [name, position, error ? JSON.stringify(error) : null, updatedOn.toISOString()]));
+
+        return { name: name, position: position, error: error || null, updated_on: updatedOn };
+    }
+
+    /*
+     * Remove the events of a ref that match a condition and the outbox rows that refer to them.
+     * When the whole ref is removed its snapshots and anchor go too; otherwise the version and
+     * hash of the last event removed are kept as its anchor. The first query argument must be
+     * the refId.
+     *
+     * @method removeEvents
+     *
+     * @required {String}   condition
+     * @required {Array}    queryArgs
+     * @required {Boolean}  wholeRef
+     *
+     * @return {Promise} The number of events removed
+     *
+     */
+    removeEvents(condition, queryArgs, wholeRef) {
+        return this.enqueue(Promise.coroutine(function *() {
+            const count = yield this.db.getAsync(`SELECT COUNT(*) AS count FROM ${this.tableName} WHERE ${condition}`, queryArgs);
+
+            try {
+                yield this.db.runAsync('BEGIN');
+
+                if(!wholeRef) {
+                    yield this.db.runAsync(`INSERT OR REPLACE INTO ${this.anchorTableName} (ref, version, hash)
+                        SELECT ref, version, hash FROM ${this.tableName} WHERE ${condition} ORDER BY version DESC LIMIT 1`, queryArgs);
+                }
+
+                yield this.db.runAsync(`DELETE FROM ${this.outboxTableName} WHERE position IN (SELECT position FROM ${this.tableName} WHERE ${condition})`, queryArgs);
+                yield this.db.runAsync(`DELETE FROM ${this.tableName} WHERE ${condition}`, queryArgs);
+
+                if(wholeRef) {
+                    yield this.db.runAsync(`DELETE FROM ${this.snapshotTableName} WHERE ref=?`, [queryArgs[0]]);
+                    yield this.db.runAsync(`DELETE FROM ${this.anchorTableName} WHERE ref=?`, [queryArgs[0]]);
+                }
+
+                yield this.db.runAsync('COMMIT');
+            }
+            catch(error) {
+                yield this.db.runAsync('ROLLBACK');
+
+                throw new AdapterError(400, "adapter error", {
+                    originalError: error
+                });
+            }
+
+            return count.count;
+        }).bind(this));
+    }
+}
+
+exports = module.exports = SQLiteAdapter;
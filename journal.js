@@ -1,225 +1,3020 @@
 "use strict";
 
+const util = require('util');
 const Promise = require('bluebird');
+const Ajv = require('ajv');
 const _ = require('lodash');
+const stream = require('stream');
+const Subscription = require('./lib/subscription.js');
+const OutboxRelay = require('./lib/outbox-relay.js');
+const ProjectionRunner = require('./lib/projection-runner.js');
+const expectedVersion = require('./lib/expected-version.js');
+const encryption = require('./lib/encryption.js');
+const AdapterKeyStore = require('./lib/key-store.js');
+const tombstone = require('./lib/tombstone.js');
+const hashChain = require('./lib/hash-chain.js');
+const errors = require('./lib/errors.js');
+const ndjson = require('./lib/ndjson.js');
+
+const JournalError = errors.JournalError;
+const ValidationError = errors.ValidationError;
+const NotFoundError = errors.NotFoundError;
+const ConcurrencyError = errors.ConcurrencyError;
+const ConnectionError = errors.ConnectionError;
+const NotInitializedError = errors.NotInitializedError;
 
 const privateData = new WeakMap();
-const validAdapters = ['mongodb', 'postgresql', 'memory'];
+const adapterRegistry = new Map([
+    ['mongodb', './adapters/mongodb.js'],
+    ['postgresql', './adapters/postgresql.js'],
+    ['sqlite', './adapters/sqlite.js'],
+    ['file', './adapters/file.js'],
+    ['memory', './adapters/memory.js']
+]);
+const defaultReadLimit = 100;
+
+const warnPositionalCreateEventForRef = util.deprecate(_.noop,
+    'Journal#createEventForRef(eventName, refId, eventData, userId, currentVersion) is deprecated, ' +
+    'pass an options object instead: createEventForRef({ eventName, refId, data, userId, expectedVersion })');
+const warnPositionalGetEventsForRef = util.deprecate(_.noop,
+    'Journal#getEventsForRef(refId, fromVersion, toVersion) is deprecated, ' +
+    'pass an options object instead: getEventsForRef({ refId, fromVersion, toVersion, limit })');
+
+/*
+ * The methods every adapter must implement, in addition to a `name` getter. All of them are
+ * expected to return promises (or be wrapped in Promise.coroutine), except streamEventsForRef which
+ * returns an object mode Readable:
+ *
+ *  - createDatabaseConnection(dbConnectionOptions) => adapter
+ *  - closeDatabaseConnection() => adapter
+ *  - createEventForRef(eventName, refId, eventData, userId, expectedVersion) => event
+ *  - createEventsForRef(refId, [{ eventName, eventData, userId, schemaVersion, metadata, eventId, createdOn }], expectedVersion, { outbox }) => [events]
+ *  - getEventsForRef(refId, fromVersion, toVersion, limit, direction) => [events]
+ *  - streamEventsForRef(refId, { fromVersion, toVersion, limit, direction, batchSize }) => Readable
+ *  - getEventsByIds(eventIds) => [events]
+ *  - getLatestVersionForRef(refId) => version
+ *  - readAll(fromPosition, limit) => [events]
+ *  - queryEvents({ eventNames, from, to, userId, afterPosition, limit }) => [events]
+ *  - watch(listener) => stop function
+ *  - saveSnapshot(refId, version, state) => snapshot
+ *  - getLatestSnapshot(refId) => snapshot or null
+ *  - getPendingOutboxEntries(limit) => [{ id, attempts, event }]
+ *  - markOutboxEntriesSent(ids) => undefined
+ *  - rescheduleOutboxEntry(id, availableOn, lastError) => undefined
+ *  - getDataKey(refId) => { ref, key, created_on, destroyed_on } or null
+ *  - saveDataKey(refId, key) => { ref, key, created_on, destroyed_on }
+ *  - destroyDataKey(refId) => undefined
+ *  - deleteRef(refId) => number of events removed
+ *  - truncateBefore(refId, version) => number of events removed
+ *  - getAnchor(refId) => { ref, version, hash } or null
+ *  - getCheckpoint(name) => { name, position, error, updated_on } or null
+ *  - saveCheckpoint(name, position, error) => { name, position, error, updated_on }
+ *
+ * Stored events carry the schemaVersion they were written with as `schema_version`, and their
+ * metadata (an empty object when none was given) as `metadata`. Every stored event also carries a
+ * `hash`, computed with hashEvent from lib/hash-chain.js and chained to the hash of the ref's
+ * previous event, which createEventsForRef must store with the event. A caller supplied eventId is
+ * stored as `event_id` and must be unique across the journal. A createdOn date, given when events
+ * are imported, is stored as `created_on` in place of the current time. Version conflicts and
+ * duplicate eventIds must be reported as errors with a code of 409. A direction of "backward"
+ * returns a ref's events from the highest version down.
+ *
+ * The expectedVersion given to createEventsForRef is either omitted, an exact version (0 for a
+ * ref without events) or one of the ExpectedVersion constants, and must be checked with
+ * describeVersionConflict from lib/expected-version.js so that every adapter enforces it, and
+ * describes a failed expectation, the same way.
+ *
+ * When createEventsForRef is called with the outbox option, an outbox entry must be stored for
+ * each event atomically with the event itself. Pending entries are those not yet marked as sent
+ * whose availableOn has passed, returned in position order.
+ *
+ * Data keys are stored as opaque strings, one record per ref. saveDataKey must keep a record that
+ * already exists, including one whose key has been destroyed, and destroyDataKey must clear the
+ * key but keep the record, so that a forgotten ref is never given a new key.
+ *
+ * createEventsForRef must refuse any append to a ref whose latest event is a tombstone (see
+ * lib/tombstone.js) with a code of 410. deleteRef removes every event and snapshot of a ref, and
+ * truncateBefore the events of a ref below a version; both remove the outbox entries of the
+ * events they remove. Positions of removed events are never reused. truncateBefore must keep the
+ * version and hash of the last event it removes as the ref's anchor, returned by getAnchor, so
+ * that the first remaining event can still be checked against the chain; deleteRef removes it.
+ *
+ * Positions must be committed in the order they are assigned. readAll is followed from the last
+ * position seen by watchers, subscriptions and projections, so an event committed after one with
+ * a higher position would never be delivered to them.
+ *
+ * Checkpoints record the position of the last event each projection processed. saveCheckpoint
+ * creates or replaces the checkpoint of a name, and its error, either null or a plain object
+ * describing why the projection stopped, must be returned by getCheckpoint as it was saved. The
+ * position is null until the projection has processed an event (and after it is rebuilt), and
+ * must be returned as null rather than 0, as 0 may be a stored event's position.
+ *
+ */
+const adapterInterface = [
+    'createDatabaseConnection',
+    'closeDatabaseConnection',
+    'createEventForRef',
+    'createEventsForRef',
+    'getEventsForRef',
+    'streamEventsForRef',
+    'getEventsByIds',
+    'getLatestVersionForRef',
+    'readAll',
+    'queryEvents',
+    'watch',
+    'saveSnapshot',
+    'getLatestSnapshot',
+    'getPendingOutboxEntries',
+    'markOutboxEntriesSent',
+    'rescheduleOutboxEntry',
+    'getDataKey',
+    'saveDataKey',
+    'destroyDataKey',
+    'deleteRef',
+    'truncateBefore',
+    'getAnchor',
+    'getCheckpoint',
+    'saveCheckpoint'
+];
+
+/*
+ * List the members of the adapter interface that an adapter (or adapter prototype) is missing.
+ *
+ * @function findMissingAdapterMembers
+ *
+ * @required {Object}  adapter
+ *
+ * @return [{String}]
+ *
+ */
+function findMissingAdapterMembers(adapter) {
+    const missing = adapterInterface.filter(function(method) {
+        return typeof adapter[method] !== 'function';
+    });
+
+    if(!('name' in adapter)) {
+        missing.unshift('name');
+    }
+
+    return missing;
+}
+
+/*
+ * Wrap a connected adapter so that every error it throws or rejects with reaches callers as a
+ * JournalError (see lib/errors.js), with the adapter's error as its cause. Methods are looked up
+ * on the adapter when called. streamEventsForRef returns the adapter's stream as it is; its
+ * errors are converted where the Journal pipes it.
+ *
+ * @function wrapAdapter
+ *
+ * @required {Object}  adapter
+ *
+ * @return {Object}
+ *
+ */
+function wrapAdapter(adapter) {
+    const wrapped = { name: adapter.name };
+
+    adapterInterface.forEach(function(method) {
+        wrapped[method] = function() {
+            const args = arguments;
+
+            if(method === 'streamEventsForRef') {
+                return adapter[method].apply(adapter, args);
+            }
+
+            return Promise.try(() => adapter[method].apply(adapter, args)).catch(function(error) {
+                throw errors.fromError(error);
+            });
+        };
+    });
+
+    return wrapped;
+}
+
+/*
+ * Look up a registered adapter class by name, loading built in adapters on first use so that
+ * their datastore drivers are only required when they are needed.
+ *
+ * @function getAdapterClass
+ *
+ * @required {String}  name
+ *
+ * @return {Function}
+ *
+ */
+function getAdapterClass(name) {
+    let Adapter = adapterRegistry.get(name);
+
+    if(typeof Adapter === 'string') {
+        Adapter = require(Adapter);
+        adapterRegistry.set(name, Adapter);
+    }
+
+    return Adapter;
+}
+
+/*
+ * Ensure an event name and its data can be stored.
+ *
+ * @function validateEvent
+ *
+ * @required {String}  eventName
+ * @optional {Object}  eventData
+ *
+ * @throws {JournalError}
+ *
+ */
+function validateEvent(eventName, eventData) {
+    if(!eventName) {
+        throw new ValidationError("Missing eventName", { eventName: eventName });
+    }
+    else if(typeof eventName !== 'string') {
+        throw new ValidationError("Invalid eventName", { eventName: eventName });
+    }
+    else if(eventName === tombstone.TombstoneEvent) {
+        throw new ValidationError("eventName is reserved", { eventName: eventName });
+    }
+    else if(typeof eventData === 'function') {
+        throw new ValidationError("eventData cannot be a function", { eventData: eventData });
+    }
+    else if(!Array.isArray(eventData) && typeof eventData === 'object' && !_.isPlainObject(eventData)) {
+        throw new ValidationError("eventData cannot be a custom object", { eventData: eventData });
+    }
+}
+
+/*
+ * Ensure optional event metadata is a plain object whose correlationId and causationId, when
+ * present, are strings.
+ *
+ * @function validateMetadata
+ *
+ * @optional {Object}  metadata
+ *
+ * @throws {JournalError}
+ *
+ */
+function validateMetadata(metadata) {
+    if(metadata === undefined) {
+        return;
+    }
+    else if(!_.isPlainObject(metadata)) {
+        throw new ValidationError("metadata must be an object", { metadata: metadata });
+    }
+    else if(metadata.correlationId !== undefined && typeof metadata.correlationId !== 'string') {
+        throw new ValidationError("metadata.correlationId must be a string", { metadata: metadata });
+    }
+    else if(metadata.causationId !== undefined && typeof metadata.causationId !== 'string') {
+        throw new ValidationError("metadata.causationId must be a string", { metadata: metadata });
+    }
+}
+
+/*
+ * Ensure an optional caller supplied eventId is a non-empty string.
+ *
+ * @function validateEventId
+ *
+ * @optional {String}  eventId
+ *
+ * @throws {JournalError}
+ *
+ */
+function validateEventId(eventId) {
+    if(eventId !== undefined && (typeof eventId !== 'string' || !eventId)) {
+        throw new ValidationError("eventId must be a non-empty string", { eventId: eventId });
+    }
+}
+
+/*
+ * Ensure an optional version (or position) argument is a positive integer.
+ *
+ * @function validateVersion
+ *
+ * @required {String}  argumentName - Used to describe the argument in error messages
+ * @optional {Number}  version
+ *
+ * @throws {JournalError}
+ *
+ */
+function validateVersion(argumentName, version) {
+    const args = {};
+    args[argumentName] = version;
+
+    if(version !== undefined && typeof version !== 'number') {
+        throw new ValidationError(`${argumentName} must be a number`, args);
+    }
+    else if(version !== undefined && version < 0) {
+        throw new ValidationError(`${argumentName} must be a positive number`, args);
+    }
+    else if(version !== undefined && parseInt(version) !== version) {
+        throw new ValidationError(`${argumentName} must be an integer`, args);
+    }
+}
+
+/*
+ * Validate event data against the JSON schema registered for its event name. In strict mode an
+ * event name without a registered schema is refused.
+ *
+ * @function validateEventSchema
+ *
+ * @required {Object}  self - The Journal's private data
+ * @required {String}  eventName
+ * @optional {Object}  eventData
+ *
+ * @throws {JournalError}
+ *
+ */
+function validateEventSchema(self, eventName, eventData) {
+    const validate = self.schemas.get(eventName);
+
+    if(!validate) {
+        if(self.config.strictSchemas) {
+            throw new ValidationError(`No schema registered for "${eventName}"`, { eventName: eventName });
+        }
+
+        return;
+    }
+
+    if(!validate(eventData)) {
+        const errors = validate.errors.map(function(error) {
+            const missingProperty = error.params && error.params.missingProperty;
+
+            return {
+                path: missingProperty ? `${error.dataPath}.${missingProperty}` : error.dataPath,
+                message: error.message
+            };
+        });
+
+        throw new ValidationError(`Invalid eventData for "${eventName}"`, {
+            eventName: eventName,
+            errors: errors
+        });
+    }
+}
+
+/*
+ * Get the schema version new events with the given name are written with: one past the highest
+ * version an upcaster has been registered from, or 1.
+ *
+ * @function currentSchemaVersion
+ *
+ * @required {Object}  self - The Journal's private data
+ * @required {String}  eventName
+ *
+ * @return {Number}
+ *
+ */
+function currentSchemaVersion(self, eventName) {
+    const upcasters = self.upcasters.get(eventName);
+
+    return upcasters ? Math.max.apply(null, Array.from(upcasters.keys())) + 1 : 1;
+}
+
+/*
+ * Copy a stored event so that it can be changed without touching the adapter's copy.
+ *
+ * @function copyEvent
+ *
+ * @required {Event}  event
+ *
+ * @return {Event}
+ *
+ */
+function copyEvent(event) {
+    return typeof event.toObject === 'function' ? event.toObject() : _.cloneDeep(event);
+}
+
+/*
+ * Bring stored events up to the latest shape of their payload by applying each registered
+ * upcaster in turn, starting from the schema version the event was stored with. Events that
+ * need no upcasting, or whose payload has been redacted, are returned untouched.
+ *
+ * @function upcastEvents
+ *
+ * @required {Object}  self - The Journal's private data
+ * @required {Array}   events
+ *
+ * @return [{Events}]
+ *
+ */
+function upcastEvents(self, events) {
+    return events.map(function(event) {
+        const upcasters = self.upcasters.get(event.event);
+        let schemaVersion = event.schema_version || 1;
+
+        if(!upcasters || !upcasters.has(schemaVersion) || event.redacted) {
+            return event;
+        }
+
+        const upcasted = copyEvent(event);
+
+        while(upcasters.has(schemaVersion)) {
+            upcasted.payload = upcasters.get(schemaVersion)(upcasted.payload, upcasted);
+            schemaVersion++;
+        }
+
+        upcasted.schema_version = schemaVersion;
+
+        return upcasted;
+    });
+}
+
+/*
+ * Ensure the options of a read of a ref's events describe a valid range.
+ *
+ * @function validateReadOptions
+ *
+ * @optional {Number}  fromVersion
+ * @optional {Number}  toVersion
+ * @optional {Number}  limit
+ * @optional {String}  direction
+ *
+ * @throws {JournalError}
+ *
+ */
+function validateReadOptions(fromVersion, toVersion, limit, direction) {
+    if(limit !== undefined && (typeof limit !== 'number' || limit < 1 || parseInt(limit) !== limit)) {
+        throw new ValidationError("limit must be a positive integer", { limit: limit });
+    }
+    else if(direction !== undefined && direction !== 'forward' && direction !== 'backward') {
+        throw new ValidationError('direction must be "forward" or "backward"', { direction: direction });
+    }
+    else if(fromVersion !== undefined && typeof fromVersion !== 'number') {
+        throw new ValidationError("fromVersion must be a number", { fromVersion: fromVersion });
+    }
+    else if(toVersion !== undefined && typeof toVersion !== 'number') {
+        throw new ValidationError("toVersion must be a number", { toVersion: toVersion });
+    }
+    else if(toVersion !== undefined && fromVersion !== undefined && fromVersion > toVersion) {
+        throw new ValidationError("toVersion is less than fromVersion", { toVersion: toVersion, fromVersion: fromVersion });
+    }
+}
+
+/*
+ * Ensure an optional expected version is either one of the ExpectedVersion constants or a
+ * positive integer.
+ *
+ * @function validateExpectedVersion
+ *
+ * @required {String}         argumentName - Used to describe the argument in error messages
+ * @optional {String|Number}  version
+ *
+ * @throws {JournalError}
+ *
+ */
+function validateExpectedVersion(argumentName, version) {
+    if(!expectedVersion.isExpectedVersionMode(version)) {
+        validateVersion(argumentName, version);
+    }
+}
+
+/*
+ * Turn the position of the last event returned by queryEvents into an opaque cursor.
+ *
+ * @function encodeCursor
+ *
+ * @required {Number}  position
+ *
+ * @return {String}
+ *
+ */
+function encodeCursor(position) {
+    return Buffer.from(JSON.stringify({ position: Number(position) })).toString('base64');
+}
+
+/*
+ * Get the position a cursor returned by queryEvents continues after.
+ *
+ * @function decodeCursor
+ *
+ * @required {String}  cursor
+ *
+ * @return {Number}
+ *
+ * @throws {JournalError}
+ *
+ */
+function decodeCursor(cursor) {
+    let position;
+
+    try {
+        position = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8')).position;
+    }
+    catch(error) {
+        position = undefined;
+    }
+
+    if(typeof position !== 'number' || position < 0 || parseInt(position) !== position) {
+        throw new ValidationError("Invalid cursor", { cursor: cursor });
+    }
+
+    return position;
+}
+
+/*
+ * Ensure an event given to createEventForRef or createEventsForRef, or returned by a beforeAppend
+ * hook, can be stored.
+ *
+ * @function validateNewEvent
+ *
+ * @required {Object}  event - { eventName, eventData, userId, metadata, eventId }
+ *
+ * @throws {JournalError}
+ *
+ */
+function validateNewEvent(event) {
+    if(!_.isPlainObject(event)) {
+        throw new ValidationError("events must be objects", { event: event });
+    }
+
+    validateEventId(event.eventId);
+    validateEvent(event.eventName, event.eventData);
+    validateMetadata(event.metadata);
+}
+
+/*
+ * Run one kind of hook of every middleware, in the order they were added, on an event. A hook
+ * may return a replacement for the event (or a promise of one); returning undefined keeps it.
+ * A hook that throws or rejects stops the chain with a JournalError naming the hook.
+ *
+ * @function runHooks
+ *
+ * @required {Object}  self - The Journal's private data
+ * @required {String}  hookName - beforeAppend, afterAppend or afterRead
+ * @required {Object}  event
+ * @required {Object}  context - { operation, refId }
+ *
+ * @return {Object} The event
+ *
+ */
+const runHooks = Promise.coroutine(function *(self, hookName, event, context) {
+    for(let index = 0; index < self.middleware.length; index++) {
+        const middleware = self.middleware[index];
+
+        if(!middleware[hookName]) {
+            continue;
+        }
+
+        try {
+            const result = yield Promise.resolve(middleware[hookName](event, context));
+
+            if(result !== undefined) {
+                event = result;
+            }
+        }
+        catch(error) {
+            const name = middleware.name || `#${index + 1}`;
+            const message = error && error.message ? error.message : String(error);
+
+            throw errors.createError(error && typeof error.code === 'number' ? error.code : 500, `${hookName} hook of middleware "${name}" failed: ${message}`, {
+                hook: hookName,
+                middleware: name,
+                originalError: error
+            });
+        }
+    }
+
+    return event;
+});
+
+/*
+ * Run the afterAppend or afterRead hooks on each of a list of stored events. Every event is
+ * copied first so that hooks cannot change what the adapter holds.
+ *
+ * @function runHooksOnEvents
+ *
+ * @required {Object}  self - The Journal's private data
+ * @required {String}  hookName
+ * @required {Array}   events
+ * @required {Object}  context - { operation, refId }
+ *
+ * @return [{Events}]
+ *
+ */
+const runHooksOnEvents = Promise.coroutine(function *(self, hookName, events, context) {
+    if(!self.middleware.some((middleware) => middleware[hookName])) {
+        return events;
+    }
+
+    const results = [];
+
+    for(let event of events) {
+        results.push(yield runHooks(self, hookName, copyEvent(event), context));
+    }
+
+    return results;
+});
+
+/*
+ * Turn the events given to an append into the batch handed to the adapter: each event is
+ * validated, passed through the beforeAppend hooks, validated again and checked against its
+ * schema.
+ *
+ * @function prepareBatch
+ *
+ * @required {Object}  self - The Journal's private data
+ * @required {Array}   events - [{ eventName, eventData, userId, metadata, eventId }]
+ * @required {Object}  context - { operation, refId }
+ *
+ * @return [{Object}] [{ eventName, eventData, userId, schemaVersion, metadata, eventId }]
+ *
+ */
+const prepareBatch = Promise.coroutine(function *(self, events, context) {
+    const batch = [];
+
+    events.forEach(validateNewEvent);
+
+    for(let event of events) {
+        event = yield runHooks(self, 'beforeAppend', _.clone(event), context);
+
+        validateNewEvent(event);
+        batch.push(event);
+    }
+
+    const eventIds = _.compact(batch.map((event) => event.eventId));
+
+    if(_.uniq(eventIds).length !== eventIds.length) {
+        throw new ValidationError("eventIds must be unique", { events: batch });
+    }
+
+    batch.forEach((event) => validateEventSchema(self, event.eventName, event.eventData));
+
+    return batch.map((event) => {
+        return {
+            eventName: event.eventName,
+            eventData: event.eventData,
+            userId: event.userId,
+            schemaVersion: currentSchemaVersion(self, event.eventName),
+            metadata: event.metadata,
+            eventId: event.eventId
+        };
+    });
+});
+
+/*
+ * Get the ref a stored event belongs to as a string. Some datastores pad refs or store them as
+ * object ids.
+ *
+ * @function refIdOf
+ *
+ * @required {Event}  event
+ *
+ * @return {String}
+ *
+ */
+function refIdOf(event) {
+    return String(event.ref).trim();
+}
+
+/*
+ * Get the data key of a ref from the key store, creating one when the ref has none yet.
+ *
+ * @function dataKeyFor
+ *
+ * @required {Object}  self - The Journal's private data
+ * @required {String}  refId
+ *
+ * @return {Buffer}
+ *
+ * @throws {JournalError} 410 when the ref has been forgotten
+ *
+ */
+const dataKeyFor = Promise.coroutine(function *(self, refId) {
+    const key = (yield self.keyStore.getKey(refId)) || (yield self.keyStore.createKey(refId));
+
+    if(!key) {
+        throw new JournalError(410, "ref has been forgotten", { refId: refId });
+    }
+
+    return key;
+});
+
+/*
+ * Encrypt the data of every event in a batch with the ref's data key. Batches are returned
+ * untouched when encryption is not enabled or none of their events carry data, such as the
+ * tombstone of a soft delete, so that no data key is created for them.
+ *
+ * @function encryptBatch
+ *
+ * @required {Object}  self - The Journal's private data
+ * @required {String}  refId
+ * @required {Array}   batch
+ *
+ * @return {Array}
+ *
+ */
+const encryptBatch = Promise.coroutine(function *(self, refId, batch) {
+    if(!self.keyStore || batch.every((event) => event.eventData === undefined || event.eventData === null)) {
+        return batch;
+    }
+
+    const key = yield dataKeyFor(self, refId);
+
+    return batch.map(function(event) {
+        if(event.eventData === undefined || event.eventData === null) {
+            return event;
+        }
+
+        return _.assign({}, event, { eventData: encryption.encryptValue(key, event.eventData, String(refId)) });
+    });
+});
+
+/*
+ * Decrypt the payloads of stored events. The payloads of a ref whose data key has been destroyed
+ * are replaced with a redacted placeholder, and the event is marked as redacted.
+ *
+ * @function decryptEvents
+ *
+ * @required {Object}  self - The Journal's private data
+ * @required {Array}   events
+ *
+ * @return [{Events}]
+ *
+ */
+const decryptEvents = Promise.coroutine(function *(self, events) {
+    if(!self.keyStore || !events.some((event) => encryption.isEncrypted(event.payload))) {
+        return events;
+    }
+
+    const keys = new Map();
+
+    for(let event of events) {
+        if(encryption.isEncrypted(event.payload) && !keys.has(refIdOf(event))) {
+            keys.set(refIdOf(event), yield self.keyStore.getKey(refIdOf(event)));
+        }
+    }
+
+    return events.map(function(event) {
+        if(!encryption.isEncrypted(event.payload)) {
+            return event;
+        }
+
+        const key = keys.get(refIdOf(event));
+        const decrypted = copyEvent(event);
+
+        if(!key) {
+            decrypted.payload = { redacted: true };
+            decrypted.redacted = true;
+
+            return decrypted;
+        }
+
+        try {
+            decrypted.payload = encryption.decryptValue(key, event.payload, refIdOf(event));
+        }
+        catch(error) {
+            throw new JournalError(500, "payload could not be decrypted", {
+                refId: refIdOf(event),
+                version: event.version,
+                originalError: error
+            });
+        }
+
+        return decrypted;
+    });
+});
+
+/*
+ * Turn events read from the adapter into the events handed to callers: decrypted, then
+ * upcast.
+ *
+ * @function readStoredEvents
+ *
+ * @required {Object}  self - The Journal's private data
+ * @required {Array}   events
+ *
+ * @return [{Events}]
+ *
+ */
+const readStoredEvents = Promise.coroutine(function *(self, events) {
+    return upcastEvents(self, yield decryptEvents(self, events));
+});
+
+/*
+ * Encrypt the state of a snapshot with the ref's data key, when encryption is enabled.
+ *
+ * @function encryptState
+ *
+ * @required {Object}  self - The Journal's private data
+ * @required {String}  refId
+ * @optional {Object}  state
+ *
+ * @return {Object}
+ *
+ */
+const encryptState = Promise.coroutine(function *(self, refId, state) {
+    if(!self.keyStore || state === undefined || state === null) {
+        return state;
+    }
+
+    return encryption.encryptValue(yield dataKeyFor(self, refId), state, String(refId));
+});
+
+/*
+ * Decrypt the state of a stored snapshot. A snapshot of a ref whose data key has been destroyed
+ * cannot be used, so null is returned for it instead.
+ *
+ * @function decryptSnapshot
+ *
+ * @required {Object}    self - The Journal's private data
+ * @optional {Snapshot}  snapshot
+ *
+ * @return {Snapshot}
+ *
+ */
+const decryptSnapshot = Promise.coroutine(function *(self, snapshot) {
+    if(!self.keyStore || !snapshot || !encryption.isEncrypted(snapshot.state)) {
+        return snapshot;
+    }
+
+    const key = yield self.keyStore.getKey(refIdOf(snapshot));
+
+    if(!key) {
+        return null;
+    }
+
+    try {
+        return _.assign({}, snapshot, { state: encryption.decryptValue(key, snapshot.state, refIdOf(snapshot)) });
+    }
+    catch(error) {
+        throw new JournalError(500, "snapshot could not be decrypted", {
+            refId: refIdOf(snapshot),
+            version: snapshot.version,
+            originalError: error
+        });
+    }
+});
+
+/*
+ * Compare a stored payload with the data of a new event the way it would be stored, so that
+ * undefined data matches a null payload.
+ *
+ * @function isSamePayload
+ *
+ * @optional {Object}  payload
+ * @optional {Object}  eventData
+ *
+ * @return {Boolean}
+ *
+ */
+function isSamePayload(payload, eventData) {
+    const normalize = (value) => value === undefined || value === null ? null : JSON.parse(JSON.stringify(value));
+
+    return _.isEqual(normalize(payload), normalize(eventData));
+}
+
+/*
+ * Work out whether a batch refused by the adapter with a 409 is the retry of an append that was
+ * already stored. That is the case when every event in the batch carries an eventId that is
+ * stored for the same ref, with the same event name and payload, in which case the stored events
+ * are returned. An eventId that is stored for a different event is an error; anything else is
+ * not a retry and resolves to null.
+ *
+ * @function findRetriedEvents
+ *
+ * @required {Object}  self - The Journal's private data
+ * @required {String}  refId
+ * @required {Array}   batch - [{ eventName, eventData, eventId }]
+ *
+ * @return [{Events}]
+ *
+ */
+const findRetriedEvents = Promise.coroutine(function *(self, refId, batch) {
+    const eventIds = _.compact(batch.map((event) => event.eventId));
+
+    if(!eventIds.length) {
+        return null;
+    }
+
+    const storedEvents = new Map();
+
+    (yield decryptEvents(self, yield self.adapter.getEventsByIds(eventIds))).forEach(function(storedEvent) {
+        storedEvents.set(storedEvent.event_id, storedEvent);
+    });
+
+    const mismatch = _.find(batch, function(event) {
+        const storedEvent = storedEvents.get(event.eventId);
+
+        return storedEvent && (
+            refIdOf(storedEvent) !== String(refId) ||
+            storedEvent.event !== event.eventName ||
+            !isSamePayload(storedEvent.payload, event.eventData)
+        );
+    });
+
+    if(mismatch) {
+        throw new JournalError(422, "eventId has already been used for a different event", {
+            eventId: mismatch.eventId,
+            event: storedEvents.get(mismatch.eventId)
+        });
+    }
+
+    if(!batch.every((event) => storedEvents.has(event.eventId))) {
+        return null;
+    }
+
+    return batch.map((event) => storedEvents.get(event.eventId));
+});
+
+/*
+ * Store a batch of events through the adapter. When the adapter refuses the batch with a 409 and
+ * it turns out to be a retry of an append that was already stored, the stored events are
+ * returned instead of the error. In outbox mode the adapter stores an outbox entry with each event.
+ * With encryption enabled the payloads are encrypted on the way in and the stored events are
+ * returned decrypted. An adapter refusing to append to a deleted ref is reported as a 410.
+ *
+ * @function appendEvents
+ *
+ * @required {Object}  self - The Journal's private data
+ * @required {String}  refId
+ * @required {Array}   batch
+ * @optional {Number}  expectedVersion
+ * @optional {Object}  options - { outbox }, defaults to the Journal's outbox setting
+ *
+ * @return [{Events}]
+ *
+ */
+const appendEvents = Promise.coroutine(function *(self, refId, batch, expectedVersion, options) {
+    const outbox = options ? options.outbox : self.config.outbox;
+    let storedEvents;
+
+    try {
+        storedEvents = yield self.adapter.createEventsForRef(refId, yield encryptBatch(self, refId, batch), expectedVersion, { outbox: outbox });
+    }
+    catch(error) {
+        const retriedEvents = error.code === 409 ? yield findRetriedEvents(self, refId, batch) : null;
+
+        if(!retriedEvents) {
+            throw error;
+        }
+
+        return retriedEvents;
+    }
+
+    return yield decryptEvents(self, storedEvents);
+});
+
+/*
+ * Turn a stored event into a line of the export format described in lib/ndjson.js.
+ *
+ * @function toExportRecord
+ *
+ * @required {Event}  event - Decrypted
+ *
+ * @return {Object}
+ *
+ */
+function toExportRecord(event) {
+    return {
+        type: 'event',
+        ref: refIdOf(event),
+        version: Number(event.version),
+        position: Number(event.position),
+        event: event.event,
+        payload: event.payload === undefined ? null : event.payload,
+        initiated_by: event.initiated_by || null,
+        schema_version: event.schema_version || 1,
+        metadata: event.metadata || {},
+        event_id: event.event_id || null,
+        created_on: new Date(event.created_on).toISOString()
+    };
+}
+
+/*
+ * Ensure a line read from an export describes an event that can be imported.
+ *
+ * @function validateImportRecord
+ *
+ * @optional {Object}  record
+ * @required {Number}  lineNumber
+ *
+ * @throws {JournalError}
+ *
+ */
+function validateImportRecord(record, lineNumber) {
+    const invalid = function(field) {
+        return new ValidationError(`Invalid ${field} on line ${lineNumber}`, { line: lineNumber, record: record });
+    };
+
+    if(!_.isPlainObject(record) || record.type !== 'event') {
+        throw invalid('record');
+    }
+    else if(!record.ref || typeof record.ref !== 'string') {
+        throw invalid('ref');
+    }
+    else if(typeof record.version !== 'number' || record.version < 1 || parseInt(record.version) !== record.version) {
+        throw invalid('version');
+    }
+    else if(!record.event || typeof record.event !== 'string') {
+        throw invalid('event');
+    }
+    else if(typeof record.created_on !== 'string' || isNaN(new Date(record.created_on).getTime())) {
+        throw invalid('created_on');
+    }
+    else if(record.metadata !== undefined && record.metadata !== null && !_.isPlainObject(record.metadata)) {
+        throw invalid('metadata');
+    }
+    else if(record.event_id !== undefined && record.event_id !== null && (typeof record.event_id !== 'string' || !record.event_id)) {
+        throw invalid('event_id');
+    }
+}
+
+/*
+ * Read stored events a page at a time for an export, either across the whole journal in
+ * position order or ref by ref, and hand each page to onPage decrypted but otherwise as stored.
+ *
+ * @function exportEvents
+ *
+ * @required {Object}    self - The Journal's private data
+ * @required {Object}    query - { refs, from, to, afterPosition, batchSize }
+ * @required {Function}  onPage - Called with each non-empty page, may return a promise
+ *
+ * @return {undefined}
+ *
+ */
+const exportEvents = Promise.coroutine(function *(self, query, onPage) {
+    const inWindow = (event) => (!query.from || new Date(event.created_on) >= query.from) &&
+        (!query.to || new Date(event.created_on) < query.to);
+    let events;
+
+    if(query.refs) {
+        for(let refId of query.refs) {
+            let fromVersion = 1;
+
+            do {
+                events = yield self.adapter.getEventsForRef(refId, fromVersion, undefined, query.batchSize);
+
+                if(events.length) {
+                    fromVersion = Number(events[events.length - 1].version) + 1;
+                }
+
+                if(events.some(inWindow)) {
+                    yield onPage(yield decryptEvents(self, events.filter(inWindow)));
+                }
+            } while(events.length === query.batchSize);
+        }
+
+        return;
+    }
+
+    let afterPosition = query.afterPosition || 0;
+
+    do {
+        events = yield self.adapter.queryEvents({
+            from: query.from,
+            to: query.to,
+            afterPosition: afterPosition,
+            limit: query.batchSize
+        });
+
+        if(events.length) {
+            afterPosition = Number(events[events.length - 1].position);
+
+            yield onPage(yield decryptEvents(self, events));
+        }
+    } while(events.length === query.batchSize);
+});
+
+/*
+ * Store imported events as they were exported, keeping their versions, created_on, initiated_by
+ * and eventIds. Consecutive records of the same ref are appended together, expecting the ref to
+ * be just before the first of them. With onConflict "skip", records for versions the ref already
+ * has are left out instead of failing with a version conflict, so an import can be run again.
+ * Imported events are not added to the outbox. A ref without events cannot be started past
+ * version 1, as the history of a truncated ref is only kept in a snapshot, which is not exported.
+ *
+ * @function importRecords
+ *
+ * @required {Object}  self - The Journal's private data
+ * @required {Array}   records - Validated export records
+ * @required {String}  onConflict - "error" or "skip"
+ *
+ * @return {Object} { imported, skipped }
+ *
+ * @throws {ValidationError} When the records of a ref without events start past version 1
+ *
+ */
+const importRecords = Promise.coroutine(function *(self, records, onConflict) {
+    const result = { imported: 0, skipped: 0 };
+    const runs = [];
+
+    records.forEach(function(record) {
+        const run = runs[runs.length - 1];
+
+        if(run && run.refId === record.ref) {
+            run.records.push(record);
+        }
+        else {
+            runs.push({ refId: record.ref, records: [record] });
+        }
+    });
+
+    for(let run of runs) {
+        let pending = run.records;
+        let latestVersion = null;
+
+        if(onConflict === 'skip') {
+            latestVersion = yield self.adapter.getLatestVersionForRef(run.refId);
+
+            pending = pending.filter((record) => record.version > latestVersion);
+            result.skipped += run.records.length - pending.length;
+        }
+
+        if(!pending.length) {
+            continue;
+        }
+        else if(!pending.every((record, index) => record.version === pending[0].version + index)) {
+            throw new ValidationError("The versions of a ref must be consecutive", { refId: run.refId });
+        }
+
+        if(pending[0].version > 1 && latestVersion === null) {
+            latestVersion = yield self.adapter.getLatestVersionForRef(run.refId);
+        }
+
+        if(pending[0].version > 1 && latestVersion === 0) {
+            throw new ValidationError("A truncated ref cannot be imported", {
+                refId: run.refId,
+                firstVersion: pending[0].version
+            });
+        }
+
+        const batch = pending.map(function(record) {
+            return {
+                eventName: record.event,
+                eventData: record.payload === undefined ? null : record.payload,
+                userId: record.initiated_by || undefined,
+                schemaVersion: record.schema_version || 1,
+                metadata: record.metadata || {},
+                eventId: record.event_id || undefined,
+                createdOn: new Date(record.created_on)
+            };
+        });
+
+        yield appendEvents(self, run.refId, batch, pending[0].version - 1, { outbox: false });
+        result.imported += pending.length;
+    }
+
+    return result;
+});
+
+/*
+ * Count the stored events of each ref and find its first and latest versions by reading the
+ * whole journal a page at a time.
+ *
+ * @function countEventsByRef
+ *
+ * @required {Object}  self - The Journal's private data
+ * @required {Number}  batchSize
+ * @optional {Map}     only - When given, refs that are not keys of it are left out
+ *
+ * @return {Map} refId => { events, firstVersion, latestVersion }
+ *
+ */
+const countEventsByRef = Promise.coroutine(function *(self, batchSize, only) {
+    const counts = new Map();
+    let fromPosition = 0;
+    let events;
+
+    do {
+        events = yield self.adapter.readAll(fromPosition, batchSize);
+
+        events.forEach(function(event) {
+            const refId = refIdOf(event);
+            const count = counts.get(refId) || { events: 0, firstVersion: Infinity, latestVersion: 0 };
+
+            if(!only || only.has(refId)) {
+                count.events++;
+                count.firstVersion = Math.min(count.firstVersion, Number(event.version));
+                count.latestVersion = Math.max(count.latestVersion, Number(event.version));
+                counts.set(refId, count);
+            }
+        });
+
+        if(events.length) {
+            fromPosition = Number(events[events.length - 1].position) + 1;
+        }
+    } while(events.length === batchSize);
+
+    return counts;
+});
+
+/*
+ * Check the hash chain of a batch of stored events, in order, against the last event already
+ * checked in each ref. A ref's first stored event is checked against the anchor its truncation
+ * left, if it does not start at version 1.
+ *
+ * @function checkHashChains
+ *
+ * @required {Object}   adapter
+ * @required {[Event]}  events
+ * @required {Map}      lastEvents - The last event checked in each ref, updated as it goes
+ * @required {Object}   result - { events, ok, brokenLink }, updated as it goes
+ *
+ * @return {Boolean} Whether every link held
+ *
+ */
+const checkHashChains = Promise.coroutine(function*(adapter, events, lastEvents, result) {
+    for(let event of events) {
+        const refId = refIdOf(event);
+        const previousEvent = lastEvents.get(refId);
+        const anchor = !previousEvent && Number(event.version) > 1 ? yield adapter.getAnchor(refId) : null;
+
+        result.events++;
+        result.brokenLink = hashChain.findBrokenLink(previousEvent, event, anchor);
+
+        if(result.brokenLink) {
+            result.ok = false;
+
+            return false;
+        }
+
+        lastEvents.set(refId, { hash: event.hash });
+    }
+
+    return true;
+});
+
+/*
+ * Copy every event of one Journal into another, a batch at a time in position order. After each
+ * batch the position of its last event is passed to onCheckpoint; passing that position back in
+ * as the checkpoint resumes the copy after it. Events the target already has are skipped, so a
+ * batch that was partly copied before an interruption is safe to copy again. A source with a
+ * truncated ref is refused before anything is copied, as the ref's history could not be imported.
+ * Once every event has been copied, the event count and latest version of each of the source's
+ * refs are checked against the target.
+ *
+ * @function migrateJournal
+ *
+ * @required {Object}  source - The source Journal's private data
+ * @required {Object}  target - The target Journal's private data
+ * @required {Object}  options - { batchSize, checkpoint, onCheckpoint }
+ *
+ * @return {Object} { imported, skipped, checkpoint, refs }
+ *
+ * @throws {ValidationError} When the source has a truncated ref
+ * @throws {JournalError} 409 when the target does not match the source once copied
+ *
+ */
+const migrateJournal = Promise.coroutine(function *(source, target, options) {
+    const result = { imported: 0, skipped: 0, checkpoint: options.checkpoint, refs: 0 };
+    const truncatedRefs = [];
+
+    (yield countEventsByRef(source, options.batchSize)).forEach(function(count, refId) {
+        if(count.firstVersion > 1) {
+            truncatedRefs.push({ refId: refId, firstVersion: count.firstVersion });
+        }
+    });
+
+    if(truncatedRefs.length) {
+        throw new ValidationError("A truncated ref cannot be imported", { refs: truncatedRefs });
+    }
+
+    yield exportEvents(source, { afterPosition: options.checkpoint, batchSize: options.batchSize }, Promise.coroutine(function *(events) {
+        const imported = yield importRecords(target, events.map(toExportRecord), 'skip');
+
+        result.imported += imported.imported;
+        result.skipped += imported.skipped;
+        result.checkpoint = Number(events[events.length - 1].position);
+
+        if(options.onCheckpoint) {
+            yield Promise.resolve(options.onCheckpoint(result.checkpoint));
+        }
+    }));
+
+    const sourceCounts = yield countEventsByRef(source, options.batchSize);
+    const targetCounts = yield countEventsByRef(target, options.batchSize, sourceCounts);
+    const mismatches = [];
+
+    sourceCounts.forEach(function(expected, refId) {
+        const actual = targetCounts.get(refId) || { events: 0, latestVersion: 0 };
+
+        if(actual.events !== expected.events || actual.latestVersion !== expected.latestVersion) {
+            mismatches.push({
+                refId: refId,
+                source: _.pick(expected, ['events', 'latestVersion']),
+                target: _.pick(actual, ['events', 'latestVersion'])
+            });
+        }
+    });
+
+    if(mismatches.length) {
+        throw new JournalError(409, "The target does not match the source", { mismatches: mismatches });
+    }
+
+    result.refs = sourceCounts.size;
+
+    return result;
+});
+
+/*
+ * A Journal is an object meant to act as a manager for Event Sourcing. It can
+ * be used with multiple datastores, including MongoDB, PostgreSQL, SQLite, or
+ * an in memory adapter.
+ *
+ * @class Journal
+ *
+ */
+class Journal {
+    constructor(options) {
+        const defaults = {
+            adapterName: 'memory',
+            dbConnectionOptions: null,
+            snapshotEvery: null,
+            strictSchemas: false,
+            outbox: false,
+            encryption: null
+        };
+
+        const config = _.merge({}, defaults, options);
+        const self = {
+            config: config,
+            subscriptions: new Set(),
+            relays: new Set(),
+            projections: new Map(),
+            projectionRunner: null,
+            ajv: new Ajv({ allErrors: true }),
+            schemas: new Map(),
+            upcasters: new Map(),
+            middleware: []
+        };
+
+        privateData.set(this, self);
+
+        this.initializePublicMethods();
+    }
+
+    get adapter() {
+        return privateData.get(this).connectedAdapter;
+    }
+
+    get adapterName() {
+        return privateData.get(this).config.adapterName;
+    }
+
+    get dbConnectionOptions() {
+        return privateData.get(this).config.dbConnectionOptions;
+    }
+
+    get snapshotEvery() {
+        return privateData.get(this).config.snapshotEvery;
+    }
+
+    get strictSchemas() {
+        return privateData.get(this).config.strictSchemas;
+    }
+
+    get outbox() {
+        return privateData.get(this).config.outbox;
+    }
+
+    /*
+     * Wrap class methods in Bluebird couroutines as we cannot define dynamic methods when
+     * creating a class.
+     *
+     * @method initializePublicMethods
+     *
+     * @return {this};
+     *
+     */
+
+    initializePublicMethods() {
+        this.createClient = Promise.coroutine(this.createClient);
+        this.destroyClient = Promise.coroutine(this.destroyClient);
+        this.createEventForRef = Promise.coroutine(this.createEventForRef);
+        this.createEventsForRef = Promise.coroutine(this.createEventsForRef);
+        this.getEventsForRef = Promise.coroutine(this.getEventsForRef);
+        this.readAll = Promise.coroutine(this.readAll);
+        this.queryEvents = Promise.coroutine(this.queryEvents);
+        this.subscribe = Promise.coroutine(this.subscribe);
+        this.createOutboxRelay = Promise.coroutine(this.createOutboxRelay);
+        this.startProjections = Promise.coroutine(this.startProjections);
+        this.forgetRef = Promise.coroutine(this.forgetRef);
+        this.deleteRef = Promise.coroutine(this.deleteRef);
+        this.truncateBefore = Promise.coroutine(this.truncateBefore);
+        this.verifyRef = Promise.coroutine(this.verifyRef);
+        this.verifyAll = Promise.coroutine(this.verifyAll);
+        this.exportTo = Promise.coroutine(this.exportTo);
+        this.importFrom = Promise.coroutine(this.importFrom);
+        this.saveSnapshot = Promise.coroutine(this.saveSnapshot);
+        this.getLatestSnapshot = Promise.coroutine(this.getLatestSnapshot);
+        this.loadRef = Promise.coroutine(this.loadRef);
+        this.rehydrate = Promise.coroutine(this.rehydrate);
+
+        return this;
+    }
+
+    /*
+     * The expectations that may be passed as the expectedVersion of an append instead of an
+     * exact version: ExpectedVersion.Any, ExpectedVersion.NoStream and
+     * ExpectedVersion.StreamExists.
+     *
+     * @property ExpectedVersion
+     * @static
+     *
+     * @return {Object}
+     *
+     */
+
+    static get ExpectedVersion() {
+        return expectedVersion.ExpectedVersion;
+    }
+
+    /*
+     * The name of the event appended to a ref when it is soft deleted. It is reserved, so events
+     * with this name cannot be created directly.
+     *
+     * @property TombstoneEvent
+     * @static
+     *
+     * @return {String}
+     *
+     */
+
+    static get TombstoneEvent() {
+        return tombstone.TombstoneEvent;
+    }
+
+    /*
+     * The base class of every error the Journal throws, with a `code`, the `arguments` it was
+     * thrown with, the `cause` it wraps (or null) and a `retryable` flag.
+     *
+     * @property JournalError
+     * @static
+     *
+     * @return {Function}
+     *
+     */
+
+    static get JournalError() {
+        return JournalError;
+    }
+
+    /*
+     * Thrown with code 400 when an argument, option or event is invalid. Not retryable.
+     *
+     * @property ValidationError
+     * @static
+     *
+     * @return {Function}
+     *
+     */
+
+    static get ValidationError() {
+        return ValidationError;
+    }
+
+    /*
+     * Thrown with code 404 when what a call refers to does not exist. Not retryable.
+     *
+     * @property NotFoundError
+     * @static
+     *
+     * @return {Function}
+     *
+     */
+
+    static get NotFoundError() {
+        return NotFoundError;
+    }
+
+    /*
+     * Thrown with code 409 when a ref was appended to since its version was read, or an eventId
+     * was used concurrently. Retryable once the ref has been read again.
+     *
+     * @property ConcurrencyError
+     * @static
+     *
+     * @return {Function}
+     *
+     */
+
+    static get ConcurrencyError() {
+        return ConcurrencyError;
+    }
+
+    /*
+     * Thrown with code 502 when the datastore cannot be reached. Retryable.
+     *
+     * @property ConnectionError
+     * @static
+     *
+     * @return {Function}
+     *
+     */
+
+    static get ConnectionError() {
+        return ConnectionError;
+    }
+
+    /*
+     * Thrown with code 500 when a call is made before the client has been created. Not retryable.
+     *
+     * @property NotInitializedError
+     * @static
+     *
+     * @return {Function}
+     *
+     */
+
+    static get NotInitializedError() {
+        return NotInitializedError;
+    }
+
+    /*
+     * Derive the metadata for an event written in response to another event. The new event
+     * shares the triggering event's correlationId (or is correlated to the triggering event
+     * itself when it has none) and is caused by the triggering event. Derived metadata must not
+     * depend on position, because importFrom and migrate reassign positions, so the triggering
+     * event is identified by its eventId. Its position is only used when it was stored without an
+     * eventId. Any headers given are merged in.
+     *
+     * @method deriveMetadata
+     * @static
+     *
+     * @required {Event}   event - The event that triggered the new one
+     * @optional {Object}  headers
+     *
+     * @return {Object}
+     *
+     */
+
+    static deriveMetadata(event, headers) {
+        if(!event || typeof event !== 'object') {
+            throw new ValidationError("event must be an object", { event: event });
+        }
+
+        const eventId = event.event_id ? String(event.event_id) : String(event.position);
+        const metadata = event.metadata || {};
+
+        return _.assign({}, headers, {
+            correlationId: metadata.correlationId || eventId,
+            causationId: eventId
+        });
+    }
+
+    /*
+     * Make an adapter available to every Journal under the given name. The adapter class is
+     * checked against the adapter interface when it is registered.
+     *
+     * @method registerAdapter
+     * @static
+     *
+     * @required {String}    name
+     * @required {Function}  AdapterClass
+     *
+     * @return {Journal}
+     *
+     */
+
+    static registerAdapter(name, AdapterClass) {
+        if(!name || typeof name !== 'string') {
+            throw new ValidationError("Adapter name must be a non-empty string", { name: name });
+        }
+        else if(typeof AdapterClass !== 'function') {
+            throw new ValidationError(`"${name}" must be registered with an adapter class`, { name: name });
+        }
+
+        const missing = findMissingAdapterMembers(AdapterClass.prototype);
+
+        if(missing.length) {
+            throw new ValidationError(`"${name}" does not implement the adapter interface. Missing: ${missing.join(', ')}`, {
+                name: name,
+                missing: missing
+            });
+        }
+
+        adapterRegistry.set(name.toLowerCase(), AdapterClass);
+
+        return this;
+    }
+
+    /*
+     * The names of the methods every adapter must implement, in addition to a `name` getter.
+     *
+     * @property adapterInterface
+     * @static
+     *
+     * @return [{String}]
+     *
+     */
+
+    static get adapterInterface() {
+        return adapterInterface.slice();
+    }
+
+    /*
+     * Copy every event of one Journal into another, for example to move a journal to a
+     * different adapter. Events are copied a batch at a time in the order they were stored, keeping
+     * their versions, created_on, initiated_by and eventIds. After each batch onCheckpoint is
+     * called with the position of the last event copied; pass it back in as checkpoint to resume
+     * an interrupted migration. Events the target already has are skipped. Once the copy is done,
+     * the number of events and latest version of every ref are compared between the two. A source
+     * with a ref whose history was truncated is refused before anything is copied, as snapshots
+     * are not copied and the ref could not be started from its first remaining version.
+     *
+     * @method migrate
+     * @static
+     *
+     * @required {Journal}   source
+     * @required {Journal}   target
+     * @optional {Object}    options
+     * @optional {Number}    options.batchSize - Defaults to 100
+     * @optional {Number}    options.checkpoint - The position to resume after, defaults to 0
+     * @optional {Function}  options.onCheckpoint - Called with each new checkpoint, may return a promise
+     *
+     * @return {Promise} { imported, skipped, checkpoint, refs }
+     *
+     */
+
+    static migrate(source, target, options) {
+        options = options || {};
+
+        const batchSize = options.batchSize !== undefined ? options.batchSize : defaultReadLimit;
+        const checkpoint = options.checkpoint !== undefined ? options.checkpoint : 0;
+
+        return Promise.try(() => {
+            if(!(source instanceof Journal) || !(target instanceof Journal)) {
+                throw new ValidationError("source and target must be Journals");
+            }
+            else if(source === target) {
+                throw new ValidationError("source and target must be different Journals");
+            }
+            else if(!source.initialized || !target.initialized) {
+                throw new NotInitializedError();
+            }
+            else if(typeof batchSize !== 'number' || batchSize < 1 || parseInt(batchSize) !== batchSize) {
+                throw new ValidationError("batchSize must be a positive integer", { batchSize: batchSize });
+            }
+            else if(options.onCheckpoint !== undefined && typeof options.onCheckpoint !== 'function') {
+                throw new ValidationError("onCheckpoint must be a function", { onCheckpoint: options.onCheckpoint });
+            }
+
+            validateVersion('checkpoint', checkpoint);
+
+            return migrateJournal(privateData.get(source), privateData.get(target), {
+                batchSize: batchSize,
+                checkpoint: checkpoint,
+                onCheckpoint: options.onCheckpoint
+            });
+        });
+    }
+
+    /*
+     * Add middleware whose hooks run around appends and reads, after any middleware added before
+     * it. Each hook is called as hook(event, context), where context is { operation, refId }, and
+     * may return a replacement event, or a promise of one, or throw to reject the operation:
+     *
+     *  - beforeAppend receives each new event as { eventName, eventData, userId, metadata,
+     *    eventId } before it is validated against its schema and stored
+     *  - afterAppend receives each stored event before it is returned
+     *  - afterRead receives each event read by getEventsForRef, streamEventsForRef, readAll and
+     *    queryEvents, after upcasting
+     *
+     * Errors thrown by a hook surface as JournalErrors naming the hook and the middleware, which
+     * may be given a name for that purpose. They keep the thrown error's code when it has one.
+     *
+     * @method use
+     *
+     * @required {Object}    middleware
+     * @optional {String}    middleware.name
+     * @optional {Function}  middleware.beforeAppend
+     * @optional {Function}  middleware.afterAppend
+     * @optional {Function}  middleware.afterRead
+     *
+     * @return {this}
+     *
+     */
+
+    use(middleware) {
+        const hookNames = ['beforeAppend', 'afterAppend', 'afterRead'];
+
+        if(!_.isPlainObject(middleware)) {
+            throw new ValidationError("middleware must be an object", { middleware: middleware });
+        }
+        else if(!hookNames.some((hookName) => middleware[hookName] !== undefined)) {
+            throw new ValidationError("middleware must have a beforeAppend, afterAppend or afterRead hook", { middleware: middleware });
+        }
+        else if(hookNames.some((hookName) => middleware[hookName] !== undefined && typeof middleware[hookName] !== 'function')) {
+            throw new ValidationError("middleware hooks must be functions", { middleware: middleware });
+        }
+
+        privateData.get(this).middleware.push(middleware);
+
+        return this;
+    }
+
+    /*
+     * Register a JSON schema that the eventData of every new event with the given name must
+     * match. Registering a schema for a name that already has one replaces it.
+     *
+     * @method registerEventSchema
+     *
+     * @required {String}  eventName
+     * @required {Object}  jsonSchema
+     *
+     * @return {this}
+     *
+     */
+
+    registerEventSchema(eventName, jsonSchema) {
+        const self = privateData.get(this);
+
+        if(!eventName || typeof eventName !== 'string') {
+            throw new ValidationError("Invalid eventName", { eventName: eventName });
+        }
+        else if(!_.isPlainObject(jsonSchema) && typeof jsonSchema !== 'boolean') {
+            throw new ValidationError("jsonSchema must be an object", { jsonSchema: jsonSchema });
+        }
+
+        try {
+            self.schemas.set(eventName, self.ajv.compile(jsonSchema));
+        }
+        catch(error) {
+            throw new ValidationError(`Invalid schema for "${eventName}": ${error.message}`, {
+                eventName: eventName,
+                jsonSchema: jsonSchema
+            }, error);
+        }
+
+        return this;
+    }
+
+    /*
+     * Register a function that converts the payload of an event stored at fromSchemaVersion into
+     * the shape of fromSchemaVersion + 1, as upcaster(payload, event). Upcasters are chained and
+     * applied to every event that is read, so consumers only see the latest shape. New events are
+     * stored with the schema version after the highest registered upcaster.
+     *
+     * @method registerUpcaster
+     *
+     * @required {String}    eventName
+     * @required {Number}    fromSchemaVersion
+     * @required {Function}  upcaster
+     *
+     * @return {this}
+     *
+     */
+
+    registerUpcaster(eventName, fromSchemaVersion, upcaster) {
+        const upcasters = privateData.get(this).upcasters;
+
+        if(!eventName || typeof eventName !== 'string') {
+            throw new ValidationError("Invalid eventName", { eventName: eventName });
+        }
+        else if(typeof fromSchemaVersion !== 'number' || fromSchemaVersion < 1 || parseInt(fromSchemaVersion) !== fromSchemaVersion) {
+            throw new ValidationError("fromSchemaVersion must be a positive integer", { fromSchemaVersion: fromSchemaVersion });
+        }
+        else if(typeof upcaster !== 'function') {
+            throw new ValidationError("upcaster must be a function", { upcaster: upcaster });
+        }
+
+        if(!upcasters.has(eventName)) {
+            upcasters.set(eventName, new Map());
+        }
+
+        upcasters.get(eventName).set(fromSchemaVersion, upcaster);
+
+        return this;
+    }
+
+    /*
+     * Register a named projection: a set of handlers, keyed by event name, that build a read model
+     * from the journal's events. Handlers are called with one event at a time, in position order,
+     * and may return a promise. Events without a handler are skipped. The optional reset function
+     * is called to clear the read model before the projection is rebuilt. Projections are run by
+     * startProjections.
+     *
+     * @method registerProjection
+     *
+     * @required {String}    name
+     * @required {Object}    definition
+     * @required {Object}    definition.handlers - { eventName: handler(event) }
+     * @optional {Function}  definition.reset
+     *
+     * @return {this}
+     *
+     */
+
+    registerProjection(name, definition) {
+        const self = privateData.get(this);
+
+        if(!name || typeof name !== 'string') {
+            throw new ValidationError("Invalid projection name", { name: name });
+        }
+        else if(!_.isPlainObject(definition) || !_.isPlainObject(definition.handlers) || _.isEmpty(definition.handlers)) {
+            throw new ValidationError("handlers must be an object of event names and functions", { definition: definition });
+        }
+        else if(_.some(definition.handlers, (handler) => typeof handler !== 'function')) {
+            throw new ValidationError("handlers must be functions", { definition: definition });
+        }
+        else if(definition.reset !== undefined && typeof definition.reset !== 'function') {
+            throw new ValidationError("reset must be a function", { reset: definition.reset });
+        }
+        else if(self.projections.has(name)) {
+            throw new JournalError(409, "A projection with that name is already registered", { name: name });
+        }
+        else if(self.projectionRunner) {
+            throw new JournalError(409, "Projections cannot be registered while they are running", { name: name });
+        }
+
+        self.projections.set(name, {
+            handlers: _.clone(definition.handlers),
+            reset: definition.reset
+        });
+
+        return this;
+    }
+
+    /*
+     * Instantiate an instance of the specified adapater, and create a connection to it's
+     * underlying datastore. An adapter instance may be passed instead of a registered name. When
+     * the Journal was created with encryption options, payloads are encrypted with data keys from
+     * encryption.keyStore, or from keys kept through the adapter and wrapped with
+     * encryption.masterKey (32 bytes, as a Buffer or base64) when no key store is given.
+     *
+     * @method createClient
+     *
+     * @optional {String|Object}  The name of the adapter you wish to use, or an adapter instance.
+     * @optional {Object}         An object of connection properties, specific to the adapter you are using.
+     *
+     * @return {this}
+     *
+     */
+
+    *createClient(adapter, dbConnectionOptions) {
+        let errorMessage;
+        let adapterInstance;
+
+        adapter = adapter || privateData.get(this).config.adapterName;
+        dbConnectionOptions = dbConnectionOptions || privateData.get(this).config.dbConnectionOptions;
+
+        if(typeof adapter === 'string') {
+            adapter = adapter.toLowerCase();
+        }
+
+        if(typeof adapter === 'object') {
+            const missing = findMissingAdapterMembers(adapter);
+
+            if(missing.length) {
+                errorMessage = `Adapter does not implement the adapter interface. Missing: ${missing.join(', ')}`;
+
+                throw new ValidationError(errorMessage, { missing: missing });
+            }
+
+            adapterInstance = adapter;
+        }
+        else if (!adapterRegistry.has(adapter)) {
+            const adapters = Array.from(adapterRegistry.keys()).join(', ');
+            errorMessage = `"${adapter}" is an invalid adapter. Please use one of "${adapters}"`;
+
+            throw new ValidationError(errorMessage, { adapter: adapter });
+        }
+
+        if(privateData.get(this).adapter) {
+            errorMessage = `"${privateData.get(this).adapter.name}" has already been initialized"`;
+
+            throw new JournalError(409, errorMessage, { adapter: privateData.get(this).adapter.name });
+        }
+
+        const encryptionOptions = privateData.get(this).config.encryption;
+        const keyStore = encryptionOptions ? encryptionOptions.keyStore : undefined;
+        const masterKey = encryptionOptions && typeof encryptionOptions.masterKey === 'string' ?
+            Buffer.from(encryptionOptions.masterKey, 'base64') :
+            encryptionOptions && encryptionOptions.masterKey;
+
+        if(keyStore && ['getKey', 'createKey', 'destroyKey'].some((method) => typeof keyStore[method] !== 'function')) {
+            throw new ValidationError("encryption.keyStore must implement getKey, createKey and destroyKey");
+        }
+        else if(encryptionOptions && !keyStore && !encryption.isValidKey(masterKey)) {
+            throw new ValidationError("encryption.masterKey must be a 32 byte key");
+        }
+        else {
+            if(!adapterInstance) {
+                const Adapter = getAdapterClass(adapter);
+                adapterInstance = new Adapter();
+            }
+
+            try {
+                const connectedAdapter = yield adapterInstance.createDatabaseConnection(dbConnectionOptions);
+
+                this.initialized = true;
+                privateData.get(this).connectedAdapter = connectedAdapter;
+                privateData.get(this).adapter = wrapAdapter(connectedAdapter);
+
+                if(encryptionOptions) {
+                    privateData.get(this).keyStore = keyStore || new AdapterKeyStore(privateData.get(this).adapter, masterKey);
+                }
+            }
+            catch(error) {
+                const args = {
+                    adapter: adapterInstance.name,
+                    originalError: error
+                };
+
+                // Options the adapter refused will not connect on a retry, so only failures
+                // without a client error code are reported as ConnectionErrors
+                if(error && error.code >= 400 && error.code < 500) {
+                    throw new ValidationError(error.message, args);
+                }
+
+                throw errors.fromError(error, args, 502);
+            }
+        }
+
+        return this;
+    }
+
+    /*
+     * Close the underlying connection to the adapter's datastore and reset the Journal to
+     * it's initial state.
+     *
+     * @method destroyClient
+     *
+     * @return {this}
+     *
+     */
+
+    *destroyClient() {
+        if(this.initialized) {
+            const subscriptions = Array.from(privateData.get(this).subscriptions);
+            yield Promise.all(subscriptions.map((subscription) => subscription.close()));
+
+            const relays = Array.from(privateData.get(this).relays);
+            yield Promise.all(relays.map((relay) => relay.close()));
+
+            if(privateData.get(this).projectionRunner) {
+                yield privateData.get(this).projectionRunner.close();
+            }
+
+            this.initialized = false;
+            yield privateData.get(this).adapter.closeDatabaseConnection();
+            delete privateData.get(this).adapter;
+            delete privateData.get(this).connectedAdapter;
+            delete privateData.get(this).keyStore;
+        }
+
+        return this;
+    }
+
+    /*
+     * Create a new event and store it in the database. Takes a single options object; the
+     * positional form createEventForRef(eventName, refId, eventData, userId, currentVersion,
+     * metadata) is deprecated but still supported.
+     *
+     * @method createEventForRef
+     *
+     * @required {Object}         options
+     * @required {String}         options.eventName
+     * @required {String}         options.refId
+     * @optional {Object}         options.data
+     * @optional {String}         options.userId
+     * @optional {Number|String}  options.expectedVersion - An exact version (0 when the ref must
+     *  not have any events yet) or one of the Journal.ExpectedVersion constants. Defaults to
+     *  Journal.ExpectedVersion.Any
+     * @optional {Object}         options.metadata - { correlationId, causationId, ...headers }
+     * @optional {String}         options.eventId - Makes the append idempotent: re-submitting an event
+     *  with the same eventId and data returns the stored event, while reusing an eventId for a
+     *  different event fails with a 422
+     *
+     * @return {Event}
+     *
+     */
+
+    *createEventForRef(eventName, refId, eventData, userId, currentVersion, metadata) {
+        let versionArgumentName = 'currentVersion';
+        let eventId;
+
+        if(_.isPlainObject(eventName) && 'eventName' in eventName) {
+            const options = eventName;
+
+            eventName = options.eventName;
+            refId = options.refId;
+            eventData = options.data;
+            userId = options.userId;
+            currentVersion = options.expectedVersion;
+            metadata = options.metadata;
+            eventId = options.eventId;
+            versionArgumentName = 'expectedVersion';
+        }
+        else {
+            warnPositionalCreateEventForRef();
+        }
+
+        if(!this.initialized) {
+            throw new NotInitializedError();
+        }
+
+        validateExpectedVersion(versionArgumentName, currentVersion);
+
+        const self = privateData.get(this);
+        const context = { operation: 'createEventForRef', refId: refId };
+        const event = {
+            eventName: eventName,
+            eventData: eventData,
+            userId: userId,
+            metadata: metadata,
+            eventId: eventId
+        };
+
+        const batch = yield prepareBatch(self, [event], context);
+        const storedEvents = yield appendEvents(self, refId, batch, currentVersion);
+
+        return (yield runHooksOnEvents(self, 'afterAppend', storedEvents, context))[0];
+    }
+
+    /*
+     * Create several events for a single ref and store them atomically. The events receive
+     * consecutive versions and either all of them are stored or none are. When an expectedVersion
+     * is given, the whole batch fails with a version conflict if the ref does not match it. When
+     * every event carries an eventId, re-submitting the same batch returns the stored events.
+     *
+     * @method createEventsForRef
+     *
+     * @required {String}         refId
+     * @required {Array}          events - [{ eventName, eventData, userId, metadata, eventId }]
+     * @optional {Object}         options
+     * @optional {Number|String}  options.expectedVersion - An exact version or one of the
+     *  Journal.ExpectedVersion constants
+     *
+     * @return [{Events}]
+     *
+     */
+
+    *createEventsForRef(refId, events, options) {
+        options = options || {};
+
+        if(!this.initialized) {
+            throw new NotInitializedError();
+        }
+        else if(!Array.isArray(events)) {
+            throw new ValidationError("events must be an array", { events: events });
+        }
+        else if(events.length === 0) {
+            throw new ValidationError("events cannot be empty", { events: events });
+        }
+        else if(!events.every(_.isPlainObject)) {
+            throw new ValidationError("events must be objects", { events: events });
+        }
+
+        events.forEach(validateNewEvent);
+        validateExpectedVersion('expectedVersion', options.expectedVersion);
+
+        const self = privateData.get(this);
+        const context = { operation: 'createEventsForRef', refId: refId };
+
+        const batch = yield prepareBatch(self, events, context);
+        const storedEvents = yield appendEvents(self, refId, batch, options.expectedVersion);
+
+        return yield runHooksOnEvents(self, 'afterAppend', storedEvents, context);
+    }
+
+    /*
+     * Get events for a given refId. May optionally specify a fromVersion and a toVersion
+     * (inclusive), and a limit on the number of events returned. With a direction of "backward"
+     * events are returned from the highest version down, so that the last N events can be read
+     * with a limit. Takes a single options object; the positional form
+     * getEventsForRef(refId, fromVersion, toVersion) is deprecated but still supported.
+     *
+     * @method getEventsForRef
+     *
+     * @required {Object}  options
+     * @required {String}  options.refId
+     * @optional {Number}  options.fromVersion
+     * @optional {Number}  options.toVersion
+     * @optional {Number}  options.limit
+     * @optional {String}  options.direction - "forward" (default) or "backward"
+     *
+     * @return [{Events}]
+     *
+     */
+    *getEventsForRef(refId, fromVersion, toVersion) {
+        let limit;
+        let direction;
+
+        if(_.isPlainObject(refId)) {
+            const options = refId;
+
+            refId = options.refId;
+            fromVersion = options.fromVersion;
+            toVersion = options.toVersion;
+            limit = options.limit;
+            direction = options.direction;
+        }
+        else {
+            warnPositionalGetEventsForRef();
+        }
+
+        if(!this.initialized) {
+            throw new NotInitializedError();
+        }
+
+        validateReadOptions(fromVersion, toVersion, limit, direction);
+
+        const self = privateData.get(this);
+        const events = yield self.adapter.getEventsForRef(refId, fromVersion, toVersion, limit, direction);
+
+        return yield runHooksOnEvents(self, 'afterRead', yield readStoredEvents(self, events), { operation: 'getEventsForRef', refId: refId });
+    }
+
+    /*
+     * Stream the events of a given refId, reading them from the datastore a batch at a time so
+     * that large refs do not have to be held in memory. Takes the same range, limit and direction
+     * options as getEventsForRef. The returned stream is in object mode and can be consumed with
+     * for await...of; destroying it early releases whatever cursor backs it.
+     *
+     * @method streamEventsForRef
+     *
+     * @required {String}  refId
+     * @optional {Object}  options
+     * @optional {Number}  options.fromVersion
+     * @optional {Number}  options.toVersion
+     * @optional {Number}  options.limit
+     * @optional {String}  options.direction - "forward" (default) or "backward"
+     * @optional {Number}  options.batchSize - How many events to fetch at a time, defaults to 100
+     *
+     * @return {Readable}
+     *
+     */
+    streamEventsForRef(refId, options) {
+        const self = privateData.get(this);
+
+        options = options || {};
+
+        if(!this.initialized) {
+            throw new NotInitializedError();
+        }
+        else if(!refId) {
+            throw new ValidationError("Missing refId", { refId: refId });
+        }
+        else if(options.batchSize !== undefined && (typeof options.batchSize !== 'number' || options.batchSize < 1 || parseInt(options.batchSize) !== options.batchSize)) {
+            throw new ValidationError("batchSize must be a positive integer", { batchSize: options.batchSize });
+        }
+
+        validateReadOptions(options.fromVersion, options.toVersion, options.limit, options.direction);
+
+        const events = self.adapter.streamEventsForRef(refId, _.pick(options, ['fromVersion', 'toVersion', 'limit', 'direction', 'batchSize']));
+        const upcast = new stream.Transform({
+            objectMode: true,
+            transform: function(event, encoding, callback) {
+                readStoredEvents(self, [event])
+                    .then((results) => runHooksOnEvents(self, 'afterRead', results, { operation: 'streamEventsForRef', refId: refId }))
+                    .then((results) => callback(null, results[0]), callback);
+            },
+            destroy: function(error, callback) {
+                callback(error ? errors.fromError(error) : error);
+            }
+        });
+
+        stream.pipeline(events, upcast, _.noop);
+
+        return upcast;
+    }
+
+    /*
+     * Read events across every ref in the order they were stored. Each event carries a global
+     * position; pass the returned nextPosition back in as fromPosition to continue reading
+     * where the previous call stopped.
+     *
+     * @method readAll
+     *
+     * @optional {Object}  options
+     * @optional {Number}  options.fromPosition - Inclusive, defaults to the start of the journal
+     * @optional {Number}  options.limit - Defaults to 100
+     *
+     * @return {Object} { events, nextPosition }
+     *
+     */
+    *readAll(options) {
+        options = options || {};
+
+        const fromPosition = options.fromPosition !== undefined ? options.fromPosition : 0;
+        const limit = options.limit !== undefined ? options.limit : defaultReadLimit;
+
+        if(!this.initialized) {
+            throw new NotInitializedError();
+        }
+
+        validateVersion('fromPosition', fromPosition);
+
+        if(typeof limit !== 'number' || limit < 1 || parseInt(limit) !== limit) {
+            throw new ValidationError("limit must be a positive integer", { limit: limit });
+        }
+
+        const self = privateData.get(this);
+        const events = yield readStoredEvents(self, yield self.adapter.readAll(fromPosition, limit));
+        const lastEvent = events[events.length - 1];
+
+        return {
+            events: yield runHooksOnEvents(self, 'afterRead', events, { operation: 'readAll' }),
+            nextPosition: lastEvent ? Number(lastEvent.position) + 1 : fromPosition
+        };
+    }
+
+    /*
+     * Find events across every ref by event name, time window and the user that initiated them.
+     * Results are returned in the order the events were stored, a page at a time. Pass the
+     * returned cursor back in to get the next page; it is null once there are no more events.
+     * Events appended after a query started are picked up by later pages.
+     *
+     * @method queryEvents
+     *
+     * @optional {Object}    options
+     * @optional {[String]}  options.eventNames
+     * @optional {Date}      options.from - Inclusive
+     * @optional {Date}      options.to - Exclusive
+     * @optional {String}    options.userId
+     * @optional {Number}    options.limit - Defaults to 100
+     * @optional {String}    options.cursor
+     *
+     * @return {Object} { events, cursor }
+     *
+     */
+    *queryEvents(options) {
+        options = options || {};
+
+        const eventNames = options.eventNames;
+        const from = options.from !== undefined ? new Date(options.from) : undefined;
+        const to = options.to !== undefined ? new Date(options.to) : undefined;
+        const limit = options.limit !== undefined ? options.limit : defaultReadLimit;
+
+        if(!this.initialized) {
+            throw new NotInitializedError();
+        }
+        else if(eventNames !== undefined && (!Array.isArray(eventNames) || !eventNames.length || !eventNames.every(_.isString))) {
+            throw new ValidationError("eventNames must be a non-empty array of strings", { eventNames: eventNames });
+        }
+        else if(from !== undefined && isNaN(from.getTime())) {
+            throw new ValidationError("from must be a valid date", { from: options.from });
+        }
+        else if(to !== undefined && isNaN(to.getTime())) {
+            throw new ValidationError("to must be a valid date", { to: options.to });
+        }
+        else if(from !== undefined && to !== undefined && from > to) {
+            throw new ValidationError("to is before from", { from: options.from, to: options.to });
+        }
+        else if(options.userId !== undefined && typeof options.userId !== 'string') {
+            throw new ValidationError("userId must be a string", { userId: options.userId });
+        }
+        else if(typeof limit !== 'number' || limit < 1 || parseInt(limit) !== limit) {
+            throw new ValidationError("limit must be a positive integer", { limit: limit });
+        }
+        else if(options.cursor !== undefined && options.cursor !== null && typeof options.cursor !== 'string') {
+            throw new ValidationError("Invalid cursor", { cursor: options.cursor });
+        }
+
+        const query = {
+            eventNames: eventNames,
+            from: from,
+            to: to,
+            userId: options.userId,
+            afterPosition: options.cursor ? decodeCursor(options.cursor) : 0,
+            limit: limit + 1
+        };
+
+        const events = yield privateData.get(this).adapter.queryEvents(query);
+        const page = yield readStoredEvents(privateData.get(this), events.slice(0, limit));
+
+        return {
+            events: yield runHooksOnEvents(privateData.get(this), 'afterRead', page, { operation: 'queryEvents' }),
+            cursor: events.length > limit ? encodeCursor(page[page.length - 1].position) : null
+        };
+    }
+
+    /*
+     * Subscribe to every event in the journal from a global position onwards. Stored events are
+     * replayed first, then newly appended events are delivered as they arrive. The handler is
+     * called with one event at a time, in position order, and may return a promise to delay the
+     * next delivery until it resolves. Subscriptions are closed when the client is destroyed.
+     *
+     * @method subscribe
+     *
+     * @optional {Object}    options
+     * @optional {Number}    options.fromPosition - Inclusive, defaults to the start of the journal
+     * @optional {Function}  options.filter - Only events for which filter(event) is truthy are delivered
+     * @optional {Number}    options.batchSize - How many events to read at a time, defaults to 100
+     * @required {Function}  handler
+     *
+     * @return {Subscription}
+     *
+     */
+    *subscribe(options, handler) {
+        if(typeof options === 'function' && handler === undefined) {
+            handler = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        if(!this.initialized) {
+            throw new NotInitializedError();
+        }
+        else if(typeof handler !== 'function') {
+            throw new ValidationError("handler must be a function", { handler: handler });
+        }
+        else if(options.filter !== undefined && typeof options.filter !== 'function') {
+            throw new ValidationError("filter must be a function", { filter: options.filter });
+        }
+
+        validateVersion('fromPosition', options.fromPosition);
+
+        const subscriptions = privateData.get(this).subscriptions;
+        const subscription = new Subscription(this, privateData.get(this).adapter, options, handler);
+
+        subscriptions.add(subscription);
+        subscription.on('close', () => subscriptions.delete(subscription));
+
+        return yield subscription.start();
+    }
+
+    /*
+     * Start relaying the events in the outbox to a publish function. Only a Journal created with
+     * the outbox option stores outbox entries. Each event is published at least once: publish may
+     * return a promise, and an event is only marked as sent once it has resolved, so a relay that
+     * stops before then publishes the event again. Events whose publish fails are retried with an
+     * exponential backoff. Relays are closed when the client is destroyed.
+     *
+     * @method createOutboxRelay
+     *
+     * @required {Object}    options
+     * @required {Function}  options.publish - Called with one event at a time
+     * @optional {Number}    options.batchSize - How many entries to read at a time, defaults to 100
+     * @optional {Number}    options.pollInterval - Milliseconds between checks for new entries,
+     *  defaults to 1000
+     * @optional {Number}    options.retryDelay - Milliseconds before the first retry, defaults to 1000
+     * @optional {Number}    options.maxRetryDelay - Longest wait between retries, defaults to 60000
+     *
+     * @return {OutboxRelay}
+     *
+     */
+    *createOutboxRelay(options) {
+        options = options || {};
 
-/**
- * An error.
- *
- * @constructor JournalError
- * @param {number} code - The http status code meant associated with the error
- * @param {string} message - The message describing the error
- * @param {object} args - Any relevant arguments to be returned to the user/developer
- *
- */
-function JournalError(code, message, args) {
-    this.code = code || 500;
-    this.name = 'JournalError';
-    this.arguments = args;
-    this.message = message || 'An error occurred';
-    this.stack = (new Error()).stack;
-}
+        if(!this.initialized) {
+            throw new NotInitializedError();
+        }
+        else if(!privateData.get(this).config.outbox) {
+            throw new ValidationError("The outbox is not enabled");
+        }
+        else if(typeof options.publish !== 'function') {
+            throw new ValidationError("publish must be a function", { publish: options.publish });
+        }
 
-JournalError.prototype = Object.create(Error.prototype);
-JournalError.prototype.constructor = JournalError;
+        ['batchSize', 'pollInterval', 'retryDelay', 'maxRetryDelay'].forEach(function(option) {
+            const value = options[option];
 
-/*
- * A Journal is an object meant to act as a manager for Event Sourcing. It can
- * be used with multiple datastores, including MongoDB, MySQL, Amazon Aurora, or
- * an in memory adapter.
- *
- * @class Journal
- *
- */
-class Journal {
-    constructor(options) {
-        const defaults = {
-            adapterName: 'memory',
-            dbConnectionOptions: null
-        };
+            if(value !== undefined && (typeof value !== 'number' || value < 1 || parseInt(value) !== value)) {
+                throw new ValidationError(`${option} must be a positive integer`, _.fromPairs([[option, value]]));
+            }
+        });
 
-        const config = _.merge({}, defaults, options);
-        const self = {
-            config: config
-        };
+        const self = privateData.get(this);
+        const relays = self.relays;
+        const relay = new OutboxRelay(self.adapter, options, (event) => readStoredEvents(self, [event]).then((events) => events[0]));
 
-        privateData.set(this, self);
+        relays.add(relay);
+        relay.on('close', () => relays.delete(relay));
 
-        this.initializePublicMethods();
+        return yield relay.start();
     }
 
-    get adapter() {
-        return privateData.get(this).adapter;
-    }
+    /*
+     * Start running every registered projection. Each one resumes from the checkpoint stored in
+     * the adapter, catches up with the events appended since, and then keeps processing new events
+     * as they arrive. A projection whose handler fails stops, with the error saved alongside its
+     * checkpoint, until the runner is started again or the projection is rebuilt with
+     * runner.rebuild(name). Only one runner may run at a time, and it is closed when the client is
+     * destroyed.
+     *
+     * @method startProjections
+     *
+     * @optional {Object}  options
+     * @optional {Number}  options.batchSize - How many events to read at a time, defaults to 100
+     *
+     * @return {ProjectionRunner}
+     *
+     */
+    *startProjections(options) {
+        options = options || {};
 
-    get adapterName() {
-        return privateData.get(this).config.adapterName;
-    }
+        const self = privateData.get(this);
 
-    get dbConnectionOptions() {
-        return privateData.get(this).config.dbConnectionOptions;
+        if(!this.initialized) {
+            throw new NotInitializedError();
+        }
+        else if(!self.projections.size) {
+            throw new ValidationError("No projections have been registered");
+        }
+        else if(self.projectionRunner) {
+            throw new JournalError(409, "Projections are already running");
+        }
+        else if(options.batchSize !== undefined && (typeof options.batchSize !== 'number' || options.batchSize < 1 || parseInt(options.batchSize) !== options.batchSize)) {
+            throw new ValidationError("batchSize must be a positive integer", { batchSize: options.batchSize });
+        }
+
+        const runner = new ProjectionRunner(this, self.adapter, self.projections, options);
+
+        self.projectionRunner = runner;
+        runner.on('close', () => {
+            if(self.projectionRunner === runner) {
+                self.projectionRunner = null;
+            }
+        });
+
+        try {
+            return yield runner.start();
+        }
+        catch(error) {
+            yield runner.close();
+            throw error;
+        }
     }
 
     /*
-     * Wrap class methods in Bluebird couroutines as we cannot define dynamic methods when
-     * creating a class.
+     * Forget a ref by destroying its data key. Its encrypted payloads and snapshots can no longer
+     * be decrypted, so reads return its events with a redacted placeholder payload instead, and
+     * further appends to it are refused. Only available when encryption is enabled.
      *
-     * @method initializePublicMethods
+     * @method forgetRef
      *
-     * @return {this};
+     * @required {String}  refId
+     *
+     * @return {this}
      *
      */
+    *forgetRef(refId) {
+        const self = privateData.get(this);
 
-    initializePublicMethods() {
-        this.createClient = Promise.coroutine(this.createClient);
-        this.destroyClient = Promise.coroutine(this.destroyClient);
-        this.createEventForRef = Promise.coroutine(this.createEventForRef);
-        this.getEventsForRef = Promise.coroutine(this.getEventsForRef);
+        if(!this.initialized) {
+            throw new NotInitializedError();
+        }
+        else if(!refId) {
+            throw new ValidationError("Missing refId", { refId: refId });
+        }
+        else if(!self.keyStore) {
+            throw new ValidationError("Encryption is not enabled");
+        }
+
+        yield self.keyStore.destroyKey(String(refId));
 
         return this;
     }
 
     /*
-     * Instantiate an instance of the specified adapater, and create a connection to it's
-     * underlying datastore.
+     * Delete a ref. A soft delete appends a tombstone event, after which the ref's events can
+     * still be read but any further append to it fails with a 410. A hard delete physically
+     * removes the ref's events, snapshots and outbox entries; the ref may then be started again
+     * from version 1.
      *
-     * @method createClient
+     * @method deleteRef
      *
-     * @optional {String}  The name of the adapter you wish to use.
-     * @optional {Object}  An object of connection properties, specific to the adapter you are using.
+     * @required {String}   refId
+     * @optional {Object}   options
+     * @optional {Boolean}  options.hard - Defaults to false
+     * @optional {String}   options.userId - Recorded as the initiator of the tombstone
      *
-     * @return {this}
+     * @return {Event|Number} The tombstone event, or the number of events removed by a hard delete
      *
      */
+    *deleteRef(refId, options) {
+        options = options || {};
 
-    *createClient(adapter, dbConnectionOptions) {
-        let errorMessage;
+        if(!this.initialized) {
+            throw new NotInitializedError();
+        }
+        else if(!refId) {
+            throw new ValidationError("Missing refId", { refId: refId });
+        }
 
-        adapter = (adapter || privateData.get(this).config.adapterName).toLowerCase();
-        dbConnectionOptions = dbConnectionOptions || privateData.get(this).config.dbConnectionOptions;
+        const self = privateData.get(this);
 
-        if (validAdapters.indexOf(adapter) === -1) {
-            const adapters = validAdapters.join(', ');
-            errorMessage = `"${adapter}" is an invalid adapter. Please use one of "${adapters}"`;
+        if(options.hard) {
+            return yield self.adapter.deleteRef(refId);
+        }
 
-            throw new TypeError(errorMessage);
+        if((yield self.adapter.getLatestVersionForRef(refId)) === 0) {
+            throw new NotFoundError("ref has no events", { refId: refId });
         }
-        else if(privateData.get(this).adapter) {
-            errorMessage = `"${privateData.get(this).config.adapterName}" has already been initialized"`;
 
-            throw new TypeError(errorMessage);
+        const batch = [{
+            eventName: tombstone.TombstoneEvent,
+            eventData: null,
+            userId: options.userId,
+            schemaVersion: 1,
+            metadata: {}
+        }];
+
+        return (yield appendEvents(self, refId, batch, expectedVersion.ExpectedVersion.StreamExists))[0];
+    }
+
+    /*
+     * Remove the events of a ref below a version. The history removed must already be covered by
+     * a snapshot, that is the ref must have a snapshot of at least version - 1, so that the ref
+     * can still be loaded. There is nothing below version 1, so truncating before it removes
+     * nothing.
+     *
+     * @method truncateBefore
+     *
+     * @required {String}  refId
+     * @required {Number}  version - The lowest version to keep
+     *
+     * @return {Number} The number of events removed
+     *
+     */
+    *truncateBefore(refId, version) {
+        if(!this.initialized) {
+            throw new NotInitializedError();
+        }
+        else if(!refId) {
+            throw new ValidationError("Missing refId", { refId: refId });
+        }
+        else if(typeof version !== 'number' || version < 1 || parseInt(version) !== version) {
+            throw new ValidationError("version must be a positive integer", { version: version });
+        }
+        else if(version === 1) {
+            return 0;
         }
-        else {
-            const Adapter = require(`./adapters/${adapter}.js`);
 
-            try {
-                const connectedAdapter = yield new Adapter().createDatabaseConnection(dbConnectionOptions);
+        const adapter = privateData.get(this).adapter;
+        const latestVersion = yield adapter.getLatestVersionForRef(refId);
+        const snapshot = yield adapter.getLatestSnapshot(refId);
 
-                this.initialized = true;
-                privateData.get(this).adapter = connectedAdapter;
+        if(version > latestVersion) {
+            throw new ValidationError("version is past the latest version of the ref", {
+                version: version,
+                latestVersion: latestVersion
+            });
+        }
+        else if(!snapshot || snapshot.version < version - 1) {
+            throw new JournalError(409, "history before version is not covered by a snapshot", {
+                version: version,
+                snapshotVersion: snapshot ? snapshot.version : null
+            });
+        }
+
+        return yield adapter.truncateBefore(refId, version);
+    }
+
+    /*
+     * Check that none of a ref's stored events have been edited or removed since they were
+     * appended, by recomputing the hash chain of the ref. The first stored event of a ref whose
+     * history was truncated is checked against the anchor the truncation kept. Stops at the first
+     * broken link, which reports the hash expected from the event's content and the one actually
+     * stored; the expected hash is null when the event follows events that are missing.
+     *
+     * @method verifyRef
+     *
+     * @required {String}  refId
+     *
+     * @return {Object} { refId, events, ok, brokenLink }, where brokenLink is null or
+     *  { refId, version, position, expected, actual }
+     *
+     */
+    *verifyRef(refId) {
+        if(!this.initialized) {
+            throw new NotInitializedError();
+        }
+        else if(!refId) {
+            throw new ValidationError("Missing refId");
+        }
+
+        const adapter = privateData.get(this).adapter;
+        const lastEvents = new Map();
+        const result = { refId: refId, events: 0, ok: true, brokenLink: null };
+        let fromVersion = 1;
+        let events;
+
+        do {
+            events = yield adapter.getEventsForRef(refId, fromVersion, undefined, defaultReadLimit);
+
+            if(!(yield checkHashChains(adapter, events, lastEvents, result))) {
+                break;
             }
-            catch(err) {
-                throw new Error(err.message);
+
+            if(events.length) {
+                fromVersion = Number(events[events.length - 1].version) + 1;
             }
+        } while(events.length === defaultReadLimit);
+
+        return result;
+    }
+
+    /*
+     * Check the hash chain of every ref in the journal, reading every stored event in position
+     * order, and stop at the first broken link. See verifyRef.
+     *
+     * @method verifyAll
+     *
+     * @optional {Object}  options
+     * @optional {Number}  options.batchSize - How many events to read at a time, defaults to 100
+     *
+     * @return {Object} { refs, events, ok, brokenLink }
+     *
+     */
+    *verifyAll(options) {
+        options = options || {};
+
+        const batchSize = options.batchSize !== undefined ? options.batchSize : defaultReadLimit;
+
+        if(!this.initialized) {
+            throw new NotInitializedError();
+        }
+        else if(typeof batchSize !== 'number' || batchSize < 1 || parseInt(batchSize) !== batchSize) {
+            throw new ValidationError("batchSize must be a positive integer", { batchSize: batchSize });
         }
 
-        return this;
+        const adapter = privateData.get(this).adapter;
+        const lastEvents = new Map();
+        const result = { refs: 0, events: 0, ok: true, brokenLink: null };
+        let fromPosition = 0;
+        let events;
+
+        do {
+            events = yield adapter.readAll(fromPosition, batchSize);
+
+            if(!(yield checkHashChains(adapter, events, lastEvents, result))) {
+                break;
+            }
+
+            if(events.length) {
+                fromPosition = Number(events[events.length - 1].position) + 1;
+            }
+        } while(events.length === batchSize);
+
+        result.refs = lastEvents.size;
+
+        return result;
     }
 
     /*
-     * Close the underlying connection to the adapter's datastore and reset the Journal to
-     * it's initial state.
+     * Write stored events to a stream in the NDJSON export format described in lib/ndjson.js,
+     * starting with a header line. Events are written as they were stored: decrypted, but neither
+     * upcast nor passed through middleware. The stream is not ended, so that more may be written
+     * to it.
      *
-     * @method destroyClient
+     * @method exportTo
      *
-     * @return {this}
+     * @required {Writable}  writable
+     * @optional {Object}    options
+     * @optional {[String]}  options.refs - Only export these refs, one after the other
+     * @optional {Date}      options.from - Only export events created from then, inclusive
+     * @optional {Date}      options.to - Only export events created before then, exclusive
+     * @optional {Number}    options.batchSize - How many events to read at a time, defaults to 100
+     *
+     * @return {Number} The number of events written
      *
      */
+    *exportTo(writable, options) {
+        options = options || {};
 
-    *destroyClient() {
-        if(this.initialized) {
-            this.initialized = false;
-            yield privateData.get(this).adapter.closeDatabaseConnection();
-            delete privateData.get(this).adapter;
+        const refs = options.refs;
+        const from = options.from !== undefined ? new Date(options.from) : undefined;
+        const to = options.to !== undefined ? new Date(options.to) : undefined;
+        const batchSize = options.batchSize !== undefined ? options.batchSize : defaultReadLimit;
+
+        if(!this.initialized) {
+            throw new NotInitializedError();
+        }
+        else if(!writable || typeof writable.write !== 'function') {
+            throw new ValidationError("writable must be a writable stream");
+        }
+        else if(refs !== undefined && (!Array.isArray(refs) || !refs.length || !refs.every((refId) => refId && _.isString(refId)))) {
+            throw new ValidationError("refs must be a non-empty array of strings", { refs: refs });
+        }
+        else if(from !== undefined && isNaN(from.getTime())) {
+            throw new ValidationError("from must be a valid date", { from: options.from });
+        }
+        else if(to !== undefined && isNaN(to.getTime())) {
+            throw new ValidationError("to must be a valid date", { to: options.to });
+        }
+        else if(from !== undefined && to !== undefined && from > to) {
+            throw new ValidationError("to is before from", { from: options.from, to: options.to });
+        }
+        else if(typeof batchSize !== 'number' || batchSize < 1 || parseInt(batchSize) !== batchSize) {
+            throw new ValidationError("batchSize must be a positive integer", { batchSize: batchSize });
         }
 
-        return this;
+        const query = { refs: refs, from: from, to: to, batchSize: batchSize };
+        let written = 0;
+
+        yield ndjson.writeLine(writable, ndjson.header());
+        yield exportEvents(privateData.get(this), query, Promise.coroutine(function *(events) {
+            for(let event of events) {
+                yield ndjson.writeLine(writable, toExportRecord(event));
+            }
+
+            written += events.length;
+        }));
+
+        return written;
     }
 
     /*
-     * Create a new event and store it in the database.
+     * Read events from a stream in the NDJSON export format described in lib/ndjson.js and store
+     * them, keeping their versions, created_on, initiated_by and eventIds. Events are stored a
+     * batch at a time, and the events of a ref must continue from the version it is at. When
+     * a ref already has some of the versions being imported, the import fails with a version
+     * conflict, unless onConflict is "skip" in which case the stored versions are kept and only
+     * the missing ones are imported. Imported events bypass middleware and schema validation, and
+     * are not added to the outbox. The events of a truncated ref cannot be imported, as its history
+     * is only kept in a snapshot, which is not exported; the import fails with a ValidationError
+     * when it reaches a ref without events whose first record is past version 1, after storing the
+     * batches before it.
      *
-     * @method createEventForRef
+     * @method importFrom
      *
-     * @required {String}  eventName
-     * @required {String}  refId
-     * @optional {Object}  eventData
-     * @optional {String}  userId
-     * @optional {Number}  currentVersion
+     * @required {Readable}  readable
+     * @optional {Object}    options
+     * @optional {String}    options.onConflict - "error" (default) or "skip"
+     * @optional {Number}    options.batchSize - How many events to store at a time, defaults to 100
      *
-     * @return {Event}
+     * @return {Object} { imported, skipped }
      *
      */
+    *importFrom(readable, options) {
+        options = options || {};
+
+        const onConflict = options.onConflict !== undefined ? options.onConflict : 'error';
+        const batchSize = options.batchSize !== undefined ? options.batchSize : defaultReadLimit;
 
-    *createEventForRef(eventName, refId, eventData, userId, currentVersion) {
         if(!this.initialized) {
-            throw new JournalError(500, "Journal has not been initialized");
+            throw new NotInitializedError();
+        }
+        else if(!readable || typeof readable.pipe !== 'function') {
+            throw new ValidationError("readable must be a readable stream");
         }
-        else if(!eventName) {
-            throw new JournalError(400, "Missing eventName", { eventName: eventName });
+        else if(['error', 'skip'].indexOf(onConflict) === -1) {
+            throw new ValidationError("onConflict must be \"error\" or \"skip\"", { onConflict: onConflict });
+        }
+        else if(typeof batchSize !== 'number' || batchSize < 1 || parseInt(batchSize) !== batchSize) {
+            throw new ValidationError("batchSize must be a positive integer", { batchSize: batchSize });
+        }
+
+        const self = privateData.get(this);
+        const result = { imported: 0, skipped: 0 };
+        let records = [];
+        let hasHeader = false;
+
+        const flush = Promise.coroutine(function *() {
+            const imported = yield importRecords(self, records, onConflict);
+
+            result.imported += imported.imported;
+            result.skipped += imported.skipped;
+            records = [];
+        });
+
+        yield ndjson.readLines(readable, Promise.coroutine(function *(line, lineNumber) {
+            let record;
+
+            try {
+                record = JSON.parse(line);
+            }
+            catch(error) {
+                throw new ValidationError(`Invalid JSON on line ${lineNumber}`, { line: lineNumber });
+            }
+
+            if(!hasHeader) {
+                if(!ndjson.isSupportedHeader(record)) {
+                    throw new ValidationError("Unsupported export format", { header: record });
+                }
+
+                hasHeader = true;
+
+                return;
+            }
+
+            validateImportRecord(record, lineNumber);
+            records.push(record);
+
+            if(records.length >= batchSize) {
+                yield flush();
+            }
+        }));
+
+        if(!hasHeader) {
+            throw new ValidationError("Unsupported export format", { header: null });
         }
-        else if(typeof eventName !== 'string') {
-            throw new JournalError(400, "Invalid eventName", { eventName: eventName });
+
+        yield flush();
+
+        return result;
+    }
+
+    /*
+     * Store a snapshot of a ref's state as of a given version, so that later loads only need to
+     * replay the events after it.
+     *
+     * @method saveSnapshot
+     *
+     * @required {String}  refId
+     * @required {Number}  version
+     * @optional {Object}  state
+     *
+     * @return {Snapshot}
+     *
+     */
+    *saveSnapshot(refId, version, state) {
+        if(!this.initialized) {
+            throw new NotInitializedError();
         }
-        else if(currentVersion !== undefined && typeof currentVersion !== 'number') {
-            throw new JournalError(400, "currentVersion must be a number", { currentVersion: currentVersion });
+        else if(!refId) {
+            throw new ValidationError("Missing refId", { refId: refId });
         }
-        else if(currentVersion !== undefined && currentVersion < 0) {
-            throw new JournalError(400, "currentVersion must be a positive number", { currentVersion: currentVersion });
+        else if(typeof version !== 'number') {
+            throw new ValidationError("version must be a number", { version: version });
         }
-        else if(currentVersion !== undefined && parseInt(currentVersion) !== currentVersion) {
-            throw new JournalError(400, "currentVersion must be an integer", { currentVersion: currentVersion });
+        else if(version < 0) {
+            throw new ValidationError("version must be a positive number", { version: version });
         }
-        else if(typeof eventData === 'function') {
-            throw new JournalError(400, "eventData cannot be a function", { eventData: eventData });
+        else if(parseInt(version) !== version) {
+            throw new ValidationError("version must be an integer", { version: version });
         }
-        else if(!Array.isArray(eventData) && typeof eventData === 'object' && !_.isPlainObject(eventData)) {
-            throw new JournalError(400, "eventData cannot be a custom object", { eventData: eventData });
+        else if(typeof state === 'function') {
+            throw new ValidationError("state cannot be a function", { state: state });
         }
 
-        return yield privateData.get(this).adapter.createEventForRef(eventName, refId, eventData, userId, currentVersion);
+        const self = privateData.get(this);
+        const snapshot = yield self.adapter.saveSnapshot(refId, version, yield encryptState(self, refId, state));
+
+        return yield decryptSnapshot(self, snapshot);
     }
 
     /*
-     * Get events for a given refId. May optionally specify a fromVersion and a toVersion (inclusive).
+     * Get the most recent snapshot for a given refId, or null if none has been saved.
      *
-     * @method getEventsForRef
+     * @method getLatestSnapshot
      *
      * @required {String}  refId
-     * @optional {Number}  fromVersion
-     * @optional {Number}  toVersion
      *
-     * @return [{Events}]
+     * @return {Snapshot}
      *
      */
-    *getEventsForRef(refId, fromVersion, toVersion) {
+    *getLatestSnapshot(refId) {
+        if(!this.initialized) {
+            throw new NotInitializedError();
+        }
+        else if(!refId) {
+            throw new ValidationError("Missing refId", { refId: refId });
+        }
+
+        const self = privateData.get(this);
+
+        return yield decryptSnapshot(self, yield self.adapter.getLatestSnapshot(refId));
+    }
+
+    /*
+     * Load the current state of a ref by starting from its newest snapshot (or initialState if
+     * there is none) and folding every later event into it with reducer(state, event). When the
+     * Journal was created with a snapshotEvery policy, a new snapshot is saved once at least that
+     * many events have been applied on top of the previous one, unless some of them have been
+     * redacted. The tombstone of a deleted ref is not passed to the reducer.
+     *
+     * @method loadRef
+     *
+     * @required {String}    refId
+     * @required {Function}  reducer
+     * @optional {Object}    initialState
+     *
+     * @return {Object} { state, version }
+     *
+     */
+    *loadRef(refId, reducer, initialState) {
+        const snapshotEvery = privateData.get(this).config.snapshotEvery;
+
+        if(!this.initialized) {
+            throw new NotInitializedError();
+        }
+        else if(!refId) {
+            throw new ValidationError("Missing refId", { refId: refId });
+        }
+        else if(typeof reducer !== 'function') {
+            throw new ValidationError("reducer must be a function", { reducer: reducer });
+        }
+
+        const self = privateData.get(this);
+        const adapter = self.adapter;
+        const snapshot = yield decryptSnapshot(self, yield adapter.getLatestSnapshot(refId));
+        const snapshotVersion = snapshot ? snapshot.version : 0;
+
+        let state = snapshot ? snapshot.state : initialState;
+        let version = snapshotVersion;
+
+        const events = yield readStoredEvents(self, yield adapter.getEventsForRef(refId, snapshotVersion + 1));
+
+        events.forEach(function(event) {
+            if(!tombstone.isTombstone(event)) {
+                state = reducer(state, event);
+                version = event.version;
+            }
+        });
+
+        if(snapshotEvery && version - snapshotVersion >= snapshotEvery && !events.some((event) => event.redacted)) {
+            yield adapter.saveSnapshot(refId, version, yield encryptState(self, refId, state));
+        }
+
+        return {
+            state: state,
+            version: version
+        };
+    }
+
+    /*
+     * Rebuild the state of a ref by dispatching each of its events, in version order, to the
+     * handler registered under that event's name. Each handler is called as
+     * handler(state, event) and returns the new state. Events without a handler are passed to
+     * the fallback handler when one is given, otherwise the replay fails. The replay may be
+     * stopped early at a version (toVersion, inclusive) or at a point in time (until, inclusive).
+     * The tombstone of a deleted ref is skipped. The events of a truncated ref are replayed on top
+     * of its newest snapshot, which must reach the truncated history and be no later than
+     * toVersion.
+     *
+     * @method rehydrate
+     *
+     * @required {String}    refId
+     * @required {Object}    options
+     * @required {Object}    options.handlers
+     * @optional {Object}    options.initialState
+     * @optional {Function}  options.fallback
+     * @optional {Number}    options.toVersion
+     * @optional {Date}      options.until
+     *
+     * @return {Object} { state, version }
+     *
+     */
+    *rehydrate(refId, options) {
+        options = options || {};
+
+        const handlers = options.handlers;
+        const fallback = options.fallback;
+        const toVersion = options.toVersion;
+        const until = options.until !== undefined ? new Date(options.until) : undefined;
+
         if(!this.initialized) {
-            throw new JournalError(500, "Journal has not been initialized");
+            throw new NotInitializedError();
+        }
+        else if(!refId) {
+            throw new ValidationError("Missing refId", { refId: refId });
         }
-        else if(fromVersion !== undefined && typeof fromVersion !== 'number') {
-            throw new JournalError(400, "fromVersion must be a number", { fromVersion: fromVersion });
+        else if(!_.isPlainObject(handlers)) {
+            throw new ValidationError("handlers must be an object", { handlers: handlers });
+        }
+        else if(_.some(handlers, (handler) => typeof handler !== 'function')) {
+            throw new ValidationError("handlers must be functions", { handlers: handlers });
+        }
+        else if(fallback !== undefined && typeof fallback !== 'function') {
+            throw new ValidationError("fallback must be a function", { fallback: fallback });
         }
         else if(toVersion !== undefined && typeof toVersion !== 'number') {
-            throw new JournalError(400, "toVersion must be a number", { toVersion: toVersion });
+            throw new ValidationError("toVersion must be a number", { toVersion: toVersion });
+        }
+        else if(until !== undefined && isNaN(until.getTime())) {
+            throw new ValidationError("until must be a valid date", { until: options.until });
+        }
+
+        const self = privateData.get(this);
+        const adapter = self.adapter;
+        const anchor = yield adapter.getAnchor(refId);
+        const snapshot = anchor ? yield decryptSnapshot(self, yield adapter.getLatestSnapshot(refId)) : null;
+
+        if(anchor && (!snapshot || snapshot.version < anchor.version || (toVersion !== undefined && toVersion < snapshot.version))) {
+            throw new JournalError(409, "truncated history is not covered by a snapshot", {
+                refId: refId,
+                anchorVersion: anchor.version,
+                snapshotVersion: snapshot ? snapshot.version : null,
+                toVersion: toVersion
+            });
         }
-        else if(toVersion !== undefined && fromVersion !== undefined && fromVersion > toVersion) {
-            throw new JournalError(400, "toVersion is less than fromVersion", { toVersion: toVersion, fromVersion: fromVersion });
+
+        const events = yield readStoredEvents(self, yield adapter.getEventsForRef(refId, snapshot ? snapshot.version + 1 : undefined, toVersion));
+
+        let state = snapshot ? snapshot.state : options.initialState;
+        let version = snapshot ? snapshot.version : 0;
+
+        for(let event of events) {
+            if(until !== undefined && new Date(event.created_on) > until) {
+                break;
+            }
+            else if(tombstone.isTombstone(event)) {
+                continue;
+            }
+
+            const handler = _.has(handlers, event.event) ? handlers[event.event] : fallback;
+
+            if(!handler) {
+                throw new ValidationError(`No handler for event "${event.event}"`, {
+                    refId: refId,
+                    event: event.event,
+                    version: event.version
+                });
+            }
+
+            state = handler(state, event);
+            version = event.version;
         }
 
-        return yield privateData.get(this).adapter.getEventsForRef(refId, fromVersion, toVersion);
+        return {
+            state: state,
+            version: version
+        };
     }
 }
 
@@ -0,0 +1,144 @@
+"use strict";
+const Readable = require('stream').Readable;
+const Promise = require('bluebird');
+
+const _ = require('lodash');
+
+const defaultBatchSize = 100;
+
+/*
+ * A BatchReadable is an object mode stream of events that are fetched a batch at a time, so that
+ * only one batch is held in memory however many events are read. The next batch is fetched once
+ * the consumer has asked for more, and the stream ends at the first empty batch. The release
+ * function is called exactly once, when the stream ends or is destroyed, to free whatever the
+ * batches are read from.
+ *
+ * @class BatchReadable
+ *
+ */
+class BatchReadable extends Readable {
+    constructor(readBatch, release) {
+        super({ objectMode: true });
+
+        this.readBatch = readBatch;
+        this.release = release || _.noop;
+        this.reading = false;
+        this.released = false;
+    }
+
+    /*
+     * Stream a ref's events by reading consecutive pages through the adapter's getEventsForRef,
+     * for adapters that have no cursor of their own.
+     *
+     * @method forPagesOfRef
+     * @static
+     *
+     * @required {Object}  adapter
+     * @required {String}  refId
+     * @optional {Object}  options
+     * @optional {Number}  options.fromVersion
+     * @optional {Number}  options.toVersion
+     * @optional {Number}  options.limit
+     * @optional {String}  options.direction - "forward" (default) or "backward"
+     * @optional {Number}  options.batchSize - Defaults to 100
+     *
+     * @return {BatchReadable}
+     *
+     */
+    static forPagesOfRef(adapter, refId, options) {
+        options = options || {};
+
+        const backward = options.direction === 'backward';
+        const batchSize = options.batchSize || defaultBatchSize;
+
+        let fromVersion = options.fromVersion || 1;
+        let toVersion = options.toVersion;
+        let remaining = options.limit || Infinity;
+
+        return new BatchReadable(Promise.coroutine(function *() {
+            if(remaining <= 0 || (toVersion !== undefined && toVersion < fromVersion)) {
+                return [];
+            }
+
+            const events = yield adapter.getEventsForRef(refId, fromVersion, toVersion, Math.min(batchSize, remaining), options.direction);
+            const lastEvent = events[events.length - 1];
+
+            remaining -= events.length;
+
+            if(lastEvent && backward) {
+                toVersion = lastEvent.version - 1;
+            }
+            else if(lastEvent) {
+                fromVersion = lastEvent.version + 1;
+            }
+
+            return events;
+        }));
+    }
+
+    /*
+     * Fetch the next batch, unless one is already being fetched, and push its events.
+     *
+     * @method _read
+     *
+     * @return {undefined}
+     *
+     */
+    _read() {
+        if(this.reading) {
+            return;
+        }
+
+        this.reading = true;
+
+        Promise.resolve(this.readBatch())
+            .then((events) => {
+                this.reading = false;
+
+                if(!events.length) {
+                    return this.releaseSource().then(() => this.push(null));
+                }
+
+                events.forEach((event) => this.push(event));
+            })
+            .catch((error) => {
+                this.reading = false;
+                this.destroy(error);
+            });
+    }
+
+    /*
+     * Release the source when the stream is destroyed before it ended.
+     *
+     * @method _destroy
+     *
+     * @optional {Error}     error
+     * @required {Function}  callback
+     *
+     * @return {undefined}
+     *
+     */
+    _destroy(error, callback) {
+        this.releaseSource().then(() => callback(error), callback);
+    }
+
+    /*
+     * Call the release function if it has not been called yet.
+     *
+     * @method releaseSource
+     *
+     * @return {Promise}
+     *
+     */
+    releaseSource() {
+        if(this.released) {
+            return Promise.resolve();
+        }
+
+        this.released = true;
+
+        return Promise.resolve(this.release());
+    }
+}
+
+exports = module.exports = BatchReadable;
@@ -0,0 +1,727 @@
+"use strict";
+const fs = require('fs');
+const path = require('path');
+const Promise = require('bluebird');
+const Journal = require('../journal.js');
+
+const _ = require('lodash');
+
+/*
+ * The exit codes the command-line tool ends with, by the code of the error that stopped it.
+ * Errors without one of these codes, including unexpected ones, exit with 1.
+ *
+ * @property exitCodes
+ *
+ */
+const exitCodes = {
+    400: 2,
+    404: 3,
+    409: 4,
+    410: 5,
+    422: 6,
+    502: 7
+};
+
+const booleanOptions = ['json', 'backward', 'help'];
+
+const usage = `Usage: esj <command> [arguments] [options]
+
+Commands:
+  stream <ref> [--from <version>] [--to <version>] [--limit <n>] [--backward]
+      Print the events of a ref
+  tail [--from-position <position>] [--count <n>] [--poll-interval <ms>]
+      Print events as they are appended, until interrupted or <n> have been printed
+  append <ref> <event> [--data <json>] [--user <id>] [--expected-version <version>] [--event-id <id>]
+      Append an event to a ref
+  export [--file <path>] [--refs <ref,ref>] [--from <date>] [--to <date>]
+      Write events as NDJSON to a file or stdout
+  import [--file <path>] [--on-conflict error|skip]
+      Read NDJSON events from a file or stdin
+  stats
+      Count the events and refs in the journal
+  verify [<ref>]
+      Check that the versions, positions and hash chain of a ref's events are consistent, or
+      without a ref, that the hash chain of every ref is intact
+
+Options:
+  --config <path>  A JSON (or JavaScript) file exporting the Journal options, such as
+                   adapterName and dbConnectionOptions. Defaults to $ESJ_CONFIG. Without
+                   one, $ESJ_ADAPTER and $ESJ_DB_CONNECTION_OPTIONS (JSON, or a plain
+                   string such as a directory) are used
+  --json           Print JSON instead of tables
+  --help           Print this message
+
+Exit codes: 0 on success, 2 for invalid input, 3 when not found, 4 for conflicts and failed
+verifications, 5 for deleted or forgotten refs, 6 for a reused eventId, 7 when the datastore
+cannot be reached, and 1 for anything else.
+`;
+
+/**
+ * An error.
+ *
+ * @constructor CliError
+ * @param {number} code - The http status code meant associated with the error
+ * @param {string} message - The message describing the error
+ * @param {object} args - Any relevant arguments to be returned to the user/developer
+ *
+ */
+function CliError(code, message, args) {
+    this.code = code || 500;
+    this.name = 'CliError';
+    this.arguments = args;
+    this.message = message || 'An error occurred';
+    this.stack = (new Error()).stack;
+}
+
+CliError.prototype = Object.create(Error.prototype);
+CliError.prototype.constructor = CliError;
+
+/*
+ * Split command-line arguments into positional arguments and --options. Options take the next
+ * argument as their value, or the part after "=", except for the boolean ones.
+ *
+ * @function parseArguments
+ *
+ * @required {[String]}  argv
+ *
+ * @return {Object} { command, args, options }
+ *
+ */
+function parseArguments(argv) {
+    const positional = [];
+    const options = {};
+
+    for(let index = 0; index < argv.length; index++) {
+        const argument = argv[index];
+
+        if(argument.indexOf('--') !== 0) {
+            positional.push(argument);
+            continue;
+        }
+
+        const separator = argument.indexOf('=');
+        const name = _.camelCase(separator === -1 ? argument.slice(2) : argument.slice(2, separator));
+
+        if(separator !== -1) {
+            options[name] = argument.slice(separator + 1);
+        }
+        else if(booleanOptions.indexOf(name) !== -1) {
+            options[name] = true;
+        }
+        else if(index + 1 < argv.length) {
+            options[name] = argv[++index];
+        }
+        else {
+            throw new CliError(400, `Missing value for --${argument.slice(2)}`);
+        }
+    }
+
+    return {
+        command: positional[0],
+        args: positional.slice(1),
+        options: options
+    };
+}
+
+/*
+ * Get the exit code for an error.
+ *
+ * @function exitCodeFor
+ *
+ * @required {Error}  error
+ *
+ * @return {Number}
+ *
+ */
+function exitCodeFor(error) {
+    return exitCodes[error.code] || 1;
+}
+
+/*
+ * Load the Journal options from the --config file, the file named by $ESJ_CONFIG, or
+ * $ESJ_ADAPTER and $ESJ_DB_CONNECTION_OPTIONS, in that order.
+ *
+ * @function loadConfig
+ *
+ * @required {Object}  options - The parsed --options
+ * @required {Object}  env
+ *
+ * @return {Object}
+ *
+ */
+function loadConfig(options, env) {
+    const configPath = options.config || env.ESJ_CONFIG;
+
+    if(configPath) {
+        try {
+            return require(path.resolve(configPath));
+        }
+        catch(error) {
+            throw new CliError(400, `Cannot load config file ${configPath}: ${error.message}`, { originalError: error });
+        }
+    }
+    else if(!env.ESJ_ADAPTER) {
+        throw new CliError(400, "No journal configuration: pass --config, or set ESJ_CONFIG or ESJ_ADAPTER");
+    }
+
+    const connectionOptions = env.ESJ_DB_CONNECTION_OPTIONS;
+    let dbConnectionOptions = connectionOptions || null;
+
+    try {
+        dbConnectionOptions = connectionOptions ? JSON.parse(connectionOptions) : null;
+    }
+    catch(error) {
+        dbConnectionOptions = connectionOptions;
+    }
+
+    return {
+        adapterName: env.ESJ_ADAPTER,
+        dbConnectionOptions: dbConnectionOptions
+    };
+}
+
+/*
+ * Turn an option given as a number into one, leaving it undefined when it was not given.
+ *
+ * @function numberOption
+ *
+ * @optional {String}  value
+ *
+ * @return {Number}
+ *
+ */
+function numberOption(value) {
+    return value === undefined ? undefined : Number(value);
+}
+
+/*
+ * Lay rows out as a table with a header line, padding each column to its widest value.
+ *
+ * @function formatTable
+ *
+ * @required {[String]}  columns
+ * @required {Array}     rows - Arrays of values, in the order of the columns
+ *
+ * @return {String}
+ *
+ */
+function formatTable(columns, rows) {
+    const lines = [columns].concat(rows).map((row) => row.map((value) => value === null || value === undefined ? '' : String(value)));
+    const widths = columns.map((column, index) => _.max(lines.map((line) => line[index].length)));
+
+    return lines.map((line) => line.map((value, index) => _.padEnd(value, widths[index])).join('  ').replace(/\s+$/, '')).join('\n') + '\n';
+}
+
+/*
+ * The values of an event shown in a table row.
+ *
+ * @function eventRow
+ *
+ * @required {Event}  event
+ *
+ * @return {Array} [position, ref, version, event, initiated_by, created_on, payload]
+ *
+ */
+function eventRow(event) {
+    return [
+        event.position,
+        String(event.ref).trim(),
+        event.version,
+        event.event,
+        event.initiated_by,
+        new Date(event.created_on).toISOString(),
+        _.truncate(JSON.stringify(event.payload === undefined ? null : event.payload), { length: 60 })
+    ];
+}
+
+const eventColumns = ['position', 'ref', 'version', 'event', 'initiated_by', 'created_on', 'payload'];
+
+/*
+ * Describe a broken link of a hash chain.
+ *
+ * @function describeBrokenLink
+ *
+ * @required {Object}  brokenLink - { refId, version, position, expected, actual }
+ *
+ * @return {String}
+ *
+ */
+function describeBrokenLink(brokenLink) {
+    if(brokenLink.expected === null) {
+        return `version ${brokenLink.version} follows events that are missing`;
+    }
+
+    return `version ${brokenLink.version} has hash ${brokenLink.actual}, expected ${brokenLink.expected}`;
+}
+
+/*
+ * Call onItem with each item of an object mode stream, one at a time.
+ *
+ * @function forEachInStream
+ *
+ * @required {Readable}  readable
+ * @required {Function}  onItem
+ *
+ * @return {Promise}
+ *
+ */
+function forEachInStream(readable, onItem) {
+    return new Promise(function(resolve, reject) {
+        readable.on('data', function(item) {
+            try {
+                onItem(item);
+            }
+            catch(error) {
+                readable.destroy();
+                reject(error);
+            }
+        });
+        readable.on('error', reject);
+        readable.on('end', resolve);
+    });
+}
+
+/*
+ * Print the events of a ref.
+ *
+ * @function stream
+ *
+ * @required {Journal}  journal
+ * @required {Object}   context - { args, options, io }
+ *
+ * @return {Number} The exit code
+ *
+ */
+const stream = Promise.coroutine(function *(journal, context) {
+    const refId = context.args[0];
+    const options = context.options;
+    const rows = [];
+
+    if(!refId) {
+        throw new CliError(400, "Missing ref");
+    }
+
+    const events = journal.streamEventsForRef(refId, {
+        fromVersion: numberOption(options.from),
+        toVersion: numberOption(options.to),
+        limit: numberOption(options.limit),
+        direction: options.backward ? 'backward' : 'forward'
+    });
+
+    yield forEachInStream(events, function(event) {
+        if(options.json) {
+            context.io.stdout.write(`${JSON.stringify(event)}\n`);
+        }
+        else {
+            rows.push(eventRow(event));
+        }
+    });
+
+    if(!options.json) {
+        context.io.stdout.write(formatTable(eventColumns, rows));
+    }
+
+    return 0;
+});
+
+/*
+ * Print events as they are appended. Without --from-position, the events already stored are
+ * read once to find where the journal ends, and only later events are printed. The journal is
+ * also checked every --poll-interval milliseconds (1000 by default), so that appends made by
+ * other processes are seen even when the adapter is not notified of them.
+ *
+ * @function tail
+ *
+ * @required {Journal}  journal
+ * @required {Object}   context - { args, options, io }
+ *
+ * @return {Number} The exit code
+ *
+ */
+const tail = Promise.coroutine(function *(journal, context) {
+    const options = context.options;
+    const count = numberOption(options.count);
+    const pollInterval = options.pollInterval !== undefined ? Number(options.pollInterval) : 1000;
+    let following = options.fromPosition !== undefined;
+    let printed = 0;
+    let stop;
+
+    const stopped = new Promise(function(resolve) {
+        stop = resolve;
+    });
+
+    const subscription = yield journal.subscribe({
+        fromPosition: numberOption(options.fromPosition),
+        filter: () => following
+    }, function(event) {
+        context.io.stdout.write(options.json ? `${JSON.stringify(event)}\n` : `${eventRow(event).join('  ')}\n`);
+
+        if(count && ++printed >= count) {
+            stop();
+        }
+    });
+
+    if(subscription.caughtUp) {
+        following = true;
+    }
+    else {
+        subscription.once('caughtUp', () => {
+            following = true;
+        });
+    }
+
+    if(!(pollInterval > 0)) {
+        yield subscription.close();
+        throw new CliError(400, "--poll-interval must be a positive number", { pollInterval: options.pollInterval });
+    }
+
+    const poll = setInterval(() => subscription.schedule(), pollInterval);
+
+    subscription.on('error', (error) => stop(error));
+    process.once('SIGINT', stop);
+
+    const error = yield stopped;
+
+    clearInterval(poll);
+    process.removeListener('SIGINT', stop);
+    yield subscription.close();
+
+    if(error) {
+        throw error;
+    }
+
+    return 0;
+});
+
+/*
+ * Append an event to a ref and print it.
+ *
+ * @function append
+ *
+ * @required {Journal}  journal
+ * @required {Object}   context - { args, options, io }
+ *
+ * @return {Number} The exit code
+ *
+ */
+const append = Promise.coroutine(function *(journal, context) {
+    const options = context.options;
+    let data;
+
+    if(context.args.length < 2) {
+        throw new CliError(400, "Missing ref or event");
+    }
+
+    try {
+        data = options.data === undefined ? undefined : JSON.parse(options.data);
+    }
+    catch(error) {
+        throw new CliError(400, "--data must be valid JSON", { data: options.data });
+    }
+
+    const expectedVersion = options.expectedVersion;
+    const event = yield journal.createEventForRef({
+        eventName: context.args[1],
+        refId: context.args[0],
+        data: data,
+        userId: options.user,
+        eventId: options.eventId,
+        expectedVersion: expectedVersion === undefined || isNaN(Number(expectedVersion)) ? expectedVersion : Number(expectedVersion)
+    });
+
+    context.io.stdout.write(options.json ? `${JSON.stringify(event)}\n` : formatTable(eventColumns, [eventRow(event)]));
+
+    return 0;
+});
+
+/*
+ * Write events as NDJSON to a file or stdout.
+ *
+ * @function exportEvents
+ *
+ * @required {Journal}  journal
+ * @required {Object}   context - { args, options, io }
+ *
+ * @return {Number} The exit code
+ *
+ */
+const exportEvents = Promise.coroutine(function *(journal, context) {
+    const options = context.options;
+    const writable = options.file ? fs.createWriteStream(options.file) : context.io.stdout;
+
+    const written = yield journal.exportTo(writable, {
+        refs: options.refs ? options.refs.split(',') : undefined,
+        from: options.from,
+        to: options.to
+    });
+
+    if(options.file) {
+        yield new Promise((resolve, reject) => {
+            writable.on('error', reject);
+            writable.end(resolve);
+        });
+    }
+
+    context.io.stderr.write(`Exported ${written} events\n`);
+
+    return 0;
+});
+
+/*
+ * Read NDJSON events from a file or stdin and print how many were imported.
+ *
+ * @function importEvents
+ *
+ * @required {Journal}  journal
+ * @required {Object}   context - { args, options, io }
+ *
+ * @return {Number} The exit code
+ *
+ */
+const importEvents = Promise.coroutine(function *(journal, context) {
+    const options = context.options;
+    const readable = options.file ? fs.createReadStream(options.file) : context.io.stdin;
+    const result = yield journal.importFrom(readable, { onConflict: options.onConflict });
+
+    context.io.stdout.write(options.json ? `${JSON.stringify(result)}\n` : formatTable(['imported', 'skipped'], [[result.imported, result.skipped]]));
+
+    return 0;
+});
+
+/*
+ * Count the events and refs in the journal, and the events of each name, by reading it a page
+ * at a time.
+ *
+ * @function stats
+ *
+ * @required {Journal}  journal
+ * @required {Object}   context - { args, options, io }
+ *
+ * @return {Number} The exit code
+ *
+ */
+const stats = Promise.coroutine(function *(journal, context) {
+    const refs = new Set();
+    const eventNames = {};
+    const result = {
+        events: 0,
+        refs: 0,
+        firstPosition: null,
+        lastPosition: null,
+        firstCreatedOn: null,
+        lastCreatedOn: null,
+        eventNames: eventNames
+    };
+
+    let page = { events: [], nextPosition: 0 };
+
+    do {
+        page = yield journal.readAll({ fromPosition: page.nextPosition, limit: 1000 });
+
+        page.events.forEach(function(event) {
+            const createdOn = new Date(event.created_on);
+
+            refs.add(String(event.ref).trim());
+            eventNames[event.event] = (eventNames[event.event] || 0) + 1;
+
+            result.events++;
+            result.firstPosition = result.firstPosition === null ? Number(event.position) : result.firstPosition;
+            result.lastPosition = Number(event.position);
+            result.firstCreatedOn = !result.firstCreatedOn || createdOn < result.firstCreatedOn ? createdOn : result.firstCreatedOn;
+            result.lastCreatedOn = !result.lastCreatedOn || createdOn > result.lastCreatedOn ? createdOn : result.lastCreatedOn;
+        });
+    } while(page.events.length === 1000);
+
+    result.refs = refs.size;
+
+    if(context.options.json) {
+        context.io.stdout.write(`${JSON.stringify(result)}\n`);
+    }
+    else {
+        context.io.stdout.write(formatTable(['events', 'refs', 'first_position', 'last_position', 'first_created_on', 'last_created_on'], [[
+            result.events,
+            result.refs,
+            result.firstPosition,
+            result.lastPosition,
+            result.firstCreatedOn && result.firstCreatedOn.toISOString(),
+            result.lastCreatedOn && result.lastCreatedOn.toISOString()
+        ]]));
+        context.io.stdout.write('\n');
+        context.io.stdout.write(formatTable(['event', 'count'], _.sortBy(_.toPairs(eventNames), 0)));
+    }
+
+    return 0;
+});
+
+/*
+ * Print the result of checking the hash chain of every ref.
+ *
+ * @function verifyAll
+ *
+ * @required {Journal}  journal
+ * @required {Object}   context - { args, options, io }
+ *
+ * @return {Number} The exit code
+ *
+ */
+const verifyAll = Promise.coroutine(function *(journal, context) {
+    const result = yield journal.verifyAll({ batchSize: 1000 });
+    const brokenLink = result.brokenLink;
+
+    if(context.options.json) {
+        context.io.stdout.write(`${JSON.stringify(result)}\n`);
+    }
+    else {
+        context.io.stdout.write(formatTable(['refs', 'events', 'result'], [[result.refs, result.events, result.ok ? 'ok' : 'failed']]));
+
+        if(brokenLink) {
+            context.io.stdout.write(`  ref ${brokenLink.refId} ${describeBrokenLink(brokenLink)}\n`);
+        }
+    }
+
+    return result.ok ? 0 : exitCodes[409];
+});
+
+/*
+ * Check that the events of a ref are consistent: versions are consecutive and start at 1, or
+ * just after a snapshot when the history before it was truncated, positions increase, a
+ * tombstone only ever comes last, and the hash chain is intact. Without a ref, checks the hash
+ * chain of every ref instead. Exits with the code for a conflict when a check fails.
+ *
+ * @function verify
+ *
+ * @required {Journal}  journal
+ * @required {Object}   context - { args, options, io }
+ *
+ * @return {Number} The exit code
+ *
+ */
+const verify = Promise.coroutine(function *(journal, context) {
+    const refId = context.args[0];
+    const problems = [];
+    let previous = null;
+    let events = 0;
+
+    if(!refId) {
+        return yield verifyAll(journal, context);
+    }
+
+    const snapshot = yield journal.getLatestSnapshot(refId);
+
+    yield forEachInStream(journal.streamEventsForRef(refId), function(event) {
+        const version = Number(event.version);
+        const position = Number(event.position);
+
+        if(!previous && version !== 1 && (!snapshot || snapshot.version < version - 1)) {
+            problems.push(`version ${version} is the first event, but no snapshot covers the versions before it`);
+        }
+        else if(previous && version !== previous.version + 1) {
+            problems.push(`version ${version} follows version ${previous.version}`);
+        }
+
+        if(previous && position <= previous.position) {
+            problems.push(`version ${version} has position ${position}, not after ${previous.position}`);
+        }
+
+        if(previous && previous.event === Journal.TombstoneEvent) {
+            problems.push(`version ${version} follows the tombstone at version ${previous.version}`);
+        }
+
+        previous = { version: version, position: position, event: event.event };
+        events++;
+    });
+
+    const brokenLink = (yield journal.verifyRef(refId)).brokenLink;
+
+    if(brokenLink) {
+        problems.push(describeBrokenLink(brokenLink));
+    }
+
+    const result = {
+        refId: refId,
+        events: events,
+        latestVersion: previous ? previous.version : 0,
+        ok: !problems.length,
+        problems: problems,
+        brokenLink: brokenLink
+    };
+
+    if(context.options.json) {
+        context.io.stdout.write(`${JSON.stringify(result)}\n`);
+    }
+    else {
+        context.io.stdout.write(formatTable(['ref', 'events', 'latest_version', 'result'], [[refId, events, result.latestVersion, result.ok ? 'ok' : 'failed']]));
+        problems.forEach((problem) => context.io.stdout.write(`  ${problem}\n`));
+    }
+
+    return result.ok ? 0 : exitCodes[409];
+});
+
+const commands = {
+    stream: stream,
+    tail: tail,
+    append: append,
+    export: exportEvents,
+    import: importEvents,
+    stats: stats,
+    verify: verify
+};
+
+/*
+ * Run the command-line tool. Errors are printed to stderr rather than thrown.
+ *
+ * @function run
+ *
+ * @required {[String]}  argv - The arguments after the program name
+ * @required {Object}    io - { stdin, stdout, stderr, env }
+ *
+ * @return {Promise} The exit code
+ *
+ */
+const run = Promise.coroutine(function *(argv, io) {
+    let journal;
+
+    try {
+        const parsed = parseArguments(argv);
+
+        if(parsed.options.help || parsed.command === 'help') {
+            io.stdout.write(usage);
+
+            return 0;
+        }
+        else if(!parsed.command) {
+            io.stderr.write(usage);
+
+            return exitCodes[400];
+        }
+        else if(!_.has(commands, parsed.command)) {
+            throw new CliError(400, `Unknown command "${parsed.command}", see esj --help`);
+        }
+
+        journal = new Journal(loadConfig(parsed.options, io.env));
+        yield journal.createClient();
+
+        return yield commands[parsed.command](journal, {
+            args: parsed.args,
+            options: parsed.options,
+            io: io
+        });
+    }
+    catch(error) {
+        io.stderr.write(`esj: ${error.message}\n`);
+
+        return exitCodeFor(error);
+    }
+    finally {
+        if(journal) {
+            yield journal.destroyClient();
+        }
+    }
+});
+
+exports = module.exports = {
+    run: run,
+    parseArguments: parseArguments,
+    exitCodeFor: exitCodeFor,
+    exitCodes: exitCodes
+};
@@ -0,0 +1,139 @@
+"use strict";
+const crypto = require('crypto');
+const _ = require('lodash');
+
+const algorithm = 'aes-256-gcm';
+const keyLength = 32;
+const ivLength = 12;
+
+/*
+ * Generate a new random data key.
+ *
+ * @function generateKey
+ *
+ * @return {Buffer}
+ *
+ */
+function generateKey() {
+    return crypto.randomBytes(keyLength);
+}
+
+/*
+ * Check that a key is a Buffer of the length the cipher expects.
+ *
+ * @function isValidKey
+ *
+ * @optional {Buffer}  key
+ *
+ * @return {Boolean}
+ *
+ */
+function isValidKey(key) {
+    return Buffer.isBuffer(key) && key.length === keyLength;
+}
+
+/*
+ * Encrypt a buffer with AES-256-GCM. The additional data is authenticated but not encrypted, so
+ * a sealed value can only be opened with the same additional data it was sealed with.
+ *
+ * @function seal
+ *
+ * @required {Buffer}  key
+ * @required {Buffer}  plaintext
+ * @required {String}  additionalData
+ *
+ * @return {String} "iv.tag.ciphertext", each part base64 encoded
+ *
+ */
+function seal(key, plaintext, additionalData) {
+    const iv = crypto.randomBytes(ivLength);
+    const cipher = crypto.createCipheriv(algorithm, key, iv);
+
+    cipher.setAAD(Buffer.from(additionalData));
+
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64')).join('.');
+}
+
+/*
+ * Decrypt a value sealed by seal. Throws when the key or additional data do not match, or the
+ * value has been tampered with.
+ *
+ * @function open
+ *
+ * @required {Buffer}  key
+ * @required {String}  sealed
+ * @required {String}  additionalData
+ *
+ * @return {Buffer}
+ *
+ */
+function open(key, sealed, additionalData) {
+    const parts = sealed.split('.').map((part) => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv(algorithm, key, parts[0]);
+
+    decipher.setAAD(Buffer.from(additionalData));
+    decipher.setAuthTag(parts[1]);
+
+    return Buffer.concat([decipher.update(parts[2]), decipher.final()]);
+}
+
+/*
+ * Encrypt any JSON value into an envelope that can be stored in place of it.
+ *
+ * @function encryptValue
+ *
+ * @required {Buffer}  key
+ * @optional {Object}  value
+ * @required {String}  refId - Bound to the envelope, so it cannot be moved to another ref
+ *
+ * @return {Object} { __encrypted, data }
+ *
+ */
+function encryptValue(key, value, refId) {
+    return {
+        __encrypted: algorithm,
+        data: seal(key, Buffer.from(JSON.stringify(value)), refId)
+    };
+}
+
+/*
+ * Decrypt an envelope made by encryptValue.
+ *
+ * @function decryptValue
+ *
+ * @required {Buffer}  key
+ * @required {Object}  envelope
+ * @required {String}  refId
+ *
+ * @return {Object}
+ *
+ */
+function decryptValue(key, envelope, refId) {
+    return JSON.parse(open(key, envelope.data, refId).toString('utf8'));
+}
+
+/*
+ * Check whether a stored value is an envelope made by encryptValue.
+ *
+ * @function isEncrypted
+ *
+ * @optional {Object}  value
+ *
+ * @return {Boolean}
+ *
+ */
+function isEncrypted(value) {
+    return _.isPlainObject(value) && value.__encrypted === algorithm && typeof value.data === 'string';
+}
+
+exports = module.exports = {
+    generateKey: generateKey,
+    isValidKey: isValidKey,
+    seal: seal,
+    open: open,
+    encryptValue: encryptValue,
+    decryptValue: decryptValue,
+    isEncrypted: isEncrypted
+};
@@ -0,0 +1,190 @@
+"use strict";
+
+/*
+ * The errors thrown by the Journal. Every one is a JournalError with a `code` that follows the
+ * HTTP status codes, the `arguments` it was thrown with, a `cause` holding the error it wraps (or
+ * null) and a `retryable` flag telling callers whether trying the same call again may succeed.
+ * The codes of the typed errors never change:
+ *
+ *  - ValidationError (400): an argument, option or event is invalid. Not retryable
+ *  - NotFoundError (404): what the call refers to does not exist. Not retryable
+ *  - ConcurrencyError (409): the ref was appended to since its version was read, or an eventId
+ *    was used concurrently. Retryable once the ref has been read again
+ *  - ConnectionError (502): the datastore could not be reached. Retryable
+ *  - NotInitializedError (500): the Journal's client has not been created. Not retryable
+ *
+ * Other failures, such as appends to a deleted ref (410), are thrown as plain JournalErrors.
+ * Errors from adapters are converted with fromError, keeping the adapter's error as the cause.
+ *
+ */
+
+/**
+ * An error.
+ *
+ * @constructor JournalError
+ * @param {number} code - The http status code meant associated with the error
+ * @param {string} message - The message describing the error
+ * @param {object} args - Any relevant arguments to be returned to the user/developer
+ * @param {Error} cause - The error being wrapped, defaults to args.originalError
+ *
+ */
+function JournalError(code, message, args, cause) {
+    this.code = code || 500;
+    this.name = 'JournalError';
+    this.arguments = args;
+    this.message = message || 'An error occurred';
+    this.cause = cause || (args && args.originalError) || null;
+    this.stack = (new Error()).stack;
+}
+
+JournalError.prototype = Object.create(Error.prototype);
+JournalError.prototype.constructor = JournalError;
+JournalError.prototype.retryable = false;
+
+/**
+ * An invalid argument, option or event.
+ *
+ * @constructor ValidationError
+ * @param {string} message
+ * @param {object} args
+ * @param {Error} cause
+ *
+ */
+function ValidationError(message, args, cause) {
+    JournalError.call(this, 400, message, args, cause);
+    this.name = 'ValidationError';
+}
+
+ValidationError.prototype = Object.create(JournalError.prototype);
+ValidationError.prototype.constructor = ValidationError;
+
+/**
+ * Something the call refers to does not exist.
+ *
+ * @constructor NotFoundError
+ * @param {string} message
+ * @param {object} args
+ * @param {Error} cause
+ *
+ */
+function NotFoundError(message, args, cause) {
+    JournalError.call(this, 404, message, args, cause);
+    this.name = 'NotFoundError';
+}
+
+NotFoundError.prototype = Object.create(JournalError.prototype);
+NotFoundError.prototype.constructor = NotFoundError;
+
+/**
+ * A version conflict, or an eventId used concurrently.
+ *
+ * @constructor ConcurrencyError
+ * @param {string} message
+ * @param {object} args
+ * @param {Error} cause
+ *
+ */
+function ConcurrencyError(message, args, cause) {
+    JournalError.call(this, 409, message, args, cause);
+    this.name = 'ConcurrencyError';
+}
+
+ConcurrencyError.prototype = Object.create(JournalError.prototype);
+ConcurrencyError.prototype.constructor = ConcurrencyError;
+ConcurrencyError.prototype.retryable = true;
+
+/**
+ * The datastore could not be reached.
+ *
+ * @constructor ConnectionError
+ * @param {string} message
+ * @param {object} args
+ * @param {Error} cause
+ *
+ */
+function ConnectionError(message, args, cause) {
+    JournalError.call(this, 502, message, args, cause);
+    this.name = 'ConnectionError';
+}
+
+ConnectionError.prototype = Object.create(JournalError.prototype);
+ConnectionError.prototype.constructor = ConnectionError;
+ConnectionError.prototype.retryable = true;
+
+/**
+ * A call that needs the Journal's client was made before it was created.
+ *
+ * @constructor NotInitializedError
+ * @param {string} message - Defaults to "Journal has not been initialized"
+ * @param {object} args
+ * @param {Error} cause
+ *
+ */
+function NotInitializedError(message, args, cause) {
+    JournalError.call(this, 500, message || "Journal has not been initialized", args, cause);
+    this.name = 'NotInitializedError';
+}
+
+NotInitializedError.prototype = Object.create(JournalError.prototype);
+NotInitializedError.prototype.constructor = NotInitializedError;
+
+/*
+ * Create the typed error for a code, or a JournalError for a code without one. Used to rethrow
+ * errors from adapters and middleware, which only carry a code.
+ *
+ * @function createError
+ *
+ * @optional {Number}  code
+ * @required {String}  message
+ * @optional {Object}  args
+ * @optional {Error}   cause
+ *
+ * @return {JournalError}
+ *
+ */
+function createError(code, message, args, cause) {
+    const TypedError = {
+        400: ValidationError,
+        404: NotFoundError,
+        409: ConcurrencyError,
+        502: ConnectionError
+    }[code];
+
+    return TypedError ? new TypedError(message, args, cause) : new JournalError(code, message, args, cause);
+}
+
+/*
+ * Convert any error into a JournalError, keeping the error as its cause. JournalErrors are
+ * returned as they are. Errors from adapters keep their code when it is an HTTP status code, and
+ * take defaultCode otherwise.
+ *
+ * @function fromError
+ *
+ * @required {Error}   error
+ * @optional {Object}  args - Defaults to the arguments of the error
+ * @optional {Number}  defaultCode - Defaults to 500
+ *
+ * @return {JournalError}
+ *
+ */
+function fromError(error, args, defaultCode) {
+    if(error instanceof JournalError) {
+        return error;
+    }
+
+    const code = error && typeof error.code === 'number' && error.code >= 400 && error.code < 600 ? error.code : defaultCode || 500;
+    const message = error && error.message ? error.message : String(error);
+
+    return createError(code, message, args !== undefined ? args : error && error.arguments, error);
+}
+
+exports = module.exports = {
+    createError: createError,
+    fromError: fromError,
+    JournalError: JournalError,
+    ValidationError: ValidationError,
+    NotFoundError: NotFoundError,
+    ConcurrencyError: ConcurrencyError,
+    ConnectionError: ConnectionError,
+    NotInitializedError: NotInitializedError
+};
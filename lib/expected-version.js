@@ -0,0 +1,63 @@
+"use strict";
+
+/*
+ * The expectations a caller can state about a ref when appending to it, instead of an exact
+ * version number. Any appends at whatever version the ref is at, NoStream only appends to a ref
+ * without events and StreamExists only appends to a ref that has at least one.
+ *
+ * @property ExpectedVersion
+ *
+ */
+const ExpectedVersion = Object.freeze({
+    Any: 'any',
+    NoStream: 'no_stream',
+    StreamExists: 'stream_exists'
+});
+
+const modes = Object.keys(ExpectedVersion).map((key) => ExpectedVersion[key]);
+
+/*
+ * Check whether a value is one of the ExpectedVersion constants.
+ *
+ * @function isExpectedVersionMode
+ *
+ * @optional {String}  expectedVersion
+ *
+ * @return {Boolean}
+ *
+ */
+function isExpectedVersionMode(expectedVersion) {
+    return modes.indexOf(expectedVersion) !== -1;
+}
+
+/*
+ * Check an expected version against the latest version stored for a ref. An omitted expected
+ * version behaves like ExpectedVersion.Any.
+ *
+ * @function describeVersionConflict
+ *
+ * @optional {String|Number}  expectedVersion
+ * @required {Number}         latestVersion
+ *
+ * @return {String} A description of the expectation that failed, or null when it holds
+ *
+ */
+function describeVersionConflict(expectedVersion, latestVersion) {
+    if(expectedVersion === undefined || expectedVersion === null || expectedVersion === ExpectedVersion.Any) {
+        return null;
+    }
+    else if(expectedVersion === ExpectedVersion.NoStream) {
+        return latestVersion === 0 ? null : `expected no stream but the ref is at version ${latestVersion}`;
+    }
+    else if(expectedVersion === ExpectedVersion.StreamExists) {
+        return latestVersion > 0 ? null : "expected the stream to exist but the ref has no events";
+    }
+
+    return expectedVersion === latestVersion ? null : `expected version ${expectedVersion} but the ref is at version ${latestVersion}`;
+}
+
+exports = module.exports = {
+    ExpectedVersion: ExpectedVersion,
+    isExpectedVersionMode: isExpectedVersionMode,
+    describeVersionConflict: describeVersionConflict
+};
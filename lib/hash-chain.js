@@ -0,0 +1,144 @@
+"use strict";
+const crypto = require('crypto');
+const _ = require('lodash');
+
+/*
+ * Every stored event carries a hash of its canonical content chained to the hash of the event
+ * before it in the same ref, so that an event edited or removed directly in the datastore breaks
+ * the chain from that event onwards. Adapters compute the hash with hashEvent as they create each
+ * event and store it as `hash`.
+ *
+ * The canonical content is the JSON of the event's ref, version, event, payload, initiated_by,
+ * schema_version, metadata, event_id and created_on (as an ISO 8601 timestamp), with the keys of
+ * every object sorted and missing values as null. Trailing spaces are trimmed from ref and
+ * initiated_by, which PostgreSQL pads to the width of their columns. The global position is left
+ * out, as it is assigned afresh when events are imported. Encrypted payloads are hashed as
+ * stored, so forgetting a ref does not break its chain.
+ *
+ * The hash is the hex SHA-256 of the previous event's hash (an empty string for the first event
+ * of a ref), a newline and the canonical content.
+ *
+ * Truncating a ref removes the events its first remaining event is chained to, so adapters keep
+ * the version and hash of the last event removed as the ref's anchor, and the chain is checked
+ * from there.
+ *
+ */
+
+/*
+ * Convert a value into a form whose JSON does not depend on key order or on how the datastore
+ * returned it.
+ *
+ * @function canonicalize
+ *
+ * @optional {*}  value
+ *
+ * @return {*}
+ *
+ */
+function canonicalize(value) {
+    if(Array.isArray(value)) {
+        return value.map(canonicalize);
+    }
+    else if(value instanceof Date) {
+        return value.toISOString();
+    }
+    else if(_.isPlainObject(value)) {
+        return Object.keys(value).sort().reduce(function(canonical, key) {
+            if(value[key] !== undefined) {
+                canonical[key] = canonicalize(value[key]);
+            }
+
+            return canonical;
+        }, {});
+    }
+
+    return value === undefined ? null : value;
+}
+
+/*
+ * Build the canonical content of a stored event.
+ *
+ * @function canonicalContent
+ *
+ * @required {Event}  event
+ *
+ * @return {String}
+ *
+ */
+function canonicalContent(event) {
+    return JSON.stringify(canonicalize({
+        ref: _.trimEnd(event.ref),
+        version: Number(event.version),
+        event: event.event,
+        payload: event.payload === undefined ? null : event.payload,
+        initiated_by: event.initiated_by ? _.trimEnd(event.initiated_by) : null,
+        schema_version: Number(event.schema_version || 1),
+        metadata: event.metadata || {},
+        event_id: event.event_id || null,
+        created_on: new Date(event.created_on)
+    }));
+}
+
+/*
+ * Hash a stored event, chained to the hash of the event before it in the ref.
+ *
+ * @function hashEvent
+ *
+ * @optional {String}  previousHash - null for the first event of a ref
+ * @required {Event}   event
+ *
+ * @return {String}
+ *
+ */
+function hashEvent(previousHash, event) {
+    return crypto.createHash('sha256')
+        .update(`${previousHash || ''}\n${canonicalContent(event)}`)
+        .digest('hex');
+}
+
+/*
+ * Check the link between a stored event and the one before it in the ref. The first stored event
+ * of a ref must either be version 1, chained to nothing, or directly follow the anchor kept when
+ * the ref's history was truncated (the version and hash of the last event removed), chained to
+ * the anchor's hash. Any other first event follows events that are missing, and is reported with
+ * an expected hash of null.
+ *
+ * @function findBrokenLink
+ *
+ * @optional {Event}   previousEvent - The event before it in the ref, if one is stored
+ * @required {Event}   event
+ * @optional {Object}  anchor - { version, hash } of the ref, when its history was truncated
+ *
+ * @return {Object} { refId, version, position, expected, actual }, or null when the link holds
+ *
+ */
+function findBrokenLink(previousEvent, event, anchor) {
+    let expected = null;
+
+    if(previousEvent) {
+        expected = hashEvent(previousEvent.hash, event);
+    }
+    else if(Number(event.version) === 1) {
+        expected = hashEvent(null, event);
+    }
+    else if(anchor && Number(anchor.version) === Number(event.version) - 1) {
+        expected = hashEvent(anchor.hash, event);
+    }
+
+    if(expected !== null && expected === event.hash) {
+        return null;
+    }
+
+    return {
+        refId: String(event.ref).trim(),
+        version: Number(event.version),
+        position: Number(event.position),
+        expected: expected,
+        actual: event.hash || null
+    };
+}
+
+exports = module.exports = {
+    hashEvent: hashEvent,
+    findBrokenLink: findBrokenLink
+};
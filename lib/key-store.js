@@ -0,0 +1,91 @@
+"use strict";
+const Promise = require('bluebird');
+const encryption = require('./encryption.js');
+
+/*
+ * The default key store for payload encryption. Each ref's data key is wrapped (encrypted) with
+ * a master key and persisted through the adapter's getDataKey, saveDataKey and destroyDataKey,
+ * so that the datastore never holds a usable key on its own. Destroying a key leaves a record
+ * of it behind, so a forgotten ref is never given a new key.
+ *
+ * Any object with the same getKey, createKey and destroyKey methods may be used as a key store
+ * instead, for example to keep the keys in a KMS.
+ *
+ * @class AdapterKeyStore
+ *
+ */
+class AdapterKeyStore {
+    constructor(adapter, masterKey) {
+        this.adapter = adapter;
+        this.masterKey = masterKey;
+
+        this.initializePublicMethods();
+    }
+
+    /*
+     * Wrap class methods in Bluebird couroutines as we cannot define dynamic methods when
+     * creating a class.
+     *
+     * @method initializePublicMethods
+     *
+     * @return {this};
+     *
+     */
+    initializePublicMethods() {
+        this.getKey = Promise.coroutine(this.getKey);
+        this.createKey = Promise.coroutine(this.createKey);
+        this.destroyKey = Promise.coroutine(this.destroyKey);
+
+        return this;
+    }
+
+    /*
+     * Get the data key of a ref.
+     *
+     * @method getKey
+     *
+     * @required {String}  refId
+     *
+     * @return {Buffer} null when the ref has no key, or its key has been destroyed
+     *
+     */
+    *getKey(refId) {
+        const record = yield this.adapter.getDataKey(refId);
+
+        return record && record.key ? encryption.open(this.masterKey, record.key, refId) : null;
+    }
+
+    /*
+     * Create and store a data key for a ref. When another writer stored one first, that key is
+     * returned instead.
+     *
+     * @method createKey
+     *
+     * @required {String}  refId
+     *
+     * @return {Buffer} null when the ref's key has been destroyed
+     *
+     */
+    *createKey(refId) {
+        const wrappedKey = encryption.seal(this.masterKey, encryption.generateKey(), refId);
+        const record = yield this.adapter.saveDataKey(refId, wrappedKey);
+
+        return record.key ? encryption.open(this.masterKey, record.key, refId) : null;
+    }
+
+    /*
+     * Destroy the data key of a ref, so that its encrypted payloads can no longer be read.
+     *
+     * @method destroyKey
+     *
+     * @required {String}  refId
+     *
+     * @return {undefined}
+     *
+     */
+    *destroyKey(refId) {
+        yield this.adapter.destroyDataKey(refId);
+    }
+}
+
+exports = module.exports = AdapterKeyStore;
@@ -0,0 +1,149 @@
+"use strict";
+const Promise = require('bluebird');
+const StringDecoder = require('string_decoder').StringDecoder;
+const stream = require('stream');
+
+/*
+ * The export format written by Journal#exportTo and read by Journal#importFrom is newline
+ * delimited JSON: one JSON object per line, each line ending in "\n". Empty lines are ignored.
+ *
+ * The first line is a header naming the format and its version:
+ *
+ *  {"type":"header","format":"event-source-journal","version":1,"exported_on":"2016-05-01T00:00:00.000Z"}
+ *
+ * Every following line is one stored event, with the fields it was stored with:
+ *
+ *  {"type":"event","ref":"...","version":1,"position":1,"event":"created","payload":{...},
+ *   "initiated_by":"user","schema_version":1,"metadata":{},"event_id":null,
+ *   "created_on":"2016-05-01T00:00:00.000Z"}
+ *
+ *  - ref, version and event are required; versions start at 1 and increase by one per ref
+ *  - created_on is an ISO 8601 timestamp, and is kept when the event is imported
+ *  - payload, initiated_by, event_id and metadata may be null or left out
+ *  - position is the event's global position in the journal it was exported from. Positions
+ *    are assigned afresh on import, in the order the events appear in the file
+ *
+ * Events are written in position order, or ref by ref when only some refs are exported, so the
+ * events of a ref always appear in version order. Payloads are written decrypted.
+ *
+ */
+const formatName = 'event-source-journal';
+const formatVersion = 1;
+
+/*
+ * Build the header line of an export.
+ *
+ * @function header
+ *
+ * @return {Object} { type, format, version, exported_on }
+ *
+ */
+function header() {
+    return {
+        type: 'header',
+        format: formatName,
+        version: formatVersion,
+        exported_on: new Date().toISOString()
+    };
+}
+
+/*
+ * Check whether a record is the header of a file in a format that can be read.
+ *
+ * @function isSupportedHeader
+ *
+ * @optional {Object}  record
+ *
+ * @return {Boolean}
+ *
+ */
+function isSupportedHeader(record) {
+    return Boolean(record) && record.type === 'header' && record.format === formatName && record.version === formatVersion;
+}
+
+/*
+ * Write a record as a line, waiting for the stream to drain when its buffer is full.
+ *
+ * @function writeLine
+ *
+ * @required {Writable}  writable
+ * @required {Object}    record
+ *
+ * @return {Promise}
+ *
+ */
+function writeLine(writable, record) {
+    return new Promise(function(resolve, reject) {
+        if(writable.write(`${JSON.stringify(record)}\n`)) {
+            return resolve();
+        }
+
+        const onDrain = function() {
+            writable.removeListener('error', onError);
+            resolve();
+        };
+
+        const onError = function(error) {
+            writable.removeListener('drain', onDrain);
+            reject(error);
+        };
+
+        writable.once('drain', onDrain);
+        writable.once('error', onError);
+    });
+}
+
+/*
+ * Read a stream line by line. onLine is called with each non-empty line and its line number,
+ * and the stream is held back until the promise it returns resolves. A final line without a
+ * trailing newline is read as well.
+ *
+ * @function readLines
+ *
+ * @required {Readable}  readable
+ * @required {Function}  onLine - onLine(line, lineNumber)
+ *
+ * @return {Promise} Resolves once every line has been handled
+ *
+ */
+function readLines(readable, onLine) {
+    const decoder = new StringDecoder('utf8');
+    let remainder = '';
+    let lineNumber = 0;
+
+    const handleLines = Promise.coroutine(function *(lines) {
+        for(let line of lines) {
+            lineNumber++;
+
+            if(line.trim()) {
+                yield onLine(line, lineNumber);
+            }
+        }
+    });
+
+    return new Promise(function(resolve, reject) {
+        const consumer = new stream.Writable({
+            write(chunk, encoding, callback) {
+                const lines = (remainder + decoder.write(chunk)).split('\n');
+                remainder = lines.pop();
+
+                handleLines(lines).asCallback(callback);
+            }
+        });
+
+        consumer.on('error', reject);
+        consumer.on('finish', function() {
+            handleLines([remainder + decoder.end()]).then(resolve, reject);
+        });
+
+        readable.on('error', reject);
+        readable.pipe(consumer);
+    });
+}
+
+exports = module.exports = {
+    header: header,
+    isSupportedHeader: isSupportedHeader,
+    writeLine: writeLine,
+    readLines: readLines
+};
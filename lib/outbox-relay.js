@@ -0,0 +1,192 @@
+"use strict";
+const EventEmitter = require('events').EventEmitter;
+const Promise = require('bluebird');
+
+const defaults = {
+    batchSize: 100,
+    pollInterval: 1000,
+    retryDelay: 1000,
+    maxRetryDelay: 60000
+};
+
+/*
+ * An OutboxRelay delivers the events in the adapter's outbox to a publish function, at least
+ * once and in position order within each batch. Entries are marked as sent once every entry of
+ * a batch has been published, so a relay that stops part way through a batch publishes its
+ * entries again when it restarts. An entry whose publish fails is retried later, waiting twice
+ * as long after each failed attempt up to maxRetryDelay, while the rest of the batch carries on.
+ *
+ * Emits "sent" with each event once it has been marked as sent, "failed" with the event, the
+ * error and the number of attempts made whenever publishing an event fails, "error" when the
+ * outbox cannot be read or updated (only when listened for; the relay keeps polling), and
+ * "close" once it has stopped.
+ *
+ * @class OutboxRelay
+ *
+ */
+class OutboxRelay extends EventEmitter {
+    constructor(adapter, options, prepareEvent) {
+        super();
+
+        options = options || {};
+
+        this.adapter = adapter;
+        this.publish = options.publish;
+        this.prepareEvent = prepareEvent;
+        this.batchSize = options.batchSize || defaults.batchSize;
+        this.pollInterval = options.pollInterval || defaults.pollInterval;
+        this.retryDelay = options.retryDelay || defaults.retryDelay;
+        this.maxRetryDelay = options.maxRetryDelay || defaults.maxRetryDelay;
+
+        this.closed = false;
+        this.timer = null;
+        this.running = null;
+
+        this.initializePublicMethods();
+    }
+
+    /*
+     * Wrap class methods in Bluebird couroutines as we cannot define dynamic methods when
+     * creating a class.
+     *
+     * @method initializePublicMethods
+     *
+     * @return {this};
+     *
+     */
+    initializePublicMethods() {
+        this.start = Promise.coroutine(this.start);
+        this.close = Promise.coroutine(this.close);
+        this.relayPendingEntries = Promise.coroutine(this.relayPendingEntries);
+
+        return this;
+    }
+
+    /*
+     * Start relaying, beginning with whatever is already pending.
+     *
+     * @method start
+     *
+     * @return {this}
+     *
+     */
+    *start() {
+        this.schedule(0);
+
+        return this;
+    }
+
+    /*
+     * Stop polling and wait for the batch being relayed, if any, to finish. Calling close more
+     * than once has no effect.
+     *
+     * @method close
+     *
+     * @return {this}
+     *
+     */
+    *close() {
+        if(!this.closed) {
+            this.closed = true;
+            clearTimeout(this.timer);
+
+            if(this.running) {
+                yield this.running;
+            }
+
+            this.emit('close');
+        }
+
+        return this;
+    }
+
+    /*
+     * Relay the next batch after a delay. A full batch is followed straight away by the next one,
+     * otherwise the relay waits pollInterval before looking again.
+     *
+     * @method schedule
+     *
+     * @required {Number}  delay
+     *
+     * @return {undefined}
+     *
+     */
+    schedule(delay) {
+        if(this.closed) {
+            return;
+        }
+
+        this.timer = setTimeout(() => {
+            this.running = this.relayPendingEntries()
+                .then((count) => {
+                    this.running = null;
+                    this.schedule(count === this.batchSize ? 0 : this.pollInterval);
+                })
+                .catch((error) => {
+                    this.running = null;
+
+                    if(this.listenerCount('error')) {
+                        this.emit('error', error);
+                    }
+
+                    this.schedule(this.pollInterval);
+                });
+        }, delay);
+    }
+
+    /*
+     * Get the time to wait before retrying an entry that has failed a number of times.
+     *
+     * @method retryDelayFor
+     *
+     * @required {Number}  attempts
+     *
+     * @return {Number} Milliseconds
+     *
+     */
+    retryDelayFor(attempts) {
+        return Math.min(this.maxRetryDelay, this.retryDelay * Math.pow(2, attempts - 1));
+    }
+
+    /*
+     * Publish one batch of pending entries, then mark the ones that were published as sent.
+     *
+     * @method relayPendingEntries
+     *
+     * @return {Number} The number of entries read from the outbox
+     *
+     */
+    *relayPendingEntries() {
+        const entries = yield this.adapter.getPendingOutboxEntries(this.batchSize);
+        const sent = [];
+
+        for(let entry of entries) {
+            if(this.closed) {
+                break;
+            }
+
+            const event = yield Promise.resolve(this.prepareEvent(entry.event));
+
+            try {
+                yield Promise.resolve(this.publish(event));
+                sent.push({ id: entry.id, event: event });
+            }
+            catch(error) {
+                const attempts = entry.attempts + 1;
+                const availableOn = new Date(Date.now() + this.retryDelayFor(attempts));
+
+                yield this.adapter.rescheduleOutboxEntry(entry.id, availableOn, error && error.message ? error.message : String(error));
+                this.emit('failed', event, error, attempts);
+            }
+        }
+
+        if(sent.length) {
+            yield this.adapter.markOutboxEntriesSent(sent.map((entry) => entry.id));
+            sent.forEach((entry) => this.emit('sent', entry.event));
+        }
+
+        return entries.length;
+    }
+}
+
+exports = module.exports = OutboxRelay;
@@ -0,0 +1,374 @@
+"use strict";
+const EventEmitter = require('events').EventEmitter;
+const Promise = require('bluebird');
+const _ = require('lodash');
+const errors = require('./errors.js');
+
+const defaultBatchSize = 100;
+
+/*
+ * Describe the error that stopped a projection, in a form that can be stored with its checkpoint.
+ *
+ * @function describeFailure
+ *
+ * @required {Error}  error
+ * @optional {Event}  event - The event being handled, when a handler failed
+ *
+ * @return {Object} { message, code, failed_on } and the event's event, ref, version and position
+ *
+ */
+function describeFailure(error, event) {
+    const failure = {
+        message: error && error.message ? error.message : String(error),
+        code: error && error.code !== undefined ? error.code : null,
+        failed_on: new Date().toISOString()
+    };
+
+    if(event) {
+        failure.event = event.event;
+        failure.ref = event.ref;
+        failure.version = event.version;
+        failure.position = Number(event.position);
+    }
+
+    return failure;
+}
+
+/*
+ * A ProjectionRunner keeps read models up to date by handing the journal's events, in position
+ * order, to the handlers of each registered projection. Every projection has a checkpoint in the
+ * adapter, the position of the last event it processed (null before the first), which is saved
+ * after each batch. Reading resumes after that position, or from the start of the journal
+ * without one, so nothing is assumed about the position the first event is given. When the
+ * runner is started again every projection resumes from its checkpoint, so the events of a batch
+ * that was cut short may be handled twice but none are skipped.
+ *
+ * A handler that fails stops its projection, and the error is saved with the checkpoint while the
+ * other projections carry on. The projection tries the event again the next time the runner is
+ * started, or can be rebuilt from the start.
+ *
+ * Emits "failed" with the projection's name, the error and the event when a handler fails,
+ * "progress" with { name, position, processed } after each batch replayed by a rebuild, "error"
+ * with the projection's name and the error when events or checkpoints cannot be read or saved
+ * (only when listened for; the projection stops), and "close" once it has stopped.
+ *
+ * @class ProjectionRunner
+ *
+ */
+class ProjectionRunner extends EventEmitter {
+    constructor(journal, adapter, definitions, options) {
+        super();
+
+        options = options || {};
+
+        this.journal = journal;
+        this.adapter = adapter;
+        this.batchSize = options.batchSize || defaultBatchSize;
+        this.projections = new Map();
+
+        definitions.forEach((definition, name) => {
+            this.projections.set(name, {
+                name: name,
+                handlers: new Map(_.toPairs(definition.handlers)),
+                reset: definition.reset,
+                state: 'idle',
+                position: null,
+                error: null,
+                running: null,
+                pending: false
+            });
+        });
+
+        this.closed = false;
+
+        this.initializePublicMethods();
+    }
+
+    /*
+     * Wrap class methods in Bluebird couroutines as we cannot define dynamic methods when
+     * creating a class.
+     *
+     * @method initializePublicMethods
+     *
+     * @return {this};
+     *
+     */
+    initializePublicMethods() {
+        this.start = Promise.coroutine(this.start);
+        this.close = Promise.coroutine(this.close);
+        this.rebuild = Promise.coroutine(this.rebuild);
+        this.processPendingEvents = Promise.coroutine(this.processPendingEvents);
+
+        return this;
+    }
+
+    /*
+     * Load the checkpoint of every projection, then start watching the adapter for new events and
+     * process everything stored past the checkpoints.
+     *
+     * @method start
+     *
+     * @return {this}
+     *
+     */
+    *start() {
+        for(let projection of this.projections.values()) {
+            const checkpoint = yield this.adapter.getCheckpoint(projection.name);
+
+            projection.position = checkpoint && checkpoint.position !== null ? Number(checkpoint.position) : null;
+            projection.error = checkpoint ? checkpoint.error : null;
+            projection.state = 'running';
+        }
+
+        this.stopWatching = yield this.adapter.watch(() => {
+            this.projections.forEach((projection) => this.schedule(projection));
+        });
+
+        this.projections.forEach((projection) => this.schedule(projection));
+
+        return this;
+    }
+
+    /*
+     * Stop processing events, release the adapter's watcher and wait for the batches being
+     * processed, if any, to finish. Calling close more than once has no effect.
+     *
+     * @method close
+     *
+     * @return {this}
+     *
+     */
+    *close() {
+        if(!this.closed) {
+            this.closed = true;
+
+            if(this.stopWatching) {
+                yield this.stopWatching();
+            }
+
+            yield Promise.all(Array.from(this.projections.values())
+                .filter((projection) => projection.running)
+                .map((projection) => projection.running));
+
+            this.emit('close');
+        }
+
+        return this;
+    }
+
+    /*
+     * Get the state of a projection: "running", "rebuilding" or "failed", or "idle" before the
+     * runner has started. The error is the one saved with the checkpoint, if any.
+     *
+     * @method status
+     *
+     * @required {String}  name
+     *
+     * @return {Object} { name, state, position, error }, or null for an unknown projection
+     *
+     */
+    status(name) {
+        const projection = this.projections.get(name);
+
+        if(!projection) {
+            return null;
+        }
+
+        return {
+            name: projection.name,
+            state: projection.state,
+            position: projection.position,
+            error: projection.error
+        };
+    }
+
+    /*
+     * Reset a projection and replay every event in the journal to it. The projection's reset
+     * function, if it has one, is called first to clear its read model, and its checkpoint is
+     * returned to the start. Once the replay has caught up the projection carries on with new
+     * events as usual. A projection that failed is started again by rebuilding it.
+     *
+     * @method rebuild
+     *
+     * @required {String}  name
+     *
+     * @return {Object} { name, position, processed }
+     *
+     */
+    *rebuild(name) {
+        const projection = this.projections.get(name);
+
+        if(!projection) {
+            throw new errors.NotFoundError("Unknown projection", { name: name });
+        }
+        else if(this.closed) {
+            throw new errors.JournalError(409, "The projection runner has been closed", { name: name });
+        }
+        else if(projection.state === 'rebuilding') {
+            throw new errors.JournalError(409, "The projection is already being rebuilt", { name: name });
+        }
+
+        const progress = { name: name, position: null, processed: 0 };
+
+        projection.state = 'rebuilding';
+
+        if(projection.running) {
+            yield projection.running;
+            projection.state = 'rebuilding';
+        }
+
+        const replay = Promise.coroutine(function *() {
+            if(projection.reset) {
+                yield Promise.resolve(projection.reset());
+            }
+
+            yield this.adapter.saveCheckpoint(name, null, null);
+            projection.position = null;
+            projection.error = null;
+
+            return yield this.processPendingEvents(projection, (processed) => {
+                progress.position = projection.position;
+                progress.processed += processed;
+                this.emit('progress', _.clone(progress));
+            });
+        }).call(this);
+
+        projection.running = replay.catch(_.noop);
+
+        try {
+            const failure = yield replay;
+
+            if(failure) {
+                throw failure.error;
+            }
+        }
+        catch(error) {
+            projection.state = 'failed';
+            throw error;
+        }
+        finally {
+            projection.running = null;
+        }
+
+        projection.state = 'running';
+        this.schedule(projection);
+
+        return progress;
+    }
+
+    /*
+     * Process any events past a projection's checkpoint, unless a batch is already being
+     * processed, in which case it is asked to check again once it finishes.
+     *
+     * @method schedule
+     *
+     * @required {Object}  projection
+     *
+     * @return {undefined}
+     *
+     */
+    schedule(projection) {
+        if(this.closed || projection.state !== 'running') {
+            return;
+        }
+        else if(projection.running) {
+            projection.pending = true;
+            return;
+        }
+
+        projection.pending = false;
+        projection.running = this.processPendingEvents(projection)
+            .then(() => {
+                projection.running = null;
+
+                if(projection.pending) {
+                    this.schedule(projection);
+                }
+            })
+            .catch((error) => {
+                projection.running = null;
+                projection.state = 'failed';
+                projection.error = describeFailure(error);
+
+                if(this.listenerCount('error')) {
+                    this.emit('error', projection.name, error);
+                }
+            });
+    }
+
+    /*
+     * Read batches of events past a projection's checkpoint and hand each one to the handler for
+     * its name, saving the checkpoint after every batch, until no more events are stored or the
+     * projection's state changes. When a handler fails, the checkpoint is saved at the last event
+     * that was handled, along with the error, and the projection stops.
+     *
+     * @method processPendingEvents
+     *
+     * @required {Object}    projection
+     * @optional {Function}  onBatch - Called with the number of events in each batch processed
+     *
+     * @return {Object} { error, event } when a handler failed, otherwise null
+     *
+     */
+    *processPendingEvents(projection, onBatch) {
+        const state = projection.state;
+        let result;
+
+        do {
+            const fromPosition = projection.position === null ? 0 : projection.position + 1;
+
+            result = yield this.journal.readAll({ fromPosition: fromPosition, limit: this.batchSize });
+
+            let position = projection.position;
+            let processed = 0;
+            let failure = null;
+
+            for(let event of result.events) {
+                if(this.closed || projection.state !== state) {
+                    break;
+                }
+
+                const handler = projection.handlers.get(event.event);
+
+                try {
+                    if(handler) {
+                        yield Promise.resolve(handler(event));
+                    }
+                }
+                catch(error) {
+                    failure = { error: error, event: event };
+                    break;
+                }
+
+                position = Number(event.position);
+                processed++;
+            }
+
+            if(failure) {
+                projection.error = describeFailure(failure.error, failure.event);
+                yield this.adapter.saveCheckpoint(projection.name, position, projection.error);
+
+                projection.position = position;
+                projection.state = 'failed';
+                this.emit('failed', projection.name, failure.error, failure.event);
+
+                return failure;
+            }
+
+            if(processed) {
+                yield this.adapter.saveCheckpoint(projection.name, position, null);
+
+                projection.position = position;
+                projection.error = null;
+
+                if(onBatch) {
+                    onBatch(processed);
+                }
+            }
+        } while(!this.closed && projection.state === state && result.events.length === this.batchSize);
+
+        return null;
+    }
+}
+
+exports = module.exports = ProjectionRunner;
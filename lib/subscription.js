@@ -0,0 +1,187 @@
+"use strict";
+const EventEmitter = require('events').EventEmitter;
+const Promise = require('bluebird');
+
+const defaultBatchSize = 100;
+
+/*
+ * A Subscription delivers every event in the journal, starting at a global position, to a
+ * handler. Historical events are replayed first, after which the subscription keeps waiting
+ * for new appends. Events are delivered one at a time and in position order: when the handler
+ * returns a promise, the next event is not delivered until it resolves.
+ *
+ * Emits "caughtUp" the first time every stored event has been delivered, "error" when the
+ * handler (or a read) fails (only when listened for), and "close" once it has stopped. A failure
+ * closes the subscription in a failed state: error holds what failed, and "close" is emitted
+ * with it, so the failure is seen even when nothing listens for "error".
+ *
+ * @class Subscription
+ *
+ */
+class Subscription extends EventEmitter {
+    constructor(journal, adapter, options, handler) {
+        super();
+
+        options = options || {};
+
+        this.journal = journal;
+        this.adapter = adapter;
+        this.handler = handler;
+        this.filter = options.filter;
+        this.batchSize = options.batchSize || defaultBatchSize;
+
+        this.position = options.fromPosition || 0;
+        this.closed = false;
+        this.error = null;
+        this.caughtUp = false;
+        this.running = false;
+        this.pending = false;
+
+        this.initializePublicMethods();
+    }
+
+    /*
+     * Wrap class methods in Bluebird couroutines as we cannot define dynamic methods when
+     * creating a class.
+     *
+     * @method initializePublicMethods
+     *
+     * @return {this};
+     *
+     */
+    initializePublicMethods() {
+        this.start = Promise.coroutine(this.start);
+        this.close = Promise.coroutine(this.close);
+        this.deliverPendingEvents = Promise.coroutine(this.deliverPendingEvents);
+
+        return this;
+    }
+
+    /*
+     * Start watching the adapter for new events, then replay everything already stored. Watching
+     * starts first so that events appended during the replay are not missed.
+     *
+     * @method start
+     *
+     * @return {this}
+     *
+     */
+    *start() {
+        this.stopWatching = yield this.adapter.watch(() => this.schedule());
+        this.schedule();
+
+        return this;
+    }
+
+    /*
+     * Stop delivering events and release the adapter's watcher. "close" is emitted with the error
+     * that failed the subscription, if any. Calling close more than once has no effect.
+     *
+     * @method close
+     *
+     * @return {this}
+     *
+     */
+    *close() {
+        if(!this.closed) {
+            this.closed = true;
+
+            if(this.stopWatching) {
+                yield this.stopWatching();
+            }
+
+            this.emit('close', this.error);
+        }
+
+        return this;
+    }
+
+    /*
+     * Alias of close.
+     *
+     * @method unsubscribe
+     *
+     * @return {Promise}
+     *
+     */
+    unsubscribe() {
+        return this.close();
+    }
+
+    /*
+     * Deliver any events past the current position, unless a delivery is already running, in
+     * which case it is asked to check again once it finishes.
+     *
+     * @method schedule
+     *
+     * @return {undefined}
+     *
+     */
+    schedule() {
+        if(this.closed) {
+            return;
+        }
+        else if(this.running) {
+            this.pending = true;
+            return;
+        }
+
+        this.running = true;
+        this.pending = false;
+
+        this.deliverPendingEvents()
+            .then(() => {
+                this.running = false;
+
+                if(!this.caughtUp && !this.closed) {
+                    this.caughtUp = true;
+                    this.emit('caughtUp', this.position);
+                }
+
+                if(this.pending) {
+                    this.schedule();
+                }
+            })
+            .catch((error) => {
+                this.running = false;
+                this.error = error;
+
+                return this.close().then(() => {
+                    if(this.listenerCount('error')) {
+                        this.emit('error', error);
+                    }
+                });
+            });
+    }
+
+    /*
+     * Read batches of events from the current position and hand each one that passes the filter
+     * to the handler, until no more events are stored.
+     *
+     * @method deliverPendingEvents
+     *
+     * @return {undefined}
+     *
+     */
+    *deliverPendingEvents() {
+        let result;
+
+        do {
+            result = yield this.journal.readAll({ fromPosition: this.position, limit: this.batchSize });
+
+            for(let event of result.events) {
+                if(this.closed) {
+                    return;
+                }
+
+                if(!this.filter || this.filter(event)) {
+                    yield Promise.resolve(this.handler(event));
+                }
+
+                this.position = Number(event.position) + 1;
+            }
+        } while(!this.closed && result.events.length === this.batchSize);
+    }
+}
+
+exports = module.exports = Subscription;
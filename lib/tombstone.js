@@ -0,0 +1,30 @@
+"use strict";
+
+/*
+ * The name of the event appended to a ref when it is soft deleted. Adapters refuse any append to
+ * a ref whose latest event is a tombstone, and the name is reserved so that callers cannot
+ * append one themselves.
+ *
+ * @property TombstoneEvent
+ *
+ */
+const TombstoneEvent = '$deleted';
+
+/*
+ * Check whether a stored event is a tombstone.
+ *
+ * @function isTombstone
+ *
+ * @optional {Event}  event
+ *
+ * @return {Boolean}
+ *
+ */
+function isTombstone(event) {
+    return Boolean(event) && event.event === TombstoneEvent;
+}
+
+exports = module.exports = {
+    TombstoneEvent: TombstoneEvent,
+    isTombstone: isTombstone
+};
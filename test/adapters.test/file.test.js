@@ -0,0 +1,382 @@
+"use strict";
+
+var appRoot = process.cwd();
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var sinon = require('sinon');
+var Promise = require('bluebird');
+
+var Journal = require(`${appRoot}/journal.js`);
+
+var createJournal = function createJournal(options) {
+    return Promise.coroutine(function *() {
+        this.journal = new Journal({
+            adapterName: 'file',
+            dbConnectionOptions: Object.assign({ directory: this.directory }, options)
+        });
+
+        yield this.journal.createClient();
+    });
+};
+
+var reopenJournal = Promise.coroutine(function *(options) {
+    yield this.journal.destroyClient();
+    yield createJournal(options).call(this);
+});
+
+var createDirectory = function createDirectory() {
+    this.directory = fs.mkdtempSync(path.join(os.tmpdir(), 'esj-file-'));
+};
+
+var removeDirectory = Promise.coroutine(function *() {
+    yield this.journal.destroyClient();
+
+    fs.readdirSync(this.directory).forEach((file) => fs.unlinkSync(path.join(this.directory, file)));
+    fs.rmdirSync(this.directory);
+});
+
+var waitFor = Promise.coroutine(function *(predicate) {
+    for(let attempt = 0; attempt < 100 && !predicate(); attempt++) {
+        yield Promise.delay(5);
+    }
+
+    assert.ok(predicate(), "condition was not met in time");
+});
+
+var segmentFiles = function segmentFiles(directory) {
+    return fs.readdirSync(directory).filter((file) => file.indexOf('segment-') === 0).sort();
+};
+
+var readStream = function readStream(events) {
+    return new Promise((resolve, reject) => {
+        const results = [];
+
+        events.on('data', (event) => results.push(event));
+        events.on('error', reject);
+        events.on('end', () => resolve(results));
+    });
+};
+
+describe('file adapter', function() {
+    describe('error handling', function() {
+        beforeEach(createDirectory);
+        beforeEach(createJournal());
+        afterEach(removeDirectory);
+
+        it('should reject a stale version with a version conflict', Promise.coroutine(function *() {
+            yield this.journal.createEventForRef("created", "ref");
+            yield this.journal.createEventForRef("renamed", "ref");
+
+            try {
+                yield this.journal.createEventForRef("renamed", "ref", {}, "user", 1);
+                assert.fail('succeeded', 'failed', "succeeded with a stale version");
+            }
+            catch(err) {
+                assert.equal("version conflict: expected version 1 but the ref is at version 2", err.message);
+                assert.equal(409, err.code);
+                assert.equal(2, err.arguments.latestVersion);
+            }
+        }));
+
+        it('should refuse to open a log that is damaged before its last commit', Promise.coroutine(function *() {
+            yield this.journal.createEventForRef("created", "ref");
+            yield this.journal.createEventForRef("renamed", "ref");
+            yield this.journal.destroyClient();
+
+            const segment = path.join(this.directory, segmentFiles(this.directory)[0]);
+            const lines = fs.readFileSync(segment, 'utf8').split('\n');
+            lines[0] = '{"broken';
+            fs.writeFileSync(segment, lines.join('\n'));
+
+            try {
+                yield createJournal().call(this);
+                assert.fail('succeeded', 'failed', "opened a corrupt log");
+            }
+            catch(err) {
+                assert.ok(err.message.indexOf('corrupt segment') !== -1);
+            }
+
+            fs.writeFileSync(segment, '');
+            yield createJournal().call(this);
+        }));
+
+        it('should leave the segment as it was when a write fails part way', Promise.coroutine(function *() {
+            yield this.journal.createEventForRef("created", "ref");
+
+            const segment = path.join(this.directory, segmentFiles(this.directory)[0]);
+            const size = fs.statSync(segment).size;
+            const writeSync = fs.writeSync;
+
+            const stub = sinon.stub(fs, 'writeSync', (descriptor, buffer, offset, length) => {
+                writeSync(descriptor, buffer, offset, Math.floor(length / 2));
+                throw Object.assign(new Error("no space left on device"), { code: 'ENOSPC' });
+            });
+
+            try {
+                yield this.journal.createEventsForRef("ref", [{ eventName: "a" }, { eventName: "b" }]);
+                assert.fail('succeeded', 'failed', "succeeded with a failing write");
+            }
+            catch(err) {
+                assert.equal("no space left on device", err.message);
+            }
+            finally {
+                stub.restore();
+            }
+
+            assert.equal(size, fs.statSync(segment).size);
+
+            yield this.journal.createEventForRef("renamed", "ref");
+            yield reopenJournal.call(this);
+
+            const events = yield this.journal.getEventsForRef("ref");
+            assert.deepEqual(["created", "renamed"], events.map((event) => event.event));
+            assert.ok((yield this.journal.verifyRef("ref")).ok);
+        }));
+    });
+
+    describe('successful operations', function() {
+        beforeEach(createDirectory);
+        beforeEach(createJournal());
+        afterEach(removeDirectory);
+
+        it('should keep events and snapshots after the log is reopened', Promise.coroutine(function *() {
+            yield this.journal.createEventForRef("created", "a", { name: "test" });
+            yield this.journal.createEventsForRef("b", [{ eventName: "x" }, { eventName: "y" }]);
+            yield this.journal.createEventForRef("renamed", "a", { name: "other" });
+            yield this.journal.saveSnapshot("a", 1, { name: "test" });
+
+            yield reopenJournal.call(this);
+
+            const events = yield this.journal.getEventsForRef("a");
+            assert.deepEqual([1, 2], events.map((event) => event.version));
+            assert.deepEqual({ name: "other" }, events[1].payload);
+            assert.ok(events[1].created_on instanceof Date);
+
+            const all = yield this.journal.readAll({ fromPosition: 2 });
+            assert.deepEqual([2, 3, 4], all.events.map((event) => event.position));
+
+            const snapshot = yield this.journal.getLatestSnapshot("a");
+            assert.deepEqual({ name: "test" }, snapshot.state);
+
+            const next = yield this.journal.createEventForRef("test", "b");
+            assert.equal(3, next.version);
+            assert.equal(5, next.position);
+        }));
+
+        it('should return the stored event for a re-submitted eventId after the log is reopened', Promise.coroutine(function *() {
+            const first = yield this.journal.createEventForRef({ eventName: "created", refId: "a", data: { a: 1 }, eventId: "id" });
+
+            yield reopenJournal.call(this);
+
+            const retried = yield this.journal.createEventForRef({ eventName: "created", refId: "a", data: { a: 1 }, eventId: "id" });
+            assert.equal(first.position, retried.position);
+            assert.equal(1, (yield this.journal.getEventsForRef("a")).length);
+        }));
+
+        it('should query events a page at a time after the log is reopened', Promise.coroutine(function *() {
+            yield this.journal.createEventForRef({ eventName: "failed", refId: "a" });
+            yield this.journal.createEventForRef({ eventName: "paid", refId: "a" });
+            yield this.journal.createEventForRef({ eventName: "failed", refId: "b", userId: "user" });
+
+            yield reopenJournal.call(this);
+
+            const first = yield this.journal.queryEvents({ eventNames: ["failed"], limit: 1 });
+            const second = yield this.journal.queryEvents({ eventNames: ["failed"], limit: 1, cursor: first.cursor });
+
+            assert.deepEqual(["a"], first.events.map((event) => event.ref));
+            assert.deepEqual(["b"], second.events.map((event) => event.ref));
+            assert.equal("user", second.events[0].initiated_by);
+        }));
+
+        it('should stream events forward and backward a batch at a time', Promise.coroutine(function *() {
+            for(let i = 0; i < 5; i++) {
+                yield this.journal.createEventForRef({ eventName: "test", refId: "ref" });
+            }
+
+            const forward = yield readStream(this.journal.streamEventsForRef("ref", { fromVersion: 2, batchSize: 2 }));
+            const backward = yield readStream(this.journal.streamEventsForRef("ref", { direction: "backward", limit: 3, batchSize: 2 }));
+
+            assert.deepEqual([2, 3, 4, 5], forward.map((event) => event.version));
+            assert.deepEqual([5, 4, 3], backward.map((event) => event.version));
+        }));
+
+        it('should keep the state of the outbox after the log is reopened', Promise.coroutine(function *() {
+            yield this.journal.adapter.createEventsForRef("ref", [{ eventName: "x" }, { eventName: "y" }, { eventName: "z" }], undefined, { outbox: true });
+            yield this.journal.adapter.createEventsForRef("ref", [{ eventName: "ignored" }]);
+            yield this.journal.adapter.markOutboxEntriesSent([1]);
+            yield this.journal.adapter.rescheduleOutboxEntry(2, new Date(Date.now() + 60000), "failed");
+            yield this.journal.adapter.rescheduleOutboxEntry(3, new Date(Date.now() - 1000), "failed");
+
+            yield reopenJournal.call(this);
+
+            const pending = yield this.journal.adapter.getPendingOutboxEntries(10);
+            assert.deepEqual([3], pending.map((entry) => entry.id));
+            assert.equal(1, pending[0].attempts);
+            assert.equal("z", pending[0].event.event);
+            assert.ok(!('outbox' in pending[0].event));
+        }));
+
+        it('should keep data keys and their destruction after the log is reopened', Promise.coroutine(function *() {
+            yield this.journal.adapter.saveDataKey("kept", "kept-key");
+            yield this.journal.adapter.saveDataKey("destroyed", "destroyed-key");
+            yield this.journal.adapter.destroyDataKey("destroyed");
+
+            yield reopenJournal.call(this);
+
+            assert.equal("kept-key", (yield this.journal.adapter.getDataKey("kept")).key);
+            assert.strictEqual(null, (yield this.journal.adapter.getDataKey("destroyed")).key);
+            assert.equal(-1, fs.readFileSync(path.join(this.directory, 'data-keys.json'), 'utf8').indexOf("destroyed-key"));
+        }));
+
+        it('should resume projections from their checkpoints after the log is reopened', Promise.coroutine(function *() {
+            const seen = [];
+            const handler = function(event) {
+                seen.push(event.position);
+            };
+
+            yield this.journal.createEventsForRef("ref", [{ eventName: "a" }, { eventName: "a" }]);
+            this.journal.registerProjection("totals", { handlers: { a: handler } });
+
+            const runner = yield this.journal.startProjections();
+            yield waitFor(() => runner.status("totals").position === 2);
+
+            yield reopenJournal.call(this);
+            yield this.journal.createEventForRef("a", "ref");
+            this.journal.registerProjection("totals", { handlers: { a: handler } });
+
+            const resumed = yield this.journal.startProjections();
+            yield waitFor(() => resumed.status("totals").position === 3);
+
+            assert.deepEqual([1, 2, 3], seen);
+            assert.equal(3, (yield this.journal.adapter.getCheckpoint("totals")).position);
+        }));
+
+        it('should keep removed events and snapshots removed after the log is reopened', Promise.coroutine(function *() {
+            yield this.journal.adapter.createEventsForRef("ref", [{ eventName: "a" }, { eventName: "b" }, { eventName: "c" }], undefined, { outbox: true });
+            yield this.journal.createEventForRef("a", "other");
+            yield this.journal.createEventForRef("a", "deleted");
+            yield this.journal.saveSnapshot("deleted", 1, { count: 1 });
+
+            assert.equal(2, yield this.journal.adapter.truncateBefore("ref", 3));
+            assert.equal(1, yield this.journal.adapter.deleteRef("deleted"));
+
+            yield reopenJournal.call(this);
+
+            assert.deepEqual([3], (yield this.journal.getEventsForRef("ref")).map((event) => event.version));
+            assert.strictEqual(true, (yield this.journal.verifyRef("ref")).ok);
+            assert.deepEqual([], yield this.journal.getEventsForRef("deleted"));
+            assert.strictEqual(null, yield this.journal.getLatestSnapshot("deleted"));
+            assert.deepEqual([3], (yield this.journal.adapter.getPendingOutboxEntries(10)).map((entry) => entry.id));
+            assert.equal("a", (yield this.journal.getEventsForRef("other"))[0].event);
+
+            const created = yield this.journal.createEventForRef("a", "deleted");
+            assert.equal(1, created.version);
+            assert.equal(6, created.position);
+        }));
+
+        it('should refuse appends to a soft deleted ref after the log is reopened', Promise.coroutine(function *() {
+            yield this.journal.createEventForRef("created", "ref");
+            yield this.journal.deleteRef("ref");
+
+            yield reopenJournal.call(this);
+
+            try {
+                yield this.journal.createEventForRef("updated", "ref");
+                assert.fail('succeeded', 'failed', "succeeded for a deleted ref");
+            }
+            catch(err) {
+                assert.equal(410, err.code);
+                assert.equal("ref has been deleted", err.message);
+            }
+        }));
+
+        it('should keep the created_on of imported events after the log is reopened', Promise.coroutine(function *() {
+            const source = new Journal();
+            yield source.createClient();
+            yield source.createEventForRef("created", "ref");
+
+            source.adapter.db[0].created_on = new Date("2016-05-01T00:00:00.000Z");
+
+            yield Journal.migrate(source, this.journal);
+            yield source.destroyClient();
+            yield reopenJournal.call(this);
+
+            const events = yield this.journal.getEventsForRef("ref");
+            assert.equal("2016-05-01T00:00:00.000Z", events[0].created_on.toISOString());
+        }));
+
+        it('should truncate a torn final line when reopened', Promise.coroutine(function *() {
+            yield this.journal.createEventForRef("created", "ref");
+            yield this.journal.destroyClient();
+
+            const segment = path.join(this.directory, segmentFiles(this.directory)[0]);
+            const size = fs.statSync(segment).size;
+            fs.appendFileSync(segment, '{"event":"torn","ref":"ref"');
+
+            yield createJournal().call(this);
+
+            assert.equal(size, fs.statSync(segment).size);
+            assert.equal(1, (yield this.journal.getEventsForRef("ref")).length);
+        }));
+
+        it('should drop a partially written batch when reopened', Promise.coroutine(function *() {
+            yield this.journal.createEventForRef("created", "ref");
+            yield this.journal.createEventsForRef("ref", [{ eventName: "a" }, { eventName: "b" }]);
+            yield this.journal.destroyClient();
+
+            const segment = path.join(this.directory, segmentFiles(this.directory)[0]);
+            const lines = fs.readFileSync(segment, 'utf8').split('\n');
+            fs.writeFileSync(segment, lines.slice(0, 2).join('\n') + '\n' + lines[2].slice(0, 10));
+
+            yield createJournal().call(this);
+
+            const events = yield this.journal.getEventsForRef("ref");
+            assert.deepEqual(["created"], events.map((event) => event.event));
+        }));
+
+        it('should start a new segment once segmentSize is reached', Promise.coroutine(function *() {
+            yield reopenJournal.call(this, { segmentSize: 200 });
+
+            for(let i = 0; i < 5; i++) {
+                yield this.journal.createEventForRef("test", "ref", { index: i });
+            }
+
+            assert.ok(segmentFiles(this.directory).length > 1);
+
+            yield reopenJournal.call(this, { segmentSize: 200 });
+
+            const events = yield this.journal.getEventsForRef("ref");
+            assert.deepEqual([0, 1, 2, 3, 4], events.map((event) => event.payload.index));
+        }));
+
+        it('should hash the events written by an earlier version when reopened', Promise.coroutine(function *() {
+            yield this.journal.createEventsForRef("ref", [{ eventName: "a" }, { eventName: "b" }]);
+            yield this.journal.destroyClient();
+
+            const segment = path.join(this.directory, segmentFiles(this.directory)[0]);
+            const lines = fs.readFileSync(segment, 'utf8').split('\n').filter((line) => line);
+            fs.writeFileSync(segment, lines.map((line) => {
+                const record = JSON.parse(line);
+                delete record.hash;
+                delete record.schema_version;
+                delete record.metadata;
+
+                return `${JSON.stringify(record)}\n`;
+            }).join(''));
+
+            yield createJournal().call(this);
+            yield this.journal.createEventForRef("c", "ref");
+
+            const events = yield this.journal.getEventsForRef("ref");
+            assert.deepEqual(["a", "b", "c"], events.map((event) => event.event));
+            assert.ok(events.every((event) => event.hash));
+            assert.ok((yield this.journal.verifyRef("ref")).ok);
+
+            const stored = fs.readFileSync(segment, 'utf8').split('\n').filter((line) => line).map((line) => JSON.parse(line));
+            assert.deepEqual(events.map((event) => event.hash), stored.map((record) => record.hash));
+        }));
+    });
+});
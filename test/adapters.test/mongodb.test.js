@@ -0,0 +1,199 @@
+"use strict";
+
+var appRoot = process.cwd();
+
+var assert = require('assert');
+var URL = require('url').URL;
+var Promise = require('bluebird');
+var mongoose = require('mongoose');
+
+var Journal = require(`${appRoot}/journal.js`);
+
+// Run against a disposable database, e.g. ESJ_TEST_MONGODB=mongodb://localhost:27017/esj_test
+var connectionString = process.env.ESJ_TEST_MONGODB;
+
+var connectionOptions = function connectionOptions(suffix) {
+    const url = new URL(connectionString);
+
+    return {
+        hosts: url.host,
+        dbName: url.pathname.slice(1),
+        collectionName: `events_${suffix}`,
+        snapshotCollectionName: `snapshots_${suffix}`,
+        counterCollectionName: `counters_${suffix}`,
+        dataKeyCollectionName: `data_keys_${suffix}`,
+        checkpointCollectionName: `checkpoints_${suffix}`,
+        anchorCollectionName: `anchors_${suffix}`,
+        pollInterval: 20
+    };
+};
+
+var createJournal = Promise.coroutine(function *() {
+    this.journal = new Journal({ adapterName: 'mongodb', dbConnectionOptions: this.options });
+
+    yield this.journal.createClient();
+});
+
+var createCollections = Promise.coroutine(function *() {
+    this.options = connectionOptions(`test_${process.pid}_${Date.now()}`);
+
+    yield createJournal.call(this);
+});
+
+var dropCollections = Promise.coroutine(function *() {
+    const adapter = this.journal.adapter;
+    const models = [adapter.Event, adapter.Snapshot, adapter.Counter, adapter.DataKey, adapter.Checkpoint, adapter.Anchor];
+
+    for(let model of models) {
+        yield Promise.resolve(model.collection.drop()).catch((error) => /ns not found/.test(error.message), () => null);
+    }
+
+    yield this.journal.destroyClient();
+});
+
+var newRefId = function newRefId() {
+    return new mongoose.Types.ObjectId().toString();
+};
+
+var readStream = function readStream(events) {
+    return new Promise((resolve, reject) => {
+        const results = [];
+
+        events.on('data', (event) => results.push(event));
+        events.on('error', reject);
+        events.on('end', () => resolve(results));
+    });
+};
+
+describe('mongodb adapter', function() {
+    before(function() {
+        if(!connectionString) {
+            this.skip();
+        }
+    });
+
+    beforeEach(createCollections);
+    afterEach(dropCollections);
+
+    it('should reject a stale version with a version conflict', Promise.coroutine(function *() {
+        const refId = newRefId();
+
+        yield this.journal.createEventForRef({ eventName: "created", refId: refId });
+        yield this.journal.createEventForRef({ eventName: "renamed", refId: refId });
+
+        try {
+            yield this.journal.createEventsForRef(refId, [{ eventName: "a" }, { eventName: "b" }], { expectedVersion: 1 });
+            assert.fail('succeeded', 'failed', "succeeded with a stale version");
+        }
+        catch(err) {
+            assert.equal("version conflict: expected version 1 but the ref is at version 2", err.message);
+            assert.equal(409, err.code);
+        }
+
+        const events = yield this.journal.getEventsForRef({ refId: refId });
+        assert.equal(2, events.length);
+    }));
+
+    it('should let only one of two concurrent appends at the same version succeed', Promise.coroutine(function *() {
+        const refId = newRefId();
+
+        yield this.journal.createEventForRef({ eventName: "created", refId: refId });
+
+        const results = yield Promise.all([
+            this.journal.createEventForRef({ eventName: "a", refId: refId, expectedVersion: 1 }).reflect(),
+            this.journal.createEventForRef({ eventName: "b", refId: refId, expectedVersion: 1 }).reflect()
+        ]);
+
+        const rejected = results.filter((result) => result.isRejected());
+        assert.equal(1, rejected.length);
+        assert.equal(409, rejected[0].reason().code);
+        assert.equal(2, (yield this.journal.getEventsForRef({ refId: refId })).length);
+    }));
+
+    it('should give concurrent appends to different refs positions in the order they are read', Promise.coroutine(function *() {
+        const refIds = [newRefId(), newRefId(), newRefId(), newRefId()];
+
+        const created = yield Promise.all(refIds.map((refId) => {
+            return this.journal.createEventsForRef(refId, [{ eventName: "a" }, { eventName: "b" }]);
+        }));
+
+        const all = yield this.journal.readAll();
+        const positions = all.events.map((event) => event.position);
+
+        assert.equal(8, all.events.length);
+        assert.deepEqual(positions.slice().sort((a, b) => a - b), positions);
+        assert.equal(8, new Set(positions).size);
+
+        created.forEach((events) => {
+            assert.ok(events[0].position < events[1].position);
+        });
+    }));
+
+    it('should refuse appends to a soft deleted ref with a 410', Promise.coroutine(function *() {
+        const refId = newRefId();
+
+        yield this.journal.createEventForRef({ eventName: "created", refId: refId });
+        yield this.journal.deleteRef(refId);
+
+        try {
+            yield this.journal.createEventForRef({ eventName: "renamed", refId: refId });
+            assert.fail('succeeded', 'failed', "succeeded for a deleted ref");
+        }
+        catch(err) {
+            assert.equal(410, err.code);
+        }
+    }));
+
+    it('should query events across refs a page at a time', Promise.coroutine(function *() {
+        const refIds = [newRefId(), newRefId(), newRefId()];
+
+        yield this.journal.createEventForRef({ eventName: "failed", refId: refIds[0] });
+        yield this.journal.createEventForRef({ eventName: "paid", refId: refIds[0] });
+        yield this.journal.createEventForRef({ eventName: "failed", refId: refIds[1] });
+        yield this.journal.createEventForRef({ eventName: "failed", refId: refIds[2] });
+
+        const first = yield this.journal.queryEvents({ eventNames: ["failed"], limit: 2 });
+        const second = yield this.journal.queryEvents({ eventNames: ["failed"], limit: 2, cursor: first.cursor });
+
+        assert.deepEqual(refIds.slice(0, 2), first.events.map((event) => String(event.ref)));
+        assert.deepEqual(refIds.slice(2), second.events.map((event) => String(event.ref)));
+        assert.strictEqual(null, second.cursor);
+    }));
+
+    it('should stream events forward and backward a batch at a time', Promise.coroutine(function *() {
+        const refId = newRefId();
+
+        for(let i = 0; i < 5; i++) {
+            yield this.journal.createEventForRef({ eventName: "test", refId: refId });
+        }
+
+        const forward = yield readStream(this.journal.streamEventsForRef(refId, { fromVersion: 2, batchSize: 2 }));
+        const backward = yield readStream(this.journal.streamEventsForRef(refId, { direction: "backward", limit: 3, batchSize: 2 }));
+
+        assert.deepEqual([2, 3, 4, 5], forward.map((event) => event.version));
+        assert.deepEqual([5, 4, 3], backward.map((event) => event.version));
+    }));
+
+    it('should give positions to events stored without one when connecting', Promise.coroutine(function *() {
+        const refId = newRefId();
+
+        yield this.journal.createEventForRef({ eventName: "created", refId: refId });
+        yield this.journal.adapter.Event.collection.insert({
+            ref: new mongoose.Types.ObjectId(refId),
+            version: 2,
+            event: "renamed",
+            created_on: new Date()
+        });
+
+        assert.equal(1, (yield this.journal.getEventsForRef({ refId: refId })).length);
+
+        yield this.journal.destroyClient();
+        yield createJournal.call(this);
+
+        const events = yield this.journal.getEventsForRef({ refId: refId });
+
+        assert.deepEqual([1, 2], events.map((event) => event.version));
+        assert.ok(events[1].position > events[0].position);
+        assert.ok((yield this.journal.verifyRef(refId)).ok);
+    }));
+});
@@ -0,0 +1,321 @@
+"use strict";
+
+var appRoot = process.cwd();
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Promise = require('bluebird');
+
+var sqlite3 = require('sqlite3');
+
+var Journal = require(`${appRoot}/journal.js`);
+
+var createJournal = function createJournal(filename) {
+    return Promise.coroutine(function *() {
+        this.journal = new Journal({ adapterName: 'sqlite', dbConnectionOptions: { filename: filename } });
+        yield this.journal.createClient();
+    });
+};
+
+var destroyJournal = Promise.coroutine(function *() {
+    yield this.journal.destroyClient();
+});
+
+var readStream = function readStream(events) {
+    return new Promise((resolve, reject) => {
+        const results = [];
+
+        events.on('data', (event) => results.push(event));
+        events.on('error', reject);
+        events.on('end', () => resolve(results));
+    });
+};
+
+describe('sqlite adapter', function() {
+    describe('in memory database', function() {
+        beforeEach(createJournal(':memory:'));
+        afterEach(destroyJournal);
+
+        it('should store events with increasing versions and positions', Promise.coroutine(function *() {
+            const first = yield this.journal.createEventForRef("created", "ref", { name: "test" }, "user");
+            const second = yield this.journal.createEventForRef("renamed", "ref", { name: "other" });
+
+            assert.equal(1, first.version);
+            assert.equal(2, second.version);
+            assert.ok(second.position > first.position);
+            assert.deepEqual({ name: "test" }, first.payload);
+            assert.equal("user", first.initiated_by);
+            assert.ok(first.created_on instanceof Date);
+        }));
+
+        it('should reject a stale version with a version conflict', Promise.coroutine(function *() {
+            yield this.journal.createEventForRef("created", "ref");
+            yield this.journal.createEventForRef("renamed", "ref");
+
+            try {
+                yield this.journal.createEventsForRef("ref", [{ eventName: "a" }, { eventName: "b" }], { expectedVersion: 1 });
+                assert.fail('succeeded', 'failed', "succeeded with a stale version");
+            }
+            catch(err) {
+                assert.equal("version conflict: expected version 1 but the ref is at version 2", err.message);
+                assert.equal(409, err.code);
+                assert.equal(2, err.arguments.latestVersion);
+            }
+
+            const events = yield this.journal.getEventsForRef("ref");
+            assert.equal(2, events.length);
+        }));
+
+        it('should refuse a duplicate eventId and return the stored event on retry', Promise.coroutine(function *() {
+            const first = yield this.journal.createEventForRef({ eventName: "created", refId: "ref", data: { a: 1 }, eventId: "id" });
+            const retried = yield this.journal.createEventForRef({ eventName: "created", refId: "ref", data: { a: 1 }, eventId: "id" });
+
+            assert.equal(first.position, retried.position);
+            assert.equal("id", retried.event_id);
+
+            try {
+                yield this.journal.createEventForRef({ eventName: "created", refId: "other", data: { a: 1 }, eventId: "id" });
+                assert.fail('succeeded', 'failed', "succeeded with a reused eventId");
+            }
+            catch(err) {
+                assert.equal(422, err.code);
+            }
+
+            const events = yield this.journal.readAll();
+            assert.equal(1, events.events.length);
+        }));
+
+        it('should read events between two versions', Promise.coroutine(function *() {
+            for(let i = 0; i < 5; i++) {
+                yield this.journal.createEventForRef("test", "ref");
+            }
+
+            const events = yield this.journal.getEventsForRef("ref", 2, 4);
+            assert.deepEqual([2, 3, 4], events.map((event) => event.version));
+        }));
+
+        it('should query events across refs a page at a time', Promise.coroutine(function *() {
+            yield this.journal.createEventForRef({ eventName: "failed", refId: "a" });
+            yield this.journal.createEventForRef({ eventName: "paid", refId: "a", userId: "user" });
+            yield this.journal.createEventForRef({ eventName: "failed", refId: "b", userId: "user" });
+            yield this.journal.createEventForRef({ eventName: "failed", refId: "c" });
+
+            const first = yield this.journal.queryEvents({ eventNames: ["failed"], from: new Date(0), limit: 2 });
+            const second = yield this.journal.queryEvents({ eventNames: ["failed"], from: new Date(0), limit: 2, cursor: first.cursor });
+            const byUser = yield this.journal.queryEvents({ userId: "user", to: new Date(Date.now() + 1000) });
+
+            assert.deepEqual(["a", "b"], first.events.map((event) => event.ref));
+            assert.deepEqual(["c"], second.events.map((event) => event.ref));
+            assert.strictEqual(null, second.cursor);
+            assert.deepEqual(["a", "b"], byUser.events.map((event) => event.ref));
+        }));
+
+        it('should stream events forward and backward a batch at a time', Promise.coroutine(function *() {
+            for(let i = 0; i < 5; i++) {
+                yield this.journal.createEventForRef({ eventName: "test", refId: "ref" });
+            }
+
+            const forward = yield readStream(this.journal.streamEventsForRef("ref", { fromVersion: 2, batchSize: 2 }));
+            const backward = yield readStream(this.journal.streamEventsForRef("ref", { direction: "backward", limit: 3, batchSize: 2 }));
+
+            assert.deepEqual([2, 3, 4, 5], forward.map((event) => event.version));
+            assert.deepEqual([5, 4, 3], backward.map((event) => event.version));
+        }));
+
+        it('should keep an outbox of events stored in outbox mode', Promise.coroutine(function *() {
+            const adapter = this.journal.adapter;
+
+            yield adapter.createEventsForRef("ref", [{ eventName: "x" }, { eventName: "y" }, { eventName: "z" }], undefined, { outbox: true });
+            yield adapter.createEventsForRef("ref", [{ eventName: "ignored" }]);
+
+            const pending = yield adapter.getPendingOutboxEntries(10);
+            assert.deepEqual([1, 2, 3], pending.map((entry) => entry.id));
+            assert.deepEqual(["x", "y", "z"], pending.map((entry) => entry.event.event));
+            assert.deepEqual({}, pending[0].event.metadata);
+
+            yield adapter.markOutboxEntriesSent([1]);
+            yield adapter.rescheduleOutboxEntry(2, new Date(Date.now() + 60000), "failed");
+
+            const remaining = yield adapter.getPendingOutboxEntries(10);
+            assert.deepEqual([3], remaining.map((entry) => entry.id));
+            assert.equal(0, remaining[0].attempts);
+        }));
+
+        it('should keep a destroyed data key as a record without a key', Promise.coroutine(function *() {
+            const adapter = this.journal.adapter;
+
+            const saved = yield adapter.saveDataKey("ref", "first");
+            const kept = yield adapter.saveDataKey("ref", "second");
+            assert.equal("first", saved.key);
+            assert.equal("first", kept.key);
+
+            yield adapter.destroyDataKey("ref");
+            yield adapter.destroyDataKey("never");
+
+            const destroyed = yield adapter.saveDataKey("ref", "third");
+            assert.strictEqual(null, destroyed.key);
+            assert.ok(destroyed.destroyed_on instanceof Date);
+            assert.strictEqual(null, (yield adapter.getDataKey("never")).key);
+            assert.strictEqual(null, yield adapter.getDataKey("other"));
+        }));
+
+        it('should store a hash chain that detects edited payloads', Promise.coroutine(function *() {
+            yield this.journal.createEventsForRef("ref", [
+                { eventName: "created", eventData: { name: "a", tags: ["x"] }, userId: "user", metadata: { source: "test" }, eventId: "first" },
+                { eventName: "renamed", eventData: { name: "b" } },
+                { eventName: "renamed" }
+            ]);
+
+            assert.strictEqual(true, (yield this.journal.verifyRef("ref")).ok);
+            assert.strictEqual(true, (yield this.journal.verifyAll()).ok);
+
+            yield this.journal.adapter.db.runAsync(`UPDATE events SET payload='{"name":"c"}' WHERE version=2`);
+
+            const result = yield this.journal.verifyRef("ref");
+            assert.strictEqual(false, result.ok);
+            assert.equal(2, result.brokenLink.version);
+        }));
+
+        it('should create and replace projection checkpoints', Promise.coroutine(function *() {
+            const adapter = this.journal.adapter;
+
+            assert.strictEqual(null, yield adapter.getCheckpoint("totals"));
+
+            yield adapter.saveCheckpoint("totals", 3, null);
+            yield adapter.saveCheckpoint("totals", 5, { message: "cannot project", position: 6 });
+
+            const checkpoint = yield adapter.getCheckpoint("totals");
+            assert.equal(5, checkpoint.position);
+            assert.deepEqual({ message: "cannot project", position: 6 }, checkpoint.error);
+            assert.ok(checkpoint.updated_on instanceof Date);
+
+            yield adapter.saveCheckpoint("totals", null, null);
+            assert.strictEqual(null, (yield adapter.getCheckpoint("totals")).position);
+        }));
+
+        it('should remove a ref with its snapshots and outbox rows', Promise.coroutine(function *() {
+            const adapter = this.journal.adapter;
+
+            yield adapter.createEventsForRef("ref", [{ eventName: "a" }, { eventName: "b" }], undefined, { outbox: true });
+            yield adapter.createEventsForRef("other", [{ eventName: "a" }], undefined, { outbox: true });
+            yield adapter.saveSnapshot("ref", 2, { count: 2 });
+
+            assert.equal(2, yield adapter.deleteRef("ref"));
+            assert.deepEqual([], yield adapter.getEventsForRef("ref"));
+            assert.strictEqual(null, yield adapter.getLatestSnapshot("ref"));
+            assert.deepEqual([3], (yield adapter.getPendingOutboxEntries(10)).map((entry) => entry.id));
+
+            const created = yield adapter.createEventForRef("a", "ref");
+            assert.equal(1, created.version);
+            assert.equal(4, created.position);
+        }));
+
+        it('should truncate a ref below a version and refuse appends after a tombstone', Promise.coroutine(function *() {
+            const adapter = this.journal.adapter;
+
+            yield adapter.createEventsForRef("ref", [{ eventName: "a" }, { eventName: "b" }, { eventName: "c" }]);
+
+            const removed = yield adapter.getEventsForRef("ref", 2, 2);
+
+            assert.equal(2, yield adapter.truncateBefore("ref", 3));
+            assert.deepEqual([3], (yield adapter.getEventsForRef("ref")).map((event) => event.version));
+            assert.deepEqual({ ref: "ref", version: 2, hash: removed[0].hash }, yield adapter.getAnchor("ref"));
+            assert.strictEqual(true, (yield this.journal.verifyRef("ref")).ok);
+
+            yield this.journal.deleteRef("ref");
+
+            try {
+                yield adapter.createEventForRef("d", "ref");
+                assert.fail('succeeded', 'failed', "succeeded for a deleted ref");
+            }
+            catch(err) {
+                assert.equal(410, err.code);
+                assert.equal("ref has been deleted", err.message);
+            }
+        }));
+
+        it('should keep the created_on of migrated events', Promise.coroutine(function *() {
+            const source = new Journal();
+            yield source.createClient();
+            yield source.createEventsForRef("ref", [{ eventName: "a", eventData: { n: 1 } }, { eventName: "b" }]);
+
+            source.adapter.db[0].created_on = new Date("2016-05-01T00:00:00.000Z");
+
+            const result = yield Journal.migrate(source, this.journal);
+            const events = yield this.journal.getEventsForRef("ref");
+
+            assert.equal(2, result.imported);
+            assert.equal("2016-05-01T00:00:00.000Z", events[0].created_on.toISOString());
+            assert.deepEqual({ n: 1 }, events[0].payload);
+
+            yield source.destroyClient();
+        }));
+
+        it('should store and load snapshots', Promise.coroutine(function *() {
+            yield this.journal.saveSnapshot("ref", 3, { count: 3 });
+            yield this.journal.saveSnapshot("ref", 3, { count: 4 });
+
+            const snapshot = yield this.journal.getLatestSnapshot("ref");
+            assert.equal(3, snapshot.version);
+            assert.deepEqual({ count: 4 }, snapshot.state);
+        }));
+    });
+
+    describe('file database', function() {
+        before(function() {
+            this.filename = path.join(os.tmpdir(), `esj-sqlite-${process.pid}.db`);
+        });
+
+        after(function() {
+            fs.unlinkSync(this.filename);
+        });
+
+        it('should keep events after the database is reopened', Promise.coroutine(function *() {
+            yield createJournal(this.filename).call(this);
+            yield this.journal.createEventForRef("created", "ref");
+            yield destroyJournal.call(this);
+
+            yield createJournal(this.filename).call(this);
+            const events = yield this.journal.getEventsForRef("ref");
+            yield destroyJournal.call(this);
+
+            assert.equal(1, events.length);
+        }));
+
+        it('should upgrade an events table created by an earlier version', Promise.coroutine(function *() {
+            const filename = `${this.filename}.old`;
+            const db = new sqlite3.Database(filename);
+
+            yield Promise.promisify(db.exec, { context: db })(`
+                CREATE TABLE events (
+                    position        INTEGER PRIMARY KEY AUTOINCREMENT,
+                    version         INTEGER NOT NULL DEFAULT 1,
+                    ref             TEXT NOT NULL,
+                    event           TEXT NOT NULL,
+                    initiated_by    TEXT,
+                    created_on      TEXT NOT NULL,
+                    payload         TEXT,
+                    UNIQUE (ref, version)
+                );
+                INSERT INTO events (version, ref, event, created_on, payload) VALUES (1, 'ref', 'created', '2016-05-01T00:00:00.000Z', '{"name":"old"}');
+            `);
+            yield Promise.promisify(db.close, { context: db })();
+
+            yield createJournal(filename).call(this);
+            yield this.journal.createEventForRef("renamed", "ref", { name: "new" });
+            const events = yield this.journal.getEventsForRef("ref");
+            const verification = yield this.journal.verifyRef("ref");
+            yield destroyJournal.call(this);
+            fs.unlinkSync(filename);
+
+            assert.deepEqual([1, 2], events.map((event) => event.version));
+            assert.ok(verification.ok);
+            assert.equal(1, events[0].schema_version);
+            assert.deepEqual({}, events[0].metadata);
+            assert.equal(null, events[0].event_id);
+            assert.deepEqual({ name: "old" }, events[0].payload);
+        }));
+    });
+});
@@ -0,0 +1,163 @@
+"use strict";
+
+var appRoot = process.cwd();
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var stream = require('stream');
+var Promise = require('bluebird');
+
+var cli = require(`${appRoot}/lib/cli.js`);
+
+var createDirectory = function createDirectory() {
+    this.directory = fs.mkdtempSync(path.join(os.tmpdir(), 'esj-cli-'));
+    this.env = { ESJ_ADAPTER: 'file', ESJ_DB_CONNECTION_OPTIONS: this.directory };
+};
+
+var removeDirectory = function removeDirectory() {
+    fs.readdirSync(this.directory).forEach((file) => fs.unlinkSync(path.join(this.directory, file)));
+    fs.rmdirSync(this.directory);
+};
+
+var run = Promise.coroutine(function *(argv, env, stdin) {
+    const output = { stdout: '', stderr: '' };
+    const io = {
+        stdin: stdin || new stream.PassThrough(),
+        stdout: collect(output, 'stdout'),
+        stderr: collect(output, 'stderr'),
+        env: env
+    };
+
+    output.exitCode = yield cli.run(argv, io);
+
+    return output;
+});
+
+var collect = function collect(output, name) {
+    return new stream.Writable({
+        write(chunk, encoding, callback) {
+            output[name] += chunk.toString();
+            callback();
+        }
+    });
+};
+
+describe('command-line tool', function() {
+    beforeEach(createDirectory);
+    afterEach(removeDirectory);
+
+    describe('error handling', function() {
+        it('should exit with 2 for an unknown command', Promise.coroutine(function *() {
+            const output = yield run(['unknown'], this.env);
+
+            assert.equal(2, output.exitCode);
+            assert.equal('esj: Unknown command "unknown", see esj --help\n', output.stderr);
+        }));
+
+        it('should exit with 2 without a journal configuration', Promise.coroutine(function *() {
+            const output = yield run(['stats'], {});
+
+            assert.equal(2, output.exitCode);
+            assert.ok(/no journal configuration/i.test(output.stderr));
+        }));
+
+        it('should map a version conflict to exit code 4', Promise.coroutine(function *() {
+            yield run(['append', 'ref', 'created'], this.env);
+
+            const output = yield run(['append', 'ref', 'renamed', '--expected-version', '0'], this.env);
+
+            assert.equal(4, output.exitCode);
+            assert.equal("esj: version conflict: expected version 0 but the ref is at version 1\n", output.stderr);
+        }));
+
+        it('should map a reused eventId to exit code 6', Promise.coroutine(function *() {
+            yield run(['append', 'ref', 'created', '--event-id', 'first'], this.env);
+
+            const output = yield run(['append', 'ref', 'renamed', '--event-id', 'first'], this.env);
+
+            assert.equal(6, output.exitCode);
+            assert.equal("esj: eventId has already been used for a different event\n", output.stderr);
+        }));
+
+        it('should map other error codes to exit codes', Promise.coroutine(function *() {
+            assert.equal(cli.exitCodes[410], cli.exitCodeFor({ code: 410 }));
+            assert.equal(1, cli.exitCodeFor(new Error("unexpected")));
+        }));
+    });
+
+    describe('successful operations', function() {
+        it('should append events and stream them as a table or JSON', Promise.coroutine(function *() {
+            yield run(['append', 'ref', 'created', '--data', '{"name":"test"}', '--user', 'someone'], this.env);
+            yield run(['append', 'ref', 'renamed'], this.env);
+
+            const table = yield run(['stream', 'ref'], this.env);
+            const json = yield run(['stream', 'ref', '--from', '2', '--json'], this.env);
+            const lines = table.stdout.trim().split('\n');
+
+            assert.equal(0, table.exitCode);
+            assert.equal(3, lines.length);
+            assert.ok(/^position\s+ref\s+version\s+event/.test(lines[0]));
+            assert.ok(/someone/.test(lines[1]) && /{"name":"test"}/.test(lines[1]));
+            assert.deepEqual(["renamed"], json.stdout.trim().split('\n').map((line) => JSON.parse(line).event));
+        }));
+
+        it('should export and import events', Promise.coroutine(function *() {
+            yield run(['append', 'ref', 'created'], this.env);
+
+            const exported = yield run(['export'], this.env);
+            const input = new stream.PassThrough();
+            input.end(exported.stdout);
+
+            const target = fs.mkdtempSync(path.join(os.tmpdir(), 'esj-cli-'));
+            const imported = yield run(['import', '--json'], { ESJ_ADAPTER: 'file', ESJ_DB_CONNECTION_OPTIONS: target }, input);
+
+            fs.readdirSync(target).forEach((file) => fs.unlinkSync(path.join(target, file)));
+            fs.rmdirSync(target);
+
+            assert.equal("Exported 1 events\n", exported.stderr);
+            assert.deepEqual({ imported: 1, skipped: 0 }, JSON.parse(imported.stdout));
+        }));
+
+        it('should print stats and verify a ref', Promise.coroutine(function *() {
+            yield run(['append', 'ref', 'created'], this.env);
+            yield run(['append', 'other', 'created'], this.env);
+
+            const stats = yield run(['stats', '--json'], this.env);
+            const verified = yield run(['verify', 'ref', '--json'], this.env);
+
+            assert.equal(2, JSON.parse(stats.stdout).events);
+            assert.equal(2, JSON.parse(stats.stdout).refs);
+            assert.deepEqual({ created: 2 }, JSON.parse(stats.stdout).eventNames);
+            assert.equal(0, verified.exitCode);
+            assert.strictEqual(true, JSON.parse(verified.stdout).ok);
+        }));
+
+        it('should exit with 4 when an event was edited in the log', Promise.coroutine(function *() {
+            yield run(['append', 'ref', 'created', '--data', '{"name":"a"}'], this.env);
+            yield run(['append', 'ref', 'renamed', '--data', '{"name":"b"}'], this.env);
+
+            const segment = path.join(this.directory, 'segment-000001.ndjson');
+            fs.writeFileSync(segment, fs.readFileSync(segment, 'utf8').replace('"name":"a"', '"name":"z"'));
+
+            const verified = yield run(['verify', 'ref', '--json'], this.env);
+            const verifiedAll = yield run(['verify', '--json'], this.env);
+
+            assert.equal(4, verified.exitCode);
+            assert.equal(1, JSON.parse(verified.stdout).brokenLink.version);
+            assert.equal(4, verifiedAll.exitCode);
+            assert.equal("ref", JSON.parse(verifiedAll.stdout).brokenLink.refId);
+        }));
+
+        it('should print events from a position until the count is reached', Promise.coroutine(function *() {
+            yield run(['append', 'ref', 'created'], this.env);
+            yield run(['append', 'ref', 'renamed'], this.env);
+
+            const output = yield run(['tail', '--from-position', '2', '--count', '1', '--json'], this.env);
+
+            assert.equal(0, output.exitCode);
+            assert.equal("renamed", JSON.parse(output.stdout).event);
+        }));
+    });
+});
@@ -33,7 +33,23 @@ module.exports = function() {
             'createClient': false,
             'destroyClient': false,
             'createEventForRef': false,
-            'getEventsForRef': false
+            'createEventsForRef': false,
+            'getEventsForRef': false,
+            'readAll': false,
+            'subscribe': false,
+            'createOutboxRelay': false,
+            'startProjections': false,
+            'forgetRef': false,
+            'deleteRef': false,
+            'truncateBefore': false,
+            'verifyRef': false,
+            'verifyAll': false,
+            'exportTo': false,
+            'importFrom': false,
+            'saveSnapshot': false,
+            'getLatestSnapshot': false,
+            'loadRef': false,
+            'rehydrate': false
         };
         
         let journal = new Journal();
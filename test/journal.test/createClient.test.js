@@ -7,6 +7,7 @@ var sinon = require('sinon');
 var Promise = require('bluebird');
 
 var Journal = require(`${appRoot}/journal.js`);
+var MemoryAdapter = require(`${appRoot}/adapters/memory.js`);
 
 module.exports = function() {
     describe('error handling', function() {
@@ -18,7 +19,8 @@ module.exports = function() {
                 assert.fail('succeeded', 'failed', "connected to an invalid adapter");
             }
             catch(err) {
-                assert.ok(err instanceof TypeError, "did not throw a TypeError");
+                assert.ok(err instanceof Journal.ValidationError, "did not throw a ValidationError");
+                assert.equal(400, err.code);
                 assert.ok(err.toString().indexOf('"badadapter" is an invalid adapter') !== -1);
             }
         }));
@@ -31,10 +33,61 @@ module.exports = function() {
                 yield journal.createClient('memory');
             }
             catch(err) {
-                assert.ok(err instanceof TypeError, "did not throw a TypeError");
+                assert.ok(err instanceof Journal.JournalError, "did not throw a JournalError");
+                assert.equal(409, err.code);
+                assert.equal(false, err.retryable);
                 assert.ok(err.toString().indexOf('has already been initialized') !== -1);
             }
         }));
+
+        it('should throw an error when given an incomplete adapter instance', Promise.coroutine(function *() {
+            var journal = new Journal();
+
+            try {
+                yield journal.createClient({ name: 'incomplete' });
+                assert.fail('succeeded', 'failed', "connected to an incomplete adapter");
+            }
+            catch(err) {
+                assert.ok(err instanceof Journal.ValidationError, "did not throw a ValidationError");
+                assert.ok(err.toString().indexOf('Missing: createDatabaseConnection') !== -1);
+            }
+        }));
+
+        it('should throw a ConnectionError holding the cause when the adapter cannot connect', Promise.coroutine(function *() {
+            var journal = new Journal();
+            var adapter = new MemoryAdapter();
+            var error = new Error("connection refused");
+
+            this.sandbox.stub(adapter, 'createDatabaseConnection').returns(Promise.reject(error));
+
+            try {
+                yield journal.createClient(adapter);
+                assert.fail('succeeded', 'failed', "connected to an unreachable datastore");
+            }
+            catch(err) {
+                assert.ok(err instanceof Journal.ConnectionError, "did not throw a ConnectionError");
+                assert.equal(502, err.code);
+                assert.equal(true, err.retryable);
+                assert.equal("connection refused", err.message);
+                assert.strictEqual(error, err.cause);
+            }
+        }));
+
+        it('should throw a ValidationError when the adapter refuses its options', Promise.coroutine(function *() {
+            var journal = new Journal();
+
+            try {
+                yield journal.createClient('file', {});
+                assert.fail('succeeded', 'failed', "connected without a directory");
+            }
+            catch(err) {
+                assert.ok(err instanceof Journal.ValidationError, "did not throw a ValidationError");
+                assert.equal(400, err.code);
+                assert.equal(false, err.retryable);
+                assert.equal("missing directory", err.message.toLowerCase());
+                assert.equal(400, err.cause.code);
+            }
+        }));
     });
     
     describe('successful operations', Promise.coroutine(function *() {
@@ -63,5 +116,13 @@ module.exports = function() {
                 assert.fail(err, undefined, "should not have thrown an error");
             }
         }));        
+
+        it('should successfully use an adapter instance passed into createClient', Promise.coroutine(function *() {
+            var journal = new Journal();
+            var adapter = new MemoryAdapter();
+
+            yield journal.createClient(adapter);
+            assert.strictEqual(adapter, journal.adapter);
+        }));
     }));
 }
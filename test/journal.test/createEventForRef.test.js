@@ -75,10 +75,183 @@ else if(!Array.isArray(eventData) && typeof eventData === 'object' && !_.isPlain
                 assert.equal("currentversion must be a number", err.message.toLowerCase());
             }
         }));
+
+        it('should throw an error when given an invalid expectedVersion in an options object', Promise.coroutine(function *() {
+            try {
+                yield this.journal.createEventForRef({ eventName: "test", refId: this.ids.success, expectedVersion: 1.5 });
+                assert.fail('succeeded', 'failed', "succeeded with invalid parameters");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("expectedversion must be an integer", err.message.toLowerCase());
+            }
+        }));
+
+        it('should throw an error when given an unknown expectedVersion mode', Promise.coroutine(function *() {
+            try {
+                yield this.journal.createEventForRef({ eventName: "test", refId: this.ids.success, expectedVersion: "maybe" });
+                assert.fail('succeeded', 'failed', "succeeded with invalid parameters");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("expectedversion must be a number", err.message.toLowerCase());
+            }
+        }));
+
+        it('should refuse NoStream when the ref already has events', Promise.coroutine(function *() {
+            yield this.journal.createEventForRef({ eventName: "test", refId: this.ids.success });
+
+            try {
+                yield this.journal.createEventForRef({ eventName: "test", refId: this.ids.success, expectedVersion: Journal.ExpectedVersion.NoStream });
+                assert.fail('succeeded', 'failed', "succeeded with a failed expectation");
+            }
+            catch(err) {
+                assert.equal(409, err.code);
+                assert.equal("version conflict: expected no stream but the ref is at version 1", err.message);
+            }
+        }));
+
+        it('should refuse StreamExists when the ref has no events', Promise.coroutine(function *() {
+            try {
+                yield this.journal.createEventForRef({ eventName: "test", refId: this.ids.success, expectedVersion: Journal.ExpectedVersion.StreamExists });
+                assert.fail('succeeded', 'failed', "succeeded with a failed expectation");
+            }
+            catch(err) {
+                assert.equal(409, err.code);
+                assert.equal("version conflict: expected the stream to exist but the ref has no events", err.message);
+            }
+        }));
+
+        it('should treat an expectedVersion of 0 as an exact version', Promise.coroutine(function *() {
+            yield this.journal.createEventForRef({ eventName: "test", refId: this.ids.success });
+
+            try {
+                yield this.journal.createEventForRef({ eventName: "test", refId: this.ids.success, expectedVersion: 0 });
+                assert.fail('succeeded', 'failed', "succeeded with a failed expectation");
+            }
+            catch(err) {
+                assert.equal(409, err.code);
+                assert.equal("version conflict: expected version 0 but the ref is at version 1", err.message);
+            }
+        }));
+
+        it('should refuse an expectedVersion ahead of the ref', Promise.coroutine(function *() {
+            try {
+                yield this.journal.createEventForRef({ eventName: "test", refId: this.ids.success, expectedVersion: 3 });
+                assert.fail('succeeded', 'failed', "succeeded with a failed expectation");
+            }
+            catch(err) {
+                assert.equal(409, err.code);
+                assert.equal(3, err.arguments.expectedVersion);
+                assert.equal(0, err.arguments.latestVersion);
+            }
+        }));
+
+        it('should throw an error when given an invalid eventId', Promise.coroutine(function *() {
+            try {
+                yield this.journal.createEventForRef({ eventName: "test", refId: this.ids.success, eventId: 5 });
+                assert.fail('succeeded', 'failed', "succeeded with invalid parameters");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("eventid must be a non-empty string", err.message.toLowerCase());
+            }
+        }));
+
+        it('should throw an error when an eventId is reused for a different event', Promise.coroutine(function *() {
+            yield this.journal.createEventForRef({ eventName: "test", refId: this.ids.success, data: { a: 1 }, eventId: "event" });
+
+            try {
+                yield this.journal.createEventForRef({ eventName: "test", refId: this.ids.success, data: { a: 2 }, eventId: "event" });
+                assert.fail('succeeded', 'failed', "succeeded with a reused eventId");
+            }
+            catch(err) {
+                assert.equal(422, err.code);
+                assert.equal("eventid has already been used for a different event", err.message.toLowerCase());
+                assert.equal("event", err.arguments.eventId);
+            }
+        }));
+
+        it('should throw an error when given invalid metadata', Promise.coroutine(function *() {
+            try {
+                yield this.journal.createEventForRef("test", this.ids.success, {}, "user", undefined, { correlationId: 1 });
+                assert.fail('succeeded', 'failed', "succeeded with invalid parameters");
+            }
+            catch(err) {
+                assert.ok(err instanceof Error, "did not throw an error");
+                assert.equal(400, err.code);
+                assert.equal("metadata.correlationid must be a string", err.message.toLowerCase());
+            }
+        }));
     });
     
     describe('successful operations', Promise.coroutine(function *() {
- 
+        it('should store the metadata given with the event', Promise.coroutine(function *() {
+            const metadata = { correlationId: "request", causationId: "command", tenant: "acme" };
+            const event = yield this.journal.createEventForRef("test", this.ids.success, {}, "user", undefined, metadata);
+
+            assert.deepEqual(metadata, event.metadata);
+        }));
+
+        it('should accept an options object', Promise.coroutine(function *() {
+            yield this.journal.createEventForRef({ eventName: "test", refId: this.ids.success });
+
+            const event = yield this.journal.createEventForRef({
+                eventName: "test",
+                refId: this.ids.success,
+                data: { a: 1 },
+                userId: "user",
+                expectedVersion: 1,
+                metadata: { correlationId: "request" }
+            });
+
+            assert.equal(2, event.version);
+            assert.deepEqual({ a: 1 }, event.payload);
+            assert.equal("user", event.initiated_by);
+            assert.deepEqual({ correlationId: "request" }, event.metadata);
+        }));
+
+        it('should return the stored event when an eventId is re-submitted', Promise.coroutine(function *() {
+            const options = { eventName: "test", refId: this.ids.success, data: { a: 1 }, eventId: "event" };
+
+            const first = yield this.journal.createEventForRef(options);
+            const retried = yield this.journal.createEventForRef(options);
+            const events = yield this.journal.getEventsForRef({ refId: this.ids.success });
+
+            assert.equal("event", first.event_id);
+            assert.equal(first.version, retried.version);
+            assert.equal(first.position, retried.position);
+            assert.equal(1, events.length);
+        }));
+
+        it('should return the stored event when a retry conflicts with its own append', Promise.coroutine(function *() {
+            const options = { eventName: "test", refId: this.ids.success, expectedVersion: 1, eventId: "event" };
+
+            yield this.journal.createEventForRef({ eventName: "test", refId: this.ids.success });
+
+            const first = yield this.journal.createEventForRef(options);
+            const retried = yield this.journal.createEventForRef(options);
+
+            assert.equal(2, first.version);
+            assert.equal(2, retried.version);
+        }));
+
+        it('should honour the expectedVersion modes', Promise.coroutine(function *() {
+            const ExpectedVersion = Journal.ExpectedVersion;
+
+            const first = yield this.journal.createEventForRef({ eventName: "test", refId: this.ids.success, expectedVersion: ExpectedVersion.NoStream });
+            const second = yield this.journal.createEventForRef({ eventName: "test", refId: this.ids.success, expectedVersion: ExpectedVersion.StreamExists });
+            const third = yield this.journal.createEventForRef({ eventName: "test", refId: this.ids.success, expectedVersion: ExpectedVersion.Any });
+            const fourth = yield this.journal.createEventForRef({ eventName: "test", refId: this.ids.success, expectedVersion: 3 });
+
+            assert.deepEqual([1, 2, 3, 4], [first.version, second.version, third.version, fourth.version]);
+        }));
+
+        it('should store empty metadata when none is given', Promise.coroutine(function *() {
+            const event = yield this.journal.createEventForRef("test", this.ids.success);
+
+            assert.deepEqual({}, event.metadata);
+        }));
     }));
 }
 
@@ -0,0 +1,129 @@
+"use strict";
+
+var appRoot = process.cwd();
+
+var assert = require('assert');
+var sinon = require('sinon');
+var Promise = require('bluebird');
+
+var Journal = require(`${appRoot}/journal.js`);
+
+module.exports = function() {
+    beforeEach(createJournal);
+
+    describe('error handling', function() {
+        it('should throw an error when events is not an array', Promise.coroutine(function *() {
+            try {
+                yield this.journal.createEventsForRef("ref", { eventName: "test" });
+                assert.fail('succeeded', 'failed', "succeeded with invalid parameters");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("events must be an array", err.message.toLowerCase());
+            }
+        }));
+
+        it('should throw an error when events is empty', Promise.coroutine(function *() {
+            try {
+                yield this.journal.createEventsForRef("ref", []);
+                assert.fail('succeeded', 'failed', "succeeded with invalid parameters");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("events cannot be empty", err.message.toLowerCase());
+            }
+        }));
+
+        it('should throw an error when any event is missing an eventName', Promise.coroutine(function *() {
+            try {
+                yield this.journal.createEventsForRef("ref", [{ eventName: "test" }, { eventData: {} }]);
+                assert.fail('succeeded', 'failed', "succeeded with invalid parameters");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("missing eventname", err.message.toLowerCase());
+            }
+        }));
+
+        it('should throw an error when given an invalid expectedVersion', Promise.coroutine(function *() {
+            try {
+                yield this.journal.createEventsForRef("ref", [{ eventName: "test" }], { expectedVersion: "1" });
+                assert.fail('succeeded', 'failed', "succeeded with invalid parameters");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("expectedversion must be a number", err.message.toLowerCase());
+            }
+        }));
+
+        it('should throw an error when eventIds are repeated within the batch', Promise.coroutine(function *() {
+            try {
+                yield this.journal.createEventsForRef("ref", [{ eventName: "a", eventId: "id" }, { eventName: "b", eventId: "id" }]);
+                assert.fail('succeeded', 'failed', "succeeded with invalid parameters");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("eventids must be unique", err.message.toLowerCase());
+            }
+        }));
+
+        it('should not store any event when the batch conflicts', Promise.coroutine(function *() {
+            yield this.journal.createEventForRef("test", "ref");
+            yield this.journal.createEventForRef("test", "ref");
+
+            try {
+                yield this.journal.createEventsForRef("ref", [{ eventName: "a" }, { eventName: "b" }], { expectedVersion: 1 });
+                assert.fail('succeeded', 'failed', "succeeded with a stale version");
+            }
+            catch(err) {
+                assert.equal("version conflict: expected version 1 but the ref is at version 2", err.message);
+                assert.ok(err instanceof Journal.ConcurrencyError, "did not throw a ConcurrencyError");
+                assert.equal(409, err.code);
+                assert.equal(true, err.retryable);
+                assert.equal(2, err.arguments.latestVersion);
+                assert.equal(409, err.cause.code);
+            }
+
+            const events = yield this.journal.getEventsForRef("ref");
+            assert.equal(2, events.length);
+        }));
+
+        it('should let only one of several concurrent appends at the same version succeed', Promise.coroutine(function *() {
+            yield this.journal.createEventForRef("test", "ref");
+
+            const results = yield Promise.all([1, 2, 3].map(() => {
+                return this.journal.createEventForRef({ eventName: "a", refId: "ref", expectedVersion: 1 }).reflect();
+            }));
+
+            assert.equal(1, results.filter((result) => result.isFulfilled()).length);
+            results.filter((result) => result.isRejected()).forEach((result) => {
+                assert.equal(409, result.reason().code);
+            });
+
+            const events = yield this.journal.getEventsForRef("ref");
+            assert.deepEqual([1, 2], events.map((event) => event.version));
+        }));
+    });
+
+    describe('successful operations', function() {
+        it('should store the events with consecutive versions', Promise.coroutine(function *() {
+            yield this.journal.createEventForRef("test", "ref");
+
+            const events = yield this.journal.createEventsForRef("ref", [
+                { eventName: "a", eventData: { a: 1 }, userId: "user" },
+                { eventName: "b" },
+                { eventName: "c" }
+            ], { expectedVersion: 1 });
+
+            assert.deepEqual([2, 3, 4], events.map((event) => event.version));
+            assert.deepEqual(["a", "b", "c"], events.map((event) => event.event));
+            assert.deepEqual({ a: 1 }, events[0].payload);
+            assert.equal("user", events[0].initiated_by);
+        }));
+    });
+}
+
+var createJournal = Promise.coroutine(function *() {
+    this.journal = new Journal();
+    yield this.journal.createClient();
+});
@@ -0,0 +1,135 @@
+"use strict";
+
+var appRoot = process.cwd();
+
+var assert = require('assert');
+var sinon = require('sinon');
+var Promise = require('bluebird');
+
+var Journal = require(`${appRoot}/journal.js`);
+
+module.exports = function() {
+    beforeEach(createJournal);
+    afterEach(destroyJournal);
+
+    describe('error handling', function() {
+        it('should throw an error when the outbox is not enabled', Promise.coroutine(function *() {
+            const journal = new Journal();
+            yield journal.createClient();
+
+            try {
+                yield journal.createOutboxRelay({ publish: sinon.spy() });
+                assert.fail('succeeded', 'failed', "succeeded without an outbox");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("the outbox is not enabled", err.message.toLowerCase());
+            }
+        }));
+
+        it('should throw an error when missing publish', Promise.coroutine(function *() {
+            try {
+                yield this.journal.createOutboxRelay({});
+                assert.fail('succeeded', 'failed', "succeeded with invalid parameters");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("publish must be a function", err.message.toLowerCase());
+            }
+        }));
+
+        it('should throw an error when given an invalid pollInterval', Promise.coroutine(function *() {
+            try {
+                yield this.journal.createOutboxRelay({ publish: sinon.spy(), pollInterval: 0 });
+                assert.fail('succeeded', 'failed', "succeeded with invalid parameters");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("pollinterval must be a positive integer", err.message.toLowerCase());
+            }
+        }));
+    });
+
+    describe('successful operations', function() {
+        it('should publish stored and new events in order and mark them as sent', Promise.coroutine(function *() {
+            const published = [];
+
+            yield this.journal.createEventForRef("test", "a");
+            yield this.journal.createEventsForRef("b", [{ eventName: "x" }, { eventName: "y" }]);
+
+            const relay = yield this.journal.createOutboxRelay({
+                publish: (event) => { published.push(event.position); },
+                pollInterval: 5
+            });
+
+            yield waitFor(() => published.length === 3);
+            yield this.journal.createEventForRef("test", "a");
+            yield waitFor(() => published.length === 4);
+            yield relay.close();
+
+            assert.deepEqual([1, 2, 3, 4], published);
+            assert.deepEqual([], yield this.journal.adapter.getPendingOutboxEntries(10));
+        }));
+
+        it('should retry an event whose publish failed with a backoff', Promise.coroutine(function *() {
+            const publish = sinon.stub();
+            const onFailed = sinon.spy();
+            const onSent = sinon.spy();
+
+            publish.onFirstCall().returns(Promise.reject(new Error("broker unavailable")));
+            publish.returns(Promise.resolve());
+
+            yield this.journal.createEventForRef("test", "a");
+
+            const relay = yield this.journal.createOutboxRelay({ publish: publish, pollInterval: 5, retryDelay: 20 });
+            relay.on('failed', onFailed);
+            relay.on('sent', onSent);
+
+            yield waitFor(() => onFailed.called);
+
+            const pending = this.journal.adapter.outbox[0];
+            assert.equal(1, pending.attempts);
+            assert.equal("broker unavailable", pending.last_error);
+            assert.equal(1, onFailed.firstCall.args[2]);
+
+            yield waitFor(() => onSent.called);
+
+            assert.equal(2, publish.callCount);
+            assert.equal(1, onSent.firstCall.args[0].position);
+        }));
+
+        it('should only publish events stored in outbox mode', Promise.coroutine(function *() {
+            const journal = new Journal();
+            yield journal.createClient();
+            yield journal.createEventForRef("test", "a");
+
+            assert.deepEqual([], yield journal.adapter.getPendingOutboxEntries(10));
+        }));
+
+        it('should stop publishing when the client is destroyed', Promise.coroutine(function *() {
+            const publish = sinon.spy();
+            const relay = yield this.journal.createOutboxRelay({ publish: publish, pollInterval: 5 });
+
+            yield this.journal.destroyClient();
+
+            assert.ok(relay.closed);
+        }));
+    });
+}
+
+var waitFor = Promise.coroutine(function *(predicate) {
+    for(let attempt = 0; attempt < 100 && !predicate(); attempt++) {
+        yield Promise.delay(5);
+    }
+
+    assert.ok(predicate(), "condition was not met in time");
+});
+
+var createJournal = Promise.coroutine(function *() {
+    this.journal = new Journal({ outbox: true });
+    yield this.journal.createClient();
+});
+
+var destroyJournal = Promise.coroutine(function *() {
+    yield this.journal.destroyClient();
+});
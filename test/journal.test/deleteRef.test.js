@@ -0,0 +1,178 @@
+"use strict";
+
+var appRoot = process.cwd();
+
+var assert = require('assert');
+var sinon = require('sinon');
+var Promise = require('bluebird');
+
+var Journal = require(`${appRoot}/journal.js`);
+
+module.exports = function() {
+    beforeEach(createJournal);
+    afterEach(destroyJournal);
+
+    describe('error handling', function() {
+        it('should throw an error when the journal is not initialized', Promise.coroutine(function *() {
+            const journal = new Journal();
+
+            try {
+                yield journal.deleteRef("ref");
+                assert.fail('succeeded', 'failed', "succeeded without being initialized");
+            }
+            catch(err) {
+                assert.equal(500, err.code);
+                assert.equal("journal has not been initialized", err.message.toLowerCase());
+            }
+        }));
+
+        it('should throw an error when missing refId', Promise.coroutine(function *() {
+            try {
+                yield this.journal.deleteRef();
+                assert.fail('succeeded', 'failed', "succeeded with invalid parameters");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("missing refid", err.message.toLowerCase());
+            }
+        }));
+
+        it('should throw an error when soft deleting a ref without events', Promise.coroutine(function *() {
+            try {
+                yield this.journal.deleteRef("ref");
+                assert.fail('succeeded', 'failed', "succeeded for a ref without events");
+            }
+            catch(err) {
+                assert.equal(404, err.code);
+                assert.equal("ref has no events", err.message.toLowerCase());
+            }
+        }));
+
+        it('should refuse appends to a soft deleted ref', Promise.coroutine(function *() {
+            yield this.journal.createEventForRef("created", "ref");
+            yield this.journal.deleteRef("ref");
+
+            try {
+                yield this.journal.createEventsForRef("ref", [{ eventName: "updated" }]);
+                assert.fail('succeeded', 'failed', "succeeded for a deleted ref");
+            }
+            catch(err) {
+                assert.equal('JournalError', err.name);
+                assert.equal(410, err.code);
+                assert.equal("ref has been deleted", err.message.toLowerCase());
+            }
+        }));
+
+        it('should refuse events named like a tombstone', Promise.coroutine(function *() {
+            try {
+                yield this.journal.createEventForRef(Journal.TombstoneEvent, "ref");
+                assert.fail('succeeded', 'failed', "succeeded with a reserved eventName");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("eventname is reserved", err.message.toLowerCase());
+            }
+        }));
+    });
+
+    describe('successful operations', function() {
+        it('should append a tombstone on a soft delete', Promise.coroutine(function *() {
+            yield this.journal.createEventForRef("created", "ref");
+
+            const tombstone = yield this.journal.deleteRef("ref", { userId: "admin" });
+            const events = yield this.journal.getEventsForRef("ref");
+
+            assert.equal(Journal.TombstoneEvent, tombstone.event);
+            assert.equal(2, tombstone.version);
+            assert.equal("admin", tombstone.initiated_by);
+            assert.deepEqual(["created", Journal.TombstoneEvent], events.map((event) => event.event));
+        }));
+
+        it('should leave the tombstone out of loadRef and rehydrate', Promise.coroutine(function *() {
+            yield this.journal.createEventForRef("added", "ref", { amount: 2 });
+            yield this.journal.deleteRef("ref");
+
+            const loaded = yield this.journal.loadRef("ref", (state, event) => state + event.payload.amount, 0);
+            const rehydrated = yield this.journal.rehydrate("ref", {
+                handlers: { added: (state, event) => state + event.payload.amount },
+                initialState: 0
+            });
+
+            assert.deepEqual({ state: 2, version: 1 }, loaded);
+            assert.deepEqual({ state: 2, version: 1 }, rehydrated);
+        }));
+
+        it('should not create a data key for the tombstone of an encrypted ref', Promise.coroutine(function *() {
+            const keyStore = {
+                getKey: sinon.spy(() => Promise.resolve(null)),
+                createKey: sinon.spy(() => Promise.resolve(Buffer.alloc(32, 7))),
+                destroyKey: sinon.spy(() => Promise.resolve(true))
+            };
+
+            const journal = new Journal({ encryption: { keyStore: keyStore } });
+            yield journal.createClient();
+
+            yield journal.createEventForRef("created", "ref");
+            const tombstone = yield journal.deleteRef("ref");
+
+            assert.equal(Journal.TombstoneEvent, tombstone.event);
+            assert.strictEqual(null, tombstone.payload);
+            assert.equal(0, keyStore.createKey.callCount);
+
+            yield journal.destroyClient();
+        }));
+
+        it('should soft delete a forgotten ref', Promise.coroutine(function *() {
+            const journal = new Journal({ encryption: { masterKey: Buffer.alloc(32, 1).toString('base64') } });
+            yield journal.createClient();
+
+            yield journal.createEventForRef("created", "ref", { email: "someone@example.com" });
+            yield journal.forgetRef("ref");
+
+            const tombstone = yield journal.deleteRef("ref");
+
+            assert.equal(2, tombstone.version);
+            assert.deepEqual(["created", Journal.TombstoneEvent], (yield journal.getEventsForRef("ref")).map((event) => event.event));
+
+            yield journal.destroyClient();
+        }));
+
+        it('should remove events, snapshots and outbox entries on a hard delete', Promise.coroutine(function *() {
+            const journal = new Journal({ outbox: true });
+            yield journal.createClient();
+
+            yield journal.createEventsForRef("ref", [{ eventName: "a" }, { eventName: "b" }]);
+            yield journal.createEventForRef("a", "other");
+            yield journal.saveSnapshot("ref", 2, { count: 2 });
+
+            const removed = yield journal.deleteRef("ref", { hard: true });
+
+            assert.equal(2, removed);
+            assert.deepEqual([], yield journal.getEventsForRef("ref"));
+            assert.strictEqual(null, yield journal.getLatestSnapshot("ref"));
+            assert.deepEqual([3], (yield journal.adapter.getPendingOutboxEntries(10)).map((entry) => entry.id));
+
+            yield journal.destroyClient();
+        }));
+
+        it('should allow a hard deleted ref to be started again', Promise.coroutine(function *() {
+            yield this.journal.createEventForRef("created", "ref");
+            yield this.journal.deleteRef("ref");
+            yield this.journal.deleteRef("ref", { hard: true });
+
+            const created = yield this.journal.createEventForRef("created", "ref");
+
+            assert.equal(1, created.version);
+            assert.equal(3, created.position);
+        }));
+    });
+}
+
+var createJournal = Promise.coroutine(function *() {
+    this.journal = new Journal();
+    yield this.journal.createClient();
+});
+
+var destroyJournal = Promise.coroutine(function *() {
+    yield this.journal.destroyClient();
+});
@@ -0,0 +1,60 @@
+"use strict";
+
+var appRoot = process.cwd();
+
+var assert = require('assert');
+var sinon = require('sinon');
+var Promise = require('bluebird');
+
+var Journal = require(`${appRoot}/journal.js`);
+
+module.exports = function() {
+    beforeEach(createJournal);
+
+    describe('error handling', function() {
+        it('should throw an error when not given an event', function() {
+            assert.throws(() => Journal.deriveMetadata(), /event must be an object/);
+        });
+    });
+
+    describe('successful operations', function() {
+        it('should start a correlation at an event without one', Promise.coroutine(function *() {
+            const trigger = yield this.journal.createEventForRef("OrderPlaced", "order");
+            const metadata = Journal.deriveMetadata(trigger);
+
+            assert.deepEqual({
+                correlationId: String(trigger.position),
+                causationId: String(trigger.position)
+            }, metadata);
+        }));
+
+        it('should carry the correlation forward and merge headers', Promise.coroutine(function *() {
+            const trigger = yield this.journal.createEventForRef("OrderPlaced", "order", {}, "user", undefined, {
+                correlationId: "request"
+            });
+
+            const event = yield this.journal.createEventForRef("PaymentRequested", "payment", {}, "user", undefined,
+                Journal.deriveMetadata(trigger, { tenant: "acme" }));
+
+            assert.deepEqual({
+                tenant: "acme",
+                correlationId: "request",
+                causationId: String(trigger.position)
+            }, event.metadata);
+        }));
+
+        it('should identify the triggering event by its eventId when it has one', Promise.coroutine(function *() {
+            const trigger = yield this.journal.createEventForRef({ eventName: "OrderPlaced", refId: "order", eventId: "order-placed" });
+
+            assert.deepEqual({
+                correlationId: "order-placed",
+                causationId: "order-placed"
+            }, Journal.deriveMetadata(trigger));
+        }));
+    });
+}
+
+var createJournal = Promise.coroutine(function *() {
+    this.journal = new Journal();
+    yield this.journal.createClient();
+});
@@ -0,0 +1,121 @@
+"use strict";
+
+var appRoot = process.cwd();
+
+var assert = require('assert');
+var stream = require('stream');
+var Promise = require('bluebird');
+
+var Journal = require(`${appRoot}/journal.js`);
+
+module.exports = function() {
+    beforeEach(createJournal);
+    afterEach(destroyJournal);
+
+    describe('error handling', function() {
+        it('should throw an error when not given a writable stream', Promise.coroutine(function *() {
+            try {
+                yield this.journal.exportTo({});
+                assert.fail('succeeded', 'failed', "succeeded with invalid parameters");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("writable must be a writable stream", err.message.toLowerCase());
+            }
+        }));
+
+        it('should throw an error when given invalid refs', Promise.coroutine(function *() {
+            try {
+                yield this.journal.exportTo(new Collector(), { refs: "a" });
+                assert.fail('succeeded', 'failed', "succeeded with invalid parameters");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("refs must be a non-empty array of strings", err.message.toLowerCase());
+            }
+        }));
+
+        it('should throw an error when to is before from', Promise.coroutine(function *() {
+            try {
+                yield this.journal.exportTo(new Collector(), { from: new Date(2000), to: new Date(1000) });
+                assert.fail('succeeded', 'failed', "succeeded with invalid parameters");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("to is before from", err.message.toLowerCase());
+            }
+        }));
+    });
+
+    describe('successful operations', function() {
+        it('should write a header and every event in position order', Promise.coroutine(function *() {
+            const output = new Collector();
+            const written = yield this.journal.exportTo(output, { batchSize: 2 });
+            const lines = output.records();
+
+            assert.equal(3, written);
+            assert.equal('header', lines[0].type);
+            assert.equal('event-source-journal', lines[0].format);
+            assert.equal(1, lines[0].version);
+            assert.deepEqual([1, 2, 3], lines.slice(1).map((line) => line.position));
+            assert.deepEqual({
+                type: 'event',
+                ref: "a",
+                version: 1,
+                position: 1,
+                event: "created",
+                payload: { name: "a" },
+                initiated_by: "user",
+                schema_version: 1,
+                metadata: {},
+                event_id: "event-a",
+                created_on: this.journal.adapter.db[0].created_on.toISOString()
+            }, lines[1]);
+        }));
+
+        it('should only write the given refs, ref by ref', Promise.coroutine(function *() {
+            const output = new Collector();
+
+            yield this.journal.exportTo(output, { refs: ["b", "a"] });
+
+            assert.deepEqual([["b", 1], ["a", 1], ["a", 2]], output.records().slice(1).map((line) => [line.ref, line.version]));
+        }));
+
+        it('should only write the events created within a window', Promise.coroutine(function *() {
+            const output = new Collector();
+
+            this.journal.adapter.db[0].created_on = new Date(1000);
+
+            yield this.journal.exportTo(output, { from: new Date(2000) });
+
+            assert.deepEqual([2, 3], output.records().slice(1).map((line) => line.position));
+        }));
+    });
+}
+
+function Collector() {
+    stream.Writable.call(this);
+    this.chunks = [];
+}
+
+Collector.prototype = Object.create(stream.Writable.prototype);
+Collector.prototype._write = function(chunk, encoding, callback) {
+    this.chunks.push(chunk.toString());
+    callback();
+};
+Collector.prototype.records = function() {
+    return this.chunks.join('').split('\n').filter(Boolean).map((line) => JSON.parse(line));
+};
+
+var createJournal = Promise.coroutine(function *() {
+    this.journal = new Journal();
+    yield this.journal.createClient();
+
+    yield this.journal.createEventForRef({ eventName: "created", refId: "a", data: { name: "a" }, userId: "user", eventId: "event-a" });
+    yield this.journal.createEventForRef({ eventName: "created", refId: "b" });
+    yield this.journal.createEventForRef({ eventName: "renamed", refId: "a" });
+});
+
+var destroyJournal = Promise.coroutine(function *() {
+    yield this.journal.destroyClient();
+});
@@ -0,0 +1,155 @@
+"use strict";
+
+var appRoot = process.cwd();
+
+var assert = require('assert');
+var sinon = require('sinon');
+var Promise = require('bluebird');
+
+var Journal = require(`${appRoot}/journal.js`);
+
+module.exports = function() {
+    beforeEach(createJournal);
+    afterEach(destroyJournal);
+
+    describe('error handling', function() {
+        it('should throw an error when encryption is not enabled', Promise.coroutine(function *() {
+            const journal = new Journal();
+            yield journal.createClient();
+
+            try {
+                yield journal.forgetRef("ref");
+                assert.fail('succeeded', 'failed', "succeeded without encryption");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("encryption is not enabled", err.message.toLowerCase());
+            }
+        }));
+
+        it('should throw an error when missing refId', Promise.coroutine(function *() {
+            try {
+                yield this.journal.forgetRef();
+                assert.fail('succeeded', 'failed', "succeeded with invalid parameters");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("missing refid", err.message.toLowerCase());
+            }
+        }));
+
+        it('should refuse a master key of the wrong length', Promise.coroutine(function *() {
+            const journal = new Journal({ encryption: { masterKey: Buffer.alloc(16) } });
+
+            try {
+                yield journal.createClient();
+                assert.fail('succeeded', 'failed', "succeeded with an invalid master key");
+            }
+            catch(err) {
+                assert.ok(err instanceof Journal.ValidationError);
+                assert.equal(400, err.code);
+                assert.equal("encryption.masterkey must be a 32 byte key", err.message.toLowerCase());
+            }
+        }));
+
+        it('should refuse appends to a forgotten ref', Promise.coroutine(function *() {
+            yield this.journal.createEventForRef("created", "ref", { email: "someone@example.com" });
+            yield this.journal.forgetRef("ref");
+
+            try {
+                yield this.journal.createEventForRef("updated", "ref", { email: "other@example.com" });
+                assert.fail('succeeded', 'failed', "succeeded for a forgotten ref");
+            }
+            catch(err) {
+                assert.equal(410, err.code);
+                assert.equal("ref has been forgotten", err.message.toLowerCase());
+            }
+        }));
+    });
+
+    describe('successful operations', function() {
+        it('should store payloads encrypted and return them decrypted', Promise.coroutine(function *() {
+            const created = yield this.journal.createEventForRef("created", "ref", { email: "someone@example.com" });
+            const stored = this.journal.adapter.db[0];
+
+            assert.deepEqual({ email: "someone@example.com" }, created.payload);
+            assert.equal(-1, JSON.stringify(stored.payload).indexOf("someone"));
+
+            const events = yield this.journal.getEventsForRef("ref");
+            const all = yield this.journal.readAll();
+
+            assert.deepEqual({ email: "someone@example.com" }, events[0].payload);
+            assert.deepEqual({ email: "someone@example.com" }, all.events[0].payload);
+        }));
+
+        it('should redact the payloads of a forgotten ref only', Promise.coroutine(function *() {
+            yield this.journal.createEventForRef("created", "ref", { email: "someone@example.com" });
+            yield this.journal.createEventForRef("created", "other", { email: "other@example.com" });
+
+            yield this.journal.forgetRef("ref");
+
+            const forgotten = yield this.journal.getEventsForRef("ref");
+            const other = yield this.journal.getEventsForRef("other");
+
+            assert.equal(1, forgotten.length);
+            assert.equal("created", forgotten[0].event);
+            assert.deepEqual({ redacted: true }, forgotten[0].payload);
+            assert.strictEqual(true, forgotten[0].redacted);
+            assert.deepEqual({ email: "other@example.com" }, other[0].payload);
+        }));
+
+        it('should encrypt snapshots and ignore them once the ref is forgotten', Promise.coroutine(function *() {
+            yield this.journal.saveSnapshot("ref", 1, { email: "someone@example.com" });
+
+            const snapshot = yield this.journal.getLatestSnapshot("ref");
+            assert.deepEqual({ email: "someone@example.com" }, snapshot.state);
+            assert.equal(-1, JSON.stringify(this.journal.adapter.snapshots[0].state).indexOf("someone"));
+
+            yield this.journal.forgetRef("ref");
+
+            assert.strictEqual(null, yield this.journal.getLatestSnapshot("ref"));
+        }));
+
+        it('should return the stored event when an encrypted event is re-submitted', Promise.coroutine(function *() {
+            const options = { eventName: "created", refId: "ref", data: { a: 1 }, eventId: "event" };
+
+            const first = yield this.journal.createEventForRef(options);
+            const retried = yield this.journal.createEventForRef(options);
+
+            assert.equal(first.position, retried.position);
+            assert.deepEqual({ a: 1 }, retried.payload);
+        }));
+
+        it('should use a custom key store', Promise.coroutine(function *() {
+            const keys = new Map();
+            const keyStore = {
+                getKey: sinon.spy((refId) => Promise.resolve(keys.get(refId) || null)),
+                createKey: sinon.spy((refId) => {
+                    keys.set(refId, Buffer.alloc(32, 7));
+
+                    return Promise.resolve(keys.get(refId));
+                }),
+                destroyKey: sinon.spy((refId) => Promise.resolve(keys.delete(refId)))
+            };
+
+            const journal = new Journal({ encryption: { keyStore: keyStore } });
+            yield journal.createClient();
+
+            yield journal.createEventForRef("created", "ref", { a: 1 });
+            yield journal.forgetRef("ref");
+
+            assert.ok(keyStore.createKey.calledWith("ref"));
+            assert.ok(keyStore.destroyKey.calledWith("ref"));
+            assert.strictEqual(true, (yield journal.getEventsForRef("ref"))[0].redacted);
+        }));
+    });
+}
+
+var createJournal = Promise.coroutine(function *() {
+    this.journal = new Journal({ encryption: { masterKey: Buffer.alloc(32, 1).toString('base64') } });
+    yield this.journal.createClient();
+});
+
+var destroyJournal = Promise.coroutine(function *() {
+    yield this.journal.destroyClient();
+});
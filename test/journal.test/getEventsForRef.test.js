@@ -0,0 +1,100 @@
+"use strict";
+
+var appRoot = process.cwd();
+
+var assert = require('assert');
+var sinon = require('sinon');
+var Promise = require('bluebird');
+
+var Journal = require(`${appRoot}/journal.js`);
+
+module.exports = function() {
+    beforeEach(createJournal);
+    beforeEach(createEvents);
+
+    describe('error handling', function() {
+        it('should throw an error when toVersion is less than fromVersion', Promise.coroutine(function *() {
+            try {
+                yield this.journal.getEventsForRef({ refId: "ref", fromVersion: 3, toVersion: 2 });
+                assert.fail('succeeded', 'failed', "succeeded with invalid parameters");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("toversion is less than fromversion", err.message.toLowerCase());
+            }
+        }));
+
+        it('should throw an error when given an invalid limit', Promise.coroutine(function *() {
+            try {
+                yield this.journal.getEventsForRef({ refId: "ref", limit: -1 });
+                assert.fail('succeeded', 'failed', "succeeded with invalid parameters");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("limit must be a positive integer", err.message.toLowerCase());
+            }
+        }));
+
+        it('should wrap an error from the adapter in a typed error holding the cause', Promise.coroutine(function *() {
+            const error = new Error("Invalid refId");
+            error.code = 400;
+
+            this.sandbox.stub(this.journal.adapter, 'getEventsForRef').returns(Promise.reject(error));
+
+            try {
+                yield this.journal.getEventsForRef({ refId: "ref" });
+                assert.fail('succeeded', 'failed', "succeeded when the adapter failed");
+            }
+            catch(err) {
+                assert.ok(err instanceof Journal.ValidationError, "did not throw a ValidationError");
+                assert.equal("Invalid refId", err.message);
+                assert.strictEqual(error, err.cause);
+            }
+        }));
+
+        it('should wrap an adapter error without a status code as a JournalError', Promise.coroutine(function *() {
+            const error = new Error("disk I/O error");
+
+            this.sandbox.stub(this.journal.adapter, 'readAll').returns(Promise.reject(error));
+
+            try {
+                yield this.journal.readAll();
+                assert.fail('succeeded', 'failed', "succeeded when the adapter failed");
+            }
+            catch(err) {
+                assert.ok(err instanceof Journal.JournalError, "did not throw a JournalError");
+                assert.equal(500, err.code);
+                assert.equal(false, err.retryable);
+                assert.strictEqual(error, err.cause);
+            }
+        }));
+    });
+
+    describe('successful operations', function() {
+        it('should return events between two versions', Promise.coroutine(function *() {
+            const events = yield this.journal.getEventsForRef({ refId: "ref", fromVersion: 2, toVersion: 4 });
+            assert.deepEqual([2, 3, 4], events.map((event) => event.version));
+        }));
+
+        it('should limit the number of events returned', Promise.coroutine(function *() {
+            const events = yield this.journal.getEventsForRef({ refId: "ref", fromVersion: 2, limit: 2 });
+            assert.deepEqual([2, 3], events.map((event) => event.version));
+        }));
+
+        it('should still accept positional arguments', Promise.coroutine(function *() {
+            const events = yield this.journal.getEventsForRef("ref", 4);
+            assert.deepEqual([4, 5], events.map((event) => event.version));
+        }));
+    });
+}
+
+var createJournal = Promise.coroutine(function *() {
+    this.journal = new Journal();
+    yield this.journal.createClient();
+});
+
+var createEvents = Promise.coroutine(function *() {
+    for(let i = 0; i < 5; i++) {
+        yield this.journal.createEventForRef({ eventName: "test", refId: "ref" });
+    }
+});
@@ -0,0 +1,173 @@
+"use strict";
+
+var appRoot = process.cwd();
+
+var assert = require('assert');
+var stream = require('stream');
+var Promise = require('bluebird');
+
+var Journal = require(`${appRoot}/journal.js`);
+
+var header = JSON.stringify({ type: 'header', format: 'event-source-journal', version: 1 });
+
+module.exports = function() {
+    beforeEach(createJournal);
+    afterEach(destroyJournal);
+
+    describe('error handling', function() {
+        it('should throw an error when given an invalid onConflict', Promise.coroutine(function *() {
+            try {
+                yield this.journal.importFrom(readableOf([header]), { onConflict: "replace" });
+                assert.fail('succeeded', 'failed', "succeeded with invalid parameters");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal('onconflict must be "error" or "skip"', err.message.toLowerCase());
+            }
+        }));
+
+        it('should refuse a stream without a supported header', Promise.coroutine(function *() {
+            try {
+                yield this.journal.importFrom(readableOf([JSON.stringify(record("a", 1))]));
+                assert.fail('succeeded', 'failed', "succeeded without a header");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("unsupported export format", err.message.toLowerCase());
+            }
+        }));
+
+        it('should report the line of an invalid record', Promise.coroutine(function *() {
+            try {
+                yield this.journal.importFrom(readableOf([header, JSON.stringify(record("a", 1)), '{"type":"event","ref":"a"']));
+                assert.fail('succeeded', 'failed', "succeeded with an invalid line");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("invalid json on line 3", err.message.toLowerCase());
+            }
+        }));
+
+        it('should fail with a version conflict when a ref already has the versions', Promise.coroutine(function *() {
+            yield this.journal.createEventForRef("created", "a");
+
+            try {
+                yield this.journal.importFrom(readableOf([header, JSON.stringify(record("a", 1))]));
+                assert.fail('succeeded', 'failed', "succeeded with a conflict");
+            }
+            catch(err) {
+                assert.equal(409, err.code);
+                assert.equal("version conflict: expected version 0 but the ref is at version 1", err.message);
+            }
+        }));
+
+        it('should refuse a truncated ref that another journal exported', Promise.coroutine(function *() {
+            const source = new Journal();
+            const output = new stream.PassThrough();
+
+            yield source.createClient();
+            yield source.createEventsForRef("a", [{ eventName: "x" }, { eventName: "y" }, { eventName: "z" }]);
+            yield source.saveSnapshot("a", 2, { count: 2 });
+            yield source.truncateBefore("a", 3);
+            yield source.exportTo(output);
+            output.end();
+            yield source.destroyClient();
+
+            try {
+                yield this.journal.importFrom(output, { onConflict: "skip" });
+                assert.fail('succeeded', 'failed', "succeeded with a truncated ref");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("a truncated ref cannot be imported", err.message.toLowerCase());
+                assert.deepEqual({ refId: "a", firstVersion: 3 }, err.arguments);
+            }
+
+            assert.deepEqual([], yield this.journal.getEventsForRef("a"));
+        }));
+    });
+
+    describe('successful operations', function() {
+        it('should store events with their versions, timestamps, users and ids', Promise.coroutine(function *() {
+            const lines = [header, record("a", 1), record("b", 1), record("a", 2)].map((line) => typeof line === 'string' ? line : JSON.stringify(line));
+            const result = yield this.journal.importFrom(readableOf(lines, 7), { batchSize: 2 });
+            const events = yield this.journal.getEventsForRef("a");
+
+            assert.deepEqual({ imported: 3, skipped: 0 }, result);
+            assert.deepEqual([1, 2], events.map((event) => event.version));
+            assert.equal("2016-05-01T00:00:01.000Z", events[0].created_on.toISOString());
+            assert.equal("user", events[0].initiated_by);
+            assert.equal("a-1", events[0].event_id);
+            assert.deepEqual({ version: 1 }, events[0].payload);
+            assert.deepEqual([], yield this.journal.adapter.getPendingOutboxEntries(10));
+        }));
+
+        it('should skip the versions a ref already has with onConflict skip', Promise.coroutine(function *() {
+            yield this.journal.createEventForRef("created", "a");
+
+            const lines = [header, record("a", 1), record("a", 2)].map((line) => typeof line === 'string' ? line : JSON.stringify(line));
+            const result = yield this.journal.importFrom(readableOf(lines), { onConflict: "skip" });
+            const events = yield this.journal.getEventsForRef("a");
+
+            assert.deepEqual({ imported: 1, skipped: 1 }, result);
+            assert.deepEqual(["created", "test"], events.map((event) => event.event));
+        }));
+
+        it('should import what another journal exported', Promise.coroutine(function *() {
+            const source = new Journal();
+            const output = new stream.PassThrough();
+
+            yield source.createClient();
+            yield source.createEventsForRef("a", [{ eventName: "x", eventData: { n: 1 } }, { eventName: "y" }]);
+            yield source.exportTo(output);
+            output.end();
+
+            const result = yield this.journal.importFrom(output);
+            const events = yield this.journal.getEventsForRef("a");
+
+            assert.equal(2, result.imported);
+            assert.deepEqual(["x", "y"], events.map((event) => event.event));
+            assert.deepEqual({ n: 1 }, events[0].payload);
+
+            yield source.destroyClient();
+        }));
+    });
+}
+
+function record(refId, version) {
+    return {
+        type: 'event',
+        ref: refId,
+        version: version,
+        position: 99,
+        event: "test",
+        payload: { version: version },
+        initiated_by: "user",
+        schema_version: 1,
+        metadata: {},
+        event_id: `${refId}-${version}`,
+        created_on: `2016-05-01T00:00:0${version}.000Z`
+    };
+}
+
+function readableOf(lines, chunkSize) {
+    const text = lines.join('\n');
+    const readable = new stream.PassThrough();
+
+    for(let offset = 0; offset < text.length; offset += chunkSize || text.length) {
+        readable.write(text.slice(offset, offset + (chunkSize || text.length)));
+    }
+
+    readable.end();
+
+    return readable;
+}
+
+var createJournal = Promise.coroutine(function *() {
+    this.journal = new Journal({ outbox: true });
+    yield this.journal.createClient();
+});
+
+var destroyJournal = Promise.coroutine(function *() {
+    yield this.journal.destroyClient();
+});
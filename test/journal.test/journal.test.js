@@ -4,6 +4,7 @@ var appRoot = process.cwd();
 
 var assert = require('assert');
 var sinon = require('sinon');
+var Promise = require('bluebird');
 var Journal = require(`${appRoot}/journal.js`);
 
 describe('journal class', function() {
@@ -16,9 +17,34 @@ describe('journal class', function() {
     });
     
     describe('constructor', require('./constructor.test.js'));
+    describe('registerAdapter', require('./registerAdapter.test.js'));
     describe('createClient', require('./createClient.test.js'));
     describe('destroyClient', require('./destroyClient.test.js'));
     describe('createEventForRef', require('./createEventForRef.test.js'));
+    describe('deriveMetadata', require('./deriveMetadata.test.js'));
+    describe('createEventsForRef', require('./createEventsForRef.test.js'));
+    describe('registerEventSchema', require('./registerEventSchema.test.js'));
+    describe('registerUpcaster', require('./registerUpcaster.test.js'));
+    describe('use', require('./use.test.js'));
+    describe('getEventsForRef', require('./getEventsForRef.test.js'));
+    describe('streamEventsForRef', require('./streamEventsForRef.test.js'));
+    describe('readAll', require('./readAll.test.js'));
+    describe('queryEvents', require('./queryEvents.test.js'));
+    describe('subscribe', require('./subscribe.test.js'));
+    describe('createOutboxRelay', require('./createOutboxRelay.test.js'));
+    describe('registerProjection', require('./registerProjection.test.js'));
+    describe('startProjections', require('./startProjections.test.js'));
+    describe('forgetRef', require('./forgetRef.test.js'));
+    describe('deleteRef', require('./deleteRef.test.js'));
+    describe('truncateBefore', require('./truncateBefore.test.js'));
+    describe('verifyRef', require('./verifyRef.test.js'));
+    describe('verifyAll', require('./verifyAll.test.js'));
+    describe('exportTo', require('./exportTo.test.js'));
+    describe('importFrom', require('./importFrom.test.js'));
+    describe('migrate', require('./migrate.test.js'));
+    describe('saveSnapshot', require('./saveSnapshot.test.js'));
+    describe('loadRef', require('./loadRef.test.js'));
+    describe('rehydrate', require('./rehydrate.test.js'));
     
     describe('exports', function() {
         it('should export a class', function(done) {
@@ -28,5 +54,45 @@ describe('journal class', function() {
             
             done();
         });
+
+        it('should export the error classes with stable codes', function() {
+            const codes = {
+                ValidationError: 400,
+                NotFoundError: 404,
+                ConcurrencyError: 409,
+                ConnectionError: 502,
+                NotInitializedError: 500
+            };
+
+            Object.keys(codes).forEach(function(name) {
+                const cause = new Error("cause");
+                const err = new Journal[name]("message", {}, cause);
+
+                assert.ok(err instanceof Journal.JournalError, `${name} is not a JournalError`);
+                assert.ok(err instanceof Error, `${name} is not an Error`);
+                assert.equal(name, err.name);
+                assert.equal(codes[name], err.code);
+                assert.strictEqual(cause, err.cause);
+            });
+
+            assert.equal(false, new Journal.ValidationError("invalid").retryable);
+            assert.equal(true, new Journal.ConcurrencyError("conflict").retryable);
+            assert.strictEqual(null, new Journal.NotFoundError("missing").cause);
+            assert.equal("Journal has not been initialized", new Journal.NotInitializedError().message);
+        });
+
+        it('should throw a NotInitializedError before the client is created', Promise.coroutine(function *() {
+            const journal = new Journal();
+
+            try {
+                yield journal.getEventsForRef("ref");
+                assert.fail('succeeded', 'failed', "succeeded without a client");
+            }
+            catch(err) {
+                assert.ok(err instanceof Journal.NotInitializedError, "did not throw a NotInitializedError");
+                assert.equal(500, err.code);
+                assert.equal(false, err.retryable);
+            }
+        }));
     });
 });
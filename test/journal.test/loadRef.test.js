@@ -0,0 +1,93 @@
+"use strict";
+
+var appRoot = process.cwd();
+
+var assert = require('assert');
+var sinon = require('sinon');
+var Promise = require('bluebird');
+
+var Journal = require(`${appRoot}/journal.js`);
+
+module.exports = function() {
+    describe('error handling', function() {
+        beforeEach(createJournal());
+
+        it('should throw an error when given an invalid reducer', Promise.coroutine(function *() {
+            try {
+                yield this.journal.loadRef("ref", {});
+                assert.fail('succeeded', 'failed', "succeeded with invalid parameters");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("reducer must be a function", err.message.toLowerCase());
+            }
+        }));
+    });
+
+    describe('successful operations', function() {
+        beforeEach(createJournal());
+        beforeEach(createEvents(5));
+
+        it('should fold every event when there is no snapshot', Promise.coroutine(function *() {
+            const result = yield this.journal.loadRef("ref", sum, 0);
+            assert.equal(15, result.state);
+            assert.equal(5, result.version);
+        }));
+
+        it('should only apply events after the latest snapshot', Promise.coroutine(function *() {
+            yield this.journal.saveSnapshot("ref", 3, 100);
+
+            const reducer = sinon.spy(sum);
+            const result = yield this.journal.loadRef("ref", reducer, 0);
+
+            assert.equal(2, reducer.callCount);
+            assert.equal(109, result.state);
+            assert.equal(5, result.version);
+        }));
+
+        it('should not save a snapshot without a snapshotEvery policy', Promise.coroutine(function *() {
+            yield this.journal.loadRef("ref", sum, 0);
+            assert.strictEqual(null, yield this.journal.getLatestSnapshot("ref"));
+        }));
+    });
+
+    describe('snapshotEvery policy', function() {
+        beforeEach(createJournal({ snapshotEvery: 3 }));
+        beforeEach(createEvents(5));
+
+        it('should save a snapshot once enough events have been applied', Promise.coroutine(function *() {
+            yield this.journal.loadRef("ref", sum, 0);
+
+            const snapshot = yield this.journal.getLatestSnapshot("ref");
+            assert.equal(5, snapshot.version);
+            assert.equal(15, snapshot.state);
+        }));
+
+        it('should not save a snapshot when too few events have been applied', Promise.coroutine(function *() {
+            yield this.journal.saveSnapshot("ref", 4, 10);
+            yield this.journal.loadRef("ref", sum, 0);
+
+            const snapshot = yield this.journal.getLatestSnapshot("ref");
+            assert.equal(4, snapshot.version);
+        }));
+    });
+}
+
+var sum = function sum(state, event) {
+    return state + event.payload.amount;
+};
+
+var createJournal = function createJournal(options) {
+    return Promise.coroutine(function *() {
+        this.journal = new Journal(options);
+        yield this.journal.createClient();
+    });
+};
+
+var createEvents = function createEvents(count) {
+    return Promise.coroutine(function *() {
+        for(let i = 1; i <= count; i++) {
+            yield this.journal.createEventForRef("added", "ref", { amount: i });
+        }
+    });
+};
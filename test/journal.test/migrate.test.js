@@ -0,0 +1,130 @@
+"use strict";
+
+var appRoot = process.cwd();
+
+var assert = require('assert');
+var Promise = require('bluebird');
+
+var Journal = require(`${appRoot}/journal.js`);
+
+module.exports = function() {
+    beforeEach(createJournals);
+    afterEach(destroyJournals);
+
+    describe('error handling', function() {
+        it('should throw an error when not given journals', Promise.coroutine(function *() {
+            try {
+                yield Journal.migrate(this.source, {});
+                assert.fail('succeeded', 'failed', "succeeded with invalid parameters");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("source and target must be journals", err.message.toLowerCase());
+            }
+        }));
+
+        it('should throw an error when a journal is not initialized', Promise.coroutine(function *() {
+            try {
+                yield Journal.migrate(this.source, new Journal());
+                assert.fail('succeeded', 'failed', "succeeded without being initialized");
+            }
+            catch(err) {
+                assert.equal(500, err.code);
+                assert.equal("journal has not been initialized", err.message.toLowerCase());
+            }
+        }));
+
+        it('should report the refs that do not match once copied', Promise.coroutine(function *() {
+            yield this.target.createEventsForRef("b", [{ eventName: "x" }, { eventName: "y" }, { eventName: "z" }]);
+
+            try {
+                yield Journal.migrate(this.source, this.target);
+                assert.fail('succeeded', 'failed', "succeeded with a diverging target");
+            }
+            catch(err) {
+                assert.equal(409, err.code);
+                assert.equal("the target does not match the source", err.message.toLowerCase());
+                assert.deepEqual([{
+                    refId: "b",
+                    source: { events: 2, latestVersion: 2 },
+                    target: { events: 3, latestVersion: 3 }
+                }], err.arguments.mismatches);
+            }
+        }));
+
+        it('should refuse a source with a truncated ref before copying anything', Promise.coroutine(function *() {
+            yield this.source.saveSnapshot("a", 2, { count: 2 });
+            yield this.source.truncateBefore("a", 3);
+
+            try {
+                yield Journal.migrate(this.source, this.target);
+                assert.fail('succeeded', 'failed', "succeeded with a truncated ref");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("a truncated ref cannot be imported", err.message.toLowerCase());
+                assert.deepEqual([{ refId: "a", firstVersion: 3 }], err.arguments.refs);
+            }
+
+            assert.deepEqual([], (yield this.target.readAll(0)).events);
+        }));
+    });
+
+    describe('successful operations', function() {
+        it('should copy every event in batches and report checkpoints', Promise.coroutine(function *() {
+            const checkpoints = [];
+            const result = yield Journal.migrate(this.source, this.target, {
+                batchSize: 2,
+                onCheckpoint: (position) => { checkpoints.push(position); }
+            });
+
+            const events = yield this.target.getEventsForRef("a");
+
+            assert.deepEqual({ imported: 5, skipped: 0, checkpoint: 5, refs: 2 }, result);
+            assert.deepEqual([2, 4, 5], checkpoints);
+            assert.deepEqual([1, 2, 3], events.map((event) => event.version));
+            assert.equal(this.source.adapter.db[0].created_on.getTime(), events[0].created_on.getTime());
+        }));
+
+        it('should resume after a checkpoint', Promise.coroutine(function *() {
+            let calls = 0;
+
+            try {
+                yield Journal.migrate(this.source, this.target, {
+                    batchSize: 2,
+                    onCheckpoint: () => {
+                        if(++calls === 2) {
+                            throw new Error("interrupted");
+                        }
+                    }
+                });
+                assert.fail('succeeded', 'failed', "succeeded without being interrupted");
+            }
+            catch(err) {
+                assert.equal("interrupted", err.message);
+            }
+
+            const result = yield Journal.migrate(this.source, this.target, { batchSize: 2, checkpoint: 2 });
+
+            assert.deepEqual({ imported: 1, skipped: 2, checkpoint: 5, refs: 2 }, result);
+            assert.equal(3, (yield this.target.getEventsForRef("a")).length);
+        }));
+    });
+}
+
+var createJournals = Promise.coroutine(function *() {
+    this.source = new Journal();
+    this.target = new Journal();
+
+    yield this.source.createClient();
+    yield this.target.createClient();
+
+    for(let refId of ["a", "b", "a", "b", "a"]) {
+        yield this.source.createEventForRef("test", refId, { refId: refId }, "user");
+    }
+});
+
+var destroyJournals = Promise.coroutine(function *() {
+    yield this.source.destroyClient();
+    yield this.target.destroyClient();
+});
@@ -0,0 +1,102 @@
+"use strict";
+
+var appRoot = process.cwd();
+
+var assert = require('assert');
+var sinon = require('sinon');
+var Promise = require('bluebird');
+
+var Journal = require(`${appRoot}/journal.js`);
+
+module.exports = function() {
+    beforeEach(createJournal);
+    beforeEach(createEvents);
+
+    describe('error handling', function() {
+        it('should throw an error when given invalid eventNames', Promise.coroutine(function *() {
+            try {
+                yield this.journal.queryEvents({ eventNames: "PaymentFailed" });
+                assert.fail('succeeded', 'failed', "succeeded with invalid parameters");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("eventnames must be a non-empty array of strings", err.message.toLowerCase());
+            }
+        }));
+
+        it('should throw an error when to is before from', Promise.coroutine(function *() {
+            try {
+                yield this.journal.queryEvents({ from: new Date(2000), to: new Date(1000) });
+                assert.fail('succeeded', 'failed', "succeeded with invalid parameters");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("to is before from", err.message.toLowerCase());
+            }
+        }));
+
+        it('should throw an error when given an invalid cursor', Promise.coroutine(function *() {
+            try {
+                yield this.journal.queryEvents({ cursor: "not a cursor" });
+                assert.fail('succeeded', 'failed', "succeeded with invalid parameters");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("invalid cursor", err.message.toLowerCase());
+            }
+        }));
+    });
+
+    describe('successful operations', function() {
+        it('should find events by name across refs', Promise.coroutine(function *() {
+            const result = yield this.journal.queryEvents({ eventNames: ["PaymentFailed"] });
+
+            assert.deepEqual(["a", "b"], result.events.map((event) => event.ref));
+            assert.strictEqual(null, result.cursor);
+        }));
+
+        it('should find events by user', Promise.coroutine(function *() {
+            const result = yield this.journal.queryEvents({ userId: "support" });
+
+            assert.deepEqual([2], result.events.map((event) => event.position));
+        }));
+
+        it('should find events within a time window', Promise.coroutine(function *() {
+            const all = yield this.journal.readAll();
+            const result = yield this.journal.queryEvents({ from: all.events[1].created_on, to: all.events[3].created_on });
+
+            assert.deepEqual([2, 3], result.events.map((event) => event.position));
+        }));
+
+        it('should page through the results with a cursor', Promise.coroutine(function *() {
+            const first = yield this.journal.queryEvents({ limit: 2 });
+            yield this.journal.createEventForRef({ eventName: "PaymentFailed", refId: "c" });
+            const second = yield this.journal.queryEvents({ limit: 2, cursor: first.cursor });
+            const third = yield this.journal.queryEvents({ limit: 2, cursor: second.cursor });
+
+            assert.deepEqual([1, 2], first.events.map((event) => event.position));
+            assert.deepEqual([3, 4], second.events.map((event) => event.position));
+            assert.deepEqual([5], third.events.map((event) => event.position));
+            assert.strictEqual(null, third.cursor);
+        }));
+    });
+}
+
+var createJournal = Promise.coroutine(function *() {
+    this.journal = new Journal();
+    yield this.journal.createClient();
+});
+
+var createEvents = Promise.coroutine(function *() {
+    const events = [
+        { eventName: "PaymentFailed", refId: "a" },
+        { eventName: "PaymentSucceeded", refId: "a", userId: "support" },
+        { eventName: "PaymentFailed", refId: "b" },
+        { eventName: "PaymentSucceeded", refId: "b" }
+    ];
+
+    for(let event of events) {
+        yield this.journal.createEventForRef(event);
+        yield Promise.delay(5);
+    }
+});
@@ -0,0 +1,71 @@
+"use strict";
+
+var appRoot = process.cwd();
+
+var assert = require('assert');
+var sinon = require('sinon');
+var Promise = require('bluebird');
+
+var Journal = require(`${appRoot}/journal.js`);
+
+module.exports = function() {
+    beforeEach(createJournal);
+    beforeEach(createEvents);
+
+    describe('error handling', function() {
+        it('should throw an error when given an invalid fromPosition', Promise.coroutine(function *() {
+            try {
+                yield this.journal.readAll({ fromPosition: "1" });
+                assert.fail('succeeded', 'failed', "succeeded with invalid parameters");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("fromposition must be a number", err.message.toLowerCase());
+            }
+        }));
+
+        it('should throw an error when given an invalid limit', Promise.coroutine(function *() {
+            try {
+                yield this.journal.readAll({ limit: 0 });
+                assert.fail('succeeded', 'failed', "succeeded with invalid parameters");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("limit must be a positive integer", err.message.toLowerCase());
+            }
+        }));
+    });
+
+    describe('successful operations', function() {
+        it('should return events across refs in the order they were stored', Promise.coroutine(function *() {
+            const result = yield this.journal.readAll();
+
+            assert.deepEqual(["a", "b", "a", "c"], result.events.map((event) => event.ref));
+            assert.deepEqual([1, 2, 3, 4], result.events.map((event) => event.position));
+            assert.equal(5, result.nextPosition);
+        }));
+
+        it('should page through the journal using nextPosition', Promise.coroutine(function *() {
+            const first = yield this.journal.readAll({ limit: 3 });
+            const second = yield this.journal.readAll({ fromPosition: first.nextPosition, limit: 3 });
+            const third = yield this.journal.readAll({ fromPosition: second.nextPosition, limit: 3 });
+
+            assert.equal(3, first.events.length);
+            assert.deepEqual([4], second.events.map((event) => event.position));
+            assert.equal(0, third.events.length);
+            assert.equal(second.nextPosition, third.nextPosition);
+        }));
+    });
+}
+
+var createJournal = Promise.coroutine(function *() {
+    this.journal = new Journal();
+    yield this.journal.createClient();
+});
+
+var createEvents = Promise.coroutine(function *() {
+    yield this.journal.createEventForRef("test", "a");
+    yield this.journal.createEventForRef("test", "b");
+    yield this.journal.createEventForRef("test", "a");
+    yield this.journal.createEventForRef("test", "c");
+});
@@ -0,0 +1,63 @@
+"use strict";
+
+var appRoot = process.cwd();
+
+var assert = require('assert');
+var sinon = require('sinon');
+var Promise = require('bluebird');
+
+var Journal = require(`${appRoot}/journal.js`);
+var MemoryAdapter = require(`${appRoot}/adapters/memory.js`);
+
+module.exports = function() {
+    describe('error handling', function() {
+        it('should throw an error when given an invalid name', function() {
+            assert.throws(() => Journal.registerAdapter('', MemoryAdapter), Journal.ValidationError);
+        });
+
+        it('should throw an error when not given a class', function() {
+            assert.throws(() => Journal.registerAdapter('custom', {}), /must be registered with an adapter class/);
+        });
+
+        it('should list the methods an adapter is missing', function() {
+            class IncompleteAdapter {
+                createDatabaseConnection() {}
+                readAll() {}
+            }
+
+            try {
+                Journal.registerAdapter('incomplete', IncompleteAdapter);
+                assert.fail('succeeded', 'failed', "registered an incomplete adapter");
+            }
+            catch(err) {
+                assert.ok(err instanceof Journal.ValidationError, "did not throw a ValidationError");
+                assert.equal(400, err.code);
+                assert.deepEqual(['name', 'closeDatabaseConnection'], err.arguments.missing.slice(0, 2));
+                assert.ok(err.message.indexOf('Missing: name, closeDatabaseConnection, createEventForRef') !== -1);
+                assert.ok(err.message.indexOf('readAll') === -1);
+            }
+        });
+    });
+
+    describe('successful operations', function() {
+        it('should allow a registered adapter to be used by name', Promise.coroutine(function *() {
+            class CustomAdapter extends MemoryAdapter {
+                get name() {
+                    return "custom";
+                }
+            }
+
+            Journal.registerAdapter('Custom', CustomAdapter);
+
+            const journal = new Journal({ adapterName: 'custom' });
+            yield journal.createClient();
+
+            assert.ok(journal.adapter instanceof CustomAdapter);
+            assert.equal('custom', journal.adapter.name);
+        }));
+
+        it('should expose the adapter interface', function() {
+            assert.ok(Journal.adapterInterface.indexOf('createEventForRef') !== -1);
+        });
+    });
+}
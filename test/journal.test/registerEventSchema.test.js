@@ -0,0 +1,114 @@
+"use strict";
+
+var appRoot = process.cwd();
+
+var assert = require('assert');
+var sinon = require('sinon');
+var Promise = require('bluebird');
+
+var Journal = require(`${appRoot}/journal.js`);
+
+module.exports = function() {
+    describe('error handling', function() {
+        beforeEach(createJournal());
+
+        it('should throw an error when given an invalid schema', function() {
+            try {
+                this.journal.registerEventSchema("OrderPlaced", { type: "not-a-type" });
+                assert.fail('succeeded', 'failed', "registered an invalid schema");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.ok(err.message.indexOf('Invalid schema for "OrderPlaced"') === 0);
+            }
+        });
+
+        it('should reject eventData that does not match the schema', Promise.coroutine(function *() {
+            this.journal.registerEventSchema("OrderPlaced", orderPlacedSchema);
+
+            try {
+                yield this.journal.createEventForRef("OrderPlaced", "ref", { items: [{ quantity: "two" }] });
+                assert.fail('succeeded', 'failed', "stored an invalid payload");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal('Invalid eventData for "OrderPlaced"', err.message);
+                assert.deepEqual([
+                    '.orderId',
+                    '.items[0].sku',
+                    '.items[0].quantity'
+                ], err.arguments.errors.map((error) => error.path));
+            }
+
+            assert.equal(0, (yield this.journal.getEventsForRef("ref")).length);
+        }));
+
+        it('should reject a batch when any event does not match its schema', Promise.coroutine(function *() {
+            this.journal.registerEventSchema("OrderPlaced", orderPlacedSchema);
+
+            try {
+                yield this.journal.createEventsForRef("ref", [
+                    { eventName: "OrderViewed" },
+                    { eventName: "OrderPlaced", eventData: {} }
+                ]);
+                assert.fail('succeeded', 'failed', "stored an invalid payload");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal('Invalid eventData for "OrderPlaced"', err.message);
+            }
+        }));
+    });
+
+    describe('strict mode', function() {
+        beforeEach(createJournal({ strictSchemas: true }));
+
+        it('should refuse event names without a schema', Promise.coroutine(function *() {
+            try {
+                yield this.journal.createEventForRef("OrderViewed", "ref");
+                assert.fail('succeeded', 'failed', "stored an event without a schema");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal('No schema registered for "OrderViewed"', err.message);
+            }
+        }));
+
+        it('should store events that match their schema', Promise.coroutine(function *() {
+            this.journal.registerEventSchema("OrderPlaced", orderPlacedSchema);
+
+            const event = yield this.journal.createEventForRef("OrderPlaced", "ref", {
+                orderId: "order",
+                items: [{ sku: "sku", quantity: 2 }]
+            });
+
+            assert.equal(1, event.version);
+        }));
+    });
+}
+
+var orderPlacedSchema = {
+    type: "object",
+    required: ["orderId", "items"],
+    properties: {
+        orderId: { type: "string" },
+        items: {
+            type: "array",
+            items: {
+                type: "object",
+                required: ["sku", "quantity"],
+                properties: {
+                    sku: { type: "string" },
+                    quantity: { type: "integer" }
+                }
+            }
+        }
+    }
+};
+
+var createJournal = function createJournal(options) {
+    return Promise.coroutine(function *() {
+        this.journal = new Journal(options);
+        yield this.journal.createClient();
+    });
+};
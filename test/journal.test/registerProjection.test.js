@@ -0,0 +1,78 @@
+"use strict";
+
+var appRoot = process.cwd();
+
+var assert = require('assert');
+var sinon = require('sinon');
+var Promise = require('bluebird');
+
+var Journal = require(`${appRoot}/journal.js`);
+
+module.exports = function() {
+    describe('error handling', function() {
+        it('should throw an error when given an invalid name', function() {
+            const journal = new Journal();
+
+            assert.throws(() => journal.registerProjection("", { handlers: { test: sinon.spy() } }), function(err) {
+                return err.code === 400 && err.message.toLowerCase() === "invalid projection name";
+            });
+        });
+
+        it('should throw an error when missing handlers', function() {
+            const journal = new Journal();
+
+            assert.throws(() => journal.registerProjection("totals", { handlers: {} }), function(err) {
+                return err.code === 400 && err.message.toLowerCase() === "handlers must be an object of event names and functions";
+            });
+        });
+
+        it('should throw an error when a handler is not a function', function() {
+            const journal = new Journal();
+
+            assert.throws(() => journal.registerProjection("totals", { handlers: { test: true } }), function(err) {
+                return err.code === 400 && err.message.toLowerCase() === "handlers must be functions";
+            });
+        });
+
+        it('should throw an error when given an invalid reset', function() {
+            const journal = new Journal();
+
+            assert.throws(() => journal.registerProjection("totals", { handlers: { test: sinon.spy() }, reset: "no" }), function(err) {
+                return err.code === 400 && err.message.toLowerCase() === "reset must be a function";
+            });
+        });
+
+        it('should throw an error when the name is already registered', function() {
+            const journal = new Journal();
+            journal.registerProjection("totals", { handlers: { test: sinon.spy() } });
+
+            assert.throws(() => journal.registerProjection("totals", { handlers: { test: sinon.spy() } }), function(err) {
+                return err.code === 409 && err.message.toLowerCase() === "a projection with that name is already registered";
+            });
+        });
+
+        it('should throw an error while projections are running', Promise.coroutine(function *() {
+            const journal = new Journal();
+            yield journal.createClient();
+            journal.registerProjection("totals", { handlers: { test: sinon.spy() } });
+            yield journal.startProjections();
+
+            try {
+                assert.throws(() => journal.registerProjection("counts", { handlers: { test: sinon.spy() } }), function(err) {
+                    return err.code === 409 && err.message.toLowerCase() === "projections cannot be registered while they are running";
+                });
+            }
+            finally {
+                yield journal.destroyClient();
+            }
+        }));
+    });
+
+    describe('successful operations', function() {
+        it('should return the journal', function() {
+            const journal = new Journal();
+
+            assert.strictEqual(journal, journal.registerProjection("totals", { handlers: { test: sinon.spy() } }));
+        });
+    });
+};
@@ -0,0 +1,97 @@
+"use strict";
+
+var appRoot = process.cwd();
+
+var assert = require('assert');
+var sinon = require('sinon');
+var Promise = require('bluebird');
+
+var Journal = require(`${appRoot}/journal.js`);
+
+module.exports = function() {
+    beforeEach(createJournal);
+
+    describe('error handling', function() {
+        it('should throw an error when given an invalid fromSchemaVersion', function() {
+            try {
+                this.journal.registerUpcaster("renamed", 0, splitName);
+                assert.fail('succeeded', 'failed', "registered an invalid upcaster");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("fromschemaversion must be a positive integer", err.message.toLowerCase());
+            }
+        });
+
+        it('should throw an error when not given a function', function() {
+            try {
+                this.journal.registerUpcaster("renamed", 1, {});
+                assert.fail('succeeded', 'failed', "registered an invalid upcaster");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("upcaster must be a function", err.message.toLowerCase());
+            }
+        });
+    });
+
+    describe('successful operations', function() {
+        beforeEach(Promise.coroutine(function *() {
+            yield this.journal.createEventForRef("renamed", "ref", { name: "Ada Lovelace" });
+        }));
+
+        it('should upcast stored events when they are read', Promise.coroutine(function *() {
+            this.journal.registerUpcaster("renamed", 1, splitName);
+
+            const events = yield this.journal.getEventsForRef("ref");
+            assert.deepEqual({ first: "Ada", last: "Lovelace" }, events[0].payload);
+            assert.equal(2, events[0].schema_version);
+
+            const stored = this.journal.adapter.db[0];
+            assert.deepEqual({ name: "Ada Lovelace" }, stored.payload);
+            assert.equal(1, stored.schema_version);
+        }));
+
+        it('should chain upcasters and apply them on every read path', Promise.coroutine(function *() {
+            this.journal.registerUpcaster("renamed", 1, splitName);
+            this.journal.registerUpcaster("renamed", 2, (payload) => ({ name: payload }));
+
+            const expected = { name: { first: "Ada", last: "Lovelace" } };
+
+            assert.deepEqual(expected, (yield this.journal.getEventsForRef("ref"))[0].payload);
+            assert.deepEqual(expected, (yield this.journal.readAll()).events[0].payload);
+
+            const result = yield this.journal.rehydrate("ref", {
+                handlers: { renamed: (state, event) => event.payload }
+            });
+
+            assert.deepEqual(expected, result.state);
+        }));
+
+        it('should store new events with the latest schema version', Promise.coroutine(function *() {
+            const upcaster = sinon.spy(splitName);
+            this.journal.registerUpcaster("renamed", 1, upcaster);
+
+            const event = yield this.journal.createEventForRef("renamed", "ref", { first: "Grace", last: "Hopper" });
+            assert.equal(2, event.schema_version);
+
+            const events = yield this.journal.getEventsForRef("ref");
+            assert.equal(1, upcaster.callCount);
+            assert.deepEqual({ first: "Grace", last: "Hopper" }, events[1].payload);
+        }));
+    });
+}
+
+var splitName = function splitName(payload) {
+    const parts = payload.name.split(' ');
+
+    return {
+        first: parts[0],
+        last: parts[1]
+    };
+};
+
+var createJournal = Promise.coroutine(function *() {
+    this.journal = new Journal();
+    yield this.journal.createClient();
+});
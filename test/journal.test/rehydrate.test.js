@@ -0,0 +1,154 @@
+"use strict";
+
+var appRoot = process.cwd();
+
+var assert = require('assert');
+var sinon = require('sinon');
+var Promise = require('bluebird');
+
+var Journal = require(`${appRoot}/journal.js`);
+
+module.exports = function() {
+    beforeEach(createJournal);
+    beforeEach(createEvents);
+
+    describe('error handling', function() {
+        it('should throw an error when missing handlers', Promise.coroutine(function *() {
+            try {
+                yield this.journal.rehydrate("ref", {});
+                assert.fail('succeeded', 'failed', "succeeded with invalid parameters");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("handlers must be an object", err.message.toLowerCase());
+            }
+        }));
+
+        it('should throw an error when given an invalid until', Promise.coroutine(function *() {
+            try {
+                yield this.journal.rehydrate("ref", { handlers: handlers, until: "not a date" });
+                assert.fail('succeeded', 'failed', "succeeded with invalid parameters");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("until must be a valid date", err.message.toLowerCase());
+            }
+        }));
+
+        it('should throw an error for an event without a handler', Promise.coroutine(function *() {
+            try {
+                yield this.journal.rehydrate("ref", { handlers: { added: handlers.added } });
+                assert.fail('succeeded', 'failed', "replayed an unknown event");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal('no handler for event "removed"', err.message.toLowerCase());
+                assert.equal(3, err.arguments.version);
+            }
+        }));
+
+        it('should throw an error for a truncated ref whose snapshot is older than the truncation', Promise.coroutine(function *() {
+            yield this.journal.saveSnapshot("ref", 1, 1);
+            yield this.journal.saveSnapshot("ref", 2, 3);
+            yield this.journal.truncateBefore("ref", 3);
+
+            this.journal.adapter.snapshots = this.journal.adapter.snapshots.filter((snapshot) => snapshot.version !== 2);
+
+            try {
+                yield this.journal.rehydrate("ref", { initialState: 0, handlers: handlers });
+                assert.fail('succeeded', 'failed', "replayed a truncated ref without its history");
+            }
+            catch(err) {
+                assert.equal(409, err.code);
+                assert.equal("truncated history is not covered by a snapshot", err.message.toLowerCase());
+                assert.equal(2, err.arguments.anchorVersion);
+                assert.equal(1, err.arguments.snapshotVersion);
+            }
+        }));
+
+        it('should throw an error for a truncated ref when toVersion is before its snapshot', Promise.coroutine(function *() {
+            yield this.journal.saveSnapshot("ref", 3, 1);
+            yield this.journal.truncateBefore("ref", 3);
+
+            try {
+                yield this.journal.rehydrate("ref", { initialState: 0, handlers: handlers, toVersion: 2 });
+                assert.fail('succeeded', 'failed', "replayed a truncated ref before its snapshot");
+            }
+            catch(err) {
+                assert.equal(409, err.code);
+                assert.equal(3, err.arguments.snapshotVersion);
+            }
+        }));
+    });
+
+    describe('successful operations', function() {
+        it('should dispatch each event to its handler', Promise.coroutine(function *() {
+            const result = yield this.journal.rehydrate("ref", { initialState: 0, handlers: handlers });
+            assert.equal(7, result.state);
+            assert.equal(4, result.version);
+        }));
+
+        it('should use the fallback for events without a handler', Promise.coroutine(function *() {
+            const fallback = sinon.spy((state) => state);
+            const result = yield this.journal.rehydrate("ref", {
+                initialState: 0,
+                handlers: { added: handlers.added },
+                fallback: fallback
+            });
+
+            assert.equal(1, fallback.callCount);
+            assert.equal(9, result.state);
+        }));
+
+        it('should stop at toVersion', Promise.coroutine(function *() {
+            const result = yield this.journal.rehydrate("ref", { initialState: 0, handlers: handlers, toVersion: 2 });
+            assert.equal(3, result.state);
+            assert.equal(2, result.version);
+        }));
+
+        it('should stop at events created after until', Promise.coroutine(function *() {
+            this.journal.adapter.db.forEach(function(entry) {
+                entry.created_on = new Date(Date.UTC(2016, 0, entry.version));
+            });
+
+            const result = yield this.journal.rehydrate("ref", {
+                initialState: 0,
+                handlers: handlers,
+                until: new Date(Date.UTC(2016, 0, 3))
+            });
+
+            assert.equal(1, result.state);
+            assert.equal(3, result.version);
+        }));
+
+        it('should replay a truncated ref on top of its snapshot', Promise.coroutine(function *() {
+            yield this.journal.saveSnapshot("ref", 2, 3);
+            yield this.journal.truncateBefore("ref", 3);
+
+            const result = yield this.journal.rehydrate("ref", { initialState: 0, handlers: handlers });
+            assert.equal(7, result.state);
+            assert.equal(4, result.version);
+        }));
+    });
+}
+
+var handlers = {
+    added: function(state, event) {
+        return state + event.payload.amount;
+    },
+    removed: function(state, event) {
+        return state - event.payload.amount;
+    }
+};
+
+var createJournal = Promise.coroutine(function *() {
+    this.journal = new Journal();
+    yield this.journal.createClient();
+});
+
+var createEvents = Promise.coroutine(function *() {
+    yield this.journal.createEventForRef("added", "ref", { amount: 1 });
+    yield this.journal.createEventForRef("added", "ref", { amount: 2 });
+    yield this.journal.createEventForRef("removed", "ref", { amount: 2 });
+    yield this.journal.createEventForRef("added", "ref", { amount: 6 });
+});
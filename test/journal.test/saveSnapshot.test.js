@@ -0,0 +1,59 @@
+"use strict";
+
+var appRoot = process.cwd();
+
+var assert = require('assert');
+var sinon = require('sinon');
+var Promise = require('bluebird');
+
+var Journal = require(`${appRoot}/journal.js`);
+
+module.exports = function() {
+    beforeEach(createJournal);
+
+    describe('error handling', function() {
+        it('should throw an error when missing refId', Promise.coroutine(function *() {
+            try {
+                yield this.journal.saveSnapshot(undefined, 1, {});
+                assert.fail('succeeded', 'failed', "succeeded with invalid parameters");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("missing refid", err.message.toLowerCase());
+            }
+        }));
+
+        it('should throw an error when given an invalid version', Promise.coroutine(function *() {
+            try {
+                yield this.journal.saveSnapshot("ref", "version", {});
+                assert.fail('succeeded', 'failed', "succeeded with invalid parameters");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("version must be a number", err.message.toLowerCase());
+            }
+        }));
+    });
+
+    describe('successful operations', function() {
+        it('should return the latest snapshot for a ref', Promise.coroutine(function *() {
+            yield this.journal.saveSnapshot("ref", 2, { count: 2 });
+            yield this.journal.saveSnapshot("ref", 5, { count: 5 });
+            yield this.journal.saveSnapshot("other", 9, { count: 9 });
+
+            const snapshot = yield this.journal.getLatestSnapshot("ref");
+            assert.equal(5, snapshot.version);
+            assert.deepEqual({ count: 5 }, snapshot.state);
+        }));
+
+        it('should return null when a ref has no snapshot', Promise.coroutine(function *() {
+            const snapshot = yield this.journal.getLatestSnapshot("ref");
+            assert.strictEqual(null, snapshot);
+        }));
+    });
+}
+
+var createJournal = Promise.coroutine(function *() {
+    this.journal = new Journal();
+    yield this.journal.createClient();
+});
@@ -0,0 +1,275 @@
+"use strict";
+
+var appRoot = process.cwd();
+
+var assert = require('assert');
+var sinon = require('sinon');
+var Promise = require('bluebird');
+
+var Journal = require(`${appRoot}/journal.js`);
+
+module.exports = function() {
+    beforeEach(createJournal);
+    afterEach(destroyJournal);
+
+    describe('error handling', function() {
+        it('should throw an error when the journal has not been initialized', Promise.coroutine(function *() {
+            const journal = new Journal();
+            journal.registerProjection("totals", { handlers: { test: sinon.spy() } });
+
+            try {
+                yield journal.startProjections();
+                assert.fail('succeeded', 'failed', "succeeded without a client");
+            }
+            catch(err) {
+                assert.equal(500, err.code);
+                assert.equal("journal has not been initialized", err.message.toLowerCase());
+            }
+        }));
+
+        it('should throw an error when no projections are registered', Promise.coroutine(function *() {
+            try {
+                yield this.journal.startProjections();
+                assert.fail('succeeded', 'failed', "succeeded without projections");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("no projections have been registered", err.message.toLowerCase());
+            }
+        }));
+
+        it('should throw an error when projections are already running', Promise.coroutine(function *() {
+            this.journal.registerProjection("totals", { handlers: { test: sinon.spy() } });
+            yield this.journal.startProjections();
+
+            try {
+                yield this.journal.startProjections();
+                assert.fail('succeeded', 'failed', "succeeded twice");
+            }
+            catch(err) {
+                assert.equal(409, err.code);
+                assert.equal("projections are already running", err.message.toLowerCase());
+            }
+        }));
+
+        it('should throw an error when given an invalid batchSize', Promise.coroutine(function *() {
+            this.journal.registerProjection("totals", { handlers: { test: sinon.spy() } });
+
+            try {
+                yield this.journal.startProjections({ batchSize: 0 });
+                assert.fail('succeeded', 'failed', "succeeded with invalid parameters");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("batchsize must be a positive integer", err.message.toLowerCase());
+            }
+        }));
+
+        it('should reject a rebuild of an unknown projection', Promise.coroutine(function *() {
+            this.journal.registerProjection("totals", { handlers: { test: sinon.spy() } });
+            const runner = yield this.journal.startProjections();
+
+            try {
+                yield runner.rebuild("counts");
+                assert.fail('succeeded', 'failed', "succeeded with an unknown projection");
+            }
+            catch(err) {
+                assert.equal(404, err.code);
+                assert.equal("unknown projection", err.message.toLowerCase());
+            }
+        }));
+    });
+
+    describe('successful operations', function() {
+        it('should hand stored and new events to their handlers in order and save checkpoints', Promise.coroutine(function *() {
+            const seen = [];
+
+            yield this.journal.createEventForRef("test", "a");
+            yield this.journal.createEventsForRef("b", [{ eventName: "other" }, { eventName: "test" }]);
+
+            this.journal.registerProjection("totals", {
+                handlers: { test: (event) => { seen.push(event.position); } }
+            });
+
+            const runner = yield this.journal.startProjections({ batchSize: 2 });
+
+            yield waitFor(() => runner.status("totals").position === 3);
+            yield this.journal.createEventForRef("test", "c");
+            yield waitFor(() => seen.length === 3);
+            yield waitFor(() => runner.status("totals").position === 4);
+
+            assert.deepEqual([1, 3, 4], seen);
+
+            const checkpoint = yield this.journal.adapter.getCheckpoint("totals");
+            assert.equal(4, checkpoint.position);
+            assert.strictEqual(null, checkpoint.error);
+        }));
+
+        it('should resume from the checkpoint when started again', Promise.coroutine(function *() {
+            const handler = sinon.spy();
+
+            yield this.journal.createEventsForRef("a", [{ eventName: "test" }, { eventName: "test" }]);
+            this.journal.registerProjection("totals", { handlers: { test: handler } });
+
+            let runner = yield this.journal.startProjections();
+            yield waitFor(() => runner.status("totals").position === 2);
+            yield runner.close();
+
+            yield this.journal.createEventForRef("test", "b");
+            runner = yield this.journal.startProjections();
+            yield waitFor(() => runner.status("totals").position === 3);
+
+            assert.deepEqual([1, 2, 3], handler.args.map((args) => args[0].position));
+        }));
+
+        it('should handle an event stored at position 0 once, without assuming positions start at 1', Promise.coroutine(function *() {
+            const handler = sinon.spy();
+
+            this.journal.adapter.position = -1;
+            yield this.journal.createEventsForRef("a", [{ eventName: "test" }, { eventName: "test" }]);
+            this.journal.registerProjection("totals", { handlers: { test: handler } });
+
+            let runner = yield this.journal.startProjections();
+            yield waitFor(() => runner.status("totals").position === 1);
+            yield runner.close();
+
+            runner = yield this.journal.startProjections();
+            yield this.journal.createEventForRef("test", "b");
+            yield waitFor(() => runner.status("totals").position === 2);
+
+            assert.deepEqual([0, 1, 2], handler.args.map((args) => args[0].position));
+        }));
+
+        it('should stop a projection whose handler fails and record the error', Promise.coroutine(function *() {
+            const onFailed = sinon.spy();
+            const counts = sinon.spy();
+
+            yield this.journal.createEventsForRef("a", [{ eventName: "test" }, { eventName: "broken" }, { eventName: "test" }]);
+
+            this.journal.registerProjection("totals", {
+                handlers: {
+                    test: sinon.spy(),
+                    broken: () => Promise.reject(new Error("cannot project"))
+                }
+            });
+            this.journal.registerProjection("counts", { handlers: { test: counts } });
+
+            const runner = yield this.journal.startProjections();
+            runner.on('failed', onFailed);
+
+            yield waitFor(() => runner.status("totals").state === 'failed' && runner.status("counts").position === 3);
+
+            assert.equal(2, counts.callCount);
+            assert.equal("totals", onFailed.firstCall.args[0]);
+            assert.equal("cannot project", onFailed.firstCall.args[1].message);
+            assert.equal(2, onFailed.firstCall.args[2].position);
+
+            const checkpoint = yield this.journal.adapter.getCheckpoint("totals");
+            assert.equal(1, checkpoint.position);
+            assert.equal("cannot project", checkpoint.error.message);
+            assert.equal("broken", checkpoint.error.event);
+            assert.equal(2, checkpoint.error.position);
+
+            yield this.journal.createEventForRef("test", "b");
+            yield waitFor(() => runner.status("counts").position === 4);
+            assert.equal(1, runner.status("totals").position);
+        }));
+
+        it('should reset and replay a projection when it is rebuilt', Promise.coroutine(function *() {
+            const seen = [];
+            const reset = sinon.spy(() => { seen.length = 0; });
+            const onProgress = sinon.spy();
+
+            yield this.journal.createEventsForRef("a", [{ eventName: "test" }, { eventName: "test" }, { eventName: "test" }]);
+
+            this.journal.registerProjection("totals", {
+                handlers: { test: (event) => { seen.push(event.position); } },
+                reset: reset
+            });
+
+            const runner = yield this.journal.startProjections({ batchSize: 2 });
+            runner.on('progress', onProgress);
+            yield waitFor(() => runner.status("totals").position === 3);
+
+            const result = yield runner.rebuild("totals");
+
+            assert.ok(reset.calledOnce);
+            assert.deepEqual([1, 2, 3], seen);
+            assert.deepEqual({ name: "totals", position: 3, processed: 3 }, result);
+            assert.deepEqual([
+                { name: "totals", position: 2, processed: 2 },
+                { name: "totals", position: 3, processed: 3 }
+            ], onProgress.args.map((args) => args[0]));
+
+            yield this.journal.createEventForRef("test", "b");
+            yield waitFor(() => seen.length === 4);
+            assert.equal('running', runner.status("totals").state);
+        }));
+
+        it('should clear the error of a failed projection when it is rebuilt', Promise.coroutine(function *() {
+            let broken = true;
+
+            yield this.journal.createEventForRef("test", "a");
+
+            this.journal.registerProjection("totals", {
+                handlers: { test: () => broken ? Promise.reject(new Error("cannot project")) : null }
+            });
+
+            const runner = yield this.journal.startProjections();
+            yield waitFor(() => runner.status("totals").state === 'failed');
+
+            broken = false;
+            yield runner.rebuild("totals");
+
+            const checkpoint = yield this.journal.adapter.getCheckpoint("totals");
+            assert.equal(1, checkpoint.position);
+            assert.strictEqual(null, checkpoint.error);
+            assert.equal('running', runner.status("totals").state);
+        }));
+
+        it('should save a checkpoint without a position when the first event fails', Promise.coroutine(function *() {
+            yield this.journal.createEventForRef("broken", "a");
+
+            this.journal.registerProjection("totals", {
+                handlers: { broken: () => Promise.reject(new Error("cannot project")) }
+            });
+
+            const runner = yield this.journal.startProjections();
+            yield waitFor(() => runner.status("totals").state === 'failed');
+
+            const checkpoint = yield this.journal.adapter.getCheckpoint("totals");
+            assert.strictEqual(null, checkpoint.position);
+            assert.equal("cannot project", checkpoint.error.message);
+        }));
+
+        it('should close the runner when the client is destroyed', Promise.coroutine(function *() {
+            const onClose = sinon.spy();
+
+            this.journal.registerProjection("totals", { handlers: { test: sinon.spy() } });
+
+            const runner = yield this.journal.startProjections();
+            runner.on('close', onClose);
+
+            yield this.journal.destroyClient();
+
+            assert.ok(onClose.calledOnce);
+        }));
+    });
+};
+
+var waitFor = Promise.coroutine(function *(predicate) {
+    for(let attempt = 0; attempt < 100 && !predicate(); attempt++) {
+        yield Promise.delay(5);
+    }
+
+    assert.ok(predicate(), "condition was not met in time");
+});
+
+var createJournal = Promise.coroutine(function *() {
+    this.journal = new Journal();
+    yield this.journal.createClient();
+});
+
+var destroyJournal = Promise.coroutine(function *() {
+    yield this.journal.destroyClient();
+});
@@ -0,0 +1,116 @@
+"use strict";
+
+var appRoot = process.cwd();
+
+var assert = require('assert');
+var sinon = require('sinon');
+var Promise = require('bluebird');
+var stream = require('stream');
+
+var Journal = require(`${appRoot}/journal.js`);
+
+module.exports = function() {
+    beforeEach(createJournal);
+    beforeEach(createEvents);
+
+    describe('error handling', function() {
+        it('should throw an error when given an invalid direction', function() {
+            assert.throws(() => {
+                this.journal.streamEventsForRef("ref", { direction: "sideways" });
+            }, /direction must be "forward" or "backward"/);
+        });
+
+        it('should throw an error when given an invalid batchSize', function() {
+            assert.throws(() => {
+                this.journal.streamEventsForRef("ref", { batchSize: 0 });
+            }, /batchSize must be a positive integer/);
+        });
+
+        it('should emit errors from the adapter as typed errors holding the cause', Promise.coroutine(function *() {
+            const error = new Error("version conflict");
+            error.code = 409;
+
+            const failing = new stream.Readable({
+                objectMode: true,
+                read: function() {
+                    this.destroy(error);
+                }
+            });
+
+            this.sandbox.stub(this.journal.adapter, 'streamEventsForRef').returns(failing);
+
+            try {
+                yield readStream(this.journal.streamEventsForRef("ref"));
+                assert.fail('succeeded', 'failed', "succeeded when the adapter failed");
+            }
+            catch(err) {
+                assert.ok(err instanceof Journal.ConcurrencyError, "did not emit a ConcurrencyError");
+                assert.strictEqual(error, err.cause);
+            }
+        }));
+    });
+
+    describe('successful operations', function() {
+        it('should stream every event of a ref a batch at a time', Promise.coroutine(function *() {
+            const events = yield readStream(this.journal.streamEventsForRef("ref", { batchSize: 2 }));
+
+            assert.deepEqual([1, 2, 3, 4, 5], events.map((event) => event.version));
+        }));
+
+        it('should stream the last events of a ref backward', Promise.coroutine(function *() {
+            const events = yield readStream(this.journal.streamEventsForRef("ref", { direction: "backward", limit: 3, batchSize: 2 }));
+
+            assert.deepEqual([5, 4, 3], events.map((event) => event.version));
+        }));
+
+        it('should stream events between two versions backward', Promise.coroutine(function *() {
+            const events = yield readStream(this.journal.streamEventsForRef("ref", { fromVersion: 2, toVersion: 4, direction: "backward", batchSize: 1 }));
+
+            assert.deepEqual([4, 3, 2], events.map((event) => event.version));
+        }));
+
+        it('should upcast streamed events', Promise.coroutine(function *() {
+            this.journal.registerUpcaster("test", 1, (payload) => ({ upcasted: true }));
+
+            const events = yield readStream(this.journal.streamEventsForRef("ref", { limit: 1 }));
+
+            assert.deepEqual({ upcasted: true }, events[0].payload);
+        }));
+
+        it('should be consumable as an async iterator', Promise.coroutine(function *() {
+            const iterator = this.journal.streamEventsForRef("ref")[Symbol.asyncIterator]();
+            const first = yield iterator.next();
+
+            yield iterator.return();
+
+            assert.equal(1, first.value.version);
+        }));
+
+        it('should read the last events of a ref with getEventsForRef', Promise.coroutine(function *() {
+            const events = yield this.journal.getEventsForRef({ refId: "ref", direction: "backward", limit: 2 });
+
+            assert.deepEqual([5, 4], events.map((event) => event.version));
+        }));
+    });
+}
+
+var readStream = function readStream(events) {
+    return new Promise((resolve, reject) => {
+        const results = [];
+
+        events.on('data', (event) => results.push(event));
+        events.on('error', reject);
+        events.on('end', () => resolve(results));
+    });
+};
+
+var createJournal = Promise.coroutine(function *() {
+    this.journal = new Journal();
+    yield this.journal.createClient();
+});
+
+var createEvents = Promise.coroutine(function *() {
+    for(let i = 0; i < 5; i++) {
+        yield this.journal.createEventForRef({ eventName: "test", refId: "ref", data: { index: i } });
+    }
+});
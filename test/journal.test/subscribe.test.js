@@ -0,0 +1,179 @@
+"use strict";
+
+var appRoot = process.cwd();
+
+var assert = require('assert');
+var sinon = require('sinon');
+var Promise = require('bluebird');
+
+var Journal = require(`${appRoot}/journal.js`);
+
+module.exports = function() {
+    beforeEach(createJournal);
+    afterEach(destroyJournal);
+
+    describe('error handling', function() {
+        it('should throw an error when missing a handler', Promise.coroutine(function *() {
+            try {
+                yield this.journal.subscribe({});
+                assert.fail('succeeded', 'failed', "succeeded with invalid parameters");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("handler must be a function", err.message.toLowerCase());
+            }
+        }));
+
+        it('should close the subscription and emit an error when the handler fails', Promise.coroutine(function *() {
+            const error = new Error("handler failed");
+            const onError = sinon.spy();
+
+            yield this.journal.createEventForRef("test", "a");
+
+            const subscription = yield this.journal.subscribe(() => Promise.reject(error));
+            subscription.on('error', onError);
+
+            yield waitFor(() => onError.called);
+
+            assert.strictEqual(error, onError.firstCall.args[0]);
+            assert.ok(subscription.closed);
+        }));
+
+        it('should close the subscription without an unhandled rejection when nothing listens for errors', Promise.coroutine(function *() {
+            const onUnhandledRejection = sinon.spy();
+            const onClose = sinon.spy();
+
+            process.on('unhandledRejection', onUnhandledRejection);
+
+            try {
+                yield this.journal.createEventForRef("test", "a");
+
+                const subscription = yield this.journal.subscribe(() => Promise.reject(new Error("boom")));
+                subscription.on('close', onClose);
+
+                yield waitFor(() => onClose.called);
+                yield Promise.delay(20);
+
+                assert.ok(subscription.closed);
+                assert.equal(false, onUnhandledRejection.called);
+            }
+            finally {
+                process.removeListener('unhandledRejection', onUnhandledRejection);
+            }
+        }));
+
+        it('should close the subscription in a failed state when nothing listens for errors', Promise.coroutine(function *() {
+            const error = new Error("handler failed");
+            const onClose = sinon.spy();
+
+            yield this.journal.createEventForRef("test", "a");
+
+            const subscription = yield this.journal.subscribe(() => Promise.reject(error));
+            subscription.on('close', onClose);
+
+            yield waitFor(() => onClose.called);
+
+            assert.ok(subscription.closed);
+            assert.strictEqual(error, subscription.error);
+            assert.strictEqual(error, onClose.firstCall.args[0]);
+        }));
+    });
+
+    describe('successful operations', function() {
+        it('should replay stored events and then deliver new ones in order', Promise.coroutine(function *() {
+            const received = [];
+
+            yield this.journal.createEventForRef("test", "a");
+            yield this.journal.createEventForRef("test", "b");
+
+            yield this.journal.subscribe((event) => {
+                received.push(event.position);
+            });
+
+            yield waitFor(() => received.length === 2);
+
+            yield this.journal.createEventForRef("test", "a");
+            yield this.journal.createEventsForRef("c", [{ eventName: "x" }, { eventName: "y" }]);
+
+            yield waitFor(() => received.length === 5);
+            assert.deepEqual([1, 2, 3, 4, 5], received);
+        }));
+
+        it('should start at fromPosition and only deliver filtered events', Promise.coroutine(function *() {
+            const received = [];
+
+            yield this.journal.createEventForRef("test", "a");
+            yield this.journal.createEventForRef("test", "b");
+            yield this.journal.createEventForRef("test", "a");
+
+            yield this.journal.subscribe({
+                fromPosition: 2,
+                filter: (event) => event.ref === "a"
+            }, (event) => {
+                received.push(event.position);
+            });
+
+            yield this.journal.createEventForRef("test", "a");
+
+            yield waitFor(() => received.length === 2);
+            assert.deepEqual([3, 4], received);
+        }));
+
+        it('should wait for the handler before delivering the next event', Promise.coroutine(function *() {
+            const received = [];
+            let active = 0;
+            let overlapped = false;
+
+            yield this.journal.createEventForRef("test", "a");
+            yield this.journal.createEventForRef("test", "a");
+
+            yield this.journal.subscribe((event) => {
+                overlapped = overlapped || active > 0;
+                active++;
+
+                return Promise.delay(5).then(() => {
+                    active--;
+                    received.push(event.version);
+                });
+            });
+
+            yield this.journal.createEventForRef("test", "a");
+
+            yield waitFor(() => received.length === 3);
+            assert.deepEqual([1, 2, 3], received);
+            assert.ok(!overlapped, "handler was called before the previous event finished");
+        }));
+
+        it('should stop delivering events once closed', Promise.coroutine(function *() {
+            const handler = sinon.spy();
+            const subscription = yield this.journal.subscribe(handler);
+
+            yield this.journal.createEventForRef("test", "a");
+            yield waitFor(() => handler.callCount === 1);
+
+            yield subscription.unsubscribe();
+            yield this.journal.createEventForRef("test", "a");
+            yield Promise.delay(10);
+
+            assert.equal(1, handler.callCount);
+            assert.strictEqual(null, subscription.error);
+        }));
+    });
+}
+
+var waitFor = Promise.coroutine(function *(predicate) {
+    for(let attempt = 0; attempt < 100 && !predicate(); attempt++) {
+        yield Promise.delay(5);
+    }
+
+    assert.ok(predicate(), "condition was not met in time");
+});
+
+var createJournal = Promise.coroutine(function *() {
+    this.journal = new Journal();
+    yield this.journal.createClient();
+});
+
+var destroyJournal = Promise.coroutine(function *() {
+    yield this.journal.destroyClient();
+});
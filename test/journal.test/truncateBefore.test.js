@@ -0,0 +1,109 @@
+"use strict";
+
+var appRoot = process.cwd();
+
+var assert = require('assert');
+var Promise = require('bluebird');
+
+var Journal = require(`${appRoot}/journal.js`);
+
+module.exports = function() {
+    beforeEach(createJournal);
+    afterEach(destroyJournal);
+
+    describe('error handling', function() {
+        it('should throw an error when missing refId', Promise.coroutine(function *() {
+            try {
+                yield this.journal.truncateBefore(undefined, 2);
+                assert.fail('succeeded', 'failed', "succeeded with invalid parameters");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("missing refid", err.message.toLowerCase());
+            }
+        }));
+
+        it('should throw an error when given an invalid version', Promise.coroutine(function *() {
+            try {
+                yield this.journal.truncateBefore("ref", "2");
+                assert.fail('succeeded', 'failed', "succeeded with invalid parameters");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("version must be a positive integer", err.message.toLowerCase());
+            }
+        }));
+
+        it('should throw an error when the version is past the latest version', Promise.coroutine(function *() {
+            yield this.journal.saveSnapshot("ref", 4, { count: 4 });
+
+            try {
+                yield this.journal.truncateBefore("ref", 5);
+                assert.fail('succeeded', 'failed', "succeeded past the latest version");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("version is past the latest version of the ref", err.message.toLowerCase());
+            }
+        }));
+
+        it('should throw an error when no snapshot covers the history', Promise.coroutine(function *() {
+            yield this.journal.saveSnapshot("ref", 1, { count: 1 });
+
+            try {
+                yield this.journal.truncateBefore("ref", 3);
+                assert.fail('succeeded', 'failed', "succeeded without a snapshot");
+            }
+            catch(err) {
+                assert.equal(409, err.code);
+                assert.equal("history before version is not covered by a snapshot", err.message.toLowerCase());
+                assert.equal(1, err.arguments.snapshotVersion);
+            }
+        }));
+    });
+
+    describe('successful operations', function() {
+        it('should remove the events below a version covered by a snapshot', Promise.coroutine(function *() {
+            yield this.journal.saveSnapshot("ref", 2, { count: 2 });
+
+            const removed = yield this.journal.truncateBefore("ref", 3);
+            const events = yield this.journal.getEventsForRef("ref");
+
+            assert.equal(2, removed);
+            assert.deepEqual([3, 4], events.map((event) => event.version));
+            assert.equal(4, (yield this.journal.getEventsForRef("other")).length);
+        }));
+
+        it('should remove nothing before version 1, even without a snapshot', Promise.coroutine(function *() {
+            const removed = yield this.journal.truncateBefore("ref", 1);
+
+            assert.equal(0, removed);
+            assert.equal(4, (yield this.journal.getEventsForRef("ref")).length);
+            assert.strictEqual(null, yield this.journal.adapter.getAnchor("ref"));
+        }));
+
+        it('should still load the ref from its snapshot', Promise.coroutine(function *() {
+            yield this.journal.saveSnapshot("ref", 2, { count: 2 });
+            yield this.journal.truncateBefore("ref", 3);
+
+            const loaded = yield this.journal.loadRef("ref", (state) => ({ count: state.count + 1 }));
+            const created = yield this.journal.createEventForRef("added", "ref");
+
+            assert.deepEqual({ state: { count: 4 }, version: 4 }, loaded);
+            assert.equal(5, created.version);
+        }));
+    });
+}
+
+var createJournal = Promise.coroutine(function *() {
+    this.journal = new Journal();
+    yield this.journal.createClient();
+
+    for(let refId of ["ref", "other"]) {
+        yield this.journal.createEventsForRef(refId, [1, 2, 3, 4].map(() => ({ eventName: "added" })));
+    }
+});
+
+var destroyJournal = Promise.coroutine(function *() {
+    yield this.journal.destroyClient();
+});
@@ -0,0 +1,145 @@
+"use strict";
+
+var appRoot = process.cwd();
+
+var assert = require('assert');
+var sinon = require('sinon');
+var Promise = require('bluebird');
+var _ = require('lodash');
+
+var Journal = require(`${appRoot}/journal.js`);
+
+module.exports = function() {
+    beforeEach(createJournal);
+
+    describe('error handling', function() {
+        it('should throw an error when given middleware without hooks', function() {
+            assert.throws(() => {
+                this.journal.use({ name: "empty" });
+            }, /middleware must have a beforeAppend, afterAppend or afterRead hook/);
+        });
+
+        it('should throw an error when a hook is not a function', function() {
+            assert.throws(() => {
+                this.journal.use({ beforeAppend: true });
+            }, /middleware hooks must be functions/);
+        });
+
+        it('should name the hook that rejected an append', Promise.coroutine(function *() {
+            this.journal.use({
+                name: "rateLimit",
+                beforeAppend: function() {
+                    const error = new Error("too many writes");
+                    error.code = 429;
+
+                    throw error;
+                }
+            });
+
+            try {
+                yield this.journal.createEventForRef({ eventName: "test", refId: "ref" });
+                assert.fail('succeeded', 'failed', "succeeded with a rejecting hook");
+            }
+            catch(err) {
+                assert.ok(err instanceof Error);
+                assert.equal('JournalError', err.name);
+                assert.equal(429, err.code);
+                assert.equal('beforeAppend hook of middleware "rateLimit" failed: too many writes', err.message);
+                assert.equal("beforeAppend", err.arguments.hook);
+            }
+
+            const events = yield this.journal.getEventsForRef({ refId: "ref" });
+            assert.equal(0, events.length);
+        }));
+
+        it('should name unnamed middleware by its position', Promise.coroutine(function *() {
+            this.journal.use({ afterRead: _.noop });
+            this.journal.use({ afterRead: () => Promise.reject(new Error("unavailable")) });
+
+            yield this.journal.createEventForRef({ eventName: "test", refId: "ref" });
+
+            try {
+                yield this.journal.getEventsForRef({ refId: "ref" });
+                assert.fail('succeeded', 'failed', "succeeded with a rejecting hook");
+            }
+            catch(err) {
+                assert.equal(500, err.code);
+                assert.equal('afterRead hook of middleware "#2" failed: unavailable', err.message);
+            }
+        }));
+
+        it('should validate events returned by beforeAppend', Promise.coroutine(function *() {
+            this.journal.use({ beforeAppend: (event) => ({ eventData: event.eventData }) });
+
+            try {
+                yield this.journal.createEventForRef({ eventName: "test", refId: "ref" });
+                assert.fail('succeeded', 'failed', "succeeded with an invalid event");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("missing eventname", err.message.toLowerCase());
+            }
+        }));
+    });
+
+    describe('successful operations', function() {
+        it('should run beforeAppend hooks in order and store the transformed event', Promise.coroutine(function *() {
+            this.journal.use({
+                beforeAppend: function(event, context) {
+                    event.metadata = { user: "alice", operation: context.operation };
+                }
+            });
+            this.journal.use({
+                beforeAppend: function(event) {
+                    return Promise.resolve(_.assign({}, event, { metadata: _.assign({ audited: true }, event.metadata) }));
+                }
+            });
+
+            const event = yield this.journal.createEventForRef({ eventName: "test", refId: "ref" });
+
+            assert.deepEqual({ audited: true, user: "alice", operation: "createEventForRef" }, event.metadata);
+        }));
+
+        it('should run beforeAppend on every event of a batch', Promise.coroutine(function *() {
+            const hook = sinon.spy();
+            this.journal.use({ beforeAppend: hook });
+
+            yield this.journal.createEventsForRef("ref", [{ eventName: "a" }, { eventName: "b" }]);
+
+            assert.equal(2, hook.callCount);
+            assert.deepEqual({ operation: "createEventsForRef", refId: "ref" }, hook.firstCall.args[1]);
+        }));
+
+        it('should pass stored events to afterAppend', Promise.coroutine(function *() {
+            const hook = sinon.spy();
+            this.journal.use({ afterAppend: hook });
+
+            yield this.journal.createEventForRef({ eventName: "test", refId: "ref" });
+
+            assert.equal(1, hook.firstCall.args[0].version);
+        }));
+
+        it('should let afterRead redact events without changing what is stored', Promise.coroutine(function *() {
+            yield this.journal.createEventForRef({ eventName: "test", refId: "ref", data: { card: "4111", amount: 5 } });
+
+            this.journal.use({
+                afterRead: function(event) {
+                    delete event.payload.card;
+                }
+            });
+
+            const events = yield this.journal.getEventsForRef({ refId: "ref" });
+            const all = yield this.journal.readAll();
+            const stored = yield this.journal.adapter.getEventsForRef("ref");
+
+            assert.deepEqual({ amount: 5 }, events[0].payload);
+            assert.deepEqual({ amount: 5 }, all.events[0].payload);
+            assert.deepEqual({ card: "4111", amount: 5 }, stored[0].payload);
+        }));
+    });
+}
+
+var createJournal = Promise.coroutine(function *() {
+    this.journal = new Journal();
+    yield this.journal.createClient();
+});
@@ -0,0 +1,91 @@
+"use strict";
+
+var appRoot = process.cwd();
+
+var assert = require('assert');
+var Promise = require('bluebird');
+
+var Journal = require(`${appRoot}/journal.js`);
+
+module.exports = function() {
+    beforeEach(createJournal);
+    afterEach(destroyJournal);
+
+    describe('error handling', function() {
+        it('should throw an error when the journal has not been initialized', Promise.coroutine(function *() {
+            const journal = new Journal();
+
+            try {
+                yield journal.verifyAll();
+                assert.fail('succeeded', 'failed', "succeeded without a client");
+            }
+            catch(err) {
+                assert.equal(500, err.code);
+                assert.equal("journal has not been initialized", err.message.toLowerCase());
+            }
+        }));
+
+        it('should throw an error when given an invalid batchSize', Promise.coroutine(function *() {
+            try {
+                yield this.journal.verifyAll({ batchSize: 0 });
+                assert.fail('succeeded', 'failed', "succeeded with invalid parameters");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("batchsize must be a positive integer", err.message.toLowerCase());
+            }
+        }));
+    });
+
+    describe('successful operations', function() {
+        it('should check the chain of every ref a batch at a time', Promise.coroutine(function *() {
+            yield this.journal.createEventForRef("a", "first");
+            yield this.journal.createEventForRef("a", "second");
+            yield this.journal.createEventForRef("b", "first");
+
+            assert.deepEqual({ refs: 2, events: 3, ok: true, brokenLink: null }, yield this.journal.verifyAll({ batchSize: 2 }));
+        }));
+
+        it('should stop at the first broken link in position order', Promise.coroutine(function *() {
+            yield this.journal.createEventForRef("a", "first");
+            yield this.journal.createEventForRef("a", "second");
+            yield this.journal.createEventForRef("b", "first");
+            yield this.journal.createEventForRef("b", "second");
+
+            this.journal.adapter.db[2].initiated_by = "someone else";
+            this.journal.adapter.db[3].event = "edited";
+
+            const result = yield this.journal.verifyAll();
+
+            assert.strictEqual(false, result.ok);
+            assert.equal(3, result.events);
+            assert.equal("first", result.brokenLink.refId);
+            assert.equal(2, result.brokenLink.version);
+            assert.equal(3, result.brokenLink.position);
+        }));
+
+        it('should report a ref whose first event was removed', Promise.coroutine(function *() {
+            yield this.journal.createEventForRef("a", "first");
+            yield this.journal.createEventForRef("a", "second");
+            yield this.journal.createEventForRef("b", "second");
+
+            this.journal.adapter.db.splice(1, 1);
+
+            const result = yield this.journal.verifyAll();
+
+            assert.strictEqual(false, result.ok);
+            assert.equal("second", result.brokenLink.refId);
+            assert.equal(2, result.brokenLink.version);
+            assert.strictEqual(null, result.brokenLink.expected);
+        }));
+    });
+};
+
+var createJournal = Promise.coroutine(function *() {
+    this.journal = new Journal();
+    yield this.journal.createClient();
+});
+
+var destroyJournal = Promise.coroutine(function *() {
+    yield this.journal.destroyClient();
+});
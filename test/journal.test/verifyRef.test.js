@@ -0,0 +1,144 @@
+"use strict";
+
+var appRoot = process.cwd();
+
+var assert = require('assert');
+var Promise = require('bluebird');
+
+var Journal = require(`${appRoot}/journal.js`);
+
+module.exports = function() {
+    beforeEach(createJournal);
+    afterEach(destroyJournal);
+
+    describe('error handling', function() {
+        it('should throw an error when the journal has not been initialized', Promise.coroutine(function *() {
+            const journal = new Journal();
+
+            try {
+                yield journal.verifyRef("ref");
+                assert.fail('succeeded', 'failed', "succeeded without a client");
+            }
+            catch(err) {
+                assert.equal(500, err.code);
+                assert.equal("journal has not been initialized", err.message.toLowerCase());
+            }
+        }));
+
+        it('should throw an error when missing refId', Promise.coroutine(function *() {
+            try {
+                yield this.journal.verifyRef();
+                assert.fail('succeeded', 'failed', "succeeded with invalid parameters");
+            }
+            catch(err) {
+                assert.equal(400, err.code);
+                assert.equal("missing refid", err.message.toLowerCase());
+            }
+        }));
+    });
+
+    describe('successful operations', function() {
+        it('should chain the hash of each event to the one before it', Promise.coroutine(function *() {
+            const events = yield this.journal.createEventsForRef("ref", [
+                { eventName: "created", eventData: { name: "a" }, userId: "user", metadata: { source: "test" } },
+                { eventName: "renamed", eventData: { name: "b" } }
+            ]);
+
+            assert.ok(/^[0-9a-f]{64}$/.test(events[0].hash));
+            assert.notEqual(events[0].hash, events[1].hash);
+            assert.deepEqual({ refId: "ref", events: 2, ok: true, brokenLink: null }, yield this.journal.verifyRef("ref"));
+        }));
+
+        it('should report the first event whose content was edited', Promise.coroutine(function *() {
+            yield this.journal.createEventsForRef("ref", [
+                { eventName: "created", eventData: { name: "a" } },
+                { eventName: "renamed", eventData: { name: "b" } },
+                { eventName: "renamed", eventData: { name: "c" } }
+            ]);
+
+            const stored = this.journal.adapter.db[1];
+            stored.payload = { name: "edited" };
+
+            const result = yield this.journal.verifyRef("ref");
+
+            assert.strictEqual(false, result.ok);
+            assert.equal(2, result.events);
+            assert.equal("ref", result.brokenLink.refId);
+            assert.equal(2, result.brokenLink.version);
+            assert.equal(2, result.brokenLink.position);
+            assert.equal(stored.hash, result.brokenLink.actual);
+            assert.notEqual(stored.hash, result.brokenLink.expected);
+        }));
+
+        it('should report an event that follows a removed one', Promise.coroutine(function *() {
+            yield this.journal.createEventsForRef("ref", [{ eventName: "a" }, { eventName: "b" }, { eventName: "c" }]);
+
+            this.journal.adapter.db.splice(1, 1);
+
+            const result = yield this.journal.verifyRef("ref");
+
+            assert.strictEqual(false, result.ok);
+            assert.equal(3, result.brokenLink.version);
+        }));
+
+        it('should start the chain of a truncated ref at its first remaining event', Promise.coroutine(function *() {
+            yield this.journal.createEventsForRef("ref", [{ eventName: "a" }, { eventName: "b" }, { eventName: "c" }]);
+            yield this.journal.saveSnapshot("ref", 2, { count: 2 });
+            yield this.journal.truncateBefore("ref", 3);
+            yield this.journal.createEventForRef("d", "ref");
+
+            assert.deepEqual({ refId: "ref", events: 2, ok: true, brokenLink: null }, yield this.journal.verifyRef("ref"));
+        }));
+
+        it('should report an edited first event of a truncated ref', Promise.coroutine(function *() {
+            yield this.journal.createEventsForRef("ref", [{ eventName: "a" }, { eventName: "b" }, { eventName: "c" }]);
+            yield this.journal.saveSnapshot("ref", 2, { count: 2 });
+            yield this.journal.truncateBefore("ref", 3);
+
+            this.journal.adapter.db[0].payload = { edited: true };
+
+            const result = yield this.journal.verifyRef("ref");
+
+            assert.strictEqual(false, result.ok);
+            assert.equal(3, result.brokenLink.version);
+            assert.notEqual(null, result.brokenLink.expected);
+        }));
+
+        it('should report a ref whose first events were removed without truncating it', Promise.coroutine(function *() {
+            yield this.journal.createEventsForRef("ref", [{ eventName: "a" }, { eventName: "b" }]);
+
+            this.journal.adapter.db.splice(0, 1);
+
+            const result = yield this.journal.verifyRef("ref");
+
+            assert.strictEqual(false, result.ok);
+            assert.equal(2, result.brokenLink.version);
+            assert.strictEqual(null, result.brokenLink.expected);
+        }));
+
+        it('should keep the chain of imported events', Promise.coroutine(function *() {
+            const target = new Journal();
+            yield target.createClient();
+
+            yield this.journal.createEventsForRef("ref", [{ eventName: "a", eventData: { value: 1 } }, { eventName: "b" }]);
+            yield Journal.migrate(this.journal, target);
+
+            const result = yield target.verifyRef("ref");
+            const events = yield target.getEventsForRef("ref");
+            yield target.destroyClient();
+
+            assert.strictEqual(true, result.ok);
+            assert.equal(this.journal.adapter.db[1].hash, events[1].hash);
+            assert.deepEqual({ value: 1 }, events[0].payload);
+        }));
+    });
+};
+
+var createJournal = Promise.coroutine(function *() {
+    this.journal = new Journal();
+    yield this.journal.createClient();
+});
+
+var destroyJournal = Promise.coroutine(function *() {
+    yield this.journal.destroyClient();
+});